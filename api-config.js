@@ -0,0 +1,346 @@
+/**
+ * ==============================================
+ * CONFIGURATION FILE
+ * ==============================================
+ * 
+ * One place for the settings of the extractor, the
+ * middleware, the standalone server and setup:
+ *   1. Defaults (OPTIONS below)
+ *   2. storybook-api.config.js / .mjs / .cjs / .json in the
+ *      project root (or --config / STORYBOOK_API_CONFIG)
+ *   3. Environment variables (STORYBOOK_CACHE_TTL, ...)
+ * Later sources win. Every value is validated; all
+ * problems are reported together when a tool starts.
+ * 
+ * Relative paths are resolved against the folder of the
+ * config file (the project root without one).
+ * ==============================================
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { types } from 'util';
+import { parseProjectList } from './federation.js';
+
+// Looked up in this order in the project root
+const CONFIG_FILES = [
+  'storybook-api.config.js',
+  'storybook-api.config.mjs',
+  'storybook-api.config.cjs',
+  'storybook-api.config.json',
+];
+
+// Names a config file when it is not in the project root
+const CONFIG_ENV = 'STORYBOOK_API_CONFIG';
+
+/**
+ * Supported options: type, default, environment variable and limits.
+ * Types: string, url, path, paths, filename, integer, boolean, port, projects
+ */
+const OPTIONS = {
+  // ----- Extraction (extract-metadata.js) -----
+  
+  // Storybook dev server URL
+  storybookUrl: { type: 'url', default: 'http://localhost:6006', env: 'STORYBOOK_URL' },
+  
+  // Storybook port on localhost; replaces the port of storybookUrl
+  storybookPort: { type: 'port', default: null, env: 'STORYBOOK_PORT' },
+  
+  // Where stories.json is written (and served from)
+  outputDir: { type: 'path', default: 'storybook-static', env: 'STORYBOOK_OUTPUT_DIR' },
+  outputFile: { type: 'filename', default: 'stories.json', env: 'STORYBOOK_OUTPUT_FILE' },
+  
+  // ----- API (middleware.js, storybook-api serve) -----
+  
+  // Other locations checked for the metadata when outputDir/outputFile has none
+  metadataPaths: {
+    type: 'paths',
+    default: ['.storybook-metadata-temp.json', '.storybook/stories.json'],
+    env: 'STORYBOOK_METADATA_PATHS',
+  },
+  
+  // Allowed CORS origins (comma-separated, `*` for any)
+  corsOrigin: { type: 'string', default: '*', env: 'STORYBOOK_CORS_ORIGIN' },
+  
+  // Metadata cache TTL (ms)
+  cacheTTL: { type: 'integer', default: 5000, min: 0, env: 'STORYBOOK_CACHE_TTL' },
+  
+  // Longest accepted search query and title/kind filter
+  maxSearchLength: { type: 'integer', default: 200, min: 1, env: 'STORYBOOK_MAX_SEARCH_LENGTH' },
+  
+  // How often /api/events checks the metadata file for changes (ms)
+  eventsPollInterval: { type: 'integer', default: 1000, min: 1, env: 'STORYBOOK_EVENTS_POLL' },
+  
+  // Heartbeat ping interval for /api/events clients (ms)
+  heartbeatInterval: { type: 'integer', default: 15000, min: 1, env: 'STORYBOOK_SSE_HEARTBEAT' },
+  
+  // Allow /api/diff to fetch its base metadata over HTTP(S). Off by default:
+  // the server fetches whatever URL a client sends, including internal ones
+  diffAllowRemote: { type: 'boolean', default: false, env: 'STORYBOOK_DIFF_ALLOW_REMOTE' },
+  
+  // Timeout for fetching a remote diff base (ms)
+  diffFetchTimeout: { type: 'integer', default: 10000, min: 1, env: 'STORYBOOK_DIFF_TIMEOUT' },
+  
+  // Page size for list endpoints when ?limit is not given (0 = return everything)
+  defaultPageSize: { type: 'integer', default: 0, min: 0, env: 'STORYBOOK_PAGE_SIZE' },
+  
+  // Largest ?limit accepted by list endpoints
+  maxPageSize: { type: 'integer', default: 1000, min: 1, env: 'STORYBOOK_MAX_PAGE_SIZE' },
+  
+  // Responses smaller than this (bytes) are sent uncompressed
+  compressionThreshold: { type: 'integer', default: 1024, min: 0, env: 'STORYBOOK_COMPRESSION_THRESHOLD' },
+  
+  // Other Storybooks to serve next to the local one (see federation.js)
+  projects: { type: 'projects', default: '', env: 'STORYBOOK_API_PROJECTS' },
+  
+  // How often remote projects (URLs, refs) are fetched again (ms)
+  projectRefreshInterval: { type: 'integer', default: 60000, min: 0, env: 'STORYBOOK_PROJECT_REFRESH' },
+  
+  // Timeout for fetching a remote project's stories.json (ms)
+  projectFetchTimeout: { type: 'integer', default: 10000, min: 1, env: 'STORYBOOK_PROJECT_TIMEOUT' },
+};
+
+/**
+ * Find the config file of a project
+ * 
+ * @param {Array<string>} dirs - Folders to look in, in priority order
+ * @returns {string|null} Absolute path of the first config file found
+ */
+function findConfigFile(dirs) {
+  for (const dir of [...new Set(dirs.map(dir => path.resolve(dir)))]) {
+    const found = CONFIG_FILES
+      .map(file => path.join(dir, file))
+      .find(file => fs.existsSync(file));
+    if (found) return found;
+  }
+  
+  return null;
+}
+
+/**
+ * Load, merge and validate the configuration
+ * 
+ * @param {object} [options]
+ * @param {string} [options.rootDir] - Project root: where the config file is
+ *   looked up and what relative paths mean without one (default: cwd)
+ * @param {string|false} [options.configPath] - Config file to use (--config);
+ *   `false` skips config files. Defaults to STORYBOOK_API_CONFIG, then lookup.
+ * @param {object} [options.env] - Environment variables (default: process.env)
+ * @returns {object} Every option of OPTIONS plus `configFile` (or null) and
+ *   `baseDir`; paths are absolute
+ * @throws {Error} With `details: { configFile, errors: [{ option, source, value, expected }] }`
+ */
+function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const rootDir = path.resolve(options.rootDir || process.cwd());
+  const configPath = options.configPath ?? env[CONFIG_ENV] ?? null;
+  
+  const configFile = configPath === false
+    ? null
+    : configPath
+      ? path.resolve(configPath)
+      : findConfigFile([rootDir, process.cwd()]);
+  const baseDir = configFile ? path.dirname(configFile) : rootDir;
+  
+  const errors = [];
+  const invalid = (error) => Object.assign(new Error('Invalid storybook-api configuration'), {
+    details: { configFile, errors: [error] },
+  });
+  
+  // 1. Defaults
+  const config = Object.fromEntries(
+    Object.entries(OPTIONS).map(([option, spec]) => [option, spec.default])
+  );
+  
+  // 2. Config file
+  if (configFile) {
+    const fileOptions = readConfigFile(configFile, invalid);
+    
+    Object.entries(fileOptions).forEach(([option, value]) => {
+      if (!OPTIONS[option]) {
+        const known = Object.keys(OPTIONS).find(name => name.toLowerCase() === option.toLowerCase());
+        errors.push({ option, source: configFile, value, expected: known ? `"${known}"` : 'a known option' });
+        return;
+      }
+      
+      const result = checkValue(OPTIONS[option], value);
+      if (result.error) {
+        errors.push({ option, source: configFile, value, expected: result.error });
+      } else {
+        config[option] = result.value;
+      }
+    });
+  }
+  
+  // 3. Environment variables
+  Object.entries(OPTIONS).forEach(([option, spec]) => {
+    const raw = env[spec.env];
+    if (raw === undefined || raw === '') return;
+    
+    const result = checkValue(spec, parseEnvValue(spec, raw));
+    if (result.error) {
+      errors.push({ option, source: spec.env, value: raw, expected: result.error });
+    } else {
+      config[option] = result.value;
+    }
+  });
+  
+  if (config.defaultPageSize > config.maxPageSize) {
+    errors.push({
+      option: 'defaultPageSize',
+      source: 'merged configuration',
+      value: config.defaultPageSize,
+      expected: `at most maxPageSize (${config.maxPageSize})`,
+    });
+  }
+  
+  if (errors.length > 0) {
+    throw Object.assign(new Error('Invalid storybook-api configuration'), {
+      details: { configFile, errors },
+    });
+  }
+  
+  // A port stands for a Storybook on localhost
+  if (config.storybookPort) {
+    config.storybookUrl = `http://localhost:${config.storybookPort}`;
+  }
+  
+  return {
+    ...config,
+    outputDir: path.resolve(baseDir, config.outputDir),
+    metadataPaths: config.metadataPaths.map(filepath => path.resolve(baseDir, filepath)),
+    configFile,
+    baseDir,
+  };
+}
+
+/**
+ * Human-readable report of a loadConfig() error, one problem per line
+ * 
+ * @param {Error} err - Error thrown by loadConfig()
+ * @returns {string}
+ */
+function formatConfigError(err) {
+  const { configFile, errors = [] } = err.details || {};
+  const lines = [`${err.message}${configFile ? ` (${configFile})` : ''}:`];
+  
+  errors.forEach(({ option, source, value, expected }) => {
+    const from = source && source !== configFile ? ` [${source}]` : '';
+    const got = value === undefined ? '' : `, got ${JSON.stringify(value)}`;
+    lines.push(`  - ${option || 'config'}${from}: expected ${expected}${got}`);
+  });
+  
+  return lines.join('\n');
+}
+
+/**
+ * Helper: Read the options object of a config file.
+ * JS configs are loaded synchronously (the middleware is mounted
+ * synchronously); ES module configs need a Node.js version with require(esm).
+ */
+function readConfigFile(configFile, invalid) {
+  if (!fs.existsSync(configFile)) {
+    throw invalid({ option: null, source: configFile, expected: 'an existing config file' });
+  }
+  
+  let loaded;
+  try {
+    if (path.extname(configFile) === '.json') {
+      loaded = JSON.parse(fs.readFileSync(configFile, 'utf-8'));
+    } else {
+      const exported = createRequire(configFile)(configFile);
+      loaded = types.isModuleNamespaceObject(exported) || exported?.__esModule
+        ? exported.default
+        : exported;
+    }
+  } catch (err) {
+    const expected = err.code === 'ERR_REQUIRE_ESM'
+      ? 'a CommonJS or JSON config (this Node.js version cannot load ES module configs synchronously)'
+      : `a readable config file (${err.message})`;
+    throw invalid({ option: null, source: configFile, expected });
+  }
+  
+  if (!loaded || typeof loaded !== 'object' || Array.isArray(loaded)) {
+    throw invalid({ option: null, source: configFile, expected: 'an object of options as default export' });
+  }
+  
+  return loaded;
+}
+
+/**
+ * Helper: Turn an environment variable into the option's type
+ */
+function parseEnvValue(spec, raw) {
+  switch (spec.type) {
+    case 'integer':
+    case 'port':
+      return /^\d+$/.test(raw.trim()) ? Number(raw) : raw;
+    case 'boolean':
+      if (['true', '1'].includes(raw.trim().toLowerCase())) return true;
+      if (['false', '0'].includes(raw.trim().toLowerCase())) return false;
+      return raw;
+    case 'paths':
+      return raw.split(',').map(entry => entry.trim()).filter(Boolean);
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Helper: Validate one value against its option
+ * @returns {{ value }|{ error: string }} The value or what was expected
+ */
+function checkValue(spec, value) {
+  const isText = typeof value === 'string' && value.trim() !== '';
+  
+  switch (spec.type) {
+    case 'string':
+      return isText ? { value } : { error: 'a non-empty string' };
+    case 'url':
+      return isText && /^https?:\/\/[^/\s]+/i.test(value)
+        ? { value: value.replace(/\/+$/, '') }
+        : { error: 'an http(s) URL' };
+    case 'path':
+      return isText ? { value } : { error: 'a path' };
+    case 'filename':
+      return isText && !/[\\/]/.test(value) ? { value } : { error: 'a file name without folders' };
+    case 'paths':
+      return Array.isArray(value) && value.every(entry => typeof entry === 'string' && entry.trim() !== '')
+        ? { value }
+        : { error: 'an array of paths' };
+    case 'integer': {
+      const min = spec.min ?? 0;
+      return Number.isInteger(value) && value >= min
+        ? { value }
+        : { error: `an integer >= ${min}` };
+    }
+    case 'port':
+      return value === null || (Number.isInteger(value) && value > 0 && value <= 65535)
+        ? { value }
+        : { error: 'a port number (1-65535)' };
+    case 'boolean':
+      return typeof value === 'boolean' ? { value } : { error: 'true or false' };
+    case 'projects':
+      if (typeof value !== 'string' && !Array.isArray(value)) {
+        return { error: '"id=path-or-url,..." or an array of projects' };
+      }
+      try {
+        parseProjectList(value);
+        return { value };
+      } catch (err) {
+        return { error: `valid projects (${err.message}${err.details ? ` ${JSON.stringify(err.details)}` : ''})` };
+      }
+    default:
+      return { value };
+  }
+}
+
+export {
+  CONFIG_FILES,
+  CONFIG_ENV,
+  OPTIONS,
+  findConfigFile,
+  loadConfig,
+  formatConfigError,
+};
@@ -0,0 +1,402 @@
+/**
+ * ==============================================
+ * API EXPLORER
+ * ==============================================
+ * 
+ * The page served at GET /api/docs: reads the OpenAPI
+ * document (GET /api/openapi.json) and lets you try every
+ * endpoint from the browser.
+ * 
+ * Self-contained - inline styles and script, no CDN -
+ * so it works offline and behind strict networks. The
+ * page builds its DOM with textContent only, nothing from
+ * the spec or a response is ever parsed as HTML.
+ * ==============================================
+ */
+
+const STYLES = `
+  :root { color-scheme: light dark; --bg: #fff; --fg: #1d2433; --muted: #5c677d; --line: #e2e6ee;
+    --panel: #f6f8fb; --accent: #ff4785; --ok: #1f8a4c; --err: #c62828; }
+  @media (prefers-color-scheme: dark) {
+    :root { --bg: #161a22; --fg: #e4e8f0; --muted: #98a2b3; --line: #2b3240; --panel: #1e2430; }
+  }
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 14px/1.5 system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; background: var(--bg); color: var(--fg); }
+  header { display: flex; align-items: baseline; gap: 12px; padding: 12px 20px; border-bottom: 1px solid var(--line); }
+  header h1 { margin: 0; font-size: 18px; }
+  header .version { color: var(--muted); }
+  .layout { display: grid; grid-template-columns: 300px 1fr; min-height: calc(100vh - 50px); }
+  nav { border-right: 1px solid var(--line); padding: 12px; overflow-y: auto; }
+  nav input { width: 100%; padding: 6px 8px; margin-bottom: 8px; border: 1px solid var(--line); border-radius: 4px; background: var(--bg); color: var(--fg); }
+  nav h2 { font-size: 12px; text-transform: uppercase; letter-spacing: .05em; color: var(--muted); margin: 14px 0 4px; }
+  nav a { display: block; padding: 4px 6px; border-radius: 4px; color: inherit; text-decoration: none; font-family: ui-monospace, monospace; font-size: 12px; word-break: break-all; }
+  nav a:hover, nav a.active { background: var(--panel); }
+  main { padding: 20px 28px; overflow-x: hidden; }
+  .method { display: inline-block; padding: 1px 6px; margin-right: 6px; border-radius: 3px; background: var(--accent); color: #fff; font: 600 11px ui-monospace, monospace; }
+  .path { font: 600 16px ui-monospace, monospace; word-break: break-all; }
+  .description { color: var(--muted); }
+  code { font-family: ui-monospace, monospace; font-size: 12px; background: var(--panel); padding: 1px 4px; border-radius: 3px; }
+  table { border-collapse: collapse; width: 100%; margin: 12px 0; }
+  th, td { text-align: left; vertical-align: top; padding: 6px 8px; border-bottom: 1px solid var(--line); }
+  th { font-size: 12px; color: var(--muted); font-weight: 600; }
+  td input, td select, textarea { width: 100%; padding: 5px 7px; border: 1px solid var(--line); border-radius: 4px; background: var(--bg); color: var(--fg); }
+  textarea { min-height: 140px; font: 12px/1.45 ui-monospace, monospace; }
+  .required { color: var(--err); }
+  .actions { display: flex; gap: 8px; margin: 12px 0; }
+  button { padding: 6px 14px; border: 0; border-radius: 4px; background: var(--accent); color: #fff; font-weight: 600; cursor: pointer; }
+  button:disabled { opacity: .5; cursor: default; }
+  button.secondary { background: var(--panel); color: var(--fg); border: 1px solid var(--line); }
+  .url { font: 12px ui-monospace, monospace; color: var(--muted); word-break: break-all; }
+  .status { margin: 16px 0 6px; font-weight: 600; }
+  .status.ok { color: var(--ok); }
+  .status.error { color: var(--err); }
+  pre { margin: 0; padding: 12px; max-height: 60vh; overflow: auto; background: var(--panel); border: 1px solid var(--line); border-radius: 4px; font: 12px/1.45 ui-monospace, monospace; white-space: pre-wrap; word-break: break-word; }
+  @media (max-width: 800px) { .layout { grid-template-columns: 1fr; } nav { border-right: 0; border-bottom: 1px solid var(--line); } }
+`;
+
+// Runs in the browser. Plain strings only (no template literals), it is embedded in one.
+const SCRIPT = `
+(function () {
+  var specUrl = document.body.getAttribute('data-spec-url');
+  var state = { spec: null, operations: [], controller: null };
+  
+  function el(tag, props, children) {
+    var node = document.createElement(tag);
+    Object.keys(props || {}).forEach(function (key) {
+      if (key === 'text') node.textContent = props[key];
+      else if (key === 'className') node.className = props[key];
+      else node.setAttribute(key, props[key]);
+    });
+    (children || []).forEach(function (child) {
+      node.appendChild(typeof child === 'string' ? document.createTextNode(child) : child);
+    });
+    return node;
+  }
+  
+  // Text with backtick code spans, the only markup used in descriptions
+  function inline(text) {
+    var fragment = document.createDocumentFragment();
+    String(text || '').split(String.fromCharCode(96)).forEach(function (part, index) {
+      fragment.appendChild(index % 2 ? el('code', { text: part }) : document.createTextNode(part));
+    });
+    return fragment;
+  }
+  
+  function listOperations(spec) {
+    var operations = [];
+    Object.keys(spec.paths || {}).forEach(function (path) {
+      Object.keys(spec.paths[path]).forEach(function (method) {
+        var operation = spec.paths[path][method];
+        operations.push({
+          id: operation.operationId || method + ' ' + path,
+          method: method.toUpperCase(),
+          path: path,
+          operation: operation
+        });
+      });
+    });
+    return operations;
+  }
+  
+  function renderNav(filter) {
+    var nav = document.getElementById('operations');
+    var needle = (filter || '').toLowerCase();
+    var tagNames = (state.spec.tags || []).map(function (tag) { return tag.name; });
+    state.operations.forEach(function (entry) {
+      var tag = (entry.operation.tags || ['Other'])[0];
+      if (tagNames.indexOf(tag) === -1) tagNames.push(tag);
+    });
+    
+    nav.textContent = '';
+    tagNames.forEach(function (tag) {
+      var entries = state.operations.filter(function (entry) {
+        var text = (entry.path + ' ' + (entry.operation.summary || '')).toLowerCase();
+        return (entry.operation.tags || ['Other'])[0] === tag && text.indexOf(needle) !== -1;
+      });
+      if (entries.length === 0) return;
+      
+      nav.appendChild(el('h2', { text: tag }));
+      entries.forEach(function (entry) {
+        var link = el('a', { href: '#' + encodeURIComponent(entry.id), title: entry.operation.summary || '' }, [entry.path]);
+        link.setAttribute('data-id', entry.id);
+        nav.appendChild(link);
+      });
+    });
+    highlightNav();
+  }
+  
+  function highlightNav() {
+    var current = decodeURIComponent(location.hash.slice(1));
+    Array.prototype.forEach.call(document.querySelectorAll('nav a'), function (link) {
+      link.className = link.getAttribute('data-id') === current ? 'active' : '';
+    });
+  }
+  
+  function renderParameterInput(parameter) {
+    var schema = parameter.schema || {};
+    var input;
+    var options = schema.enum || (schema.type === 'boolean' ? ['true', 'false'] : null);
+    
+    if (options) {
+      input = el('select', {}, [el('option', { value: '', text: '' })].concat(options.map(function (option) {
+        return el('option', { value: String(option), text: String(option) });
+      })));
+    } else {
+      input = el('input', { type: schema.type === 'integer' ? 'number' : 'text' });
+      if (schema.default !== undefined) input.placeholder = String(schema.default);
+    }
+    input.name = parameter.name;
+    input.setAttribute('data-in', parameter.in);
+    return input;
+  }
+  
+  function renderOperation(entry) {
+    var main = document.getElementById('main');
+    var operation = entry.operation;
+    var parameters = operation.parameters || [];
+    main.textContent = '';
+    
+    main.appendChild(el('div', {}, [el('span', { className: 'method', text: entry.method }), el('span', { className: 'path', text: entry.path })]));
+    main.appendChild(el('h3', { text: operation.summary || '' }));
+    if (operation.description) main.appendChild(el('p', { className: 'description' }, [inline(operation.description)]));
+    
+    var form = el('form');
+    var rows = parameters.map(function (parameter) {
+      var name = el('td', {}, [el('code', { text: parameter.name })]);
+      if (parameter.required) name.appendChild(el('span', { className: 'required', text: ' *' }));
+      return el('tr', {}, [
+        name,
+        el('td', { text: parameter.in }),
+        el('td', {}, [renderParameterInput(parameter)]),
+        el('td', { className: 'description' }, [inline(parameter.description)])
+      ]);
+    });
+    
+    // Anything the spec can't list, e.g. arg.<name> filters
+    var extra = el('input', { type: 'text', placeholder: 'arg.disabled=true&arg.size=small' });
+    extra.name = '__extra';
+    rows.push(el('tr', {}, [el('td', {}, [el('code', { text: 'query' })]), el('td', { text: 'extra' }), el('td', {}, [extra]), el('td', { className: 'description', text: 'Additional query string' })]));
+    
+    form.appendChild(el('table', {}, [
+      el('thead', {}, [el('tr', {}, [el('th', { text: 'Parameter' }), el('th', { text: 'In' }), el('th', { text: 'Value' }), el('th', { text: 'Description' })])]),
+      el('tbody', {}, rows)
+    ]));
+    
+    // JSON body, prefilled from the schema's example
+    var bodySchema = operation.requestBody && operation.requestBody.content &&
+      operation.requestBody.content['application/json'] && operation.requestBody.content['application/json'].schema;
+    if (bodySchema) {
+      var example = {};
+      Object.keys(bodySchema.properties || {}).forEach(function (name) {
+        if (bodySchema.properties[name].example !== undefined) example[name] = bodySchema.properties[name].example;
+      });
+      var bodyInput = el('textarea', { 'aria-label': 'Request body', spellcheck: 'false' });
+      bodyInput.name = '__body';
+      bodyInput.value = JSON.stringify(example, null, 2);
+      form.appendChild(el('h4', { text: 'Request body (JSON)' }));
+      form.appendChild(bodyInput);
+    }
+    
+    var send = el('button', { type: 'submit', text: 'Send request' });
+    var stop = el('button', { type: 'button', className: 'secondary', text: 'Stop' });
+    stop.disabled = true;
+    form.appendChild(el('div', { className: 'actions' }, [send, stop]));
+    
+    var url = el('div', { className: 'url' });
+    var status = el('div', { className: 'status' });
+    var body = el('pre', { text: 'Send a request to see the response.' });
+    main.appendChild(form);
+    main.appendChild(url);
+    main.appendChild(status);
+    main.appendChild(body);
+    
+    form.addEventListener('submit', function (event) {
+      event.preventDefault();
+      sendRequest(entry, form, { url: url, status: status, body: body, send: send, stop: stop });
+    });
+    stop.addEventListener('click', function () {
+      if (state.controller) state.controller.abort();
+    });
+  }
+  
+  function buildUrl(entry, form) {
+    var path = entry.path;
+    var query = new URLSearchParams();
+    var missing = [];
+    
+    Array.prototype.forEach.call(form.querySelectorAll('[data-in]'), function (input) {
+      var value = input.value.trim();
+      var parameter = (entry.operation.parameters || []).filter(function (p) { return p.name === input.name; })[0];
+      if (!value) {
+        if (parameter && parameter.required) missing.push(input.name);
+        return;
+      }
+      if (input.getAttribute('data-in') === 'path') {
+        // Group paths keep their slashes: /api/groups/Forms/Inputs
+        var encoded = value.split('/').map(encodeURIComponent).join('/');
+        path = path.replace('{' + input.name + '}', encoded);
+      } else {
+        query.append(input.name, value);
+      }
+    });
+    
+    var extra = form.querySelector('[name="__extra"]').value.trim().replace(/^[?&]+/, '');
+    var search = query.toString();
+    if (extra) search = search ? search + '&' + extra : extra;
+    var bodyInput = form.querySelector('[name="__body"]');
+    return {
+      url: path + (search ? '?' + search : ''),
+      body: bodyInput ? bodyInput.value : null,
+      missing: missing
+    };
+  }
+  
+  function sendRequest(entry, form, view) {
+    var built = buildUrl(entry, form);
+    if (built.missing.length > 0) {
+      view.status.className = 'status error';
+      view.status.textContent = 'Missing required: ' + built.missing.join(', ');
+      return;
+    }
+    
+    if (state.controller) state.controller.abort();
+    var controller = new AbortController();
+    state.controller = controller;
+    var startedAt = performance.now();
+    
+    view.url.textContent = entry.method + ' ' + location.origin + built.url;
+    view.status.className = 'status';
+    view.status.textContent = 'Loading...';
+    view.body.textContent = '';
+    view.send.disabled = true;
+    view.stop.disabled = false;
+    
+    var finish = function () {
+      view.send.disabled = false;
+      view.stop.disabled = true;
+      if (state.controller === controller) state.controller = null;
+    };
+    
+    var init = { method: entry.method, signal: controller.signal };
+    if (built.body !== null) {
+      init.body = built.body;
+      init.headers = { 'Content-Type': 'application/json' };
+    }
+    
+    fetch(built.url, init)
+      .then(function (response) {
+        var type = response.headers.get('content-type') || '';
+        var elapsed = Math.round(performance.now() - startedAt);
+        view.status.className = 'status ' + (response.ok ? 'ok' : 'error');
+        view.status.textContent = response.status + ' ' + response.statusText + ' · ' + elapsed + ' ms · ' + type;
+        
+        // Event streams never end on their own: show chunks as they arrive until Stop
+        if (type.indexOf('text/event-stream') === 0 && response.body) {
+          var reader = response.body.getReader();
+          var decoder = new TextDecoder();
+          var read = function () {
+            return reader.read().then(function (chunk) {
+              if (chunk.done) return;
+              view.body.textContent += decoder.decode(chunk.value, { stream: true });
+              return read();
+            });
+          };
+          return read();
+        }
+        
+        return response.text().then(function (text) {
+          if (type.indexOf('json') !== -1) {
+            try {
+              text = JSON.stringify(JSON.parse(text), null, 2);
+            } catch (err) {
+              // Not valid JSON after all, show it as is
+            }
+          }
+          view.body.textContent = text;
+        });
+      })
+      .catch(function (err) {
+        if (err.name === 'AbortError') {
+          view.status.textContent += ' · stopped';
+          return;
+        }
+        view.status.className = 'status error';
+        view.status.textContent = 'Request failed: ' + err.message;
+      })
+      .then(finish);
+  }
+  
+  function showCurrent() {
+    var id = decodeURIComponent(location.hash.slice(1));
+    var entry = state.operations.filter(function (operation) { return operation.id === id; })[0] || state.operations[0];
+    if (entry) renderOperation(entry);
+    highlightNav();
+  }
+  
+  fetch(specUrl)
+    .then(function (response) {
+      if (!response.ok) throw new Error(response.status + ' ' + response.statusText);
+      return response.json();
+    })
+    .then(function (spec) {
+      state.spec = spec;
+      state.operations = listOperations(spec);
+      document.getElementById('title').textContent = (spec.info && spec.info.title) || 'API';
+      document.getElementById('version').textContent = spec.info && spec.info.version ? 'v' + spec.info.version : '';
+      document.getElementById('filter').addEventListener('input', function (event) { renderNav(event.target.value); });
+      window.addEventListener('hashchange', showCurrent);
+      renderNav('');
+      showCurrent();
+    })
+    .catch(function (err) {
+      document.getElementById('main').textContent = 'Could not load ' + specUrl + ': ' + err.message;
+    });
+})();
+`;
+
+/**
+ * Render the API explorer page
+ * @param {object} options - { specUrl, title, nonce }
+ *   `specUrl` is resolved relative to the page, `nonce` allows the inline
+ *   style and script under a Content-Security-Policy
+ * @returns {string} HTML document
+ */
+function renderApiExplorer(options = {}) {
+  const specUrl = options.specUrl || 'openapi.json';
+  const title = options.title || 'API Explorer';
+  const nonceAttribute = options.nonce ? ` nonce="${escapeHtml(options.nonce)}"` : '';
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style${nonceAttribute}>${STYLES}</style>
+</head>
+<body data-spec-url="${escapeHtml(specUrl)}">
+<header><h1 id="title">${escapeHtml(title)}</h1><span class="version" id="version"></span></header>
+<div class="layout">
+<nav><input id="filter" type="search" placeholder="Filter endpoints" aria-label="Filter endpoints"><div id="operations"></div></nav>
+<main id="main">Loading ${escapeHtml(specUrl)}...</main>
+</div>
+<script${nonceAttribute}>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Helper: Escape text for HTML content and attributes
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export {
+  renderApiExplorer,
+};
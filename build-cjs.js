@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+/**
+ * ==============================================
+ * COMMONJS BUILD
+ * ==============================================
+ * 
+ * Generates middleware.cjs from middleware.js, so both
+ * entry points share one implementation (routes, config,
+ * behavior). The helper modules it imports are bundled
+ * in; npm packages (graphql) stay external requires.
+ * 
+ * Usage:
+ *   npm run build:cjs
+ *   node build-cjs.js --check   Fail when middleware.cjs is not
+ *                               what middleware.js builds to
+ * 
+ * Runs before publishing. test-parity.js runs the check and
+ * makes sure the two builds answer every endpoint the same way.
+ * ==============================================
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { build } from 'esbuild';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const OUTFILE = path.join(__dirname, 'middleware.cjs');
+
+// --check: build in memory and compare with the committed file
+const checkOnly = process.argv.includes('--check');
+
+const BANNER = `/**
+ * ==============================================
+ * STORYBOOK REST API MIDDLEWARE (CommonJS)
+ * ==============================================
+ * 
+ * GENERATED from middleware.js by \`npm run build:cjs\` - do not edit.
+ * 
+ * Add to .storybook/main.js (CommonJS projects):
+ *   const middleware = require('./middleware.cjs');
+ * 
+ *   module.exports = {
+ *     // ... config ...
+ *     previewMiddleware: middleware,
+ *   };
+ * ==============================================
+ */`;
+
+// require('./middleware.cjs') is the middleware function itself,
+// with .default and .middleware for the ESM-style imports
+const FOOTER = `const cjsMiddleware = module.exports.default;
+module.exports = Object.assign(cjsMiddleware, { default: cjsMiddleware, middleware: cjsMiddleware });`;
+
+try {
+  const result = await build({
+    entryPoints: [path.join(__dirname, 'middleware.js')],
+    outfile: OUTFILE,
+    write: !checkOnly,
+    bundle: true,
+    platform: 'node',
+    format: 'cjs',
+    target: 'node16',
+    packages: 'external',
+    banner: { js: BANNER },
+    footer: { js: FOOTER },
+    legalComments: 'none',
+    logLevel: 'warning',
+    logOverride: {
+      // getDirname() falls back to __dirname when import.meta is empty
+      'empty-import-meta': 'silent',
+    },
+  });
+  
+  if (checkOnly) {
+    const current = fs.existsSync(OUTFILE) ? fs.readFileSync(OUTFILE, 'utf-8') : null;
+    if (current !== result.outputFiles[0].text) {
+      console.error('❌ middleware.cjs is out of date with middleware.js. Run: npm run build:cjs');
+      process.exit(1);
+    }
+    
+    console.log('✅ middleware.cjs is up to date');
+  } else {
+    console.log('✅ Built middleware.cjs from middleware.js');
+  }
+} catch (err) {
+  console.error('❌ CommonJS build failed:', err.message);
+  process.exit(1);
+}
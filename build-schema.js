@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+
+/**
+ * ==============================================
+ * JSON SCHEMA BUILD
+ * ==============================================
+ * 
+ * Writes stories.schema.json from METADATA_SCHEMA in
+ * metadata-schema.js, so the published schema and the
+ * validation in the extractor never drift apart.
+ * 
+ * Usage:
+ *   npm run build:schema
+ * 
+ * Runs before publishing.
+ * ==============================================
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { METADATA_SCHEMA, METADATA_VERSION } from './metadata-schema.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const outputPath = path.join(__dirname, 'stories.schema.json');
+fs.writeFileSync(outputPath, JSON.stringify(METADATA_SCHEMA, null, 2) + '\n', 'utf-8');
+
+console.log(`✅ Built stories.schema.json (format ${METADATA_VERSION})`);
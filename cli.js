@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+
+/**
+ * ==============================================
+ * STORYBOOK API CLI
+ * ==============================================
+ * 
+ * Serves the REST API for a built stories.json without
+ * starting Storybook (CI bots, docs portals, ...).
+ * 
+ * Usage:
+ *   storybook-api serve [--metadata storybook-static/stories.json]
+ *                       [--port 7007] [--host 127.0.0.1]
+ *                       [--static [dir]] [--cors origins]
+ *                       [--project id=path-or-url ...] [--refs]
+ *                       [--config storybook-api.config.js]
+ * 
+ * ==============================================
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadConfig, formatConfigError } from './api-config.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULTS = {
+  port: 7007,
+  host: '127.0.0.1',
+};
+
+const USAGE = `Usage: storybook-api serve [options]
+
+Serve the Storybook REST API (/api/*, /stories.json) from a metadata file.
+
+Options:
+  -m, --metadata <file>  stories.json to serve (default: outputDir/outputFile
+                         of the config, storybook-static/stories.json)
+  -c, --config <file>    Config file (default: storybook-api.config.* in the
+                         current folder, or $STORYBOOK_API_CONFIG)
+  -p, --port <port>      Port to listen on (default: ${DEFAULTS.port}, or $PORT)
+      --host <host>      Interface to bind (default: ${DEFAULTS.host}; 0.0.0.0 for all)
+      --static [dir]     Also serve the static Storybook build at /
+                         (default dir: the folder of the metadata file)
+      --cors <origins>   Allowed CORS origins, comma-separated (default: *,
+                         or $STORYBOOK_CORS_ORIGIN)
+      --project <id=src> Also serve another Storybook's stories.json (path
+                         or URL) under its project ID; repeatable
+      --refs             Also serve the refs recorded in the metadata
+  -h, --help             Show this help
+  -v, --version          Show the version`;
+
+/**
+ * Parse `serve` options; accepts `--flag value` and `--flag=value`
+ * @returns {object} Options (throws on unknown or incomplete flags)
+ */
+function parseServeArgs(args) {
+  const options = {
+    metadata: null,
+    config: undefined,
+    port: process.env.PORT || DEFAULTS.port,
+    host: DEFAULTS.host,
+    static: null,
+    cors: null,
+    projects: [],
+  };
+  const aliases = { '-m': '--metadata', '-c': '--config', '-p': '--port', '-h': '--help' };
+  
+  for (let i = 0; i < args.length; i++) {
+    const [rawFlag, inlineValue] = args[i].split(/=(.*)/s);
+    const flag = aliases[rawFlag] || rawFlag;
+    const hasValue = inlineValue !== undefined || (args[i + 1] !== undefined && !args[i + 1].startsWith('-'));
+    const takeValue = () => {
+      if (!hasValue) throw new Error(`Missing value for ${flag}`);
+      return inlineValue !== undefined ? inlineValue : args[++i];
+    };
+    
+    switch (flag) {
+      case '--metadata':
+        options.metadata = takeValue();
+        break;
+      case '--config':
+        options.config = takeValue();
+        break;
+      case '--port':
+        options.port = takeValue();
+        break;
+      case '--host':
+        options.host = takeValue();
+        break;
+      case '--static':
+        // The directory is optional
+        options.static = hasValue ? takeValue() : true;
+        break;
+      case '--cors':
+        options.cors = takeValue();
+        break;
+      case '--project':
+        options.projects.push(takeValue());
+        break;
+      case '--refs':
+        options.projects.push('refs');
+        break;
+      case '--help':
+        options.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${args[i]}`);
+    }
+  }
+  
+  const port = Number(options.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid port: ${options.port}`);
+  }
+  options.port = port;
+  
+  return options;
+}
+
+async function serve(args) {
+  const options = parseServeArgs(args);
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  
+  // Flags win over the config file and env vars
+  if (options.cors) {
+    process.env.STORYBOOK_CORS_ORIGIN = options.cors;
+  }
+  
+  let config;
+  try {
+    config = loadConfig({ configPath: options.config });
+  } catch (err) {
+    if (!err.details) throw err;
+    console.error(`❌ ${formatConfigError(err)}`);
+    process.exit(1);
+  }
+  
+  // Other projects can be served without a local stories.json
+  const metadataPath = options.metadata
+    ? path.resolve(options.metadata)
+    : path.join(config.outputDir, config.outputFile);
+  const hasProjects = options.projects.some(project => project !== 'refs');
+  if (!fs.existsSync(metadataPath) && !hasProjects) {
+    console.error(`❌ Metadata file not found: ${metadataPath}`);
+    console.error('💡 Build Storybook first: npm run build-storybook');
+    console.error('💡 Or point to the file: storybook-api serve --metadata path/to/stories.json');
+    process.exit(1);
+  }
+  
+  const staticDir = options.static === true
+    ? path.dirname(metadataPath)
+    : options.static && path.resolve(options.static);
+  if (staticDir && !fs.existsSync(path.join(staticDir, 'index.html'))) {
+    console.warn(`⚠️  No index.html in ${staticDir}, is it a Storybook build?`);
+  }
+  
+  const { createApiServer } = await import('./server.js');
+  
+  // The middleware uses the same config file (false: none, skip the lookup)
+  const projects = options.projects.length > 0 ? options.projects : undefined;
+  const server = createApiServer({ metadataPath, staticDir, projects, config: config.configFile || false });
+  
+  server.on('error', (err) => {
+    console.error(`❌ Could not start server: ${err.message}`);
+    process.exit(1);
+  });
+  
+  server.listen(options.port, options.host, () => {
+    const { port } = server.address();
+    const host = options.host === '0.0.0.0' || options.host === '::' ? 'localhost' : options.host;
+    const baseUrl = `http://${host.includes(':') ? `[${host}]` : host}:${port}`;
+    
+    console.log('🚀 Storybook API server');
+    console.log('=================================\n');
+    console.log(`📁 Metadata: ${metadataPath}`);
+    if (config.configFile) {
+      console.log(`⚙️  Config:   ${config.configFile}`);
+    }
+    options.projects.forEach(project => console.log(`🔗 Project:  ${project}`));
+    if (staticDir) {
+      console.log(`📦 Storybook: ${baseUrl}/`);
+    }
+    console.log(`📍 API:      ${baseUrl}/api/stories`);
+    console.log(`📖 Docs:     ${baseUrl}/api/docs`);
+    console.log('\nPress Ctrl+C to stop');
+  });
+  
+  const stop = () => {
+    server.close();
+    server.closeAllConnections?.(); // open /api/events streams
+    console.log('\n👋 Server stopped');
+    process.exit(0);
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  
+  switch (command) {
+    case 'serve':
+      await serve(args);
+      break;
+    case '-v':
+    case '--version': {
+      const pkg = JSON.parse(fs.readFileSync(path.join(__dirname, 'package.json'), 'utf-8'));
+      console.log(pkg.version);
+      break;
+    }
+    case undefined:
+    case '-h':
+    case '--help':
+      console.log(USAGE);
+      break;
+    default:
+      console.error(`❌ Unknown command: ${command}\n`);
+      console.error(USAGE);
+      process.exit(1);
+  }
+}
+
+main().catch(err => {
+  console.error(`❌ ${err.message}${err.details ? ` ${JSON.stringify(err.details)}` : ''}`);
+  console.error('💡 Run: storybook-api serve --help');
+  process.exit(1);
+});
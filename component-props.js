@@ -0,0 +1,1019 @@
+/**
+ * ==============================================
+ * COMPONENT PROP EXTRACTION
+ * ==============================================
+ * 
+ * Follows a story's `component` import to its source file
+ * and extracts the component API (props with type, required,
+ * default value and JSDoc description).
+ * 
+ * The props are stored in stories.json and merged into
+ * argTypes, so consumers get the real component API rather
+ * than only what the stories happen to set.
+ * 
+ * Supported frameworks (picked from the `framework` field
+ * in .storybook/main, or from the component file extension):
+ *   - React:   react-docgen (TypeScript types, Flow and PropTypes)
+ *   - Vue:     defineProps/withDefaults/defineEmits and `props`/`emits` options
+ *   - Svelte:  `export let` (Svelte 4) and `$props()` (Svelte 5)
+ *   - Angular: @Input()/input() and @Output()/output()
+ * ==============================================
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// react-docgen is optional - without it React props are simply not extracted
+let reactDocgen = null;
+try {
+  reactDocgen = await import('react-docgen');
+} catch (err) {
+  // Not installed, extractReactProps() will return null
+}
+
+// Babel parser powers the Vue, Svelte and Angular extractors
+let parser = null;
+try {
+  parser = await import('@babel/parser');
+} catch (err) {
+  // Not installed, framework extractors will return null
+}
+
+// Extensions tried when resolving `import { Button } from './Button'`
+const RESOLVE_EXTENSIONS = ['.tsx', '.ts', '.jsx', '.js', '.mjs', '.cjs'];
+
+// Parsed component files, keyed by "<file>#<export>" (many stories share a component)
+const propsCache = new Map();
+
+// Storybook framework packages -> renderer whose extractor understands them
+const FRAMEWORK_RENDERERS = [
+  { pattern: /(^|\/)(react|nextjs|preact)/, renderer: 'react' },
+  { pattern: /(^|\/)vue/, renderer: 'vue' },
+  { pattern: /(^|\/)svelte/, renderer: 'svelte' },
+  { pattern: /(^|\/)angular/, renderer: 'angular' },
+  { pattern: /(^|\/)web-components/, renderer: 'web-components' },
+  { pattern: /(^|\/)html/, renderer: 'html' },
+];
+
+/**
+ * Map a Storybook `framework` value to its renderer
+ * E.g. "@storybook/vue3-vite" or { name: '@storybook/angular' } -> "vue" / "angular"
+ * @param {string|object} framework - `framework` field from .storybook/main
+ * @returns {string|null} Renderer name or null if unknown
+ */
+function getFrameworkRenderer(framework) {
+  const name = typeof framework === 'string' ? framework : framework?.name;
+  if (typeof name !== 'string') return null;
+  
+  const match = FRAMEWORK_RENDERERS.find(({ pattern }) => pattern.test(name.replace(/^@storybook\//, '')));
+  return match ? match.renderer : null;
+}
+
+/**
+ * Resolve a relative import to a file on disk
+ * Tries the path as-is, with known extensions and as a directory index
+ * @param {string} fromFile - Absolute path of the importing file
+ * @param {string} source - Import source (e.g. "./Button")
+ * @returns {string|null} Absolute file path, or null for packages/aliases
+ */
+function resolveImportPath(fromFile, source) {
+  if (!source || !source.startsWith('.')) return null;
+  
+  const basePath = path.resolve(path.dirname(fromFile), source);
+  const candidates = [
+    basePath,
+    ...RESOLVE_EXTENSIONS.map(ext => basePath + ext),
+    ...RESOLVE_EXTENSIONS.map(ext => path.join(basePath, `index${ext}`)),
+  ];
+  
+  return candidates.find(candidate =>
+    fs.existsSync(candidate) && fs.statSync(candidate).isFile()
+  ) || null;
+}
+
+/**
+ * Resolve a meta `component` reference to the file and export that defines it
+ * @param {string} storyFilePath - Absolute path of the story file
+ * @param {string} componentName - Name from meta.component ("Button", "Forms.Button")
+ * @param {Map} imports - Local name -> { source, imported } from the story file
+ * @returns {{ filePath: string, exportName: string }|null}
+ */
+function resolveComponentSource(storyFilePath, componentName, imports) {
+  if (!componentName) return null;
+  
+  const [localName, memberName] = componentName.split('.');
+  const importInfo = imports.get(localName);
+  if (!importInfo) return null;
+  
+  const filePath = resolveImportPath(storyFilePath, importInfo.source);
+  if (!filePath) return null;
+  
+  // `import * as Forms from './forms'` + `component: Forms.Button`
+  const exportName = importInfo.imported === '*' ? (memberName || 'default') : importInfo.imported;
+  
+  return { filePath, exportName, localName: memberName || localName };
+}
+
+/**
+ * Extract the props of a component
+ * SFC extensions pick their extractor directly, otherwise the configured renderer decides
+ * @param {object} source - Result of resolveComponentSource()
+ * @param {string|null} renderer - Renderer from getFrameworkRenderer()
+ * @returns {object|null} { name, description, sourcePath, props } (plus `selector` for Angular) or null
+ */
+function extractComponentProps(source, renderer = null) {
+  if (!source) return null;
+  
+  const cacheKey = `${source.filePath}#${source.exportName}`;
+  if (!propsCache.has(cacheKey)) {
+    const extension = path.extname(source.filePath);
+    let extractor = extractReactProps;
+    
+    if (extension === '.vue') {
+      extractor = extractVueProps;
+    } else if (extension === '.svelte') {
+      extractor = extractSvelteProps;
+    } else if (renderer === 'angular') {
+      extractor = extractAngularProps;
+    }
+    
+    propsCache.set(cacheKey, extractor(source));
+  }
+  
+  return propsCache.get(cacheKey);
+}
+
+/**
+ * Forget cached props so edited components are parsed again (used by watch mode)
+ * @param {string} [filePath] - Component file to forget; clears everything when omitted
+ */
+function clearComponentPropsCache(filePath) {
+  if (!filePath) {
+    propsCache.clear();
+    return;
+  }
+  
+  [...propsCache.keys()]
+    .filter(key => key.startsWith(`${filePath}#`))
+    .forEach(key => propsCache.delete(key));
+}
+
+// ============= REACT (react-docgen) =============
+
+/**
+ * Extract React component props with react-docgen
+ * Imported prop types are followed through the file system importer
+ */
+function extractReactProps({ filePath, exportName, localName }) {
+  if (!reactDocgen) return null;
+  
+  try {
+    const code = fs.readFileSync(filePath, 'utf-8');
+    const { parse, builtinResolvers, builtinImporters } = reactDocgen;
+    
+    const docs = parse(code, {
+      filename: filePath,
+      resolver: new builtinResolvers.FindExportedDefinitionsResolver(),
+      importer: builtinImporters.fsImporter,
+      babelOptions: { babelrc: false, configFile: false },
+    });
+    
+    if (docs.length === 0) return null;
+    
+    // Match the export by display name; a default export is usually the only (or first) one
+    const wantedName = exportName === 'default' ? localName : exportName;
+    const doc = docs.find(d => d.displayName === wantedName) || docs[0];
+    
+    const props = {};
+    Object.entries(doc.props || {}).forEach(([propName, prop]) => {
+      const type = prop.tsType || prop.flowType || prop.type;
+      const options = getDocgenOptions(type);
+      
+      props[propName] = {
+        name: propName,
+        type: formatDocgenType(type),
+        required: Boolean(prop.required),
+        defaultValue: prop.defaultValue?.value ?? null,
+        description: prop.description || '',
+        ...(options ? { options } : {}),
+      };
+    });
+    
+    return {
+      name: doc.displayName || wantedName,
+      description: doc.description || '',
+      sourcePath: filePath,
+      props,
+    };
+  } catch (err) {
+    // Not a component file react-docgen understands (or a syntax it can't parse)
+    console.warn(`   ⚠️  Could not extract props from ${path.basename(filePath)}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Helper: Turn a react-docgen type descriptor into a readable type string
+ */
+function formatDocgenType(type) {
+  if (!type) return 'unknown';
+  
+  // PropTypes.oneOf([...])
+  if (type.name === 'enum' && Array.isArray(type.value)) {
+    return type.value.map(v => v.value).join(' | ');
+  }
+  // PropTypes.oneOfType([...])
+  if (type.name === 'union' && Array.isArray(type.value)) {
+    return type.value.map(formatDocgenType).join(' | ');
+  }
+  
+  return type.raw || type.name || 'unknown';
+}
+
+/**
+ * Helper: Literal options for union/enum types ('small' | 'large')
+ * @returns {Array|null} Option values, or null if the type isn't a literal union
+ */
+function getDocgenOptions(type) {
+  const elements = type?.name === 'union' ? type.elements
+    : type?.name === 'enum' ? type.value
+    : null;
+  
+  if (!Array.isArray(elements) || elements.length === 0) return null;
+  if (!elements.every(el => el.name === 'literal' || el.computed === false)) return null;
+  
+  return elements.map(el => parseLiteral(el.value));
+}
+
+/**
+ * Helper: Parse a literal as written in source ("'small'", "42", "true")
+ */
+function parseLiteral(raw) {
+  if (typeof raw !== 'string') return raw;
+  
+  const quoted = raw.match(/^(['"`])(.*)\1$/s);
+  if (quoted) return quoted[2];
+  if (raw === 'true' || raw === 'false') return raw === 'true';
+  if (raw !== '' && !Number.isNaN(Number(raw))) return Number(raw);
+  
+  return raw;
+}
+
+// ============= VUE (SFC) =============
+
+/**
+ * Extract Vue component props and emits from a single-file component
+ * Handles `<script setup>` (defineProps/withDefaults/defineEmits, typed or runtime)
+ * and the Options API (`export default { props, emits }` / defineComponent)
+ */
+function extractVueProps({ filePath }) {
+  if (!parser) return null;
+  
+  try {
+    const sfc = fs.readFileSync(filePath, 'utf-8');
+    const props = {};
+    
+    extractSfcScripts(sfc).forEach(script => {
+      const { ast, code } = parseScript(script);
+      const typeDecls = collectTypeDeclarations(ast);
+      
+      ast.program.body.forEach(statement => {
+        findVueMacroCalls(statement).forEach(({ call, defaults, pattern }) => {
+          if (call.callee.name === 'defineProps') {
+            extractVueDefineProps(call, defaults, pattern, code, typeDecls, props);
+          } else if (call.callee.name === 'defineEmits') {
+            extractVueEmits(call.typeParameters?.params[0] || call.arguments[0], code, typeDecls, props);
+          }
+        });
+        
+        // Options API: export default { props: {...}, emits: [...] }
+        if (statement.type === 'ExportDefaultDeclaration') {
+          const options = unwrapCall(statement.declaration);
+          if (options?.type === 'ObjectExpression') {
+            const propsOption = findProperty(options, 'props');
+            const emitsOption = findProperty(options, 'emits');
+            if (propsOption) extractVueRuntimeProps(propsOption.value, code, props);
+            if (emitsOption) extractVueEmits(emitsOption.value, code, typeDecls, props);
+          }
+        }
+      });
+    });
+    
+    return {
+      name: path.basename(filePath, '.vue'),
+      description: '',
+      sourcePath: filePath,
+      props,
+    };
+  } catch (err) {
+    console.warn(`   ⚠️  Could not extract props from ${path.basename(filePath)}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Helper: Find defineProps/defineEmits calls in a top-level statement
+ * Unwraps `withDefaults(defineProps<Props>(), {...})` and keeps the
+ * destructuring pattern for Vue 3.5 reactive props destructure defaults
+ */
+function findVueMacroCalls(statement) {
+  const candidates = [];
+  
+  if (statement.type === 'ExpressionStatement') {
+    candidates.push({ expression: statement.expression, pattern: null });
+  } else if (statement.type === 'VariableDeclaration') {
+    statement.declarations.forEach(decl => {
+      candidates.push({ expression: decl.init, pattern: decl.id.type === 'ObjectPattern' ? decl.id : null });
+    });
+  }
+  
+  return candidates
+    .map(({ expression, pattern }) => {
+      if (expression?.type !== 'CallExpression') return null;
+      
+      if (expression.callee.name === 'withDefaults' && expression.arguments[0]?.type === 'CallExpression') {
+        return { call: expression.arguments[0], defaults: expression.arguments[1], pattern };
+      }
+      return { call: expression, defaults: null, pattern };
+    })
+    .filter(found => found && ['defineProps', 'defineEmits'].includes(found.call.callee.name));
+}
+
+/**
+ * Helper: Props from `defineProps<Props>()` or `defineProps({...})`
+ */
+function extractVueDefineProps(call, defaults, pattern, code, typeDecls, props) {
+  const typeArgument = call.typeParameters?.params[0];
+  
+  if (typeArgument) {
+    getTypeMembers(typeArgument, typeDecls).forEach(member => {
+      const name = getKeyName(member.key);
+      if (!name) return;
+      props[name] = makePropRow({
+        name,
+        required: !member.optional,
+        description: getJSDocDescription(member),
+        ...describeTypeAnnotation(member.typeAnnotation?.typeAnnotation, code, typeDecls),
+      });
+    });
+  } else if (call.arguments[0]) {
+    extractVueRuntimeProps(call.arguments[0], code, props);
+  }
+  
+  // withDefaults(defineProps<Props>(), { size: 'medium' })
+  if (defaults?.type === 'ObjectExpression') {
+    defaults.properties.forEach(prop => {
+      const name = getKeyName(prop.key);
+      if (props[name]) props[name].defaultValue = sourceOf(prop.value, code);
+    });
+  }
+  
+  // const { size = 'medium' } = defineProps<Props>()
+  pattern?.properties.forEach(prop => {
+    const name = getKeyName(prop.key);
+    if (props[name] && prop.value?.type === 'AssignmentPattern') {
+      props[name].defaultValue = sourceOf(prop.value.right, code);
+    }
+  });
+}
+
+/**
+ * Helper: Runtime props declarations
+ * `['label']`, `{ label: String }`, `{ size: { type: String, required, default } }`
+ */
+function extractVueRuntimeProps(node, code, props) {
+  if (node?.type === 'ArrayExpression') {
+    node.elements.forEach(el => {
+      if (el?.type === 'StringLiteral') {
+        props[el.value] = makePropRow({ name: el.value });
+      }
+    });
+    return;
+  }
+  
+  if (node?.type !== 'ObjectExpression') return;
+  
+  node.properties.forEach(prop => {
+    const name = getKeyName(prop.key);
+    if (!name || !prop.value) return;
+    
+    const definition = prop.value;
+    const row = { name, description: getJSDocDescription(prop) };
+    
+    if (definition.type === 'ObjectExpression') {
+      const typeProp = findProperty(definition, 'type');
+      const requiredProp = findProperty(definition, 'required');
+      const defaultProp = findProperty(definition, 'default');
+      
+      row.type = typeProp ? formatVueRuntimeType(typeProp.value, code) : 'unknown';
+      row.required = requiredProp?.value?.value === true;
+      if (defaultProp) row.defaultValue = sourceOf(defaultProp.value, code);
+    } else {
+      row.type = formatVueRuntimeType(definition, code);
+    }
+    
+    props[name] = makePropRow(row);
+  });
+}
+
+/**
+ * Helper: Vue runtime type constructors to type strings (String -> "string")
+ */
+function formatVueRuntimeType(node, code) {
+  if (node?.type === 'Identifier') return node.name.toLowerCase();
+  if (node?.type === 'ArrayExpression') {
+    return node.elements.map(el => formatVueRuntimeType(el, code)).join(' | ');
+  }
+  // `type: Object as PropType<Item>`
+  if (node?.type === 'TSAsExpression') {
+    const typeArg = node.typeAnnotation?.typeParameters?.params[0];
+    return typeArg ? sourceOf(typeArg, code) : formatVueRuntimeType(node.expression, code);
+  }
+  return node ? sourceOf(node, code) : 'unknown';
+}
+
+/**
+ * Helper: Emits from `defineEmits<{ (e: 'click'): void }>()`, `defineEmits<{ click: [] }>()`
+ * or `['click']` - recorded as event props like Storybook's actions
+ */
+function extractVueEmits(node, code, typeDecls, props) {
+  if (!node) return;
+  
+  if (node.type === 'ArrayExpression') {
+    node.elements.forEach(el => {
+      if (el?.type === 'StringLiteral') {
+        props[el.value] = makePropRow({ name: el.value, type: 'event', category: 'events' });
+      }
+    });
+    return;
+  }
+  
+  if (node.type === 'ObjectExpression') {
+    node.properties.forEach(prop => {
+      const name = getKeyName(prop.key);
+      if (name) props[name] = makePropRow({ name, type: 'event', category: 'events' });
+    });
+    return;
+  }
+  
+  getTypeMembers(node, typeDecls).forEach(member => {
+    // Call signature: (e: 'click', payload: MouseEvent): void
+    if (member.type === 'TSCallSignatureDeclaration') {
+      const [eventParam, ...payload] = member.parameters || member.params || [];
+      const eventType = eventParam?.typeAnnotation?.typeAnnotation;
+      if (eventType?.type === 'TSLiteralType') {
+        const name = eventType.literal.value;
+        props[name] = makePropRow({
+          name,
+          type: payload.map(param => sourceOf(param, code)).join(', ') || 'event',
+          description: getJSDocDescription(member),
+          category: 'events',
+        });
+      }
+      return;
+    }
+    
+    // Named tuple syntax (Vue 3.3+): click: [id: number]
+    const name = getKeyName(member.key);
+    if (name) {
+      props[name] = makePropRow({
+        name,
+        type: member.typeAnnotation ? sourceOf(member.typeAnnotation.typeAnnotation, code) : 'event',
+        description: getJSDocDescription(member),
+        category: 'events',
+      });
+    }
+  });
+}
+
+// ============= SVELTE =============
+
+/**
+ * Extract Svelte component props
+ * Svelte 4: `export let label = 'Button'` (no default = required)
+ * Svelte 5: `let { label = 'Button', size }: Props = $props()`
+ * Typed events from `createEventDispatcher<{ click: MouseEvent }>()` are included
+ */
+function extractSvelteProps({ filePath }) {
+  if (!parser) return null;
+  
+  try {
+    const component = fs.readFileSync(filePath, 'utf-8');
+    const props = {};
+    
+    // Module-level scripts (context="module") don't declare props
+    const scripts = extractSfcScripts(component).filter(script => !/context\s*=\s*["']module["']|\bmodule\b/.test(script.attrs));
+    
+    scripts.forEach(script => {
+      const { ast, code } = parseScript(script);
+      const typeDecls = collectTypeDeclarations(ast);
+      
+      ast.program.body.forEach(statement => {
+        // Svelte 4: export let size: 'small' | 'large' = 'small';
+        if (statement.type === 'ExportNamedDeclaration' &&
+            statement.declaration?.type === 'VariableDeclaration' &&
+            statement.declaration.kind === 'let') {
+          statement.declaration.declarations.forEach(decl => {
+            if (decl.id.type !== 'Identifier') return;
+            const typeNode = decl.id.typeAnnotation?.typeAnnotation;
+            props[decl.id.name] = makePropRow({
+              name: decl.id.name,
+              required: !decl.init,
+              defaultValue: decl.init ? sourceOf(decl.init, code) : null,
+              description: getJSDocDescription(statement),
+              ...(typeNode ? describeTypeAnnotation(typeNode, code, typeDecls) : { type: inferLiteralType(decl.init) }),
+            });
+          });
+          return;
+        }
+        
+        if (statement.type !== 'VariableDeclaration') return;
+        
+        statement.declarations.forEach(decl => {
+          const init = decl.init;
+          if (init?.type !== 'CallExpression') return;
+          
+          // Svelte 5: let { size = 'small', ...rest }: Props = $props();
+          if (init.callee.name === '$props' && decl.id.type === 'ObjectPattern') {
+            const typeNode = decl.id.typeAnnotation?.typeAnnotation || init.typeParameters?.params[0];
+            const members = typeNode ? getTypeMembers(typeNode, typeDecls) : [];
+            
+            members.forEach(member => {
+              const name = getKeyName(member.key);
+              if (!name) return;
+              props[name] = makePropRow({
+                name,
+                required: !member.optional,
+                description: getJSDocDescription(member),
+                ...describeTypeAnnotation(member.typeAnnotation?.typeAnnotation, code, typeDecls),
+              });
+            });
+            
+            decl.id.properties.forEach(prop => {
+              const name = getKeyName(prop.key);
+              if (!name) return;
+              const row = props[name] || makePropRow({ name, required: prop.value?.type !== 'AssignmentPattern' });
+              if (prop.value?.type === 'AssignmentPattern') {
+                row.defaultValue = sourceOf(prop.value.right, code);
+                row.required = false;
+              }
+              props[name] = row;
+            });
+          }
+          
+          // Svelte 4 typed events: createEventDispatcher<{ click: MouseEvent }>()
+          if (init.callee.name === 'createEventDispatcher' && init.typeParameters?.params[0]) {
+            getTypeMembers(init.typeParameters.params[0], typeDecls).forEach(member => {
+              const name = getKeyName(member.key);
+              if (!name) return;
+              props[name] = makePropRow({
+                name,
+                type: member.typeAnnotation ? sourceOf(member.typeAnnotation.typeAnnotation, code) : 'event',
+                description: getJSDocDescription(member),
+                category: 'events',
+              });
+            });
+          }
+        });
+      });
+    });
+    
+    return {
+      name: path.basename(filePath, '.svelte'),
+      description: '',
+      sourcePath: filePath,
+      props,
+    };
+  } catch (err) {
+    console.warn(`   ⚠️  Could not extract props from ${path.basename(filePath)}: ${err.message}`);
+    return null;
+  }
+}
+
+// ============= ANGULAR =============
+
+/**
+ * Extract Angular component inputs and outputs
+ * Decorators: `@Input() label = ''`, `@Input({ required: true }) id!: string`, `@Output() clicked = new EventEmitter<T>()`
+ * Signals: `label = input('')`, `id = input.required<string>()`, `value = model<T>()`, `clicked = output<T>()`
+ */
+function extractAngularProps({ filePath, exportName, localName }) {
+  if (!parser) return null;
+  
+  try {
+    const code = fs.readFileSync(filePath, 'utf-8');
+    const ast = parser.parse(code, {
+      sourceType: 'module',
+      plugins: ['typescript', 'decorators-legacy'],
+    });
+    const typeDecls = collectTypeDeclarations(ast);
+    
+    // Find the component class: the imported export, or the first @Component/@Directive
+    const classes = [];
+    ast.program.body.forEach(statement => {
+      const declaration = statement.type === 'ExportNamedDeclaration' || statement.type === 'ExportDefaultDeclaration'
+        ? statement.declaration
+        : statement;
+      if (declaration?.type === 'ClassDeclaration') {
+        classes.push({ declaration, statement, isDefault: statement.type === 'ExportDefaultDeclaration' });
+      }
+    });
+    
+    const isComponent = ({ declaration }) => (declaration.decorators || [])
+      .some(decorator => ['Component', 'Directive'].includes(getDecoratorName(decorator)));
+    const wantedName = exportName === 'default' ? localName : exportName;
+    const found = classes.find(c => c.declaration.id?.name === wantedName) ||
+      classes.find(c => exportName === 'default' && c.isDefault) ||
+      classes.find(isComponent);
+    
+    if (!found) return null;
+    
+    const props = {};
+    found.declaration.body.body.forEach(member => {
+      const memberName = getKeyName(member.key);
+      if (!memberName) return;
+      
+      const description = getJSDocDescription(member);
+      const decorators = member.decorators || [];
+      const inputDecorator = decorators.find(d => getDecoratorName(d) === 'Input');
+      const outputDecorator = decorators.find(d => getDecoratorName(d) === 'Output');
+      
+      if (inputDecorator) {
+        const options = inputDecorator.expression.arguments?.[0];
+        const alias = options?.type === 'StringLiteral' ? options.value : getStringProperty(options, 'alias');
+        const name = alias || memberName;
+        // Setter inputs: @Input() set value(v: string) {}
+        const typeNode = member.kind === 'set'
+          ? member.params[0]?.typeAnnotation?.typeAnnotation
+          : member.typeAnnotation?.typeAnnotation;
+        
+        props[name] = makePropRow({
+          name,
+          required: options?.type === 'ObjectExpression' && findProperty(options, 'required')?.value?.value === true,
+          defaultValue: member.value ? sourceOf(member.value, code) : null,
+          description,
+          category: 'inputs',
+          ...(typeNode ? describeTypeAnnotation(typeNode, code, typeDecls) : { type: inferLiteralType(member.value) }),
+        });
+        return;
+      }
+      
+      if (outputDecorator) {
+        const alias = outputDecorator.expression.arguments?.[0];
+        const name = alias?.type === 'StringLiteral' ? alias.value : memberName;
+        const emitterType = member.value?.typeParameters?.params[0] || member.typeAnnotation?.typeAnnotation?.typeParameters?.params[0];
+        
+        props[name] = makePropRow({
+          name,
+          type: emitterType ? sourceOf(emitterType, code) : 'event',
+          description,
+          category: 'outputs',
+        });
+        return;
+      }
+      
+      // Signal APIs: input(), input.required(), model(), output()
+      const call = member.value?.type === 'CallExpression' ? member.value : null;
+      const signalName = call ? getExpressionPath(call.callee) : null;
+      if (!signalName) return;
+      
+      const typeArgument = call.typeParameters?.params[0];
+      const isRequired = signalName.endsWith('.required');
+      
+      if (['input', 'input.required', 'model', 'model.required'].includes(signalName)) {
+        const optionsArg = isRequired ? call.arguments[0] : call.arguments[1];
+        const name = getStringProperty(optionsArg, 'alias') || memberName;
+        const initial = isRequired ? null : call.arguments[0];
+        
+        props[name] = makePropRow({
+          name,
+          required: isRequired,
+          defaultValue: initial ? sourceOf(initial, code) : null,
+          description,
+          category: 'inputs',
+          ...(typeArgument ? describeTypeAnnotation(typeArgument, code, typeDecls) : { type: inferLiteralType(initial) }),
+        });
+        
+        // model() is two-way: it also emits `<name>Change`
+        if (signalName.startsWith('model')) {
+          props[`${name}Change`] = makePropRow({
+            name: `${name}Change`,
+            type: typeArgument ? sourceOf(typeArgument, code) : 'event',
+            category: 'outputs',
+          });
+        }
+      } else if (signalName === 'output') {
+        const name = getStringProperty(call.arguments[0], 'alias') || memberName;
+        props[name] = makePropRow({
+          name,
+          type: typeArgument ? sourceOf(typeArgument, code) : 'event',
+          description,
+          category: 'outputs',
+        });
+      }
+    });
+    
+    // Selector the component is used with in templates (`app-button`)
+    const componentDecorator = (found.declaration.decorators || [])
+      .find(decorator => ['Component', 'Directive'].includes(getDecoratorName(decorator)));
+    const selector = getStringProperty(componentDecorator?.expression.arguments?.[0], 'selector');
+    
+    return {
+      name: found.declaration.id?.name || wantedName,
+      description: getJSDocDescription(found.statement) || getJSDocDescription(found.declaration),
+      sourcePath: filePath,
+      ...(selector ? { selector } : {}),
+      props,
+    };
+  } catch (err) {
+    console.warn(`   ⚠️  Could not extract props from ${path.basename(filePath)}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Helper: Name of a decorator (`@Input()` / `@Input` -> "Input")
+ */
+function getDecoratorName(decorator) {
+  const expression = decorator.expression;
+  return expression?.type === 'CallExpression' ? expression.callee.name : expression?.name;
+}
+
+// ============= SHARED AST HELPERS =============
+
+/**
+ * Helper: Pull <script> blocks out of a Vue/Svelte single-file component
+ * @returns {Array<{ attrs: string, content: string }>}
+ */
+function extractSfcScripts(source) {
+  const scripts = [];
+  const scriptPattern = /<script\b([^>]*)>([\s\S]*?)<\/script>/gi;
+  let match;
+  
+  while ((match = scriptPattern.exec(source)) !== null) {
+    scripts.push({ attrs: match[1], content: match[2] });
+  }
+  
+  return scripts;
+}
+
+/**
+ * Helper: Parse an SFC script block (TypeScript when lang="ts"/"tsx")
+ */
+function parseScript(script) {
+  const lang = script.attrs.match(/lang\s*=\s*["'](\w+)["']/)?.[1] || 'js';
+  const plugins = ['decorators-legacy'];
+  if (lang.startsWith('ts')) plugins.push('typescript');
+  if (lang.endsWith('x')) plugins.push('jsx');
+  
+  return {
+    code: script.content,
+    ast: parser.parse(script.content, { sourceType: 'module', plugins }),
+  };
+}
+
+/**
+ * Helper: Top-level interfaces and type aliases by name (exported or not)
+ */
+function collectTypeDeclarations(ast) {
+  const typeDecls = new Map();
+  
+  ast.program.body.forEach(statement => {
+    const declaration = statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement;
+    if (declaration?.type === 'TSInterfaceDeclaration' || declaration?.type === 'TSTypeAliasDeclaration') {
+      typeDecls.set(declaration.id.name, declaration);
+    }
+  });
+  
+  return typeDecls;
+}
+
+/**
+ * Helper: Resolve a type reference to a local interface/alias body
+ * Returns the TS type node itself when it isn't a local reference
+ */
+function resolveTypeNode(typeNode, typeDecls, seen = new Set()) {
+  if (typeNode?.type !== 'TSTypeReference') return typeNode;
+  
+  const name = typeNode.typeName?.name;
+  if (!name || seen.has(name) || !typeDecls.has(name)) return typeNode;
+  seen.add(name);
+  
+  const declaration = typeDecls.get(name);
+  return declaration.type === 'TSInterfaceDeclaration'
+    ? declaration.body
+    : resolveTypeNode(declaration.typeAnnotation, typeDecls, seen);
+}
+
+/**
+ * Helper: Members of an object-like type (type literal, interface, intersection)
+ */
+function getTypeMembers(typeNode, typeDecls) {
+  const resolved = resolveTypeNode(typeNode, typeDecls);
+  
+  if (resolved?.type === 'TSTypeLiteral') return resolved.members;
+  if (resolved?.type === 'TSInterfaceBody') return resolved.body;
+  if (resolved?.type === 'TSIntersectionType') {
+    return resolved.types.flatMap(type => getTypeMembers(type, typeDecls));
+  }
+  
+  return [];
+}
+
+/**
+ * Helper: Type string and literal options for a TS type node
+ * Local aliases of literal unions (type Size = 'small' | 'large') are resolved for options
+ */
+function describeTypeAnnotation(typeNode, code, typeDecls) {
+  if (!typeNode) return { type: 'unknown' };
+  
+  const resolved = resolveTypeNode(typeNode, typeDecls);
+  const result = { type: sourceOf(typeNode, code) };
+  
+  if (resolved?.type === 'TSUnionType' && resolved.types.every(type => type.type === 'TSLiteralType')) {
+    result.options = resolved.types.map(type => type.literal.value);
+    if (resolved !== typeNode) result.type = sourceOf(resolved, code);
+  }
+  
+  return result;
+}
+
+/**
+ * Helper: Basic type of a literal initializer (`= 'small'` -> "string")
+ */
+function inferLiteralType(node) {
+  switch (node?.type) {
+    case 'StringLiteral':
+    case 'TemplateLiteral':
+      return 'string';
+    case 'NumericLiteral':
+      return 'number';
+    case 'BooleanLiteral':
+      return 'boolean';
+    case 'ArrayExpression':
+      return 'array';
+    case 'ObjectExpression':
+      return 'object';
+    case 'ArrowFunctionExpression':
+    case 'FunctionExpression':
+      return 'function';
+    default:
+      return 'unknown';
+  }
+}
+
+/**
+ * Helper: JSDoc text from the closest leading block comment
+ */
+function getJSDocDescription(node) {
+  const comment = (node?.leadingComments || [])
+    .filter(c => c.type === 'CommentBlock' && c.value.startsWith('*'))
+    .pop();
+  if (!comment) return '';
+  
+  return comment.value
+    .split('\n')
+    .map(line => line.replace(/^\s*\*+\s?/, ''))
+    .filter(line => !line.startsWith('@'))
+    .join('\n')
+    .trim();
+}
+
+/**
+ * Helper: Key name of an object/class/type member
+ */
+function getKeyName(key) {
+  if (!key) return null;
+  return key.name || (typeof key.value === 'string' ? key.value : null);
+}
+
+/**
+ * Helper: Find a property by key in an ObjectExpression
+ */
+function findProperty(objectNode, keyName) {
+  if (objectNode?.type !== 'ObjectExpression') return null;
+  return objectNode.properties.find(prop => getKeyName(prop.key) === keyName) || null;
+}
+
+/**
+ * Helper: String value of `{ alias: 'x' }`-style options
+ */
+function getStringProperty(objectNode, keyName) {
+  const prop = findProperty(objectNode, keyName);
+  return prop?.value?.type === 'StringLiteral' ? prop.value.value : null;
+}
+
+/**
+ * Helper: Dotted path of an identifier/member callee (`input.required`)
+ */
+function getExpressionPath(node) {
+  if (node?.type === 'Identifier') return node.name;
+  if (node?.type === 'MemberExpression' && !node.computed) {
+    const objectPath = getExpressionPath(node.object);
+    return objectPath ? `${objectPath}.${node.property.name}` : null;
+  }
+  return null;
+}
+
+/**
+ * Helper: Unwrap `defineComponent({...})` and TS wrappers to the options object
+ */
+function unwrapCall(node) {
+  let current = node;
+  while (current?.type === 'TSAsExpression' || current?.type === 'TSSatisfiesExpression') {
+    current = current.expression;
+  }
+  if (current?.type === 'CallExpression') return current.arguments[0] || null;
+  return current;
+}
+
+/**
+ * Helper: Original source text of a node
+ */
+function sourceOf(node, code) {
+  return code.slice(node.start, node.end);
+}
+
+/**
+ * Helper: Build a props table row with the shared shape used by every extractor
+ */
+function makePropRow({ name, type = 'unknown', required = false, defaultValue = null, description = '', options, category }) {
+  return {
+    name,
+    type,
+    required,
+    defaultValue,
+    description,
+    ...(options ? { options } : {}),
+    ...(category ? { category } : {}),
+  };
+}
+
+// ============= ARGTYPES =============
+
+/**
+ * Convert a props table to argTypes, like Storybook's inferred argTypes
+ * Hand-written argTypes are merged on top of these by the extractor
+ * @param {object} props - Props keyed by name
+ * @returns {object} argTypes keyed by prop name
+ */
+function propsToArgTypes(props) {
+  const argTypes = {};
+  
+  Object.values(props || {}).forEach(prop => {
+    const argType = {
+      name: prop.name,
+      description: prop.description,
+      type: prop.type,
+      required: prop.required,
+      table: {
+        type: prop.type,
+        ...(prop.defaultValue !== null ? { defaultValue: prop.defaultValue } : {}),
+        ...(prop.category ? { category: prop.category } : {}),
+      },
+    };
+    
+    // Vue emits and Angular outputs show up as actions
+    if (prop.category === 'events' || prop.category === 'outputs') {
+      argType.action = prop.name;
+    }
+    
+    if (prop.defaultValue !== null) argType.defaultValue = prop.defaultValue;
+    
+    const control = inferControl(prop);
+    if (control) argType.control = control;
+    if (prop.options) argType.options = prop.options;
+    
+    argTypes[prop.name] = argType;
+  });
+  
+  return argTypes;
+}
+
+/**
+ * Helper: Pick a Storybook control for simple prop types
+ */
+function inferControl(prop) {
+  if (prop.options) return { type: 'select' };
+  
+  switch (prop.type) {
+    case 'boolean':
+    case 'bool':
+      return { type: 'boolean' };
+    case 'number':
+      return { type: 'number' };
+    case 'string':
+      return { type: 'text' };
+    default:
+      return null;
+  }
+}
+
+export {
+  getFrameworkRenderer,
+  resolveImportPath,
+  resolveComponentSource,
+  extractComponentProps,
+  clearComponentPropsCache,
+  propsToArgTypes,
+};
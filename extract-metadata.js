@@ -13,33 +13,52 @@
  *   Development: node extract-metadata.js --dev
  *   Build:       node extract-metadata.js --build
  *   Enhanced:    node extract-metadata.js --build --enhance
+ *   Watch:       node extract-metadata.js --watch
+ *   Diff:        node extract-metadata.js --diff base.json [head.json] [--format=markdown]
+ *   Any mode:    --config=path/to/storybook-api.config.js (or --config path)
  * 
- * Outputs: stories.json with complete story metadata
+ * Outputs: stories.json with complete story metadata,
+ * in the format of stories.schema.json (metadata-schema.js)
  * ==============================================
  */
 
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
+import {
+  getFrameworkRenderer,
+  resolveComponentSource,
+  extractComponentProps,
+  propsToArgTypes,
+  clearComponentPropsCache,
+} from './component-props.js';
+import { parseMdxDocs } from './mdx-docs.js';
+import { resolvePackageImport, clearPackageImportCache } from './package-imports.js';
+import { diffMetadata, formatDiffMarkdown } from './metadata-diff.js';
+import { OPTIONS, loadConfig, formatConfigError } from './api-config.js';
+import { METADATA_VERSION, normalizeMetadata, normalizeComponent, migrateMetadata, validateMetadata } from './metadata-schema.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Parser imports (optional, for source file parsing)
-let parser, traverse, babelTypes, glob;
+let parser, traverse, babelTypes, glob, minimatch;
 try {
   parser = await import('@babel/parser');
   const babelTraverse = await import('@babel/traverse');
   const babelTypesModule = await import('@babel/types');
   const globModule = await import('glob');
+  const minimatchModule = await import('minimatch');
   
   // Handle different export styles
   traverse = babelTraverse.default?.default || babelTraverse.default || babelTraverse;
   babelTypes = babelTypesModule.default || babelTypesModule;
   glob = globModule.glob || globModule.default;
+  minimatch = minimatchModule.minimatch || minimatchModule.default;
 } catch (err) {
   // Parser dependencies not installed - will fall back to other methods
-  console.log('📝 Note: Install @babel/parser, @babel/traverse, and glob for source file parsing');
+  console.log('📝 Note: Install @babel/parser, @babel/traverse, glob and minimatch for source file parsing');
   console.log('   Error:', err.message);
 }
 
@@ -96,19 +115,29 @@ async function detectStorybookPort() {
 }
 
 // ============= CONFIGURATION =============
+// Defaults; main() applies storybook-api.config.* and env vars (applyConfig)
 const CONFIG = {
   // Storybook dev server URL
-  storybookUrl: process.env.STORYBOOK_URL || 'http://localhost:6006',
+  storybookUrl: OPTIONS.storybookUrl.default,
+  
+  // Storybook port on localhost (overrides storybookUrl when set)
+  storybookPort: OPTIONS.storybookPort.default,
   
   // Output directory (relative to project root)
-  outputDir: path.join(__dirname, '../storybook-static'),
+  outputDir: path.join(__dirname, '..', OPTIONS.outputDir.default),
   
   // Output filename
-  outputFile: 'stories.json',
+  outputFile: OPTIONS.outputFile.default,
+  
+  // Config file the settings came from (null: defaults and env vars)
+  configFile: null,
   
   // Timeout for waiting for Storybook to load (ms)
   timeout: 30000,
   
+  // Watch mode: wait this long after the last file change before rebuilding (ms)
+  watchDebounce: 100,
+  
   // Browser launch options
   browserOptions: {
     headless: 'new',
@@ -121,6 +150,21 @@ const CONFIG = {
   },
 };
 
+/**
+ * Apply the project configuration (config file, then env vars) to CONFIG
+ * @param {object} [options] - loadConfig() options, e.g. `{ configPath }`
+ * @returns {object} CONFIG
+ * @throws {Error} With `details` when the configuration is invalid
+ */
+function applyConfig(options = {}) {
+  const { storybookUrl, storybookPort, outputDir, outputFile, configFile } = loadConfig({
+    rootDir: path.join(__dirname, '..'),
+    ...options,
+  });
+  
+  return Object.assign(CONFIG, { storybookUrl, storybookPort, outputDir, outputFile, configFile });
+}
+
 // ============= EXTRACTION FROM SOURCE FILES =============
 
 /**
@@ -132,304 +176,1144 @@ async function extractFromSourceFiles() {
   console.log('📂 Extracting metadata by parsing source files...');
   console.log('   This method gets complete args, argTypes, and parameters!');
   
-  if (!parser || !traverse || !glob) {
+  if (!parser || !traverse || !glob || !minimatch) {
     console.warn('⚠️  Parser dependencies not installed');
-    console.warn('💡 Install with: npm install @babel/parser @babel/traverse glob');
+    console.warn('💡 Install with: npm install @babel/parser @babel/traverse glob minimatch');
     return null;
   }
   
   try {
-    // Find project root (go up from .storybook directory)
-    const projectRoot = path.join(__dirname, '..');
-    const srcDir = path.join(projectRoot, 'src');
+    const context = createSourceContext();
+    if (!context) return null;
     
-    if (!fs.existsSync(srcDir)) {
-      console.error('❌ src directory not found at:', srcDir);
-      return null;
+    // Find all story files
+    const storyFiles = await discoverStoryFiles(context.existingEntries);
+    
+    // MDX docs pages are indexed separately, after the CSF files they attach to
+    const csfFiles = storyFiles.filter(filePath => !filePath.endsWith('.mdx'));
+    const mdxFiles = storyFiles.filter(filePath => filePath.endsWith('.mdx'));
+    
+    console.log(`   Found ${csfFiles.length} story files`);
+    
+    const fileResults = new Map();
+    for (const filePath of csfFiles) {
+      const result = parseStoryFile(filePath, context);
+      if (result) fileResults.set(filePath, result);
     }
     
-    // Find all story files
-    console.log(`   Scanning for story files in: ${srcDir}`);
-    const storyFiles = await glob('**/*.stories.{ts,tsx,js,jsx}', {
-      cwd: srcDir,
-      absolute: true,
-      ignore: ['**/node_modules/**']
+    const mdxPages = new Map();
+    for (const filePath of mdxFiles) {
+      const page = parseMdxFile(filePath);
+      if (page) mdxPages.set(filePath, page);
+    }
+    
+    const metadata = assembleSourceMetadata(context, fileResults, mdxPages, storyFiles);
+    console.log(`✅ Successfully parsed ${metadata.totalStories} stories with complete metadata!`);
+    console.log(`   Including: args, argTypes, parameters, source code, and more`);
+    if (Object.keys(metadata.docs).length > 0) {
+      console.log(`   Indexed ${Object.keys(metadata.docs).length} MDX docs pages`);
+    }
+    
+    return metadata;
+  
+  } catch (error) {
+    console.error('❌ Error parsing source files:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Helper: Project-wide settings for source parsing
+ * Project root, .storybook/main config, stories specifiers and the framework renderer
+ * @returns {object|null} null when none of the stories directories exist
+ */
+function createSourceContext() {
+  // Find project root (go up from .storybook directory)
+  const projectRoot = path.join(__dirname, '..');
+  
+  // Story specifiers from .storybook/main (discovery and autotitles)
+  const mainConfig = loadStorybookMainConfig(projectRoot);
+  const storiesEntries = loadStoriesEntries(projectRoot, mainConfig);
+  
+  // The framework decides how component props are extracted
+  const frameworkName = typeof mainConfig?.framework === 'string'
+    ? mainConfig.framework
+    : mainConfig?.framework?.name || null;
+  const existingEntries = storiesEntries.filter(entry => fs.existsSync(entry.absoluteDirectory));
+  
+  if (existingEntries.length === 0) {
+    console.error('❌ No stories directory found at:', storiesEntries.map(e => e.absoluteDirectory).join(', '));
+    return null;
+  }
+  
+  return {
+    projectRoot,
+    mainConfig,
+    storiesEntries,
+    existingEntries,
+    frameworkName,
+    renderer: getFrameworkRenderer(frameworkName),
+  };
+}
+
+/**
+ * Parse one CSF file into its stories, component API and MDX lookup entry
+ * The result only depends on this file and its component, so watch mode can cache it
+ * @param {string} filePath - Absolute path of the story file
+ * @param {object} context - Result of createSourceContext()
+ * @returns {object|null} { title, csfEntry, stories, component, dependencies } or null if it can't be parsed
+ */
+function parseStoryFile(filePath, context) {
+  const { projectRoot, storiesEntries, renderer } = context;
+  
+  try {
+    const code = fs.readFileSync(filePath, 'utf-8');
+    const relativePath = normalizeStoryPath(slash(path.relative(projectRoot, filePath)));
+    
+    // Parse the TypeScript/JavaScript file
+    const ast = parser.parse(code, {
+      sourceType: 'module',
+      plugins: ['typescript', 'jsx', 'decorators-legacy']
     });
     
-    console.log(`   Found ${storyFiles.length} story files`);
+    // Top-level declarations, used to resolve `export default meta` and spreads like `{ ...Base }`
+    const bindings = collectModuleBindings(ast);
+    const imports = collectModuleImports(ast);
+    const functions = collectModuleFunctions(ast);
     
-    const metadata = createMetadataStructure('source-files');
-    let processedStories = 0;
+    let metaExport = extractMetaObject(null);
+    let metaRender = null;
+    const stories = {};
+    const storySources = {};
     
-    for (const filePath of storyFiles) {
-      try {
-        const code = fs.readFileSync(filePath, 'utf-8');
-        const relativePath = './' + path.relative(projectRoot, filePath);
-        
-        // Parse the TypeScript/JavaScript file
-        const ast = parser.parse(code, {
-          sourceType: 'module',
-          plugins: ['typescript', 'jsx', 'decorators-legacy']
-        });
-        
-        let metaExport = {
-          title: '',
-          component: null,
-          argTypes: {},
-          parameters: {},
-        };
-        const stories = {};
-        
-        // Traverse the AST to extract metadata
-        traverse(ast, {
-          ExportDefaultDeclaration(nodePath) {
-            // Extract default export (Storybook Meta)
-            const declaration = nodePath.node.declaration;
-            metaExport = extractMetaObject(declaration);
-          },
-          
-          ExportNamedDeclaration(nodePath) {
-            // Extract named story exports
-            const declaration = nodePath.node.declaration;
-            if (declaration?.type === 'VariableDeclaration') {
-              declaration.declarations.forEach(decl => {
-                if (decl.id?.name) {
-                  const storyName = decl.id.name;
-                  stories[storyName] = {
-                    name: storyName,
-                    args: {},
-                    storyName: storyName,
-                  };
-                }
-              });
-            } else if (declaration?.type === 'FunctionDeclaration' && declaration.id?.name) {
-              const storyName = declaration.id.name;
-              stories[storyName] = {
-                name: storyName,
-                args: {},
-                storyName: storyName,
-              };
-            }
-          },
-          
-          AssignmentExpression(nodePath) {
-            // Extract Story.args = {...}
-            const node = nodePath.node;
-            if (node.left?.type === 'MemberExpression' && 
-                node.left.property?.name === 'args' &&
-                node.left.object?.name) {
-              const storyName = node.left.object.name;
-              const args = extractObjectLiteral(node.right);
-              if (stories[storyName]) {
-                stories[storyName].args = args;
-              }
-            }
-            
-            // Extract Story.storyName = "..."
-            if (node.left?.type === 'MemberExpression' && 
-                node.left.property?.name === 'storyName' &&
-                node.left.object?.name) {
-              const storyName = node.left.object.name;
-              const displayName = node.right?.value;
-              if (stories[storyName] && displayName) {
-                stories[storyName].storyName = displayName;
-              }
+    // Traverse the AST to extract metadata
+    traverse(ast, {
+      ExportDefaultDeclaration(nodePath) {
+        // Extract default export (Storybook Meta)
+        const declaration = nodePath.node.declaration;
+        metaExport = extractMetaObject(declaration, bindings);
+        metaRender = getAnnotationFunction(resolveAnnotationsObject(declaration, bindings), 'render', bindings, functions);
+      },
+      
+      ExportNamedDeclaration(nodePath) {
+        // Extract named story exports
+        const declaration = nodePath.node.declaration;
+        if (declaration?.type === 'VariableDeclaration') {
+          declaration.declarations.forEach(decl => {
+            if (decl.id?.name && decl.id.name !== '__namedExportsOrder') {
+              const storyName = decl.id.name;
+              stories[storyName] = extractStoryObject(storyName, decl.init, bindings);
+              // Only the export itself (the declarator when several share one `export const`)
+              const sourceNode = declaration.declarations.length === 1 ? nodePath.node : decl;
+              storySources[storyName] = extractStorySource(sourceNode, decl.init, code, bindings, functions);
             }
-          }
-        });
+          });
+        } else if (declaration?.type === 'FunctionDeclaration' && declaration.id?.name) {
+          const storyName = declaration.id.name;
+          stories[storyName] = extractStoryObject(storyName, null, bindings);
+          storySources[storyName] = extractStorySource(nodePath.node, declaration, code, bindings, functions);
+        }
+      },
+      
+      AssignmentExpression(nodePath) {
+        // Extract Story.args = {...}
+        const node = nodePath.node;
         
-        // Build complete metadata for each story in this file
-        Object.entries(stories).forEach(([storyKey, storyData]) => {
-          const storyId = generateStoryId(metaExport.title, storyKey);
-          
-          processedStories++;
+        // CSF2 `Story.args = ...` / `Story.play = ...` statements belong to the story's snippet
+        const assignedStory = node.left?.type === 'MemberExpression' ? node.left.object?.name : null;
+        if (Object.prototype.hasOwnProperty.call(storySources, assignedStory || '') &&
+            nodePath.parentPath?.isExpressionStatement()) {
+          const statement = nodePath.parentPath.node;
+          storySources[assignedStory].source += `\n${code.slice(statement.start, statement.end)}`;
           
-          metadata.stories[storyId] = {
-            id: storyId,
-            title: metaExport.title || 'Unknown',
-            name: storyData.storyName || storyKey,
-            kind: metaExport.title || 'Unknown',
-            story: storyData.storyName || storyKey,
-            importPath: relativePath,
-            type: 'story',
-            tags: metaExport.tags || [],
-            
-            // DEEP METADATA from source parsing
-            args: storyData.args || {},
-            initialArgs: storyData.args || {},
-            argTypes: metaExport.argTypes || {},
-            parameters: metaExport.parameters || {},
-            
-            // Extract actions from args
-            actions: extractActionsFromArgs(storyData.args, metaExport.argTypes),
-            
-            // Documentation
-            docs: {
-              description: metaExport.parameters?.docs?.description?.story ||
-                          metaExport.parameters?.docs?.description?.component || '',
-              sourceCode: code,
-              mdx: metaExport.parameters?.docs?.page || '',
-            },
-            
-            source: code,
-            component: metaExport.component,
-          };
-        });
+          if (node.left.property?.name === 'play') {
+            storySources[assignedStory].play = code.slice(node.right.start, node.right.end);
+          }
+        }
+        if (node.left?.type === 'MemberExpression' && 
+            node.left.property?.name === 'args' &&
+            node.left.object?.name) {
+          const storyName = node.left.object.name;
+          const args = extractObjectLiteral(node.right, bindings);
+          if (stories[storyName]) {
+            stories[storyName].args = args;
+          }
+        }
         
-      } catch (err) {
-        console.warn(`   ⚠️  Could not parse ${path.basename(filePath)}: ${err.message}`);
+        // Extract Story.storyName = "..."
+        if (node.left?.type === 'MemberExpression' && 
+            node.left.property?.name === 'storyName' &&
+            node.left.object?.name) {
+          const storyName = node.left.object.name;
+          const displayName = node.right?.value;
+          if (stories[storyName] && displayName) {
+            stories[storyName].storyName = displayName;
+          }
+        }
       }
-    }
+    });
     
-    metadata.totalStories = Object.keys(metadata.stories).length;
-    console.log(`✅ Successfully parsed ${processedStories} stories with complete metadata!`);
-    console.log(`   Including: args, argTypes, parameters, source code, and more`);
+    // Stories without a meta title get one from their path, like Storybook does
+    const title = userOrAutoTitle(relativePath, storiesEntries, metaExport.title) || 'Unknown';
     
-    return metadata;
+    // Follow `component` to its source for the real component API
+    const componentSource = resolveComponentSource(filePath, metaExport.component, imports);
+    const componentInfo = extractComponentProps(componentSource, renderer);
     
-  } catch (error) {
-    console.error('❌ Error parsing source files:', error.message);
+    // ...and through its package's entry points to the import consumers write
+    const packageImport = componentSource
+      ? resolvePackageImport(componentSource.filePath, componentSource.exportName, { projectRoot })
+      : null;
+    
+    const component = componentSource ? {
+      name: componentInfo?.name || componentSource.localName,
+      description: componentInfo?.description || '',
+      sourcePath: normalizeStoryPath(slash(path.relative(projectRoot, componentSource.filePath))),
+      exportName: componentSource.exportName,
+      ...(componentInfo?.selector ? { selector: componentInfo.selector } : {}),
+      ...(packageImport ? { packageName: packageImport.packageName } : {}),
+      ...(packageImport?.source ? {
+        packageImport: { source: packageImport.source, exportName: packageImport.exportName },
+      } : {}),
+      props: componentInfo?.props || {},
+    } : null;
+    const inferredArgTypes = propsToArgTypes(componentInfo?.props);
+    const csfEntry = { title, id: metaExport.id, importPath: relativePath, storyIds: {} };
+    const storyEntries = {};
+    
+    // Build complete metadata for each story in this file
+    Object.entries(stories).forEach(([storyKey, storyData]) => {
+      const storyId = generateStoryId(metaExport.id || title, storyKey);
+      csfEntry.storyIds[storyKey] = storyId;
+      
+      // Story-level annotations override (and deep-merge into) the meta ones,
+      // the same way Storybook composes CSF3 stories at runtime.
+      // Hand-written argTypes win over the ones inferred from component props.
+      const argTypes = mergeDeep(inferredArgTypes, metaExport.argTypes || {}, storyData.argTypes || {});
+      const parameters = mergeDeep(metaExport.parameters || {}, storyData.parameters || {});
+      const args = { ...metaExport.args, ...storyData.args };
+      
+      // The story's own code: its export, render/play functions and the template it renders with
+      const storySource = storySources[storyKey] || {};
+      const template = storySource.template || (metaRender ? code.slice(metaRender.start, metaRender.end) : null);
+      
+      storyEntries[storyId] = {
+        id: storyId,
+        title,
+        name: storyData.storyName,
+        kind: title,
+        story: storyData.storyName,
+        importPath: relativePath,
+        type: 'story',
+        tags: combineTags(metaExport.tags, storyData.tags),
+        
+        // DEEP METADATA from source parsing
+        args,
+        initialArgs: args,
+        argTypes,
+        parameters: { ...parameters, fileName: relativePath },
+        decorators: [...storyData.decorators, ...metaExport.decorators],
+        
+        // Extract actions from args
+        actions: extractActionsFromArgs(args, argTypes),
+        
+        // Documentation
+        docs: {
+          description: parameters.docs?.description?.story ||
+                      parameters.docs?.description?.component ||
+                      componentInfo?.description || '',
+          sourceCode: storySource.source || '',
+          mdx: parameters.docs?.page || '',
+        },
+        
+        source: storySource.source || '',
+        render: storySource.render || null,
+        play: storySource.play || null,
+        template,
+        location: storySource.location ? { file: relativePath, ...storySource.location } : null,
+        component: metaExport.component,
+      };
+    });
+    
+    return {
+      title,
+      csfEntry,
+      stories: storyEntries,
+      component,
+      // Files this result depends on besides the story file (watch mode invalidation)
+      dependencies: [
+        ...(componentSource ? [componentSource.filePath] : []),
+        ...(packageImport?.files || []),
+      ],
+    };
+  } catch (err) {
+    console.warn(`   ⚠️  Could not parse ${path.basename(filePath)}: ${err.message}`);
     return null;
   }
 }
 
+/**
+ * Helper: Parse an MDX docs page, warning instead of failing on bad files
+ */
+function parseMdxFile(filePath) {
+  try {
+    return parseMdxDocs(filePath);
+  } catch (err) {
+    console.warn(`   ⚠️  Could not parse ${path.basename(filePath)}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Helper: Combine per-file parse results into the stories.json structure
+ * @param {object} context - Result of createSourceContext()
+ * @param {Map} fileResults - Story file path -> parseStoryFile() result
+ * @param {Map} mdxPages - MDX file path -> parseMdxDocs() result
+ * @param {Array<string>} storyFiles - All discovered files, in stories specifier order
+ */
+function assembleSourceMetadata(context, fileResults, mdxPages, storyFiles) {
+  const { projectRoot, mainConfig, storiesEntries, frameworkName, renderer } = context;
+  const metadata = createMetadataStructure('source-files');
+  if (frameworkName) {
+    metadata.framework = { name: frameworkName, renderer };
+  }
+  
+  const refs = getStorybookRefs(mainConfig);
+  if (refs) {
+    metadata.refs = refs;
+  }
+  
+  // CSF file -> { title, id, importPath, storyIds }, for resolving MDX `of={...}` references
+  const csfIndex = new Map();
+  
+  fileResults.forEach((result, filePath) => {
+    Object.assign(metadata.stories, result.stories);
+    if (result.component) {
+      metadata.components[result.title] = result.component;
+    }
+    csfIndex.set(filePath, result.csfEntry);
+  });
+  
+  // MDX docs pages: attached to a CSF file with <Meta of={...} />, or standalone
+  const docsDefaultName = mainConfig?.docs?.defaultName || 'Docs';
+  
+  mdxPages.forEach((page, filePath) => {
+    if (page.isTemplate) return;
+    
+    const relativePath = normalizeStoryPath(slash(path.relative(projectRoot, filePath)));
+    const attached = page.of ? csfIndex.get(page.of.file) : null;
+    const title = attached?.title || userOrAutoTitle(relativePath, storiesEntries, page.title) || 'Unknown';
+    const name = page.name || docsDefaultName;
+    const docsId = generateStoryId(attached?.id || title, name);
+    
+    metadata.docs[docsId] = {
+      id: docsId,
+      title,
+      name,
+      importPath: relativePath,
+      type: 'docs',
+      storiesImports: attached ? [attached.importPath] : [],
+      tags: [attached ? 'attached-mdx' : 'unattached-mdx'],
+      ...describeMdxPage(page, csfIndex),
+    };
+  });
+  
+  // Storybook orders the index (and the sidebar) by file, in specifier order
+  metadata.importOrder = storyFiles
+    .filter(filePath => fileResults.has(filePath) || (mdxPages.has(filePath) && !mdxPages.get(filePath).isTemplate))
+    .map(filePath => normalizeStoryPath(slash(path.relative(projectRoot, filePath))));
+  
+  metadata.totalStories = Object.keys(metadata.stories).length;
+  return metadata;
+}
+
+/**
+ * Helper: Content of a parsed MDX page, with `<Canvas of>` references resolved to story IDs
+ * @param {object} page - Result of parseMdxDocs()
+ * @param {Map} csfIndex - CSF file path -> { storyIds } (exportName -> story ID)
+ */
+function describeMdxPage(page, csfIndex) {
+  const stories = page.storyRefs
+    .map(ref => ({
+      block: ref.block,
+      id: ref.id || csfIndex.get(ref.file)?.storyIds[ref.exportName] || null,
+    }))
+    .filter(ref => ref.id);
+  
+  return {
+    markdown: page.markdown,
+    headings: page.headings,
+    stories,
+  };
+}
+
+/**
+ * Helper: Collect top-level variable declarations (exported or not) by name
+ * so object spreads and references can be resolved within the same module
+ */
+function collectModuleBindings(ast) {
+  const bindings = new Map();
+  
+  ast.program.body.forEach(statement => {
+    const declaration = statement.type === 'ExportNamedDeclaration'
+      ? statement.declaration
+      : statement;
+    
+    if (declaration?.type === 'VariableDeclaration') {
+      declaration.declarations.forEach(decl => {
+        if (decl.id?.type === 'Identifier' && decl.init) {
+          bindings.set(decl.id.name, decl.init);
+        }
+      });
+    }
+  });
+  
+  return bindings;
+}
+
+/**
+ * Helper: Collect top-level function declarations (exported or not) by name
+ * so `render: Template` and `Template.bind({})` can be followed to their source
+ */
+function collectModuleFunctions(ast) {
+  const functions = new Map();
+  
+  ast.program.body.forEach(statement => {
+    const declaration = statement.type === 'ExportNamedDeclaration'
+      ? statement.declaration
+      : statement;
+    
+    if (declaration?.type === 'FunctionDeclaration' && declaration.id) {
+      functions.set(declaration.id.name, declaration);
+    }
+  });
+  
+  return functions;
+}
+
+/**
+ * Helper: Collect import bindings by local name
+ * E.g. `import { Button as Btn } from './Button'` -> Btn: { source: './Button', imported: 'Button' }
+ */
+function collectModuleImports(ast) {
+  const imports = new Map();
+  
+  ast.program.body.forEach(statement => {
+    if (statement.type !== 'ImportDeclaration') return;
+    
+    statement.specifiers.forEach(specifier => {
+      let imported = '*';
+      if (specifier.type === 'ImportDefaultSpecifier') {
+        imported = 'default';
+      } else if (specifier.type === 'ImportSpecifier') {
+        imported = specifier.imported.name || specifier.imported.value;
+      }
+      
+      imports.set(specifier.local.name, { source: statement.source.value, imported });
+    });
+  });
+  
+  return imports;
+}
+
+/**
+ * Helper: Strip TypeScript-only wrappers around an expression
+ * E.g. `{...} satisfies Meta<typeof Button>`, `{...} as Story`, `(expr)`
+ */
+function unwrapExpression(node) {
+  let current = node;
+  while (current && (
+    current.type === 'TSAsExpression' ||
+    current.type === 'TSSatisfiesExpression' ||
+    current.type === 'TSTypeAssertion' ||
+    current.type === 'TSNonNullExpression' ||
+    current.type === 'ParenthesizedExpression'
+  )) {
+    current = current.expression;
+  }
+  return current;
+}
+
+/**
+ * Helper: Resolve an expression to the AST node it refers to in this module.
+ * Follows identifiers to their declarations and `Base.args` style member
+ * access into object literals. Returns the original node when it can't be resolved.
+ */
+function resolveNode(node, bindings, seen = new Set()) {
+  const current = unwrapExpression(node);
+  if (!current || !bindings) return current;
+  
+  if (current.type === 'Identifier') {
+    if (seen.has(current.name) || !bindings.has(current.name)) return current;
+    seen.add(current.name);
+    return resolveNode(bindings.get(current.name), bindings, seen);
+  }
+  
+  if (current.type === 'MemberExpression' && !current.computed) {
+    const object = resolveNode(current.object, bindings, seen);
+    const propertyName = current.property?.name;
+    if (object?.type !== 'ObjectExpression' || !propertyName) return current;
+    
+    const property = object.properties.find(prop =>
+      prop.type === 'ObjectProperty' &&
+      (prop.key?.name || prop.key?.value) === propertyName
+    );
+    return property ? resolveNode(property.value, bindings, seen) : current;
+  }
+  
+  return current;
+}
+
+/**
+ * Helper: Extract a story export (CSF3 object or CSF2 function/Template.bind)
+ * CSF3 stories carry their own args, argTypes, parameters, tags and name
+ */
+function extractStoryObject(exportName, node, bindings) {
+  const story = {
+    name: exportName,
+    storyName: storyNameFromExport(exportName),
+    args: {},
+    argTypes: {},
+    parameters: {},
+    decorators: [],
+    tags: [],
+  };
+  
+  const storyObject = resolveAnnotationsObject(node, bindings);
+  if (!storyObject) {
+    // CSF2 (Template.bind({}) or plain function) - args come from assignments
+    return story;
+  }
+  
+  const annotations = extractObjectLiteral(storyObject, bindings);
+  
+  if (isPlainObject(annotations.args)) story.args = annotations.args;
+  if (isPlainObject(annotations.argTypes)) story.argTypes = annotations.argTypes;
+  if (isPlainObject(annotations.parameters)) story.parameters = annotations.parameters;
+  if (Array.isArray(annotations.tags)) story.tags = annotations.tags;
+  story.decorators = extractDecoratorNames(storyObject, bindings);
+  
+  if (typeof annotations.name === 'string') {
+    story.storyName = annotations.name;
+  } else if (typeof annotations.storyName === 'string') {
+    story.storyName = annotations.storyName;
+  }
+  
+  return story;
+}
+
+/**
+ * Helper: Source snippet of a story export and its location in the file
+ * Also returns the story's render/play functions and the template it renders
+ * through (its own render, or the function behind CSF2 `Template.bind({})`)
+ */
+function extractStorySource(exportNode, storyNode, code, bindings, functions) {
+  const snippet = (node) => (node ? code.slice(node.start, node.end) : null);
+  const storyObject = resolveAnnotationsObject(storyNode, bindings);
+  const render = getAnnotationFunction(storyObject, 'render', bindings, functions);
+  const play = getAnnotationFunction(storyObject, 'play', bindings, functions);
+  
+  // CSF2: `export const Primary = Template.bind({})` or a function story
+  let template = render;
+  const init = unwrapExpression(storyNode);
+  if (!template && init?.type === 'CallExpression' && init.callee?.property?.name === 'bind') {
+    template = resolveFunctionNode(init.callee.object, bindings, functions);
+  } else if (!template && isFunctionNode(init)) {
+    template = init;
+  }
+  
+  return {
+    source: snippet(exportNode),
+    render: snippet(render),
+    play: snippet(play),
+    template: snippet(template),
+    // 1-based lines and columns, ready for editor deep links
+    location: exportNode.loc ? {
+      start: { line: exportNode.loc.start.line, column: exportNode.loc.start.column + 1 },
+      end: { line: exportNode.loc.end.line, column: exportNode.loc.end.column + 1 },
+    } : null,
+  };
+}
+
+/**
+ * Helper: Find a function-valued annotation (`render`, `play`) in an annotations object
+ * Handles `render: (args) => ...`, `render(args) {...}` and `render: Template`
+ */
+function getAnnotationFunction(objectNode, keyName, bindings, functions) {
+  if (!objectNode) return null;
+  
+  const method = objectNode.properties.find(prop =>
+    prop.type === 'ObjectMethod' &&
+    (prop.key?.name || prop.key?.value) === keyName
+  );
+  if (method) return method;
+  
+  const property = findObjectProperty(objectNode, keyName);
+  return property ? resolveFunctionNode(property.value, bindings, functions) : null;
+}
+
+/**
+ * Helper: Resolve an expression to a function node (arrow, function expression or declaration)
+ */
+function resolveFunctionNode(node, bindings, functions) {
+  const resolved = resolveNode(node, bindings);
+  if (isFunctionNode(resolved)) return resolved;
+  
+  if (resolved?.type === 'Identifier' && functions.has(resolved.name)) {
+    return functions.get(resolved.name);
+  }
+  
+  return null;
+}
+
+/**
+ * Helper: Check for a function node
+ */
+function isFunctionNode(node) {
+  return ['ArrowFunctionExpression', 'FunctionExpression', 'FunctionDeclaration'].includes(node?.type);
+}
+
 /**
  * Helper: Extract Storybook Meta object from AST node
+ * Handles inline objects, `const meta = {...}; export default meta`,
+ * `satisfies Meta<...>` / `as Meta` and `defineMeta({...})`-style wrappers
  */
-function extractMetaObject(node) {
+function extractMetaObject(node, bindings = null) {
   const meta = {
+    id: '',
     title: '',
     component: null,
+    args: {},
     argTypes: {},
     parameters: {},
+    decorators: [],
     tags: [],
   };
   
-  if (node?.type === 'ObjectExpression') {
-    node.properties.forEach(prop => {
-      if (prop.key?.name === 'title' && prop.value?.value) {
-        meta.title = prop.value.value;
-      } else if (prop.key?.name === 'argTypes' && prop.value?.type === 'ObjectExpression') {
-        meta.argTypes = extractObjectLiteral(prop.value);
-      } else if (prop.key?.name === 'parameters' && prop.value?.type === 'ObjectExpression') {
-        meta.parameters = extractObjectLiteral(prop.value);
-      } else if (prop.key?.name === 'tags' && prop.value?.type === 'ArrayExpression') {
-        meta.tags = prop.value.elements.map(el => el.value).filter(Boolean);
-      } else if (prop.key?.name === 'component') {
-        meta.component = prop.value?.name || null;
+  const metaObject = resolveAnnotationsObject(node, bindings);
+  if (!metaObject) return meta;
+  
+  const annotations = extractObjectLiteral(metaObject, bindings);
+  
+  if (typeof annotations.id === 'string') meta.id = annotations.id;
+  if (typeof annotations.title === 'string') meta.title = annotations.title;
+  if (isPlainObject(annotations.args)) meta.args = annotations.args;
+  if (isPlainObject(annotations.argTypes)) meta.argTypes = annotations.argTypes;
+  if (isPlainObject(annotations.parameters)) meta.parameters = annotations.parameters;
+  if (Array.isArray(annotations.tags)) {
+    meta.tags = annotations.tags.filter(tag => typeof tag === 'string');
+  }
+  
+  // Component and decorators are usually imports or local functions, so keep
+  // their identifiers instead of resolving them to '[Function]'.
+  // Web components name their custom element instead (`component: 'my-button'`).
+  const componentProp = findObjectProperty(metaObject, 'component');
+  if (componentProp) {
+    meta.component = componentProp.value?.type === 'StringLiteral'
+      ? componentProp.value.value
+      : getExpressionName(componentProp.value);
+  }
+  meta.decorators = extractDecoratorNames(metaObject, bindings);
+  
+  return meta;
+}
+
+/**
+ * Helper: Resolve story/meta annotations to their object literal.
+ * Unwraps call wrappers such as `defineMeta({...})`, `preview.meta({...})`
+ * and `meta.story({...})`. Returns null for anything else (e.g. CSF2 functions).
+ */
+function resolveAnnotationsObject(node, bindings) {
+  let resolved = resolveNode(node, bindings);
+  
+  if (resolved?.type === 'CallExpression' && resolved.arguments.length > 0) {
+    resolved = resolveNode(resolved.arguments[0], bindings);
+  }
+  
+  return resolved?.type === 'ObjectExpression' ? resolved : null;
+}
+
+/**
+ * Helper: Find a non-spread property by key in an ObjectExpression
+ */
+function findObjectProperty(objectNode, keyName) {
+  return objectNode.properties.find(prop =>
+    prop.type === 'ObjectProperty' &&
+    (prop.key?.name || prop.key?.value) === keyName
+  ) || null;
+}
+
+/**
+ * Helper: Get a readable name for an identifier or member expression
+ * E.g. `Button` -> "Button", `Forms.TextField` -> "Forms.TextField"
+ */
+function getExpressionName(node) {
+  const current = unwrapExpression(node);
+  if (current?.type === 'Identifier') return current.name;
+  if (current?.type === 'MemberExpression' && !current.computed) {
+    const objectName = getExpressionName(current.object);
+    return objectName ? `${objectName}.${current.property.name}` : null;
+  }
+  return null;
+}
+
+/**
+ * Helper: List decorators by name, using '[Function]' for inline ones
+ */
+function extractDecoratorNames(objectNode, bindings) {
+  const decoratorsProp = findObjectProperty(objectNode, 'decorators');
+  const decorators = resolveNode(decoratorsProp?.value, bindings);
+  if (decorators?.type !== 'ArrayExpression') return [];
+  
+  return decorators.elements
+    .filter(Boolean)
+    .map(el => getExpressionName(el) || '[Function]');
+}
+
+/**
+ * Helper: Extract object literal from AST node
+ * Spreads (`...Base`, `...Primary.args`) are resolved through module bindings when given
+ */
+function extractObjectLiteral(node, bindings = null) {
+  const result = {};
+  
+  if (!node) return result;
+  
+  // Handle TSAsExpression / TSSatisfiesExpression: {...} as SomeType
+  if (node.type === 'TSAsExpression' || node.type === 'TSSatisfiesExpression') {
+    return extractObjectLiteral(node.expression, bindings);
+  }
+  
+  if (node.type !== 'ObjectExpression') return result;
+  
+  node.properties.forEach(prop => {
+    // Handle: { ...Base, label: 'Override' }
+    if (prop.type === 'SpreadElement') {
+      const spread = resolveNode(prop.argument, bindings);
+      if (spread?.type === 'ObjectExpression') {
+        Object.assign(result, extractObjectLiteral(spread, bindings));
       }
+      return;
+    }
+    
+    if (!prop.key) return;
+    
+    const key = prop.key.name || prop.key.value;
+    if (!key) return;
+    
+    // Handle: { render() {...} } / { async play() {...} }
+    if (prop.type === 'ObjectMethod') {
+      result[key] = '[Function]';
+      return;
+    }
+    
+    // Extract the value
+    if (prop.value) {
+      result[key] = extractValue(prop.value, bindings);
+    }
+  });
+  
+  return result;
+}
+
+/**
+ * Helper: Extract value from AST node
+ */
+function extractValue(node, bindings = null) {
+  if (!node) return null;
+  
+  switch (node.type) {
+    case 'StringLiteral':
+      return node.value;
+    case 'NumericLiteral':
+      return node.value;
+    case 'BooleanLiteral':
+      return node.value;
+    case 'NullLiteral':
+      return null;
+    case 'TemplateLiteral':
+      return node.expressions.length === 0
+        ? node.quasis.map(q => q.value.cooked).join('')
+        : null;
+    case 'UnaryExpression':
+      return node.operator === '-' && node.argument?.type === 'NumericLiteral'
+        ? -node.argument.value
+        : null;
+    case 'ObjectExpression':
+      return extractObjectLiteral(node, bindings);
+    case 'ArrayExpression':
+      return node.elements.map(el => extractValue(el, bindings)).filter(v => v !== null);
+    case 'ArrowFunctionExpression':
+    case 'FunctionExpression':
+      return '[Function]';
+    case 'CallExpression':
+      // Action spies from @storybook/test and addon-actions: fn(), action('clicked')
+      return ['fn', 'action'].includes(node.callee?.name) ? '[Function]' : null;
+    case 'JSXElement':
+    case 'JSXFragment':
+      return '[JSX Element]';
+    case 'Identifier': {
+      // Inline local constants (`const sizes = [...]`), keep names for everything else
+      const resolved = resolveNode(node, bindings);
+      return resolved && resolved !== node && resolved.type !== 'Identifier'
+        ? extractValue(resolved, bindings)
+        : node.name;
+    }
+    case 'TSAsExpression':
+    case 'TSSatisfiesExpression':
+      return extractValue(node.expression, bindings);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Helper: Check for a plain (non-array) object value
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Helper: Deep-merge plain objects (later sources win, arrays are replaced)
+ */
+function mergeDeep(...sources) {
+  const result = {};
+  
+  sources.forEach(source => {
+    Object.entries(source || {}).forEach(([key, value]) => {
+      result[key] = isPlainObject(value) && isPlainObject(result[key])
+        ? mergeDeep(result[key], value)
+        : value;
+    });
+  });
+  
+  return result;
+}
+
+/**
+ * Helper: Combine meta and story tags like Storybook does
+ * Later tags win and `!tag` removes a previously applied tag
+ */
+function combineTags(...tagLists) {
+  const tags = new Set();
+  
+  tagLists.flat().filter(tag => typeof tag === 'string').forEach(tag => {
+    if (tag.startsWith('!')) {
+      tags.delete(tag.slice(1));
+    } else {
+      tags.add(tag);
+    }
+  });
+  
+  return Array.from(tags);
+}
+
+/**
+ * Helper: Generate story ID from title and export name
+ * Mirrors Storybook's toId(title, storyNameFromExport(key)) so IDs match index.json
+ */
+function generateStoryId(title, exportName) {
+  const kind = sanitizeStoryIdPart(title) || 'unknown';
+  const name = sanitizeStoryIdPart(storyNameFromExport(exportName)) || 'story';
+  return `${kind}--${name}`;
+}
+
+/**
+ * Helper: Storybook's ID sanitizer (lowercase, punctuation to dashes, collapse dashes)
+ */
+function sanitizeStoryIdPart(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[ ’–—―′¿'`~!@#$%^&*()_|+\-=?;:'",.<>{}[\]\\/]/gi, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-+/, '')
+    .replace(/-+$/, '');
+}
+
+/**
+ * Helper: Default display name for a story export
+ * E.g. "PrimaryButton" -> "Primary Button", "with_icon2" -> "With Icon 2"
+ */
+function storyNameFromExport(exportName) {
+  return exportName
+    .replace(/_/g, ' ')
+    .replace(/-/g, ' ')
+    .replace(/\./g, ' ')
+    .replace(/([^\n])([A-Z])([a-z])/g, (match, before, upper, lower) => `${before} ${upper}${lower}`)
+    .replace(/([a-z])([A-Z])/g, (match, lower, upper) => `${lower} ${upper}`)
+    .replace(/([a-z])([0-9])/gi, (match, letter, digit) => `${letter} ${digit}`)
+    .replace(/([0-9])([a-z])/gi, (match, digit, letter) => `${digit} ${letter}`)
+    .replace(/(\s|^)(\w)/g, (match, space, first) => `${space}${first.toUpperCase()}`)
+    .replace(/ +/g, ' ')
+    .trim();
+}
+
+/**
+ * Helper: Extract actions from args (functions like onClick, onChange, etc.)
+ */
+function extractActionsFromArgs(args, argTypes) {
+  const actions = {};
+  
+  Object.entries(args || {}).forEach(([key, value]) => {
+    if (key.startsWith('on') || value === '[Function]') {
+      actions[key] = {
+        name: key,
+        description: argTypes?.[key]?.description || '',
+        action: key,
+      };
+    }
+  });
+  
+  // Also check argTypes for action controls
+  Object.entries(argTypes || {}).forEach(([key, config]) => {
+    if (config.action || config.table?.category === 'events') {
+      actions[key] = {
+        name: key,
+        description: config.description || '',
+        action: typeof config.action === 'string' ? config.action : key,
+      };
+    }
+  });
+  
+  return actions;
+}
+
+// ============= STORYBOOK MAIN CONFIG =============
+
+// Storybook's default `files` pattern for object specifiers without one
+const DEFAULT_STORIES_FILES = '**/*.@(mdx|stories.@(js|jsx|mjs|ts|tsx))';
+
+// Discovery used when no .storybook/main config can be read
+const FALLBACK_STORIES_SPECIFIER = '../src/**/*.stories.@(js|jsx|ts|tsx)';
+
+/**
+ * Find the Storybook main config file (main.js, main.ts, main.mjs, ...)
+ * @param {string} projectRoot - Project root containing .storybook/
+ * @returns {string|null} Absolute path to the config or null
+ */
+function findStorybookMainConfig(projectRoot) {
+  const configDir = path.join(projectRoot, '.storybook');
+  const candidates = ['main.js', 'main.ts', 'main.mjs', 'main.cjs', 'main.mts', 'main.cts'];
+  
+  for (const candidate of candidates) {
+    const configPath = path.join(configDir, candidate);
+    if (fs.existsSync(configPath)) return configPath;
+  }
+  
+  return null;
+}
+
+/**
+ * Read the Storybook main config statically (without executing it)
+ * Supports `export default {...}`, `export default config`, `module.exports = {...}`
+ * and wrappers like `defineMain({...})` or `{...} satisfies StorybookConfig`
+ * @returns {object|null} Extracted config values or null if not found/parsable
+ */
+function loadStorybookMainConfig(projectRoot) {
+  const configPath = findStorybookMainConfig(projectRoot);
+  if (!configPath || !parser) return null;
+  
+  try {
+    const code = fs.readFileSync(configPath, 'utf-8');
+    const ast = parser.parse(code, {
+      sourceType: 'unambiguous',
+      plugins: ['typescript', 'jsx', 'decorators-legacy']
+    });
+    const bindings = collectModuleBindings(ast);
+    
+    let configNode = null;
+    ast.program.body.forEach(statement => {
+      if (statement.type === 'ExportDefaultDeclaration') {
+        configNode = statement.declaration;
+      } else if (statement.type === 'ExpressionStatement' &&
+                 statement.expression.type === 'AssignmentExpression' &&
+                 getExpressionName(statement.expression.left) === 'module.exports') {
+        configNode = statement.expression.right;
+      }
+    });
+    
+    const configObject = resolveAnnotationsObject(configNode, bindings);
+    if (!configObject) return null;
+    
+    return {
+      configPath,
+      ...extractObjectLiteral(configObject, bindings),
+    };
+  } catch (err) {
+    console.warn(`   ⚠️  Could not read ${path.basename(configPath)}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Load and normalize the `stories` specifiers from .storybook/main
+ * Falls back to the historical `src/**\/*.stories.*` discovery when no config is found
+ * @param {string} projectRoot - Project root directory
+ * @param {object|null} mainConfig - Result of loadStorybookMainConfig()
+ * @returns {Array<object>} Normalized specifiers ({ directory, files, titlePrefix })
+ */
+function loadStoriesEntries(projectRoot, mainConfig) {
+  const configDir = path.join(projectRoot, '.storybook');
+  const stories = Array.isArray(mainConfig?.stories)
+    ? mainConfig.stories.filter(entry => typeof entry === 'string' || isPlainObject(entry))
+    : [];
+  
+  const entries = stories.length > 0 ? stories : [FALLBACK_STORIES_SPECIFIER];
+  return entries.map(entry => normalizeStoriesEntry(entry, configDir, projectRoot));
+}
+
+/**
+ * Read the composed Storybooks (`refs`) from the main config, so the API can
+ * serve them too (STORYBOOK_API_PROJECTS=refs). `refs` written as a function
+ * can't be read statically and are skipped.
+ * @param {object|null} mainConfig - Result of loadStorybookMainConfig()
+ * @returns {object|null} { id: { title, url, disable? } } or null without refs
+ */
+function getStorybookRefs(mainConfig) {
+  if (!isPlainObject(mainConfig?.refs)) return null;
+  
+  const refs = Object.entries(mainConfig.refs)
+    .filter(([, ref]) => isPlainObject(ref) && typeof ref.url === 'string')
+    .map(([id, ref]) => [id, {
+      title: typeof ref.title === 'string' ? ref.title : id,
+      url: ref.url,
+      ...(ref.disable === true ? { disable: true } : {}),
+    }]);
+  
+  return refs.length > 0 ? Object.fromEntries(refs) : null;
+}
+
+/**
+ * Normalize a `stories` entry the way Storybook does
+ * String globs are split into a static directory and a files pattern;
+ * directories are made relative to the project root (e.g. "./src")
+ */
+function normalizeStoriesEntry(entry, configDir, workingDir) {
+  let specifier;
+  
+  if (typeof entry === 'string') {
+    const segments = slash(entry).split('/');
+    const firstGlobIndex = segments.findIndex(segment => /[*?[\]{}()!+@]/.test(segment));
+    
+    specifier = firstGlobIndex === -1
+      ? { titlePrefix: '', directory: path.posix.dirname(slash(entry)), files: path.posix.basename(slash(entry)) }
+      : {
+          titlePrefix: '',
+          directory: segments.slice(0, firstGlobIndex).join('/') || '.',
+          files: segments.slice(firstGlobIndex).join('/'),
+        };
+  } else {
+    specifier = { titlePrefix: '', files: DEFAULT_STORIES_FILES, ...entry };
+  }
+  
+  const absoluteDirectory = path.resolve(configDir, specifier.directory || '.');
+  const directory = normalizeStoryPath(slash(path.relative(workingDir, absoluteDirectory)))
+    .replace(/\/$/, '');
+  
+  return {
+    titlePrefix: specifier.titlePrefix || '',
+    directory,
+    files: slash(specifier.files),
+    absoluteDirectory,
+  };
+}
+
+/**
+ * Find all files matched by the stories specifiers, in specifier order
+ * @param {Array<object>} storiesEntries - Normalized specifiers from loadStoriesEntries
+ * @param {boolean} [verbose=true] - Log each scanned directory (watch mode rescans quietly)
+ * @returns {Promise<string[]>} Absolute, de-duplicated file paths
+ */
+async function discoverStoryFiles(storiesEntries, verbose = true) {
+  const files = new Set();
+  
+  for (const entry of storiesEntries) {
+    if (verbose) {
+      console.log(`   Scanning for story files in: ${entry.directory} (${entry.files})`);
+    }
+    const matches = await glob(entry.files, {
+      cwd: entry.absoluteDirectory,
+      absolute: true,
+      ignore: ['**/node_modules/**']
     });
-  } else if (node?.type === 'TSAsExpression') {
-    // Handle: {...} as Meta
-    return extractMetaObject(node.expression);
+    matches.sort().forEach(filePath => files.add(filePath));
   }
   
-  return meta;
+  return Array.from(files);
 }
 
 /**
- * Helper: Extract object literal from AST node
+ * Helper: Make a relative path look like Storybook import paths ("./src", "../shared")
  */
-function extractObjectLiteral(node) {
-  const result = {};
-  
-  if (!node) return result;
-  
-  // Handle TSAsExpression: {...} as SomeType
-  if (node.type === 'TSAsExpression') {
-    return extractObjectLiteral(node.expression);
-  }
-  
-  if (node.type !== 'ObjectExpression') return result;
-  
-  node.properties.forEach(prop => {
-    if (!prop.key) return;
-    
-    const key = prop.key.name || prop.key.value;
-    if (!key) return;
-    
-    // Extract the value
-    if (prop.value) {
-      result[key] = extractValue(prop.value);
-    }
-  });
-  
-  return result;
+function normalizeStoryPath(filename) {
+  if (path.isAbsolute(filename) || /^\.{1,2}([/\\]|$)/.test(filename)) return filename;
+  return `./${filename}`;
 }
 
 /**
- * Helper: Extract value from AST node
+ * Helper: Convert Windows separators to forward slashes
  */
-function extractValue(node) {
-  if (!node) return null;
-  
-  switch (node.type) {
-    case 'StringLiteral':
-      return node.value;
-    case 'NumericLiteral':
-      return node.value;
-    case 'BooleanLiteral':
-      return node.value;
-    case 'NullLiteral':
-      return null;
-    case 'ObjectExpression':
-      return extractObjectLiteral(node);
-    case 'ArrayExpression':
-      return node.elements.map(el => extractValue(el)).filter(v => v !== null);
-    case 'ArrowFunctionExpression':
-    case 'FunctionExpression':
-      return '[Function]';
-    case 'JSXElement':
-    case 'JSXFragment':
-      return '[JSX Element]';
-    case 'Identifier':
-      return node.name;
-    case 'TSAsExpression':
-      return extractValue(node.expression);
-    default:
-      return null;
+function slash(value) {
+  return String(value).replace(/\\/g, '/');
+}
+
+/**
+ * Helper: Check whether an import path ("./src/Button.stories.tsx") belongs to a specifier
+ */
+function matchesStoriesEntry(importPath, entry) {
+  const prefix = entry.directory === '.' ? './' : `${entry.directory}/`;
+  if (!importPath.startsWith(prefix)) return false;
+  return minimatch(importPath.slice(prefix.length), entry.files, { dot: true });
+}
+
+/**
+ * Resolve a story title the way Storybook does: the first matching specifier wins,
+ * a user title gets the specifier's titlePrefix, a missing title is derived from the path
+ * E.g. "./src/components/Button/Button.stories.tsx" in "./src" -> "components/Button"
+ * @returns {string|undefined} The resolved title
+ */
+function userOrAutoTitle(importPath, storiesEntries, userTitle) {
+  for (const entry of storiesEntries) {
+    if (!matchesStoriesEntry(importPath, entry)) continue;
+    
+    if (!userTitle) {
+      const suffix = importPath.slice(entry.directory.length);
+      return sanitizeTitleParts(joinTitlePath([entry.titlePrefix, suffix]).split('/')).join('/');
+    }
+    
+    return entry.titlePrefix ? joinTitlePath([entry.titlePrefix, userTitle]) : userTitle;
   }
+  
+  return userTitle || undefined;
 }
 
 /**
- * Helper: Generate story ID from title and name
+ * Helper: Join title segments, collapsing duplicate and edge slashes
  */
-function generateStoryId(title, name) {
-  return `${title}--${name}`
-    .toLowerCase()
-    .replace(/\s+/g, '-')
-    .replace(/\//g, '-')
-    .replace(/[^a-z0-9-]/g, '');
+function joinTitlePath(parts) {
+  return parts.join('/').replace(/\/{1,}/g, '/').replace(/^\/|\/$/g, '');
 }
 
 /**
- * Helper: Extract actions from args (functions like onClick, onChange, etc.)
+ * Helper: Storybook's autotitle cleanup of the last path segment
+ * Drops ".stories.tsx", collapses "Button/Button" and removes "index"/"stories" files
  */
-function extractActionsFromArgs(args, argTypes) {
-  const actions = {};
+function sanitizeTitleParts(parts) {
+  if (parts.length === 0) return parts;
   
-  Object.entries(args || {}).forEach(([key, value]) => {
-    if (key.startsWith('on') || value === '[Function]') {
-      actions[key] = {
-        name: key,
-        description: argTypes?.[key]?.description || '',
-        action: key,
-      };
-    }
-  });
+  const last = parts[parts.length - 1];
+  const lastStripped = last?.replace(/(?:[.](?:story|stories))?([.][^.]+)$/i, '');
+  if (parts.length === 1) return [lastStripped];
   
-  // Also check argTypes for action controls
-  Object.entries(argTypes || {}).forEach(([key, config]) => {
-    if (config.action || config.table?.category === 'events') {
-      actions[key] = {
-        name: key,
-        description: config.description || '',
-        action: typeof config.action === 'string' ? config.action : key,
-      };
-    }
-  });
+  const nextToLast = parts[parts.length - 2];
+  if (lastStripped && nextToLast && lastStripped.toLowerCase() === nextToLast.toLowerCase()) {
+    return [...parts.slice(0, -2), lastStripped];
+  }
   
-  return actions;
+  return lastStripped && (/^(story|stories)([.][^.]+)$/i.test(last) || /^index$/i.test(lastStripped))
+    ? parts.slice(0, -1)
+    : [...parts.slice(0, -1), lastStripped];
 }
 
 // ============= EXTRACTION FROM BUILT STORYBOOK =============
@@ -453,14 +1337,34 @@ async function extractFromBuiltStorybook() {
     const indexData = JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
     const metadata = createMetadataStructure('built-storybook');
     
+    const projectRoot = path.join(__dirname, '..');
+    const entries = Object.entries(indexData.entries || {});
+    
+    // CSF file -> story IDs by export name, for resolving MDX `<Canvas of>` references
+    const csfIndex = new Map();
+    entries.forEach(([storyId, entry]) => {
+      if (entry.type === 'docs' || !entry.importPath || !entry.exportName) return;
+      const filePath = path.resolve(projectRoot, entry.importPath);
+      if (!csfIndex.has(filePath)) csfIndex.set(filePath, { storyIds: {} });
+      csfIndex.get(filePath).storyIds[entry.exportName] = storyId;
+    });
+    
     // Extract from index.json entries
-    Object.entries(indexData.entries || {}).forEach(([storyId, entry]) => {
-      metadata.stories[storyId] = extractBasicStoryData(entry);
+    entries.forEach(([storyId, entry]) => {
+      if (entry.type === 'docs') {
+        metadata.docs[storyId] = extractDocsEntryData(entry, projectRoot, csfIndex);
+        return;
+      }
+      metadata.stories[storyId] = extractBasicStoryData(entry, storyId);
     });
+    metadata.importOrder = getImportOrder(indexData.entries);
     
     console.log(`✅ Extracted ${Object.keys(metadata.stories).length} stories from index.json`);
+    if (Object.keys(metadata.docs).length > 0) {
+      console.log(`   Indexed ${Object.keys(metadata.docs).length} docs entries`);
+    }
     return metadata;
-    
+  
   } catch (error) {
     console.error('❌ Error reading index.json:', error.message);
     return null;
@@ -487,7 +1391,7 @@ async function extractBasicMetadataFromIndex() {
     
     const indexData = await response.json();
     return indexData.entries || {};
-    
+  
   } catch (error) {
     console.error('❌ Error fetching index:', error.message);
     return null;
@@ -508,7 +1412,7 @@ async function extractDeepMetadataWithBrowser(storyEntries) {
   } catch (err) {
     console.warn('⚠️  Puppeteer not installed - cannot use browser automation method');
     console.warn('💡 This method is slow and rarely needed. Use source file parsing instead!');
-    console.warn('   Install Babel dependencies: npm install --save-dev @babel/parser @babel/traverse @babel/types glob');
+    console.warn('   Install Babel dependencies: npm install --save-dev @babel/parser @babel/traverse @babel/types glob minimatch');
     return null;
   }
   
@@ -577,22 +1481,16 @@ async function extractDeepMetadataWithBrowser(storyEntries) {
               parameters: story.parameters || {},
               tags: story.tags || [],
             };
-            
+          
           } catch (e) {
             return null;
           }
         }, storyId);
         
-        // Build complete story object
+        // Build complete story object: basic info from index, deep metadata from browser
+        const docgenInfo = storyData?.parameters?.component?.__docgenInfo || null;
         metadata.stories[storyId] = {
-          // Basic info from index
-          id: entry.id || storyId,
-          title: entry.title || '',
-          name: entry.name || '',
-          kind: entry.title || '',
-          story: entry.name || '',
-          importPath: entry.importPath || '',
-          type: entry.type || 'story',
+          ...extractBasicStoryData(entry, storyId),
           tags: storyData?.tags || entry.tags || [],
           
           // Deep metadata from browser
@@ -613,32 +1511,20 @@ async function extractDeepMetadataWithBrowser(storyEntries) {
           // Source and parameters
           source: storyData?.parameters?.docs?.source?.code || '',
           parameters: {
-            fileName: entry.importPath || '',
             ...storyData?.parameters,
+            fileName: entry.importPath || '',
           },
-          component: storyData?.parameters?.component?.__docgenInfo || null,
+          component: docgenInfo?.displayName || null,
         };
         
+        // The component API goes to `components`, once per title
+        if (docgenInfo && entry.title && !metadata.components[entry.title]) {
+          metadata.components[entry.title] = normalizeComponent(docgenInfo);
+        }
+      
       } catch (err) {
         // If individual story fails, use basic data
-        metadata.stories[storyId] = {
-          id: entry.id || storyId,
-          title: entry.title || '',
-          name: entry.name || '',
-          kind: entry.title || '',
-          story: entry.name || '',
-          importPath: entry.importPath || '',
-          type: entry.type || 'story',
-          tags: entry.tags || [],
-          args: {},
-          initialArgs: {},
-          argTypes: {},
-          actions: {},
-          docs: { description: '', sourceCode: '', mdx: '' },
-          source: '',
-          parameters: { fileName: entry.importPath || '' },
-          component: null,
-        };
+        metadata.stories[storyId] = extractBasicStoryData(entry, storyId);
       }
       
       processed++;
@@ -649,11 +1535,12 @@ async function extractDeepMetadataWithBrowser(storyEntries) {
     
     await browser.close();
     
+    metadata.importOrder = getImportOrder(storyEntries);
     metadata.totalStories = Object.keys(metadata.stories).length;
     console.log(`✅ Deep metadata extraction complete for ${metadata.totalStories} stories`);
     
     return metadata;
-    
+  
   } catch (error) {
     await browser.close();
     console.error('❌ Error during deep extraction:', error.message);
@@ -719,30 +1606,282 @@ async function extractFromRunningStorybook() {
   const metadata = createMetadataStructure('storybook-index-basic');
   
   Object.entries(storyEntries).forEach(([storyId, entry]) => {
-    metadata.stories[storyId] = {
-      id: entry.id || storyId,
-      title: entry.title || '',
-      name: entry.name || '',
-      kind: entry.title || '',
-      story: entry.name || '',
-      importPath: entry.importPath || '',
-      type: entry.type || 'story',
-      tags: entry.tags || [],
-      args: {},
-      initialArgs: {},
-      argTypes: {},
-      actions: {},
-      docs: { description: '', sourceCode: '', mdx: '' },
-      source: '',
-      parameters: { fileName: entry.importPath || '' },
-      component: null,
-    };
+    metadata.stories[storyId] = extractBasicStoryData(entry, storyId);
   });
   
+  metadata.importOrder = getImportOrder(storyEntries);
   metadata.totalStories = Object.keys(metadata.stories).length;
   return metadata;
 }
 
+// ============= WATCH MODE =============
+
+/**
+ * Keep stories.json in sync with the story files while they are edited
+ * Only files whose content (or component file) changed are re-parsed; everything
+ * else comes from a per-file hash cache. Each rebuild is written atomically, so
+ * the middleware never reads a half-written file.
+ * @param {string} outputPath - Path of the stories.json to keep updated
+ * @returns {Promise<Function|null>} Function that stops watching, or null if source parsing is unavailable
+ */
+async function watchSourceFiles(outputPath) {
+  console.log('👀 Watching story files for changes...');
+  
+  if (!parser || !traverse || !glob || !minimatch) {
+    console.warn('⚠️  Parser dependencies not installed');
+    console.warn('💡 Install with: npm install @babel/parser @babel/traverse glob minimatch');
+    return null;
+  }
+  
+  let context = createSourceContext();
+  if (!context) return null;
+  
+  const configDir = path.join(context.projectRoot, '.storybook');
+  const fileCache = new Map(); // story/MDX file -> { hash, dependencyHashes, result }
+  const watchers = new Map(); // directory -> fs.FSWatcher
+  let recursiveWatch = true;
+  let reloadConfig = false;
+  let rebuildTimer = null;
+  let running = false;
+  let queued = false;
+  
+  /**
+   * Re-parse what changed and rewrite stories.json if anything did
+   */
+  const rebuild = async (isInitial = false) => {
+    const startedAt = Date.now();
+    
+    // .storybook/main changed: new specifiers/framework invalidate every cached result
+    if (reloadConfig) {
+      reloadConfig = false;
+      const nextContext = createSourceContext();
+      if (nextContext) {
+        context = nextContext;
+        fileCache.clear();
+        clearComponentPropsCache();
+        clearPackageImportCache();
+        console.log('   ⚙️  Storybook config changed, re-parsing everything');
+      }
+    }
+    
+    const storyFiles = await discoverStoryFiles(context.existingEntries, isInitial);
+    const fileResults = new Map();
+    const mdxPages = new Map();
+    let reparsed = 0;
+    
+    storyFiles.forEach(filePath => {
+      const hash = hashFile(filePath);
+      if (!hash) return;
+      
+      const cached = fileCache.get(filePath);
+      const isFresh = cached &&
+        cached.hash === hash &&
+        Object.entries(cached.dependencyHashes).every(([dependency, depHash]) => hashFile(dependency) === depHash);
+      
+      if (!isFresh) {
+        // Edited components must be re-read, not served from the props cache
+        cached?.result?.dependencies?.forEach(dependency => {
+          clearComponentPropsCache(dependency);
+          clearPackageImportCache(dependency);
+        });
+        
+        const result = filePath.endsWith('.mdx') ? parseMdxFile(filePath) : parseStoryFile(filePath, context);
+        const dependencies = result?.dependencies || [];
+        fileCache.set(filePath, {
+          hash,
+          result,
+          dependencyHashes: Object.fromEntries(dependencies.map(dependency => [dependency, hashFile(dependency)])),
+        });
+        reparsed++;
+      }
+      
+      const { result } = fileCache.get(filePath);
+      if (!result) return;
+      if (filePath.endsWith('.mdx')) {
+        mdxPages.set(filePath, result);
+      } else {
+        fileResults.set(filePath, result);
+      }
+    });
+    
+    // Deleted (or no longer matched) files
+    const discovered = new Set(storyFiles);
+    let removed = 0;
+    [...fileCache.keys()].forEach(filePath => {
+      if (!discovered.has(filePath)) {
+        fileCache.delete(filePath);
+        removed++;
+      }
+    });
+    
+    updateWatchers(storyFiles);
+    
+    // Nothing changed (e.g. a file saved without edits): keep the current stories.json
+    if (!isInitial && reparsed === 0 && removed === 0) return;
+    
+    const metadata = prepareMetadataOutput(assembleSourceMetadata(context, fileResults, mdxPages, storyFiles));
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    writeFileAtomic(outputPath, JSON.stringify(metadata, null, 2));
+    
+    const changes = removed > 0 ? `${reparsed} re-parsed, ${removed} removed` : `${reparsed} re-parsed`;
+    console.log(`   🔄 ${metadata.totalStories} stories (${changes} of ${storyFiles.length} files) in ${Date.now() - startedAt}ms`);
+  };
+  
+  /**
+   * Run rebuilds one at a time; changes during a rebuild queue one more
+   */
+  const runRebuild = async () => {
+    if (running) {
+      queued = true;
+      return;
+    }
+    
+    running = true;
+    try {
+      await rebuild();
+    } catch (err) {
+      console.error('   ❌ Rebuild failed:', err.message);
+    } finally {
+      running = false;
+      if (queued) {
+        queued = false;
+        runRebuild();
+      }
+    }
+  };
+  
+  const scheduleRebuild = () => {
+    clearTimeout(rebuildTimer);
+    rebuildTimer = setTimeout(runRebuild, CONFIG.watchDebounce);
+  };
+  
+  const watchDirectory = (directory, recursive) => {
+    if (watchers.has(directory) || !fs.existsSync(directory)) return true;
+    
+    try {
+      const watcher = fs.watch(directory, { recursive }, (event, filename) => {
+        if (directory === configDir && /^main\.[cm]?[jt]s$/.test(filename || '')) {
+          reloadConfig = true;
+        }
+        scheduleRebuild();
+      });
+      watcher.on('error', () => {
+        watcher.close();
+        watchers.delete(directory);
+      });
+      watchers.set(directory, watcher);
+      return true;
+    } catch (err) {
+      // Recursive fs.watch is unavailable on Linux before Node 19.1
+      if (recursive && err.code === 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') return false;
+      throw err;
+    }
+  };
+  
+  /**
+   * Watch the stories directories (recursively where supported), the directories
+   * of story/component files outside them, and .storybook for config changes
+   */
+  const updateWatchers = (storyFiles) => {
+    const wanted = new Map([[configDir, false]]); // directory -> recursive
+    context.existingEntries.forEach(entry => wanted.set(entry.absoluteDirectory, recursiveWatch));
+    
+    const isCovered = (filePath) => recursiveWatch && context.existingEntries.some(entry =>
+      !path.relative(entry.absoluteDirectory, filePath).startsWith('..')
+    );
+    const dependencies = [...fileCache.values()].flatMap(entry => entry.result?.dependencies || []);
+    
+    [...storyFiles, ...dependencies].forEach(filePath => {
+      const directory = path.dirname(filePath);
+      if (!isCovered(filePath) && !wanted.has(directory)) wanted.set(directory, false);
+    });
+    
+    watchers.forEach((watcher, directory) => {
+      if (!wanted.has(directory)) {
+        watcher.close();
+        watchers.delete(directory);
+      }
+    });
+    
+    for (const [directory, recursive] of wanted) {
+      if (!watchDirectory(directory, recursive)) {
+        recursiveWatch = false;
+        updateWatchers(storyFiles);
+        return;
+      }
+    }
+  };
+  
+  await rebuild(true);
+  console.log(`   📁 Writing to: ${outputPath}`);
+  console.log('   Press Ctrl+C to stop\n');
+  
+  return () => {
+    clearTimeout(rebuildTimer);
+    watchers.forEach(watcher => watcher.close());
+    watchers.clear();
+  };
+}
+
+/**
+ * Helper: Content hash of a file, or null if it can't be read
+ */
+function hashFile(filePath) {
+  try {
+    return crypto.createHash('sha1').update(fs.readFileSync(filePath)).digest('hex');
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Helper: Write a file atomically (temp file + rename) so readers never see partial JSON
+ */
+function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, content, 'utf-8');
+  fs.renameSync(tempPath, filePath);
+}
+
+// ============= DIFF MODE =============
+
+/**
+ * Compare two metadata files and report component API changes
+ * @param {string} baseSource - Path or URL of the base stories.json
+ * @param {string} headSource - Path or URL of the head stories.json
+ * @param {object} options - { format: 'json' | 'markdown' }
+ * @returns {Promise<{report: object, output: string}>}
+ */
+async function diffMetadataFiles(baseSource, headSource, options = {}) {
+  const [base, head] = await Promise.all([
+    loadMetadataSource(baseSource),
+    loadMetadataSource(headSource),
+  ]);
+  
+  const report = diffMetadata(base, head);
+  const output = options.format === 'markdown'
+    ? formatDiffMarkdown(report)
+    : JSON.stringify(report, null, 2);
+  
+  return { report, output };
+}
+
+/**
+ * Helper: Read a stories.json from disk or over HTTP
+ */
+async function loadMetadataSource(source) {
+  if (/^https?:\/\//.test(source)) {
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${source}: HTTP ${response.status}`);
+    }
+    return migrateMetadata(await response.json());
+  }
+  
+  // Files of older extractor versions are upgraded, so both sides have the same shape
+  return migrateMetadata(JSON.parse(fs.readFileSync(path.resolve(source), 'utf-8')));
+}
+
 // ============= HELPER FUNCTIONS =============
 
 /**
@@ -750,26 +1889,29 @@ async function extractFromRunningStorybook() {
  */
 function createMetadataStructure(source = 'unknown') {
   return {
-    version: '1.0.0',
+    version: METADATA_VERSION,
     generatedAt: new Date().toISOString(),
     extractedFrom: source,
     totalStories: 0,
     stories: {},
+    components: {},
+    docs: {},
   };
 }
 
 /**
  * Extract basic story data from index.json entry
+ * Every field of the stories.json format is present, deep data stays empty
  */
-function extractBasicStoryData(entry) {
+function extractBasicStoryData(entry, storyId = '') {
   return {
-    id: entry.id || '',
+    id: entry.id || storyId,
     title: entry.title || '',
     name: entry.name || '',
     kind: entry.title || '',
     story: entry.name || '',
     importPath: entry.importPath || '',
-    type: entry.type || 'story',
+    type: 'story',
     tags: entry.tags || [],
     
     // Placeholders for enhanced data
@@ -777,13 +1919,56 @@ function extractBasicStoryData(entry) {
     initialArgs: {},
     argTypes: {},
     actions: {},
-    docs: { description: '' },
+    parameters: { fileName: entry.importPath || '' },
+    decorators: [],
+    docs: { description: '', sourceCode: '', mdx: '' },
     source: '',
-    parameters: {},
+    render: null,
+    play: null,
+    template: null,
+    location: null,
     component: null,
   };
 }
 
+/**
+ * Helper: Files of index.json entries in index order (Storybook sorts the index by file)
+ */
+function getImportOrder(entries) {
+  return [...new Set(Object.values(entries || {}).map(entry => entry.importPath).filter(Boolean))];
+}
+
+/**
+ * Extract a docs entry from index.json
+ * MDX pages are read from disk (importPath is relative to the project root);
+ * autodocs entries have no MDX file and only keep their index data
+ */
+function extractDocsEntryData(entry, projectRoot, csfIndex) {
+  const docsEntry = {
+    id: entry.id || '',
+    title: entry.title || '',
+    name: entry.name || '',
+    importPath: entry.importPath || '',
+    type: 'docs',
+    storiesImports: entry.storiesImports || [],
+    tags: entry.tags || [],
+    markdown: '',
+    headings: [],
+    stories: [],
+  };
+  
+  const mdxPath = entry.importPath?.endsWith('.mdx') ? path.resolve(projectRoot, entry.importPath) : null;
+  if (mdxPath && fs.existsSync(mdxPath)) {
+    try {
+      Object.assign(docsEntry, describeMdxPage(parseMdxDocs(mdxPath), csfIndex));
+    } catch (err) {
+      console.warn(`   ⚠️  Could not parse ${path.basename(mdxPath)}: ${err.message}`);
+    }
+  }
+  
+  return docsEntry;
+}
+
 /**
  * Save metadata to file
  */
@@ -797,21 +1982,102 @@ function saveMetadata(metadata, outputPath) {
   // Update total count
   metadata.totalStories = Object.keys(metadata.stories).length;
   
-  // Write file
-  fs.writeFileSync(outputPath, JSON.stringify(metadata, null, 2), 'utf-8');
+  // Source parsing already read the refs, the other modes don't load the main config
+  if (!metadata.refs) {
+    const refs = getStorybookRefs(loadStorybookMainConfig(path.join(__dirname, '..')));
+    if (refs) metadata.refs = refs;
+  }
+  
+  // Write file (atomically, the middleware may be reading it)
+  const output = prepareMetadataOutput(metadata);
+  writeFileAtomic(outputPath, JSON.stringify(output, null, 2));
   
   console.log(`\n📁 Saved to: ${outputPath}`);
-  console.log(`📊 Total stories: ${metadata.totalStories}`);
-  console.log(`🕐 Generated at: ${metadata.generatedAt}`);
+  console.log(`📊 Total stories: ${output.totalStories}`);
+  console.log(`🕐 Generated at: ${output.generatedAt}`);
+  console.log(`📐 Format: ${output.version} (stories.schema.json)`);
+}
+
+/**
+ * Bring extracted metadata into the stories.json format and validate it,
+ * so a broken extraction never replaces a good file
+ * @throws {Error} With `details.problems` when it doesn't match the schema
+ */
+function prepareMetadataOutput(metadata) {
+  const output = normalizeMetadata(metadata);
+  const problems = validateMetadata(output);
+  
+  if (problems.length > 0) {
+    console.error(`\n❌ Metadata does not match the stories.json schema (${METADATA_VERSION}):`);
+    problems.forEach(problem => console.error(`   ${problem.path}: ${problem.message}`));
+    throw Object.assign(new Error('Invalid metadata, stories.json not written'), { details: { problems } });
+  }
+  
+  return output;
 }
 
 // ============= CLI INTERFACE =============
 
 async function main() {
   const args = process.argv.slice(2);
-  const mode = args.find(arg => arg.startsWith('--') && !arg.startsWith('--port') && !arg.startsWith('--deep')) || '--build';
+  
+  // Settings from the config file (--config=path, --config path or storybook-api.config.*) and env vars
+  const configIndex = args.findIndex(arg => arg === '--config' || arg.startsWith('--config='));
+  let configPath;
+  if (configIndex !== -1) {
+    const [, inlineValue] = args[configIndex].split(/=(.*)/s);
+    configPath = inlineValue !== undefined ? inlineValue : args[configIndex + 1];
+    if (!configPath || configPath.startsWith('-')) {
+      console.error('❌ Missing value for --config');
+      process.exit(1);
+    }
+    
+    // The path is not a mode or a --diff file
+    args.splice(configIndex, inlineValue !== undefined ? 1 : 2);
+  }
+  
+  try {
+    applyConfig({ configPath });
+  } catch (err) {
+    if (!err.details) throw err;
+    console.error(`❌ ${formatConfigError(err)}`);
+    process.exit(1);
+  }
+  
+  // Diff mode: compare two metadata files, report goes to stdout
+  if (args.includes('--diff')) {
+    const [baseSource, headSource = path.join(CONFIG.outputDir, CONFIG.outputFile)] = args.filter(arg => !arg.startsWith('--'));
+    const format = args.find(arg => arg.startsWith('--format='))?.split('=')[1] || 'json';
+    const outputArg = args.find(arg => arg.startsWith('--output='));
+    
+    if (!baseSource) {
+      console.error('❌ Missing base metadata file');
+      console.error('💡 Usage: node extract-metadata.js --diff base.json [head.json] [--format=markdown] [--output=diff.md] [--fail-on-breaking]');
+      process.exit(1);
+    }
+    
+    const { report, output } = await diffMetadataFiles(baseSource, headSource, { format });
+    
+    if (outputArg) {
+      const outputPath = outputArg.split('=')[1];
+      writeFileAtomic(outputPath, output + '\n');
+      console.error(`📁 Diff saved to: ${outputPath}`);
+    } else {
+      console.log(output);
+    }
+    
+    console.error(`📊 ${report.summary.breaking} breaking, ${report.summary.nonBreaking} non-breaking change(s)`);
+    if (args.includes('--fail-on-breaking') && report.summary.breaking > 0) {
+      process.exit(1);
+    }
+    return;
+  }
+  
+  const flags = ['--enhance', '--deep', '--watch'];
+  const mode = args.find(arg => arg.startsWith('--') && !arg.startsWith('--port') && !flags.includes(arg)) || '--build';
   const shouldEnhance = args.includes('--enhance');
   const deepExtraction = args.includes('--deep'); // New flag for deep metadata extraction
+  const shouldWatch = args.includes('--watch');
   
   // Check for custom port argument
   const portArg = args.find(arg => arg.startsWith('--port='));
@@ -820,8 +2086,8 @@ async function main() {
     CONFIG.storybookUrl = `http://localhost:${port}`;
     console.log('🚀 Storybook Metadata Extractor');
     console.log('=================================\n');
-  } else if (process.env.STORYBOOK_PORT) {
-    CONFIG.storybookUrl = `http://localhost:${process.env.STORYBOOK_PORT}`;
+  } else if (CONFIG.storybookPort) {
+    // storybookUrl already points to it (applyConfig)
     console.log('🚀 Storybook Metadata Extractor');
     console.log('=================================\n');
   } else if (mode === '--dev') {
@@ -843,13 +2109,31 @@ async function main() {
     console.log('=================================\n');
   }
   
+  // Watch mode: source file parsing only, keeps running until interrupted
+  if (shouldWatch) {
+    const outputPath = path.join(CONFIG.outputDir, CONFIG.outputFile);
+    const stopWatching = await watchSourceFiles(outputPath);
+    
+    if (!stopWatching) {
+      console.error('\n❌ Watch mode needs source file parsing');
+      process.exit(1);
+    }
+    
+    process.on('SIGINT', () => {
+      stopWatching();
+      console.log('\n👋 Stopped watching');
+      process.exit(0);
+    });
+    return;
+  }
+  
   let metadata;
   
   if (mode === '--dev') {
     console.log('🔧 Development Mode');
     console.log('Extracting from running Storybook...\n');
     metadata = await extractFromRunningStorybook();
-    
+  
   } else if (mode === '--build') {
     console.log('📦 Build Mode');
     console.log('Extracting from built Storybook...\n');
@@ -865,12 +2149,12 @@ async function main() {
         console.log('✅ Enhanced with complete metadata');
       }
     }
-    
+  
   } else {
     console.error('❌ Invalid mode:', mode);
     console.error('💡 Valid modes: --dev, --build');
     console.error('💡 Usage: node extract-metadata.js --build [--enhance] [--port=6007]');
-    console.error('💡 Or set STORYBOOK_URL or STORYBOOK_PORT environment variable');
+    console.error('💡 Or set storybookUrl / storybookPort in storybook-api.config.js (STORYBOOK_URL, STORYBOOK_PORT)');
     process.exit(1);
   }
   
@@ -914,6 +2198,9 @@ export {
   extractFromSourceFiles,
   extractBasicMetadataFromIndex,
   extractDeepMetadataWithBrowser,
+  watchSourceFiles,
+  diffMetadataFiles,
+  applyConfig,
   CONFIG 
 };
 
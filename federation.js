@@ -0,0 +1,301 @@
+/**
+ * ==============================================
+ * PROJECT FEDERATION
+ * ==============================================
+ * 
+ * Serves several Storybooks behind one API, the way
+ * Storybook composition (`refs`) shows them in one UI:
+ *   - The local stories.json keeps its IDs and titles
+ *     (project `local`)
+ *   - Every other project is namespaced: story and docs
+ *     IDs get a `<project>_` prefix, titles are nested
+ *     under the project title ("Checkout/Forms/Input"),
+ *     so component IDs and tree paths don't collide
+ *   - Every story, docs page and component records its
+ *     `project`, and `?project=` selects a subset
+ * 
+ * Projects come from `id=path-or-url` lists or from the
+ * `refs` recorded in stories.json (.storybook/main refs).
+ * 
+ * Used by the middleware (GET /api/projects, ?project=)
+ * ==============================================
+ */
+
+import { METADATA_VERSION } from './metadata-schema.js';
+
+// The Storybook whose stories.json the middleware found itself
+const LOCAL_PROJECT = { id: 'local', title: 'Local' };
+
+// Project IDs end up in story IDs and URLs
+const PROJECT_ID_PATTERN = /^[A-Za-z0-9][\w-]*$/;
+
+/**
+ * Parse configured projects
+ * Accepts an array of `{ id, title, metadata }` objects and `id=source`
+ * strings, or one comma-separated string ("checkout=../checkout/stories.json,refs").
+ * The entry `refs` adds the refs recorded in the local stories.json.
+ * 
+ * @param {Array|string} value - Configured projects
+ * @returns {{ projects: Array<object>, refs: boolean }} Projects as
+ *   `{ id, title, source, remote }`
+ * @throws {Error} With `details` on invalid or duplicate entries
+ */
+function parseProjectList(value) {
+  const entries = typeof value === 'string'
+    ? value.split(',').map(entry => entry.trim()).filter(Boolean)
+    : (value || []);
+  
+  let refs = false;
+  const projects = [];
+  
+  entries.forEach(entry => {
+    if (entry === 'refs') {
+      refs = true;
+      return;
+    }
+    
+    const project = typeof entry === 'string'
+      ? { id: entry.split('=')[0].trim(), metadata: entry.split('=').slice(1).join('=').trim() }
+      : entry;
+    projects.push(normalizeProject(project));
+  });
+  
+  assertUniqueProjects(projects);
+  return { projects, refs };
+}
+
+/**
+ * Projects for the Storybook `refs` of a stories.json
+ * (`{ id: { title, url } }`, disabled refs are skipped).
+ * A composed Storybook serves its metadata at `<url>/stories.json`.
+ * 
+ * @param {object} refs - `refs` field of the metadata
+ * @returns {Array<object>} Projects as `{ id, title, source, remote, ref }`
+ */
+function projectsFromRefs(refs) {
+  if (!refs || typeof refs !== 'object' || Array.isArray(refs)) return [];
+  
+  return Object.entries(refs)
+    .filter(([id, ref]) => ref && typeof ref === 'object' && typeof ref.url === 'string' &&
+      ref.disable !== true && PROJECT_ID_PATTERN.test(id) && id !== LOCAL_PROJECT.id)
+    .map(([id, ref]) => ({
+      ...normalizeProject({
+        id,
+        title: ref.title,
+        metadata: `${ref.url.replace(/\/+$/, '')}/stories.json`,
+      }),
+      ref: true,
+    }));
+}
+
+/**
+ * Combine loaded projects into one metadata object
+ * 
+ * @param {Array<object>} loaded - `{ project, metadata }` in project order;
+ *   the local project (id `local`) is not namespaced
+ * @returns {object} Merged metadata with `projects` (summaries) and
+ *   `duplicates` (see findDuplicateComponents)
+ */
+function mergeProjects(loaded) {
+  const merged = {
+    version: METADATA_VERSION,
+    generatedAt: null,
+    extractedFrom: 'federation',
+    storybookVersion: null,
+    framework: null,
+    totalStories: 0,
+    stories: {},
+    components: {},
+    docs: {},
+    projects: [],
+    duplicates: [],
+  };
+  
+  loaded.forEach(({ project, metadata }) => {
+    const namespaced = project.id !== LOCAL_PROJECT.id;
+    const toId = (id) => namespaced ? `${project.id}_${id}` : id;
+    const toTitle = (title) => namespaced && title ? `${project.title}/${title}` : title;
+    
+    Object.values(metadata.stories || {}).forEach(story => {
+      const id = toId(story.id);
+      merged.stories[id] = {
+        ...story,
+        id,
+        title: toTitle(story.title),
+        kind: toTitle(story.kind),
+        project: project.id,
+      };
+    });
+    
+    Object.values(metadata.docs || {}).forEach(page => {
+      const id = toId(page.id);
+      merged.docs[id] = {
+        ...page,
+        id,
+        title: toTitle(page.title),
+        stories: (page.stories || []).map(ref => ref.id ? { ...ref, id: toId(ref.id) } : ref),
+        project: project.id,
+      };
+    });
+    
+    // Usage snippets follow the framework of the component's own project
+    Object.entries(metadata.components || {}).forEach(([title, component]) => {
+      merged.components[toTitle(title)] = {
+        ...component,
+        project: project.id,
+        ...(metadata.framework && !component.framework ? { framework: metadata.framework } : {}),
+      };
+    });
+    
+    // The local project's build details describe the merged metadata
+    if (!namespaced || !merged.storybookVersion) {
+      merged.storybookVersion = metadata.storybookVersion || merged.storybookVersion;
+    }
+    if (metadata.framework && (!namespaced || !merged.framework)) {
+      merged.framework = metadata.framework;
+    }
+    if (metadata.generatedAt && (!merged.generatedAt || metadata.generatedAt > merged.generatedAt)) {
+      merged.generatedAt = metadata.generatedAt;
+    }
+    
+    merged.projects.push({
+      id: project.id,
+      title: project.title,
+      namespaced,
+      totalStories: Object.keys(metadata.stories || {}).length,
+      generatedAt: metadata.generatedAt || null,
+      storybookVersion: metadata.storybookVersion || null,
+      extractedFrom: metadata.extractedFrom || null,
+    });
+  });
+  
+  merged.totalStories = Object.keys(merged.stories).length;
+  merged.duplicates = findDuplicateComponents(merged);
+  return merged;
+}
+
+/**
+ * Components with the same name (last title segment) in more than one
+ * project, e.g. a `Button` in both the checkout and the search Storybook
+ * 
+ * @param {object} merged - Result of mergeProjects()
+ * @returns {Array<object>} `{ name, projects, components: [{ project, id, title }] }`,
+ *   sorted by name
+ */
+function findDuplicateComponents(merged) {
+  const byName = new Map();
+  
+  Object.values(merged.stories || {}).forEach(story => {
+    const title = story.title || story.kind;
+    if (!title) return;
+    
+    const name = title.split('/').pop().trim();
+    const key = name.toLowerCase();
+    const id = toComponentId(title);
+    
+    if (!byName.has(key)) byName.set(key, { name, components: new Map() });
+    const components = byName.get(key).components;
+    if (!components.has(id)) {
+      components.set(id, { project: story.project, id, title });
+    }
+  });
+  
+  return [...byName.values()]
+    .map(({ name, components }) => {
+      const list = [...components.values()];
+      return { name, projects: [...new Set(list.map(component => component.project))], components: list };
+    })
+    .filter(duplicate => duplicate.projects.length > 1)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Restrict merged metadata to some projects (for `?project=a,b`)
+ * 
+ * @param {object} merged - Result of mergeProjects()
+ * @param {Array<string>} projectIds - Project IDs to keep
+ * @returns {object} Metadata of the same shape with only those projects
+ */
+function selectProjects(merged, projectIds) {
+  const selected = new Set(projectIds);
+  const pick = (entries) => Object.fromEntries(
+    Object.entries(entries || {}).filter(([, entry]) => selected.has(entry.project))
+  );
+  
+  const stories = pick(merged.stories);
+  const projects = merged.projects.filter(project => selected.has(project.id));
+  
+  return {
+    ...merged,
+    generatedAt: projects.map(project => project.generatedAt).filter(Boolean).sort().pop() || null,
+    totalStories: Object.keys(stories).length,
+    stories,
+    components: pick(merged.components),
+    docs: pick(merged.docs),
+    projects,
+    duplicates: merged.duplicates.filter(duplicate =>
+      duplicate.projects.filter(id => selected.has(id)).length > 1
+    ),
+  };
+}
+
+/**
+ * Helper: Validate one configured project
+ */
+function normalizeProject(project) {
+  const invalid = (message, details) => Object.assign(new Error(message), { details });
+  
+  if (!project || typeof project !== 'object') {
+    throw invalid('Invalid project', { project, expected: '{ id, metadata } or "id=path-or-url"' });
+  }
+  
+  const { id, title, metadata } = project;
+  if (typeof id !== 'string' || !PROJECT_ID_PATTERN.test(id)) {
+    throw invalid('Invalid project ID', { project: id, allowed: 'letters, digits, "-" and "_"' });
+  }
+  if (id === LOCAL_PROJECT.id) {
+    throw invalid('Reserved project ID', { project: id, reason: `"${LOCAL_PROJECT.id}" is the Storybook the API runs in` });
+  }
+  if (typeof metadata !== 'string' || !metadata) {
+    throw invalid('Missing project metadata', { project: id, expected: 'path or URL of its stories.json' });
+  }
+  
+  return {
+    id,
+    title: typeof title === 'string' && title.trim() ? title.trim() : id,
+    source: metadata,
+    remote: /^https?:\/\//i.test(metadata),
+  };
+}
+
+/**
+ * Helper: Reject two projects with the same ID
+ */
+function assertUniqueProjects(projects) {
+  const seen = new Set();
+  projects.forEach(project => {
+    if (seen.has(project.id)) {
+      throw Object.assign(new Error('Duplicate project ID'), { details: { project: project.id } });
+    }
+    seen.add(project.id);
+  });
+}
+
+/**
+ * Helper: Component ID from a title, as the middleware builds it
+ */
+function toComponentId(title) {
+  return (title || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+export {
+  LOCAL_PROJECT,
+  parseProjectList,
+  projectsFromRefs,
+  mergeProjects,
+  findDuplicateComponents,
+  selectProjects,
+};
@@ -0,0 +1,16 @@
+import { Component, EventEmitter, Input, Output, input } from '@angular/core';
+
+@Component({
+  selector: 'app-badge',
+  template: '<span (click)="dismissed.emit()">{{ text }}</span>',
+})
+export class BadgeComponent {
+  /** Badge text */
+  @Input() text = '';
+
+  /** Visual tone */
+  tone = input<'info' | 'warning'>('info');
+
+  /** Emitted when the badge is dismissed */
+  @Output() dismissed = new EventEmitter<void>();
+}
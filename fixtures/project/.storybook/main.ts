@@ -0,0 +1,12 @@
+import type { StorybookConfig } from '@storybook/react-vite';
+
+const config: StorybookConfig = {
+  stories: [
+    '../src/**/*.@(mdx|stories.@(js|jsx|ts|tsx))',
+    { directory: '../packages/forms/src', titlePrefix: 'Forms' },
+    '../docs/*.mdx',
+  ],
+  framework: '@storybook/react-vite',
+};
+
+export default config;
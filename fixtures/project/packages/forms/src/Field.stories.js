@@ -0,0 +1,5 @@
+export default {
+  title: 'Field',
+};
+
+export const Basic = {};
@@ -0,0 +1,5 @@
+export default {
+  title: 'Legacy/Old',
+};
+
+export const Basic = {};
@@ -0,0 +1,35 @@
+import type { Meta, StoryObj } from '@storybook/react';
+import { expect, fn, within } from '@storybook/test';
+import { Button } from './Button';
+
+export default {
+  title: 'Components/Button',
+  component: Button,
+  args: { onClick: fn() },
+  argTypes: {
+    size: { control: 'radio' },
+  },
+  parameters: { layout: 'centered' },
+} as Meta<typeof Button>;
+
+type Story = StoryObj<typeof Button>;
+
+const base = {
+  args: { label: 'Button' },
+  parameters: { docs: { description: { story: 'The default button' } } },
+};
+
+export const Primary: Story = {
+  ...base,
+  args: { ...base.args, primary: true },
+};
+
+export const LargeButton: Story = {
+  name: 'Large',
+  args: { ...Primary.args, size: 'large' },
+  parameters: { layout: 'padded' },
+  render: (args) => <Button {...args} label="Large" />,
+  play: async ({ canvasElement }) => {
+    await expect(within(canvasElement).getByRole('button')).toBeVisible();
+  },
+};
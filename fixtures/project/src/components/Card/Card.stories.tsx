@@ -0,0 +1,19 @@
+import type { Meta, StoryObj } from '@storybook/react';
+
+const sharedArgs = { elevation: 1 };
+
+const meta = {
+  title: 'Components/Card',
+  tags: ['autodocs'],
+  args: { ...sharedArgs, heading: 'Card' },
+  argTypes: {
+    elevation: { control: { type: 'range', min: 0, max: 4 } },
+  },
+} satisfies Meta;
+
+export default meta;
+type Story = StoryObj<typeof meta>;
+
+export const Raised = {
+  args: { elevation: 3 },
+} satisfies Story;
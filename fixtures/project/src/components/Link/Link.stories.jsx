@@ -0,0 +1,8 @@
+export default {
+  title: 'Components/Link',
+};
+
+const Template = (args) => <a href={args.href}>{args.label}</a>;
+
+export const External = Template.bind({});
+External.args = { href: 'https://storybook.js.org', label: 'Storybook' };
@@ -0,0 +1,8 @@
+import { defineMeta } from './define-meta';
+
+export default defineMeta({
+  title: 'Forms/Text Input',
+  args: { value: '' },
+});
+
+export const Filled = { args: { value: 'Hello' } };
@@ -0,0 +1 @@
+export const defineMeta = (meta) => meta;
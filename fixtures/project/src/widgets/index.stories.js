@@ -0,0 +1,11 @@
+export default {
+  tags: ['autodocs', 'beta'],
+};
+
+export const with_icon2 = {
+  args: { icon: 'star' },
+};
+
+export const Stable$Item = {
+  tags: ['!beta'],
+};
@@ -0,0 +1,790 @@
+/**
+ * ==============================================
+ * GRAPHQL API
+ * ==============================================
+ * 
+ * Schema and resolvers for POST /api/graphql, so a client
+ * can fetch components with their stories, argTypes and
+ * docs in a single round trip.
+ * 
+ * Arguments mirror the REST endpoints: the same filter
+ * language as /api/stories (StoryFilter), the same
+ * limit/offset/sort/order rules and the same ranked search.
+ * Introspection is enabled, so typed clients can be
+ * generated straight from the endpoint.
+ * 
+ * Resolvers are plain objects with lazy fields (functions
+ * called by graphql-js with the field arguments), so only
+ * the parts a query selects are computed.
+ * 
+ * The schema has cycles (Story.component → Component.stories
+ * → Story.component ...), so queries are rejected before they
+ * run when they nest or select too much (QUERY_LIMITS).
+ * ==============================================
+ */
+
+import { buildSchema, parse, validate, specifiedRules, execute, GraphQLError } from 'graphql';
+import { parseStoryFilters, filterStories, buildFacets } from './story-filters.js';
+import { buildStoryTree, findTreeNode, flattenTreeNode } from './story-tree.js';
+import { querySearchIndex } from './search-index.js';
+import { resolveSnippetFramework, generateUsageSnippet, generateImportStatement } from './usage-snippets.js';
+
+const SCHEMA_SDL = `
+"""Any JSON value (args, parameters, props, raw argTypes)"""
+scalar JSON
+
+type Query {
+  """Stories with filters, facets and pagination (GET /api/stories)"""
+  stories(filter: StoryFilter, limit: Int, offset: Int, sort: SortField, order: SortOrder): StoryList!
+  """Story by ID"""
+  story(id: ID!): Story
+  """Components grouped from their stories (GET /api/components)"""
+  components(filter: StoryFilter, limit: Int, offset: Int, sort: SortField, order: SortOrder): ComponentList!
+  """Component by ID (GET /api/components/:id)"""
+  component(id: ID!): Component
+  """Ranked, typo-tolerant search of stories and docs (GET /api/search)"""
+  search(query: String!, limit: Int, offset: Int, sort: SortField, order: SortOrder): SearchResults!
+  """Sidebar hierarchy (GET /api/tree)"""
+  tree(showRoots: Boolean = true): [Group!]!
+  """Root, group or component by title path or node ID (GET /api/groups/:path)"""
+  group(path: String!): Group
+  """Tags with story counts, most used first"""
+  tags: [Tag!]!
+  """Tag by name"""
+  tag(name: String!): Tag
+}
+
+"""Same filter language as the REST query params"""
+input StoryFilter {
+  """Title contains (case-insensitive)"""
+  title: String
+  """Kind contains (case-insensitive)"""
+  kind: String
+  """Has this tag"""
+  tag: String
+  """Tag expression: , = AND, | = OR, ! = NOT (e.g. autodocs,!deprecated)"""
+  tags: String
+  """Stories having (or with !, lacking) an arg/argType, e.g. size,!onClick"""
+  hasArg: String
+  """Story file glob (* within a folder, ** across folders)"""
+  importPath: String
+  """Name of the package the story file belongs to"""
+  package: String
+  """Arg values, like arg.<name>=value"""
+  args: [ArgFilter!]
+}
+
+input ArgFilter {
+  name: String!
+  """Value expression, e.g. true or small|medium"""
+  value: String!
+}
+
+enum SortField {
+  title
+  name
+  id
+}
+
+enum SortOrder {
+  asc
+  desc
+}
+
+type Pagination {
+  offset: Int!
+  limit: Int
+  count: Int!
+  total: Int!
+  hasMore: Boolean!
+}
+
+type StoryList {
+  total: Int!
+  items: [Story!]!
+  facets: Facets!
+  pagination: Pagination!
+}
+
+type ComponentList {
+  total: Int!
+  items: [Component!]!
+  pagination: Pagination!
+}
+
+type SearchResults {
+  total: Int!
+  items: [SearchHit!]!
+  pagination: Pagination!
+}
+
+type Facets {
+  tags: [FacetCount!]!
+  titles: [FacetCount!]!
+  packages: [FacetCount!]!
+}
+
+type FacetCount {
+  value: String!
+  count: Int!
+}
+
+type Story {
+  id: ID!
+  name: String
+  title: String
+  kind: String
+  story: String
+  type: String!
+  importPath: String
+  tags: [String!]!
+  description: String!
+  source: String
+  args: JSON!
+  initialArgs: JSON!
+  parameters: JSON!
+  argTypes: [ArgType!]!
+  packageName: String
+  """Project the story comes from (multi-project APIs)"""
+  project: String
+  """Component the story belongs to"""
+  component: Component
+  """Usage snippet, defaults to the project's framework"""
+  usage(framework: String): Snippet!
+}
+
+type ArgType {
+  name: String!
+  description: String!
+  type: String
+  required: Boolean!
+  defaultValue: JSON
+  control: String
+  options: [JSON!]
+  category: String
+  """The argType as stored in stories.json"""
+  raw: JSON!
+}
+
+type Snippet {
+  framework: String!
+  language: String!
+  code: String!
+}
+
+type Component {
+  id: ID!
+  name: String!
+  title: String
+  kind: String
+  importPath: String
+  description: String!
+  tags: [String!]!
+  storyCount: Int!
+  stories(filter: StoryFilter): [Story!]!
+  """Args merged from all stories"""
+  args: JSON!
+  """ArgTypes merged from all stories"""
+  argTypes: [ArgType!]!
+  props: JSON!
+  sourcePath: String
+  packageName: String
+  """Project the component comes from (multi-project APIs)"""
+  project: String
+  """Import statement, defaults to the project's framework"""
+  import(framework: String): String
+  docs: Docs!
+}
+
+type Docs {
+  description: String!
+  mdx: String!
+  sourceCode: String!
+  headings: [Heading!]!
+  pages: [DocsPage!]!
+}
+
+type DocsPage {
+  id: ID!
+  name: String
+  title: String
+  importPath: String
+  tags: [String!]!
+  markdown: String!
+  headings: [Heading!]!
+  stories: [DocsStoryRef!]!
+}
+
+type Heading {
+  depth: Int!
+  text: String!
+  id: String!
+}
+
+"""Story embedded in a docs page (<Canvas of>, <Story of>)"""
+type DocsStoryRef {
+  block: String
+  id: ID!
+  story: Story
+}
+
+enum GroupType {
+  root
+  group
+  component
+}
+
+type Group {
+  id: ID!
+  name: String!
+  path: String!
+  type: GroupType!
+  counts: Counts!
+  """Nested groups and components"""
+  children: [Group!]!
+  """The component, for a component node"""
+  component: Component
+  components: [Component!]!
+  stories: [Story!]!
+  docs: [DocsPage!]!
+}
+
+type Counts {
+  components: Int
+  stories: Int!
+  docs: Int!
+}
+
+type Tag {
+  name: String!
+  storyCount: Int!
+  stories(limit: Int, offset: Int, sort: SortField, order: SortOrder): StoryList!
+  components: [Component!]!
+}
+
+type SearchHit {
+  id: ID!
+  name: String
+  title: String
+  type: String!
+  score: Float!
+  """Snippets of the matched fields, HTML-escaped with matches in <mark>"""
+  highlights: [Highlight!]!
+  story: Story
+  docsPage: DocsPage
+  component: Component
+}
+
+type Highlight {
+  field: String!
+  snippet: String!
+}
+`;
+
+const schema = buildSchema(SCHEMA_SDL);
+
+// Largest query accepted. Depth counts nested fields; fields counts every
+// selected field (aliases and fragment spreads included). Introspection
+// (__schema, __type) gets more depth: the query of GraphiQL and codegen tools nests 15 levels.
+const QUERY_LIMITS = {
+  maxDepth: 10,
+  maxIntrospectionDepth: 15,
+  maxFields: 500,
+};
+
+// Stories grouped by component ID and the story tree, per loaded metadata object
+const metadataIndexes = new WeakMap();
+
+/**
+ * Run a GraphQL request against the metadata.
+ * Throws an Error with `details` when the request itself is malformed;
+ * query errors are returned in `errors`, as GraphQL specifies.
+ * 
+ * @param {object} request - { query, variables, operationName } (the POST body)
+ * @param {object} context - { metadata, getPackage, getSearchIndex, paginate, maxSearchLength }
+ *   `paginate(items, args)` applies limit/offset/sort/order like the REST list endpoints
+ * @returns {Promise<object>} { data, errors }
+ */
+async function executeGraphQL(request, context) {
+  const { query, variables, operationName } = request || {};
+  
+  if (typeof query !== 'string' || query.trim() === '') {
+    throw Object.assign(new Error('Missing GraphQL query'), {
+      details: { example: '{ "query": "{ components { items { id name } } }" }' },
+    });
+  }
+  
+  if (variables != null && (typeof variables !== 'object' || Array.isArray(variables))) {
+    throw Object.assign(new Error('Invalid GraphQL variables'), {
+      details: { variables: 'Expected an object' },
+    });
+  }
+  
+  let document;
+  try {
+    document = parse(query);
+  } catch (err) {
+    return { errors: [formatError(err)] };
+  }
+  
+  // Too deep or too large queries never reach the resolvers
+  const validationErrors = validate(schema, document, [...specifiedRules, QueryLimitsRule]);
+  if (validationErrors.length > 0) {
+    return { errors: validationErrors.map(formatError) };
+  }
+  
+  const result = await execute({
+    schema,
+    document,
+    rootValue,
+    contextValue: context,
+    variableValues: variables || undefined,
+    operationName: operationName || undefined,
+  });
+  
+  if (!result.errors) return result;
+  
+  return {
+    ...result,
+    errors: result.errors.map(formatError),
+  };
+}
+
+/**
+ * Validation rule: reject operations past QUERY_LIMITS
+ * Fragments are measured once each, so repeated spreads can't make the check itself expensive
+ */
+function QueryLimitsRule(context) {
+  const fragmentSizes = new Map(); // fragment name -> { depth, fields } (null while being measured)
+  
+  const measureSelections = (selectionSet) => {
+    const size = { depth: 0, fields: 0 };
+    
+    selectionSet?.selections.forEach(selection => {
+      let inner;
+      if (selection.kind === 'Field') {
+        inner = measureSelections(selection.selectionSet);
+        inner = { depth: inner.depth + 1, fields: inner.fields + 1 };
+      } else if (selection.kind === 'InlineFragment') {
+        inner = measureSelections(selection.selectionSet);
+      } else {
+        inner = measureFragment(selection.name.value);
+      }
+      size.depth = Math.max(size.depth, inner.depth);
+      size.fields += inner.fields;
+    });
+    
+    return size;
+  };
+  
+  const measureFragment = (name) => {
+    // Unknown fragments and cycles are reported by the specified rules
+    if (fragmentSizes.has(name)) return fragmentSizes.get(name) || { depth: 0, fields: 0 };
+    
+    fragmentSizes.set(name, null);
+    const size = measureSelections(context.getFragment(name)?.selectionSet);
+    fragmentSizes.set(name, size);
+    return size;
+  };
+  
+  const limitError = (message, node, details) => new GraphQLError(message, {
+    nodes: [node],
+    extensions: { details },
+  });
+  
+  return {
+    OperationDefinition(node) {
+      let fields = 0;
+      
+      node.selectionSet.selections.forEach(selection => {
+        const size = measureSelections({ selections: [selection] });
+        const introspection = selection.kind === 'Field' && ['__schema', '__type'].includes(selection.name.value);
+        const maxDepth = introspection ? QUERY_LIMITS.maxIntrospectionDepth : QUERY_LIMITS.maxDepth;
+        fields += size.fields;
+        
+        if (size.depth > maxDepth) {
+          context.reportError(limitError(`Query is too deep: ${size.depth} levels, the limit is ${maxDepth}`,
+            selection, { depth: size.depth, maxDepth }));
+        }
+      });
+      
+      if (fields > QUERY_LIMITS.maxFields) {
+        context.reportError(limitError(`Query selects too many fields: ${fields}, the limit is ${QUERY_LIMITS.maxFields}`,
+          node, { fields, maxFields: QUERY_LIMITS.maxFields }));
+      }
+      
+      return false;
+    },
+  };
+}
+
+// ============= QUERIES =============
+
+const rootValue = {
+  stories: (args, context) => {
+    const stories = filterStoryList(Object.values(context.metadata.stories || {}), args.filter, context);
+    return storyList(stories, args, context);
+  },
+  
+  story: ({ id }, context) => {
+    const story = context.metadata.stories?.[id];
+    return story ? storyNode(story, context) : null;
+  },
+  
+  components: (args, context) => {
+    const stories = filterStoryList(Object.values(context.metadata.stories || {}), args.filter, context);
+    
+    // Listed with the stories that match, as in GET /api/components
+    const components = [...groupByComponent(stories).entries()]
+      .map(([id, componentStories]) => componentNode(id, componentStories, context));
+    const { items, pagination } = context.paginate(components, args);
+    
+    return { total: components.length, items, pagination };
+  },
+  
+  component: ({ id }, context) => getComponent(id, context),
+  
+  search: (args, context) => {
+    const searchQuery = args.query.trim();
+    if (!searchQuery || searchQuery.length > context.maxSearchLength) {
+      throw Object.assign(new Error('Missing or invalid search query'), {
+        details: { maxLength: context.maxSearchLength },
+      });
+    }
+    
+    const hits = querySearchIndex(context.getSearchIndex(context.metadata), searchQuery)
+      .map(hit => searchHitNode(hit, context));
+    const { items, pagination } = context.paginate(hits, args);
+    
+    return { total: hits.length, items, pagination };
+  },
+  
+  tree: ({ showRoots }, context) => {
+    const tree = showRoots === false
+      ? buildStoryTree(context.metadata, { showRoots: false })
+      : getIndex(context.metadata).tree;
+    return tree.map(node => groupNode(node, context));
+  },
+  
+  group: ({ path }, context) => {
+    const node = findTreeNode(getIndex(context.metadata).tree, path);
+    return node ? groupNode(node, context) : null;
+  },
+  
+  tags: (args, context) => {
+    const stories = Object.values(context.metadata.stories || {});
+    return buildFacets(stories).tags.map(({ value }) => tagNode(value, context));
+  },
+  
+  tag: ({ name }, context) => {
+    const tagged = Object.values(context.metadata.stories || {}).some(story => (story.tags || []).includes(name));
+    return tagged ? tagNode(name, context) : null;
+  },
+};
+
+// ============= TYPES =============
+
+/**
+ * Helper: StoryList for a set of stories
+ */
+function storyList(stories, args, context) {
+  const { items, pagination } = context.paginate(stories.map(story => storyNode(story, context)), args);
+  
+  return {
+    total: stories.length,
+    items,
+    pagination,
+    facets: () => buildFacets(stories, { getPackage: context.getPackage }),
+  };
+}
+
+/**
+ * Helper: Story type
+ */
+function storyNode(story, context) {
+  return {
+    id: story.id,
+    name: story.name,
+    title: story.title,
+    kind: story.kind,
+    story: story.story,
+    type: story.type || 'story',
+    importPath: story.importPath,
+    tags: story.tags || [],
+    description: story.docs?.description || '',
+    source: story.source || story.docs?.sourceCode || null,
+    args: story.args || {},
+    initialArgs: story.initialArgs || {},
+    parameters: story.parameters || {},
+    argTypes: () => argTypeList(story.argTypes),
+    packageName: () => context.getPackage(story),
+    project: story.project || null,
+    component: () => getComponent(getComponentId(story.title || story.kind), context),
+    usage: ({ framework }) => {
+      const component = context.metadata.components?.[story.title] || null;
+      return generateUsageSnippet(story, {
+        framework: resolveSnippetFramework(framework ?? undefined, context.metadata, component),
+        component,
+      });
+    },
+  };
+}
+
+/**
+ * Helper: ArgType list from a story's argTypes object
+ */
+function argTypeList(argTypes) {
+  return Object.entries(argTypes || {}).map(([name, argType]) => {
+    const { type, control, table } = argType || {};
+    
+    return {
+      name: argType?.name || name,
+      description: argType?.description || '',
+      type: typeof type === 'string' ? type : type?.name || table?.type?.summary || null,
+      required: Boolean(argType?.required ?? type?.required),
+      defaultValue: argType?.defaultValue ?? table?.defaultValue?.summary ?? null,
+      control: typeof control === 'string' ? control : control?.type || null,
+      options: Array.isArray(argType?.options) ? argType.options : null,
+      category: table?.category || null,
+      raw: argType || {},
+    };
+  });
+}
+
+/**
+ * Helper: Component type from the stories it is listed with
+ */
+function componentNode(id, stories, context) {
+  const [firstStory] = stories;
+  const componentInfo = context.metadata.components?.[firstStory.title] || null;
+  
+  return {
+    id,
+    name: firstStory.title || firstStory.kind,
+    title: firstStory.title,
+    kind: firstStory.kind,
+    importPath: firstStory.importPath,
+    description: componentInfo?.description || '',
+    tags: [...new Set(stories.flatMap(story => story.tags || []))],
+    storyCount: stories.length,
+    stories: ({ filter }) => filterStoryList(stories, filter, context).map(story => storyNode(story, context)),
+    args: () => Object.assign({}, ...stories.map(story => story.args)),
+    argTypes: () => argTypeList(Object.assign({}, ...stories.map(story => story.argTypes))),
+    props: componentInfo?.props || {},
+    sourcePath: componentInfo?.sourcePath || null,
+    packageName: () => componentInfo?.packageName || context.getPackage(firstStory),
+    project: firstStory.project || null,
+    import: ({ framework }) => generateImportStatement(firstStory, {
+      framework: resolveSnippetFramework(framework ?? undefined, context.metadata, componentInfo),
+      component: componentInfo,
+    }),
+    docs: () => docsNode(id, stories, context),
+  };
+}
+
+/**
+ * Helper: Docs type, assembled like GET /api/components/:id/docs
+ */
+function docsNode(componentId, stories, context) {
+  const pages = Object.values(context.metadata.docs || {})
+    .filter(page => getComponentId(page.title) === componentId);
+  const firstStory = stories[0] || {};
+  const componentInfo = context.metadata.components?.[firstStory.title] || null;
+  
+  return {
+    description: firstStory.docs?.description || componentInfo?.description || '',
+    mdx: pages.map(page => page.markdown).filter(Boolean).join('\n\n') || firstStory.docs?.mdx || '',
+    sourceCode: firstStory.docs?.sourceCode || firstStory.source || '',
+    headings: pages.flatMap(page => page.headings || []),
+    pages: pages.map(page => docsPageNode(page, context)),
+  };
+}
+
+/**
+ * Helper: DocsPage type
+ */
+function docsPageNode(page, context) {
+  return {
+    id: page.id,
+    name: page.name,
+    title: page.title,
+    importPath: page.importPath,
+    tags: page.tags || [],
+    markdown: page.markdown || '',
+    headings: page.headings || [],
+    stories: (page.stories || []).map(ref => ({
+      block: ref.block || null,
+      id: ref.id,
+      story: () => {
+        const story = context.metadata.stories?.[ref.id];
+        return story ? storyNode(story, context) : null;
+      },
+    })),
+  };
+}
+
+/**
+ * Helper: Group type for a root, group or component node of the story tree
+ */
+function groupNode(node, context) {
+  let flat = null;
+  const getFlat = () => {
+    flat = flat || flattenTreeNode(node);
+    return flat;
+  };
+  
+  return {
+    id: node.id,
+    name: node.name,
+    path: node.path,
+    type: node.type,
+    counts: node.counts,
+    children: () => node.children
+      .filter(child => child.children)
+      .map(child => groupNode(child, context)),
+    component: () => (node.type === 'component' ? getComponent(node.id, context) : null),
+    components: () => getFlat().components
+      .map(component => getComponent(component.id, context))
+      .filter(Boolean),
+    stories: () => getFlat().stories
+      .map(leaf => context.metadata.stories?.[leaf.id])
+      .filter(Boolean)
+      .map(story => storyNode(story, context)),
+    docs: () => getFlat().docs
+      .map(leaf => context.metadata.docs?.[leaf.id])
+      .filter(Boolean)
+      .map(page => docsPageNode(page, context)),
+  };
+}
+
+/**
+ * Helper: Tag type
+ */
+function tagNode(name, context) {
+  const stories = Object.values(context.metadata.stories || {})
+    .filter(story => (story.tags || []).includes(name));
+  
+  return {
+    name,
+    storyCount: stories.length,
+    stories: (args) => storyList(stories, args, context),
+    components: () => [...groupByComponent(stories).keys()]
+      .map(id => getComponent(id, context))
+      .filter(Boolean),
+  };
+}
+
+/**
+ * Helper: SearchHit type
+ */
+function searchHitNode(hit, context) {
+  const { document } = hit;
+  const isDocs = document.type === 'docs';
+  
+  return {
+    id: document.id,
+    name: document.name,
+    title: document.title || document.kind,
+    type: document.type || 'story',
+    score: hit.score,
+    highlights: () => hit.getHighlights(),
+    story: () => (isDocs ? null : storyNode(document, context)),
+    docsPage: () => (isDocs ? docsPageNode(document, context) : null),
+    component: () => getComponent(getComponentId(document.title || document.kind), context),
+  };
+}
+
+// ============= HELPERS =============
+
+/**
+ * Helper: Apply a StoryFilter input, the same way GET /api/stories applies its query params
+ */
+function filterStoryList(stories, filter, context) {
+  if (!filter) return stories;
+  
+  const { title, kind, tag } = filter;
+  let result = stories;
+  
+  if (title) {
+    result = result.filter(story => story.title?.toLowerCase().includes(title.toLowerCase()));
+  }
+  if (kind) {
+    result = result.filter(story => story.kind?.toLowerCase().includes(kind.toLowerCase()));
+  }
+  if (tag) {
+    result = result.filter(story => Array.isArray(story.tags) && story.tags.includes(tag));
+  }
+  
+  // Back to query params, so expressions are parsed and reported like in REST
+  const query = {};
+  ['tags', 'hasArg', 'importPath', 'package'].forEach(param => {
+    if (filter[param] != null) query[param] = filter[param];
+  });
+  (filter.args || []).forEach(({ name, value }) => {
+    query[`arg.${name}`] = value;
+  });
+  
+  return filterStories(result, parseStoryFilters(query), { getPackage: context.getPackage });
+}
+
+/**
+ * Helper: Component by ID, with all of its stories (null when it has none)
+ */
+function getComponent(id, context) {
+  const stories = getIndex(context.metadata).componentStories.get(id);
+  return stories ? componentNode(id, stories, context) : null;
+}
+
+/**
+ * Helper: Stories per component ID, in first-appearance order
+ */
+function groupByComponent(stories) {
+  const groups = new Map();
+  
+  stories.forEach(story => {
+    const id = getComponentId(story.title || story.kind);
+    if (!groups.has(id)) groups.set(id, []);
+    groups.get(id).push(story);
+  });
+  
+  return groups;
+}
+
+/**
+ * Helper: Lookups built once per loaded metadata object
+ */
+function getIndex(metadata) {
+  if (!metadataIndexes.has(metadata)) {
+    metadataIndexes.set(metadata, {
+      componentStories: groupByComponent(Object.values(metadata.stories || {})),
+      tree: buildStoryTree(metadata),
+    });
+  }
+  return metadataIndexes.get(metadata);
+}
+
+/**
+ * Helper: Component ID from a title ("Components/Button" → "components-button")
+ */
+function getComponentId(titleOrKind) {
+  return (titleOrKind || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+/**
+ * Helper: GraphQL error as JSON, with the `details` of our own errors in extensions
+ */
+function formatError(error) {
+  const formatted = error.toJSON();
+  const details = error.originalError?.details;
+  
+  return details
+    ? { ...formatted, extensions: { ...formatted.extensions, details } }
+    : formatted;
+}
+
+export {
+  executeGraphQL,
+};
@@ -0,0 +1,417 @@
+/**
+ * ==============================================
+ * MDX DOCS PAGE PARSER
+ * ==============================================
+ * 
+ * Reads Storybook MDX docs pages without compiling them.
+ * Used by extract-metadata.js to index docs entries.
+ * 
+ * For each page it returns:
+ *   - The `<Meta of={...} />` attachment (which CSF file it documents)
+ *   - The markdown body, with imports and doc blocks removed
+ *   - A headings outline (with GitHub-style anchors)
+ *   - Story references from `<Canvas of>` / `<Story of>` blocks
+ * ==============================================
+ */
+
+import fs from 'fs';
+import { resolveImportPath } from './component-props.js';
+
+// Storybook doc blocks. They render UI, not prose, so they are dropped from
+// the markdown body (their story references are still collected).
+const DOC_BLOCKS = new Set([
+  'Meta', 'Canvas', 'Story', 'Stories', 'Primary', 'ArgTypes', 'ArgsTable',
+  'Controls', 'Description', 'Title', 'Subtitle', 'DocsStory', 'Anchor',
+  'ColorPalette', 'ColorItem', 'IconGallery', 'IconItem', 'Typeset',
+]);
+
+/**
+ * Parse an MDX docs page
+ * @param {string} filePath - Absolute path of the .mdx file
+ * @returns {object} { of, title, name, isTemplate, markdown, headings, storyRefs }
+ *   `of` and each story ref point at a CSF file: { file, exportName }
+ */
+function parseMdxDocs(filePath) {
+  const source = fs.readFileSync(filePath, 'utf-8').replace(/\r\n/g, '\n');
+  const imports = collectMdxImports(source);
+  
+  const page = {
+    of: null,
+    title: null,
+    name: null,
+    isTemplate: false,
+    markdown: '',
+    headings: [],
+    storyRefs: [],
+  };
+  
+  const resolveRef = (expression) => resolveMdxReference(expression, imports, filePath);
+  page.markdown = renderMarkdown(source, page, resolveRef);
+  page.headings = extractHeadings(page.markdown);
+  
+  return page;
+}
+
+/**
+ * Helper: Collect ESM imports at the top level of an MDX file
+ * @returns {Map<string, { source, imported }>} local name -> import
+ */
+function collectMdxImports(source) {
+  const imports = new Map();
+  const importPattern = /^import\s+([\s\S]*?)\s+from\s+['"]([^'"]+)['"];?[ \t]*$/gm;
+  let match;
+  
+  while ((match = importPattern.exec(source)) !== null) {
+    const [, clause, importSource] = match;
+    
+    const namespace = clause.match(/\*\s+as\s+(\w+)/);
+    if (namespace) {
+      imports.set(namespace[1], { source: importSource, imported: '*' });
+    }
+    
+    const defaultImport = clause.match(/^\s*(\w+)\s*(,|$)/);
+    if (defaultImport) {
+      imports.set(defaultImport[1], { source: importSource, imported: 'default' });
+    }
+    
+    const named = clause.match(/\{([\s\S]*?)\}/);
+    if (named) {
+      named[1].split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+        const [imported, local] = part.split(/\s+as\s+/);
+        imports.set((local || imported).trim(), { source: importSource, imported: imported.trim() });
+      });
+    }
+  }
+  
+  return imports;
+}
+
+/**
+ * Helper: Resolve `ButtonStories` / `ButtonStories.Primary` / `Primary` (named import)
+ * to the CSF file and export they point at
+ */
+function resolveMdxReference(expression, imports, filePath) {
+  const [localName, member] = (expression || '').trim().split('.');
+  const binding = imports.get(localName);
+  if (!binding) return null;
+  
+  const file = resolveImportPath(filePath, binding.source);
+  if (!file) return null;
+  
+  if (binding.imported === '*' || binding.imported === 'default') {
+    return { file, exportName: member || null };
+  }
+  
+  return { file, exportName: binding.imported };
+}
+
+/**
+ * Helper: Turn the MDX source into plain markdown
+ * Imports/exports, comments and doc blocks are removed, code fences are
+ * kept as-is and the children of other JSX elements are rendered in place
+ */
+function renderMarkdown(source, page, resolveRef) {
+  const output = [];
+  let fence = null;
+  let index = 0;
+  
+  while (index < source.length) {
+    const lineEnd = source.indexOf('\n', index) === -1 ? source.length : source.indexOf('\n', index);
+    const line = source.slice(index, lineEnd);
+    const trimmed = line.trim();
+    
+    // Code fences are copied verbatim
+    const fenceMatch = trimmed.match(/^(`{3,}|~{3,})/);
+    if (fence) {
+      output.push(line);
+      if (fenceMatch && trimmed.startsWith(fence)) fence = null;
+      index = lineEnd + 1;
+      continue;
+    }
+    if (fenceMatch) {
+      fence = fenceMatch[1];
+      output.push(line);
+      index = lineEnd + 1;
+      continue;
+    }
+    
+    // ESM statements
+    if (/^(import|export)\s/.test(trimmed)) {
+      index = skipStatement(source, index);
+      continue;
+    }
+    
+    // JSX blocks (may span several lines)
+    if (/^<[A-Za-z]/.test(trimmed)) {
+      const start = index + line.indexOf('<');
+      const element = readJsxElement(source, start);
+      
+      if (element) {
+        // Inline elements can be followed by more text on the same line
+        const nextLine = source.indexOf('\n', element.end) === -1 ? source.length : source.indexOf('\n', element.end);
+        const rendered = renderJsxElement(element, page, resolveRef) + source.slice(element.end, nextLine);
+        if (rendered.trim()) output.push(rendered);
+        index = nextLine + 1;
+        continue;
+      }
+    }
+    
+    output.push(line.replace(/\{\/\*[\s\S]*?\*\/\}/g, ''));
+    index = lineEnd + 1;
+  }
+  
+  return output
+    .join('\n')
+    .replace(/\{\/\*[\s\S]*?\*\/\}/g, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Helper: End of an import/export statement (multi-line imports and export blocks)
+ */
+function skipStatement(source, start) {
+  let depth = 0;
+  
+  for (let i = start; i < source.length; i++) {
+    const char = source[i];
+    if (char === '{' || char === '(' || char === '[') depth++;
+    if (char === '}' || char === ')' || char === ']') depth--;
+    if (char === '\n' && depth <= 0) {
+      // `import {\n a,\n b\n} from '...'` keeps going until the closing line
+      const statement = source.slice(start, i);
+      if (/^\s*import\s/.test(statement) && !/from\s+['"][^'"]+['"]|^\s*import\s+['"]/.test(statement)) continue;
+      return i + 1;
+    }
+  }
+  
+  return source.length;
+}
+
+/**
+ * Helper: Read a JSX element starting at `start`
+ * @returns {object|null} { name, attributes, children, end } (children is null when self-closing)
+ */
+function readJsxElement(source, start) {
+  const nameMatch = source.slice(start).match(/^<([A-Za-z][\w.]*)/);
+  if (!nameMatch) return null;
+  
+  const name = nameMatch[1];
+  const openEnd = findTagEnd(source, start + nameMatch[0].length);
+  if (openEnd === -1) return null;
+  
+  const attributes = parseJsxAttributes(source.slice(start + nameMatch[0].length, openEnd));
+  
+  if (source[openEnd - 1] === '/') {
+    return { name, attributes, children: null, end: openEnd + 1 };
+  }
+  
+  // Walk to the matching closing tag, skipping nested elements with the same name
+  const openPattern = new RegExp(`<${escapeRegExp(name)}(?=[\\s/>])|</${escapeRegExp(name)}\\s*>`, 'g');
+  openPattern.lastIndex = openEnd + 1;
+  let match;
+  
+  while ((match = openPattern.exec(source)) !== null) {
+    if (match[0].startsWith('</')) {
+      return {
+        name,
+        attributes,
+        children: source.slice(openEnd + 1, match.index),
+        end: match.index + match[0].length,
+      };
+    }
+    
+    const nested = readJsxElement(source, match.index);
+    if (!nested) return null;
+    openPattern.lastIndex = nested.end;
+  }
+  
+  return null;
+}
+
+/**
+ * Helper: Index of the `>` closing an opening tag (ignores `>` inside {expressions} and strings)
+ */
+function findTagEnd(source, from) {
+  let depth = 0;
+  let quote = null;
+  
+  for (let i = from; i < source.length; i++) {
+    const char = source[i];
+    
+    if (quote) {
+      if (char === quote && source[i - 1] !== '\\') quote = null;
+    } else if (char === '"' || char === "'" || char === '`') {
+      quote = char;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+    } else if (char === '>' && depth === 0) {
+      return i;
+    }
+  }
+  
+  return -1;
+}
+
+/**
+ * Helper: Parse JSX attributes into raw values
+ * `of={Stories.Primary}` -> { of: { expression: 'Stories.Primary' } }, `title="Intro"` -> { title: 'Intro' },
+ * a bare `isTemplate` -> { isTemplate: true }
+ */
+function parseJsxAttributes(text) {
+  const attributes = {};
+  let i = 0;
+  
+  while (i < text.length) {
+    const nameMatch = text.slice(i).match(/^[\s/]*([A-Za-z_][\w-]*)/);
+    if (!nameMatch) break;
+    
+    const attrName = nameMatch[1];
+    i += nameMatch[0].length;
+    
+    const rest = text.slice(i);
+    const valueStart = rest.match(/^\s*=\s*/);
+    if (!valueStart) {
+      attributes[attrName] = true;
+      continue;
+    }
+    
+    i += valueStart[0].length;
+    const opener = text[i];
+    
+    if (opener === '"' || opener === "'") {
+      const close = text.indexOf(opener, i + 1);
+      attributes[attrName] = text.slice(i + 1, close);
+      i = close + 1;
+    } else if (opener === '{') {
+      let depth = 0;
+      let j = i;
+      for (; j < text.length; j++) {
+        if (text[j] === '{') depth++;
+        if (text[j] === '}' && --depth === 0) break;
+      }
+      attributes[attrName] = { expression: text.slice(i + 1, j).trim() };
+      i = j + 1;
+    } else {
+      break;
+    }
+  }
+  
+  return attributes;
+}
+
+/**
+ * Helper: Render (or drop) a JSX element, recording Meta and story references
+ */
+function renderJsxElement(element, page, resolveRef) {
+  const { name, attributes, children } = element;
+  const expressionOf = (value) => (value && typeof value === 'object' ? value.expression : null);
+  const stringOf = (value) => {
+    if (typeof value === 'string') return value;
+    // title={'Intro'} / title={`Intro`}
+    const literal = expressionOf(value)?.match(/^(['"`])([\s\S]*)\1$/);
+    return literal ? literal[2] : null;
+  };
+  
+  if (name === 'Meta') {
+    const of = expressionOf(attributes.of);
+    page.of = of ? resolveRef(of) : page.of;
+    page.title = stringOf(attributes.title) || page.title;
+    page.name = stringOf(attributes.name) || page.name;
+    page.isTemplate = attributes.isTemplate === true || expressionOf(attributes.isTemplate) === 'true';
+    return '';
+  }
+  
+  // <Canvas of={Stories.Primary} />, <Story of={...} />, legacy <Story id="..." />
+  if (name === 'Canvas' || name === 'Story' || name === 'Source' || name === 'DocsStory') {
+    const of = expressionOf(attributes.of);
+    const ref = of ? resolveRef(of) : null;
+    
+    if (ref?.exportName) {
+      page.storyRefs.push({ block: name, ...ref });
+    } else if (typeof attributes.id === 'string') {
+      page.storyRefs.push({ block: name, id: attributes.id });
+    }
+    
+    // <Source code={`...`} language="tsx" /> carries code worth keeping
+    const code = name === 'Source' ? stringOf(attributes.code) : null;
+    if (code) {
+      return `\`\`\`${stringOf(attributes.language) || ''}\n${code.trim()}\n\`\`\``;
+    }
+  }
+  
+  if (DOC_BLOCKS.has(name)) {
+    // <Canvas><Story id="..." /></Canvas> - collect nested references only
+    if (children) renderMarkdown(children, page, resolveRef);
+    return '';
+  }
+  
+  if (name === 'Markdown' && children) {
+    return dedent(children.trim().replace(/^\{`([\s\S]*)`\}$/, '$1'));
+  }
+  
+  // <Unstyled>, <div> and custom components: keep their markdown content
+  return children ? renderMarkdown(dedent(children), page, resolveRef) : '';
+}
+
+/**
+ * Helper: Headings outline from rendered markdown, with GitHub-style anchor IDs
+ * (the anchors Storybook's docs pages use)
+ */
+function extractHeadings(markdown) {
+  const headings = [];
+  const usedIds = new Map();
+  let fence = null;
+  
+  markdown.split('\n').forEach(line => {
+    const fenceMatch = line.trim().match(/^(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      if (!fence) fence = fenceMatch[1];
+      else if (line.trim().startsWith(fence)) fence = null;
+      return;
+    }
+    if (fence) return;
+    
+    const match = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (!match) return;
+    
+    const text = match[2].replace(/[*_`]|\[([^\]]*)\]\([^)]*\)/g, '$1').trim();
+    const baseId = text.toLowerCase().replace(/[^\p{L}\p{N}\s_-]/gu, '').replace(/\s/g, '-');
+    const count = usedIds.get(baseId) || 0;
+    usedIds.set(baseId, count + 1);
+    
+    headings.push({
+      depth: match[1].length,
+      text,
+      id: count === 0 ? baseId : `${baseId}-${count}`,
+    });
+  });
+  
+  return headings;
+}
+
+/**
+ * Helper: Remove common leading indentation (JSX children are usually indented)
+ */
+function dedent(text) {
+  const lines = text.split('\n');
+  const indents = lines
+    .filter(line => line.trim())
+    .map(line => line.match(/^[ \t]*/)[0].length);
+  const minIndent = indents.length > 0 ? Math.min(...indents) : 0;
+  
+  return lines.map(line => line.slice(minIndent)).join('\n');
+}
+
+/**
+ * Helper: Escape a string for use in a RegExp
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export {
+  parseMdxDocs,
+};
@@ -0,0 +1,342 @@
+/**
+ * ==============================================
+ * STORIES.JSON DIFF
+ * ==============================================
+ * 
+ * Compares two metadata files (e.g. the last release and
+ * the current build) and reports what changed in the
+ * component API:
+ *   - Components and stories added/removed
+ *   - argTypes removed, added, retyped or made required
+ *   - Options removed from select/radio controls
+ *   - Changed default values
+ * 
+ * Every change is classified as breaking or non-breaking.
+ * Used by `extract-metadata.js --diff` and GET /api/diff.
+ * ==============================================
+ */
+
+const SEVERITY = {
+  BREAKING: 'breaking',
+  NON_BREAKING: 'non-breaking',
+};
+
+/**
+ * Compare two stories.json objects
+ * @param {object} base - Metadata before the change (e.g. main branch)
+ * @param {object} head - Metadata after the change (e.g. pull request build)
+ * @returns {object} { base, head, summary, changes }
+ */
+function diffMetadata(base, head) {
+  const baseComponents = groupByComponent(base);
+  const headComponents = groupByComponent(head);
+  const changes = [];
+  
+  const titles = new Set([...baseComponents.keys(), ...headComponents.keys()]);
+  
+  [...titles].sort().forEach(title => {
+    const before = baseComponents.get(title);
+    const after = headComponents.get(title);
+    
+    if (!before) {
+      changes.push(makeChange('component-added', SEVERITY.NON_BREAKING, title, {
+        message: `Component added (${after.storyIds.length} ${pluralize('story', after.storyIds.length)})`,
+      }));
+      return;
+    }
+    
+    if (!after) {
+      changes.push(makeChange('component-removed', SEVERITY.BREAKING, title, {
+        message: 'Component removed',
+      }));
+      return;
+    }
+    
+    diffStories(title, before, after, changes);
+    diffArgTypes(title, before.argTypes, after.argTypes, changes);
+  });
+  
+  const count = (type) => changes.filter(change => change.type === type).length;
+  
+  return {
+    base: describeMetadata(base),
+    head: describeMetadata(head),
+    summary: {
+      breaking: changes.filter(change => change.severity === SEVERITY.BREAKING).length,
+      nonBreaking: changes.filter(change => change.severity === SEVERITY.NON_BREAKING).length,
+      componentsAdded: count('component-added'),
+      componentsRemoved: count('component-removed'),
+      storiesAdded: count('story-added'),
+      storiesRemoved: count('story-removed'),
+    },
+    changes,
+  };
+}
+
+/**
+ * Render a diff report as Markdown, e.g. for a pull request comment
+ * @param {object} report - Result of diffMetadata()
+ * @returns {string} Markdown text
+ */
+function formatDiffMarkdown(report) {
+  const { summary } = report;
+  const lines = [
+    '## 📚 Storybook API Changes',
+    '',
+    `**Base:** ${report.base.totalStories} stories${report.base.generatedAt ? ` (${report.base.generatedAt})` : ''} → ` +
+      `**Head:** ${report.head.totalStories} stories${report.head.generatedAt ? ` (${report.head.generatedAt})` : ''}`,
+    '',
+  ];
+  
+  if (report.changes.length === 0) {
+    lines.push('No component API changes. ✅');
+    return lines.join('\n');
+  }
+  
+  lines.push(
+    '| Breaking | Non-breaking | Components +/- | Stories +/- |',
+    '|----------|--------------|----------------|-------------|',
+    `| ${summary.breaking} | ${summary.nonBreaking} | +${summary.componentsAdded} / -${summary.componentsRemoved} | +${summary.storiesAdded} / -${summary.storiesRemoved} |`,
+    ''
+  );
+  
+  const sections = [
+    { title: '💥 Breaking changes', severity: SEVERITY.BREAKING },
+    { title: '✨ Non-breaking changes', severity: SEVERITY.NON_BREAKING },
+  ];
+  
+  sections.forEach(({ title, severity }) => {
+    const sectionChanges = report.changes.filter(change => change.severity === severity);
+    if (sectionChanges.length === 0) return;
+    
+    lines.push(`### ${title} (${sectionChanges.length})`, '');
+    sectionChanges.forEach(change => {
+      const subject = change.arg ? ` \`${change.arg}\`` : change.story ? ` \`${change.story}\`` : '';
+      lines.push(`- **${change.component}**${subject}: ${change.message}`);
+    });
+    lines.push('');
+  });
+  
+  return lines.join('\n').trimEnd();
+}
+
+// ============= COMPONENTS =============
+
+/**
+ * Helper: Group stories by component title, merging their argTypes
+ * (story-level argTypes can only add detail, the component API is their union)
+ */
+function groupByComponent(metadata) {
+  const components = new Map();
+  
+  Object.values(metadata?.stories || {}).forEach(story => {
+    if (story.type === 'docs') return;
+    
+    const title = story.title || story.kind || 'Unknown';
+    if (!components.has(title)) {
+      components.set(title, { storyIds: [], argTypes: {} });
+    }
+    
+    const component = components.get(title);
+    component.storyIds.push(story.id);
+    Object.entries(story.argTypes || {}).forEach(([name, argType]) => {
+      component.argTypes[name] = { ...component.argTypes[name], ...argType };
+    });
+  });
+  
+  return components;
+}
+
+/**
+ * Helper: Stories added to / removed from a component
+ * Removing a story breaks links, visual tests and anything else using its ID
+ */
+function diffStories(title, before, after, changes) {
+  const beforeIds = new Set(before.storyIds);
+  const afterIds = new Set(after.storyIds);
+  
+  after.storyIds
+    .filter(id => !beforeIds.has(id))
+    .forEach(id => changes.push(makeChange('story-added', SEVERITY.NON_BREAKING, title, {
+      story: id,
+      message: 'Story added',
+    })));
+  
+  before.storyIds
+    .filter(id => !afterIds.has(id))
+    .forEach(id => changes.push(makeChange('story-removed', SEVERITY.BREAKING, title, {
+      story: id,
+      message: 'Story removed',
+    })));
+}
+
+/**
+ * Helper: Compare the argTypes (component props) of a component
+ */
+function diffArgTypes(title, before, after, changes) {
+  const names = new Set([...Object.keys(before), ...Object.keys(after)]);
+  
+  [...names].sort().forEach(arg => {
+    const oldArg = before[arg];
+    const newArg = after[arg];
+    
+    if (!oldArg) {
+      // A new required prop breaks every existing usage
+      const required = isRequired(newArg);
+      changes.push(makeChange('arg-added', required ? SEVERITY.BREAKING : SEVERITY.NON_BREAKING, title, {
+        arg,
+        message: required ? 'Required prop added' : 'Prop added',
+        after: getTypeName(newArg),
+      }));
+      return;
+    }
+    
+    if (!newArg) {
+      changes.push(makeChange('arg-removed', SEVERITY.BREAKING, title, {
+        arg,
+        message: 'Prop removed',
+        before: getTypeName(oldArg),
+      }));
+      return;
+    }
+    
+    const oldType = getTypeName(oldArg);
+    const newType = getTypeName(newArg);
+    if (oldType && newType && oldType !== newType) {
+      changes.push(makeChange('arg-type-changed', SEVERITY.BREAKING, title, {
+        arg,
+        message: `Type changed from \`${oldType}\` to \`${newType}\``,
+        before: oldType,
+        after: newType,
+      }));
+    }
+    
+    if (!isRequired(oldArg) && isRequired(newArg)) {
+      changes.push(makeChange('arg-required', SEVERITY.BREAKING, title, {
+        arg,
+        message: 'Prop is now required',
+      }));
+    } else if (isRequired(oldArg) && !isRequired(newArg)) {
+      changes.push(makeChange('arg-optional', SEVERITY.NON_BREAKING, title, {
+        arg,
+        message: 'Prop is now optional',
+      }));
+    }
+    
+    const oldOptions = getOptions(oldArg);
+    const newOptions = getOptions(newArg);
+    if (oldOptions && newOptions) {
+      const removed = oldOptions.filter(option => !newOptions.includes(option));
+      const added = newOptions.filter(option => !oldOptions.includes(option));
+      
+      if (removed.length > 0) {
+        changes.push(makeChange('options-removed', SEVERITY.BREAKING, title, {
+          arg,
+          message: `Options removed: ${removed.map(formatValue).join(', ')}`,
+          before: removed,
+        }));
+      }
+      if (added.length > 0) {
+        changes.push(makeChange('options-added', SEVERITY.NON_BREAKING, title, {
+          arg,
+          message: `Options added: ${added.map(formatValue).join(', ')}`,
+          after: added,
+        }));
+      }
+    }
+    
+    const oldDefault = getDefaultValue(oldArg);
+    const newDefault = getDefaultValue(newArg);
+    if (JSON.stringify(oldDefault) !== JSON.stringify(newDefault)) {
+      changes.push(makeChange('default-changed', SEVERITY.NON_BREAKING, title, {
+        arg,
+        message: `Default changed from ${formatValue(oldDefault)} to ${formatValue(newDefault)}`,
+        before: oldDefault,
+        after: newDefault,
+      }));
+    }
+  });
+}
+
+// ============= ARGTYPE ACCESSORS =============
+// argTypes come in several shapes: hand-written (`type: 'string'`),
+// Storybook-inferred (`type: { name, required }`, `table.type.summary`)
+// and from component props (`type: 'string'`, `required: true`)
+
+/**
+ * Helper: Type of an argType as a comparable string
+ */
+function getTypeName(argType) {
+  const type = argType?.type;
+  if (typeof type === 'string') return type;
+  if (type?.name) return type.raw || type.name;
+  
+  const tableType = argType?.table?.type;
+  if (typeof tableType === 'string') return tableType;
+  return tableType?.summary || null;
+}
+
+/**
+ * Helper: Whether an argType is required
+ */
+function isRequired(argType) {
+  return argType?.required === true || argType?.type?.required === true;
+}
+
+/**
+ * Helper: Allowed options of a select/radio argType (null when unrestricted)
+ */
+function getOptions(argType) {
+  const options = argType?.options || argType?.control?.options;
+  return Array.isArray(options) ? options : null;
+}
+
+/**
+ * Helper: Default value of an argType
+ */
+function getDefaultValue(argType) {
+  if (argType?.defaultValue !== undefined) return argType.defaultValue;
+  
+  const tableDefault = argType?.table?.defaultValue;
+  return tableDefault?.summary !== undefined ? tableDefault.summary : tableDefault ?? null;
+}
+
+// ============= HELPERS =============
+
+/**
+ * Helper: Build a change entry
+ */
+function makeChange(type, severity, component, details) {
+  return { type, severity, component, ...details };
+}
+
+/**
+ * Helper: Short description of the metadata being compared
+ */
+function describeMetadata(metadata) {
+  return {
+    generatedAt: metadata?.generatedAt || null,
+    totalStories: Object.keys(metadata?.stories || {}).length,
+  };
+}
+
+/**
+ * Helper: Format a value for Markdown messages
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) return '`none`';
+  return `\`${typeof value === 'string' ? value : JSON.stringify(value)}\``;
+}
+
+/**
+ * Helper: Naive English plural for counts in messages
+ */
+function pluralize(word, count) {
+  if (count === 1) return word;
+  return word.endsWith('y') ? `${word.slice(0, -1)}ies` : `${word}s`;
+}
+
+export {
+  diffMetadata,
+  formatDiffMarkdown,
+};
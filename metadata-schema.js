@@ -0,0 +1,553 @@
+/**
+ * ==============================================
+ * STORIES.JSON SCHEMA
+ * ==============================================
+ * 
+ * The versioned format of stories.json:
+ *   - METADATA_SCHEMA: JSON Schema (draft-07), published
+ *     as stories.schema.json (`npm run build:schema`)
+ *   - normalizeMetadata(): one shape for every extraction
+ *     path (source files, index.json, browser)
+ *   - validateMetadata(): check metadata against the schema
+ *   - migrateMetadata(): upgrade files of older versions
+ * 
+ * Versions:
+ *   1.0.0 - Shape depended on the extraction path (`docs`
+ *           with only a description, `parameters.fileName`
+ *           only from the browser, `component` a name or
+ *           a docgen object)
+ *   2.0.0 - Every story has the same fields; `component`
+ *           is the name from the CSF meta, component APIs
+ *           live in `components`
+ * 
+ * Used by extract-metadata.js (saveMetadata, --diff) and
+ * the middleware (every metadata file it reads).
+ * ==============================================
+ */
+
+// Version written to stories.json; bump the major version for breaking changes
+const METADATA_VERSION = '2.0.0';
+
+const nullable = (type) => ({ type: [type, 'null'] });
+const stringArray = { type: 'array', items: { type: 'string' } };
+
+const METADATA_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'storybook-api stories.json',
+  description: `Storybook metadata extracted by storybook-api (format ${METADATA_VERSION})`,
+  type: 'object',
+  required: ['version', 'generatedAt', 'extractedFrom', 'totalStories', 'stories', 'components', 'docs'],
+  properties: {
+    version: {
+      type: 'string',
+      pattern: `^${METADATA_VERSION.split('.')[0]}\\.\\d+\\.\\d+$`,
+      description: 'Format version of this file',
+    },
+    migratedFrom: {
+      type: 'string',
+      description: 'Version of the file before it was upgraded on read',
+    },
+    generatedAt: { type: 'string', format: 'date-time' },
+    extractedFrom: {
+      type: 'string',
+      description: 'Extraction path: source-files, built-storybook, running-storybook-deep, storybook-index-basic',
+    },
+    storybookVersion: nullable('string'),
+    framework: {
+      type: ['object', 'null'],
+      required: ['name'],
+      properties: {
+        name: { type: 'string' },
+        renderer: nullable('string'),
+      },
+    },
+    totalStories: { type: 'integer', minimum: 0 },
+    stories: {
+      type: 'object',
+      description: 'Stories by story ID',
+      additionalProperties: { $ref: '#/definitions/story' },
+    },
+    components: {
+      type: 'object',
+      description: 'Component APIs by story title',
+      additionalProperties: { $ref: '#/definitions/component' },
+    },
+    docs: {
+      type: 'object',
+      description: 'Docs entries (MDX pages, autodocs) by docs ID',
+      additionalProperties: { $ref: '#/definitions/docsEntry' },
+    },
+    importOrder: {
+      ...stringArray,
+      description: 'Story and MDX files (importPath) in Storybook index order, which is the sidebar order',
+    },
+    refs: {
+      type: 'object',
+      description: 'Composed Storybooks (refs of .storybook/main)',
+      additionalProperties: {
+        type: 'object',
+        required: ['url'],
+        properties: {
+          title: { type: 'string' },
+          url: { type: 'string' },
+        },
+      },
+    },
+  },
+  definitions: {
+    story: {
+      type: 'object',
+      required: [
+        'id', 'title', 'name', 'kind', 'story', 'importPath', 'type', 'tags',
+        'args', 'initialArgs', 'argTypes', 'actions', 'parameters', 'decorators',
+        'docs', 'source', 'render', 'play', 'template', 'location', 'component',
+      ],
+      properties: {
+        id: { type: 'string' },
+        title: { type: 'string' },
+        name: { type: 'string' },
+        kind: { type: 'string', description: 'Same as title (Storybook 6 name)' },
+        story: { type: 'string', description: 'Same as name (Storybook 6 name)' },
+        importPath: { type: 'string' },
+        type: { enum: ['story'] },
+        tags: stringArray,
+        args: { type: 'object' },
+        initialArgs: { type: 'object' },
+        argTypes: { type: 'object' },
+        actions: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            required: ['name'],
+            properties: {
+              name: { type: 'string' },
+              description: { type: 'string' },
+            },
+          },
+        },
+        parameters: {
+          type: 'object',
+          required: ['fileName'],
+          properties: {
+            fileName: { type: 'string' },
+          },
+        },
+        decorators: stringArray,
+        docs: {
+          type: 'object',
+          required: ['description', 'sourceCode', 'mdx'],
+          properties: {
+            description: { type: 'string' },
+            sourceCode: { type: 'string' },
+            mdx: { type: 'string' },
+          },
+        },
+        source: { type: 'string' },
+        render: nullable('string'),
+        play: nullable('string'),
+        template: nullable('string'),
+        location: {
+          type: ['object', 'null'],
+          required: ['file', 'start', 'end'],
+          properties: {
+            file: { type: 'string' },
+            start: { $ref: '#/definitions/position' },
+            end: { $ref: '#/definitions/position' },
+          },
+        },
+        component: {
+          type: ['string', 'null'],
+          description: 'Component of the CSF meta (identifier or custom element name)',
+        },
+        project: { type: 'string' },
+      },
+    },
+    position: {
+      type: 'object',
+      required: ['line', 'column'],
+      properties: {
+        line: { type: 'integer', minimum: 1 },
+        column: { type: 'integer', minimum: 1 },
+      },
+    },
+    component: {
+      type: 'object',
+      required: ['name', 'description', 'props'],
+      properties: {
+        name: { type: 'string' },
+        description: { type: 'string' },
+        sourcePath: { type: 'string' },
+        exportName: { type: 'string' },
+        selector: { type: 'string' },
+        packageName: { type: 'string' },
+        packageImport: {
+          type: 'object',
+          required: ['source', 'exportName'],
+          properties: {
+            source: { type: 'string' },
+            exportName: { type: 'string' },
+          },
+        },
+        props: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            required: ['name', 'type', 'required', 'description'],
+            properties: {
+              name: { type: 'string' },
+              type: { type: 'string' },
+              required: { type: 'boolean' },
+              description: { type: 'string' },
+              options: { type: 'array' },
+              category: { type: 'string' },
+            },
+          },
+        },
+      },
+    },
+    docsEntry: {
+      type: 'object',
+      required: ['id', 'title', 'name', 'importPath', 'type', 'storiesImports', 'tags', 'markdown', 'headings', 'stories'],
+      properties: {
+        id: { type: 'string' },
+        title: { type: 'string' },
+        name: { type: 'string' },
+        importPath: { type: 'string' },
+        type: { enum: ['docs'] },
+        storiesImports: stringArray,
+        tags: stringArray,
+        markdown: { type: 'string' },
+        headings: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['depth', 'text', 'id'],
+            properties: {
+              depth: { type: 'integer', minimum: 1 },
+              text: { type: 'string' },
+              id: { type: 'string' },
+            },
+          },
+        },
+        stories: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id'],
+            properties: {
+              block: { type: 'string' },
+              id: { type: 'string' },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Upgrades from one major version to the next, applied in order
+ */
+const MIGRATIONS = [
+  {
+    from: 1,
+    // One shape for every extraction path
+    migrate: (metadata) => normalizeMetadata(metadata),
+  },
+];
+
+/**
+ * Give metadata the shape of the current format, whichever extraction
+ * path produced it. Missing fields get empty values; docgen objects in
+ * `story.component` move to `components` (the story keeps the name) and
+ * docs entries in `stories` move to `docs`.
+ * 
+ * @param {object} metadata - Metadata of any extraction path
+ * @returns {object} New metadata object of version METADATA_VERSION
+ */
+function normalizeMetadata(metadata) {
+  const components = {};
+  Object.entries(asObject(metadata.components)).forEach(([title, component]) => {
+    components[title] = normalizeComponent(component);
+  });
+  
+  const docs = {};
+  Object.entries(asObject(metadata.docs)).forEach(([id, entry]) => {
+    docs[id] = normalizeDocsEntry(entry, id);
+  });
+  
+  const stories = {};
+  Object.entries(asObject(metadata.stories)).forEach(([id, story]) => {
+    // Version 1 build extraction kept the docs entries of index.json in `stories`
+    if (story.type === 'docs') {
+      const { kind, story: storyName, args, initialArgs, argTypes, actions, docs: storyDocs, source, parameters, component, ...entry } = story;
+      docs[id] = docs[id] || normalizeDocsEntry(entry, id);
+      return;
+    }
+    
+    const normalized = normalizeStory(story, id);
+    stories[id] = normalized;
+    
+    // Browser extraction stored the docgen info on every story
+    if (isPlainObject(story.component) && normalized.title && !components[normalized.title]) {
+      components[normalized.title] = normalizeComponent(story.component);
+    }
+  });
+  
+  return {
+    ...metadata,
+    version: METADATA_VERSION,
+    generatedAt: typeof metadata.generatedAt === 'string' ? metadata.generatedAt : new Date(0).toISOString(),
+    extractedFrom: typeof metadata.extractedFrom === 'string' ? metadata.extractedFrom : 'unknown',
+    totalStories: Object.keys(stories).length,
+    stories,
+    components,
+    docs,
+  };
+}
+
+/**
+ * Upgrade metadata written by an older version of the extractor.
+ * Current (and newer, unknown) versions are returned unchanged.
+ * 
+ * @param {object} metadata - Parsed stories.json
+ * @returns {object} Metadata of version METADATA_VERSION, with `migratedFrom`
+ *   when it was upgraded
+ */
+function migrateMetadata(metadata) {
+  if (!isPlainObject(metadata) || compareMetadataVersion(metadata.version) >= 0) {
+    return metadata;
+  }
+  
+  const original = typeof metadata.version === 'string' ? metadata.version : '1.0.0';
+  const current = majorVersion(METADATA_VERSION);
+  
+  let migrated = metadata;
+  MIGRATIONS
+    .filter(migration => migration.from >= majorVersion(original) && migration.from < current)
+    .forEach(migration => {
+      migrated = migration.migrate(migrated);
+    });
+  
+  return { ...migrated, version: METADATA_VERSION, migratedFrom: original };
+}
+
+/**
+ * Compare a metadata version with the supported one (major versions only)
+ * 
+ * @param {string} [version] - `version` of a stories.json (missing: 1.0.0)
+ * @returns {number} -1 older (migrated on read), 0 supported, 1 newer
+ */
+function compareMetadataVersion(version) {
+  const difference = majorVersion(version) - majorVersion(METADATA_VERSION);
+  return Math.sign(difference);
+}
+
+/**
+ * Validate metadata against METADATA_SCHEMA.
+ * Supports the keywords the schema uses: type, required, properties,
+ * additionalProperties, items, enum, pattern, minimum and local $ref.
+ * 
+ * @param {object} metadata - Metadata to check
+ * @param {object} [options]
+ * @param {number} [options.maxErrors=20] - Stop after this many problems
+ * @returns {Array<{ path: string, message: string }>} Problems (empty when valid)
+ */
+function validateMetadata(metadata, options = {}) {
+  const maxErrors = options.maxErrors ?? 20;
+  const errors = [];
+  
+  const check = (value, schema, at) => {
+    if (errors.length >= maxErrors) return;
+    
+    if (schema.$ref) {
+      check(value, METADATA_SCHEMA.definitions[schema.$ref.split('/').pop()], at);
+      return;
+    }
+    
+    const fail = (message) => errors.push({ path: at || '(root)', message });
+    
+    if (schema.type) {
+      const types = [].concat(schema.type);
+      const type = typeOf(value);
+      if (!types.includes(type) && !(type === 'integer' && types.includes('number'))) {
+        fail(`expected ${types.join(' or ')}, got ${type}`);
+        return;
+      }
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      fail(`expected one of ${schema.enum.map(entry => JSON.stringify(entry)).join(', ')}`);
+      return;
+    }
+    if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+      fail(`"${value}" does not match ${schema.pattern}`);
+    }
+    if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+      fail(`expected at least ${schema.minimum}`);
+    }
+    
+    if (Array.isArray(value) && schema.items) {
+      value.forEach((item, index) => check(item, schema.items, `${at}[${index}]`));
+    }
+    
+    if (isPlainObject(value)) {
+      (schema.required || []).forEach(key => {
+        if (!(key in value)) fail(`missing "${key}"`);
+      });
+      
+      Object.entries(value).forEach(([key, child]) => {
+        const childAt = /^[A-Za-z_$][\w$]*$/.test(key)
+          ? `${at ? `${at}.` : ''}${key}`
+          : `${at}[${JSON.stringify(key)}]`;
+        
+        if (schema.properties?.[key]) {
+          check(child, schema.properties[key], childAt);
+        } else if (isPlainObject(schema.additionalProperties)) {
+          check(child, schema.additionalProperties, childAt);
+        }
+      });
+    }
+  };
+  
+  check(metadata, METADATA_SCHEMA, '');
+  return errors;
+}
+
+/**
+ * Helper: Story with every field of the current format
+ */
+function normalizeStory(story, id) {
+  const docs = asObject(story.docs);
+  const parameters = asObject(story.parameters);
+  const importPath = asString(story.importPath) || asString(parameters.fileName);
+  const title = asString(story.title) || asString(story.kind);
+  const name = asString(story.name) || asString(story.story);
+  const args = asObject(story.args);
+  
+  // Extractors wrote `{}` when the story store had no initialArgs
+  const initialArgs = asObject(story.initialArgs);
+  
+  return {
+    ...story,
+    id: asString(story.id) || id,
+    title,
+    name,
+    kind: asString(story.kind) || title,
+    story: asString(story.story) || name,
+    importPath,
+    type: 'story',
+    tags: asStringArray(story.tags),
+    args,
+    initialArgs: Object.keys(initialArgs).length > 0 ? initialArgs : args,
+    argTypes: asObject(story.argTypes),
+    actions: asObject(story.actions),
+    parameters: { ...parameters, fileName: asString(parameters.fileName) || importPath },
+    decorators: asStringArray(story.decorators),
+    docs: {
+      ...docs,
+      description: asString(docs.description),
+      sourceCode: asString(docs.sourceCode),
+      mdx: asString(docs.mdx),
+    },
+    source: asString(story.source),
+    render: asNullableString(story.render),
+    play: asNullableString(story.play),
+    template: asNullableString(story.template),
+    location: isPlainObject(story.location) ? story.location : null,
+    component: isPlainObject(story.component)
+      ? asString(story.component.displayName) || asString(story.component.name) || null
+      : asNullableString(story.component),
+  };
+}
+
+/**
+ * Helper: Docs entry with every field of the current format
+ */
+function normalizeDocsEntry(entry, id) {
+  return {
+    ...entry,
+    id: asString(entry.id) || id,
+    title: asString(entry.title),
+    name: asString(entry.name),
+    importPath: asString(entry.importPath),
+    type: 'docs',
+    storiesImports: asStringArray(entry.storiesImports),
+    tags: asStringArray(entry.tags),
+    markdown: asString(entry.markdown),
+    headings: Array.isArray(entry.headings) ? entry.headings : [],
+    stories: Array.isArray(entry.stories) ? entry.stories.filter(ref => typeof ref?.id === 'string') : [],
+  };
+}
+
+/**
+ * Component API with props rows, from an extracted component or a
+ * react-docgen object (`displayName`, props with `{ type: { name } }`)
+ * 
+ * @param {object} component - Component entry or docgen info
+ * @returns {object} `{ name, description, props, ... }`
+ */
+function normalizeComponent(component) {
+  const props = {};
+  Object.entries(asObject(component.props)).forEach(([propName, prop]) => {
+    const row = asObject(prop);
+    const type = typeof row.type === 'string' ? row.type : asString(row.type?.name) || 'unknown';
+    const defaultValue = isPlainObject(row.defaultValue) ? row.defaultValue.value : row.defaultValue;
+    
+    props[propName] = {
+      ...row,
+      name: asString(row.name) || propName,
+      type,
+      required: Boolean(row.required),
+      defaultValue: defaultValue ?? null,
+      description: asString(row.description),
+    };
+  });
+  
+  const { displayName, ...rest } = component;
+  return {
+    ...rest,
+    name: asString(component.name) || asString(displayName),
+    description: asString(component.description),
+    props,
+  };
+}
+
+/**
+ * Helper: Major version of a `x.y.z` string (missing or invalid: 1)
+ */
+function majorVersion(version) {
+  const major = parseInt(String(version ?? '').split('.')[0], 10);
+  return Number.isInteger(major) && major > 0 ? major : 1;
+}
+
+/**
+ * Helper: JSON Schema type name of a value
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Helper: Check for a plain object (not an array or null)
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+const asObject = (value) => isPlainObject(value) ? value : {};
+const asString = (value) => typeof value === 'string' ? value : '';
+const asNullableString = (value) => typeof value === 'string' ? value : null;
+const asStringArray = (value) => Array.isArray(value) ? value.filter(entry => typeof entry === 'string') : [];
+
+export {
+  METADATA_VERSION,
+  METADATA_SCHEMA,
+  normalizeMetadata,
+  normalizeComponent,
+  migrateMetadata,
+  compareMetadataVersion,
+  validateMetadata,
+};
@@ -1,246 +1,4925 @@
 /**
  * ==============================================
- * GENERIC STORYBOOK METADATA MIDDLEWARE (CommonJS)
+ * STORYBOOK REST API MIDDLEWARE (CommonJS)
  * ==============================================
  * 
- * Express middleware to serve stories.json during
- * Storybook development.
+ * GENERATED from middleware.js by `npm run build:cjs` - do not edit.
  * 
  * Add to .storybook/main.js (CommonJS projects):
  *   const middleware = require('./middleware.cjs');
- *   
+ * 
  *   module.exports = {
  *     // ... config ...
  *     previewMiddleware: middleware,
  *   };
- * 
  * ==============================================
  */
+var __create = Object.create;
+var __defProp = Object.defineProperty;
+var __getOwnPropDesc = Object.getOwnPropertyDescriptor;
+var __getOwnPropNames = Object.getOwnPropertyNames;
+var __getProtoOf = Object.getPrototypeOf;
+var __hasOwnProp = Object.prototype.hasOwnProperty;
+var __esm = (fn, res, err) => function __init() {
+  if (err) throw err[0];
+  try {
+    return fn && (res = (0, fn[__getOwnPropNames(fn)[0]])(fn = 0)), res;
+  } catch (e) {
+    throw err = [e], e;
+  }
+};
+var __export = (target, all) => {
+  for (var name in all)
+    __defProp(target, name, { get: all[name], enumerable: true });
+};
+var __copyProps = (to, from, except, desc) => {
+  if (from && typeof from === "object" || typeof from === "function") {
+    for (let key of __getOwnPropNames(from))
+      if (!__hasOwnProp.call(to, key) && key !== except)
+        __defProp(to, key, { get: () => from[key], enumerable: !(desc = __getOwnPropDesc(from, key)) || desc.enumerable });
+  }
+  return to;
+};
+var __toESM = (mod, isNodeMode, target) => (target = mod != null ? __create(__getProtoOf(mod)) : {}, __copyProps(
+  // If the importer is in node compatibility mode or this is not an ESM
+  // file that has been converted to a CommonJS file using a Babel-
+  // compatible transform (i.e. "__esModule" has not been set), then set
+  // "default" to the CommonJS "module.exports" for node compatibility.
+  isNodeMode || !mod || !mod.__esModule ? __defProp(target, "default", { value: mod, enumerable: true }) : target,
+  mod
+));
+var __toCommonJS = (mod) => __copyProps(__defProp({}, "__esModule", { value: true }), mod);
 
-const fs = require('fs');
-const path = require('path');
+// search-index.js
+function buildSearchIndex(metadata) {
+  const index = {
+    documents: [],
+    postings: /* @__PURE__ */ new Map()
+    // term → Map(document index → Map(field → count))
+  };
+  Object.values((metadata == null ? void 0 : metadata.stories) || {}).forEach((story) => {
+    var _a, _b;
+    if (story.type === "docs") return;
+    const component = (_a = metadata.components) == null ? void 0 : _a[story.title];
+    const argTypes = Object.entries(story.argTypes || {});
+    addDocument(index, story, {
+      title: story.title || story.kind,
+      name: story.name,
+      tags: (story.tags || []).join(" "),
+      args: argTypes.map(([name]) => name).join(" "),
+      id: story.id,
+      argDescriptions: argTypes.map(([, argType]) => argType == null ? void 0 : argType.description).filter(Boolean).join(" \xB7 "),
+      docs: [.../* @__PURE__ */ new Set([(_b = story.docs) == null ? void 0 : _b.description, component == null ? void 0 : component.description])].filter(Boolean).join(" \xB7 ")
+    });
+  });
+  Object.values((metadata == null ? void 0 : metadata.docs) || {}).forEach((page) => {
+    addDocument(index, page, {
+      title: page.title,
+      name: page.name,
+      tags: (page.tags || []).join(" "),
+      id: page.id,
+      docs: page.markdown || ""
+    });
+  });
+  index.terms = [...index.postings.keys()];
+  return index;
+}
+function querySearchIndex(index, query) {
+  const tokens = [...new Set(tokenizeQuery(query))];
+  if (tokens.length === 0) return [];
+  const total = index.documents.length;
+  const matchedTermsByDoc = /* @__PURE__ */ new Map();
+  let scores = null;
+  for (const token of tokens) {
+    const tokenScores = /* @__PURE__ */ new Map();
+    expandToken(index, token).forEach(({ term, quality }) => {
+      const postings = index.postings.get(term);
+      const idf = Math.log(1 + total / postings.size);
+      postings.forEach((fieldCounts, docIndex) => {
+        let fieldScore = 0;
+        fieldCounts.forEach((count, field) => {
+          fieldScore += FIELD_WEIGHTS[field] * (1 + Math.log(count));
+        });
+        const score = quality * idf * fieldScore;
+        if (score > (tokenScores.get(docIndex) || 0)) {
+          tokenScores.set(docIndex, score);
+        }
+        if (!matchedTermsByDoc.has(docIndex)) matchedTermsByDoc.set(docIndex, /* @__PURE__ */ new Set());
+        matchedTermsByDoc.get(docIndex).add(term);
+      });
+    });
+    if (scores === null) {
+      scores = tokenScores;
+    } else {
+      const combined = /* @__PURE__ */ new Map();
+      scores.forEach((score, docIndex) => {
+        if (tokenScores.has(docIndex)) combined.set(docIndex, score + tokenScores.get(docIndex));
+      });
+      scores = combined;
+    }
+    if (scores.size === 0) return [];
+  }
+  const phrase = tokens.join(" ");
+  const matchers = /* @__PURE__ */ new Map();
+  return [...scores.entries()].map(([docIndex, score]) => {
+    const document = index.documents[docIndex];
+    const terms = [...matchedTermsByDoc.get(docIndex)].sort((a, b) => b.length - a.length);
+    const matcherKey = terms.join("|");
+    if (!matchers.has(matcherKey)) {
+      matchers.set(matcherKey, new RegExp(terms.map(escapeRegExp).join("|"), "giu"));
+    }
+    const componentName = (document.fields.title || "").split("/").pop();
+    if ([document.fields.name, componentName].some((text) => normalize(text) === phrase)) {
+      score *= 1.5;
+    }
+    return {
+      document: document.source,
+      score: Math.round(score * 1e3) / 1e3,
+      getHighlights: () => buildHighlights(document, matchers.get(matcherKey))
+    };
+  }).sort((a, b) => b.score - a.score);
+}
+function addDocument(index, source, fields) {
+  const docIndex = index.documents.length;
+  Object.keys(fields).forEach((field) => {
+    fields[field] = String(fields[field] || "").replace(/\s+/g, " ").trim();
+  });
+  index.documents.push({ source, fields });
+  Object.entries(fields).forEach(([field, text]) => {
+    tokenizeText(text).forEach((term) => {
+      if (!index.postings.has(term)) index.postings.set(term, /* @__PURE__ */ new Map());
+      const docPostings = index.postings.get(term);
+      if (!docPostings.has(docIndex)) docPostings.set(docIndex, /* @__PURE__ */ new Map());
+      const fieldCounts = docPostings.get(docIndex);
+      fieldCounts.set(field, (fieldCounts.get(field) || 0) + 1);
+    });
+  });
+}
+function tokenizeText(text) {
+  const terms = [];
+  String(text || "").split(/[^\p{L}\p{N}]+/u).forEach((word) => {
+    if (!word) return;
+    terms.push(word.toLowerCase());
+    const parts = word.replace(new RegExp("([\\p{Ll}\\p{N}])(\\p{Lu})", "gu"), "$1 $2").split(" ");
+    if (parts.length > 1) {
+      parts.forEach((part) => terms.push(part.toLowerCase()));
+    }
+  });
+  return terms;
+}
+function tokenizeQuery(query) {
+  return String(query || "").toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+function normalize(text) {
+  return tokenizeQuery(text).join(" ");
+}
+function expandToken(index, token) {
+  const matches = [];
+  const maxEdits = token.length >= 8 ? 2 : 1;
+  index.terms.forEach((term) => {
+    if (term === token) {
+      matches.push({ term, quality: MATCH_QUALITY.exact });
+    } else if (token.length >= 2 && term.startsWith(token)) {
+      matches.push({ term, quality: MATCH_QUALITY.prefix });
+    } else if (token.length >= 4 && Math.abs(term.length - token.length) <= maxEdits && editDistance(token, term, maxEdits) <= maxEdits) {
+      matches.push({ term, quality: MATCH_QUALITY.fuzzy });
+    } else if (token.length >= 2 && term[0] === token[0] && token.length * 2 >= term.length && isSubsequence(token, term)) {
+      matches.push({ term, quality: MATCH_QUALITY.abbreviation });
+    }
+  });
+  return matches;
+}
+function editDistance(a, b, maxDistance) {
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, previousRow[j - 2] + 1);
+      }
+      nextRow.push(distance);
+      rowMin = Math.min(rowMin, distance);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+  return row[b.length];
+}
+function isSubsequence(short, long) {
+  let position = 0;
+  for (const char of long) {
+    if (char === short[position]) position++;
+    if (position === short.length) return true;
+  }
+  return false;
+}
+function buildHighlights(document, matcher) {
+  return Object.keys(FIELD_WEIGHTS).filter((field) => document.fields[field]).map((field) => ({ field, snippet: makeSnippet(document.fields[field], matcher) })).filter((highlight) => highlight.snippet).slice(0, MAX_HIGHLIGHTS);
+}
+function makeSnippet(flat, matcher) {
+  matcher.lastIndex = 0;
+  const first = matcher.exec(flat);
+  if (!first) return null;
+  const start = Math.max(0, first.index - SNIPPET_RADIUS);
+  const end = Math.min(flat.length, first.index + first[0].length + SNIPPET_RADIUS);
+  const excerpt = flat.slice(start, end);
+  let snippet = "";
+  let lastIndex = 0;
+  matcher.lastIndex = 0;
+  for (const match of excerpt.matchAll(matcher)) {
+    snippet += escapeHtml(excerpt.slice(lastIndex, match.index));
+    snippet += `<mark>${escapeHtml(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+  snippet += escapeHtml(excerpt.slice(lastIndex));
+  return `${start > 0 ? "\u2026" : ""}${snippet}${end < flat.length ? "\u2026" : ""}`;
+}
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+function escapeHtml(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+var FIELD_WEIGHTS, MATCH_QUALITY, SNIPPET_RADIUS, MAX_HIGHLIGHTS;
+var init_search_index = __esm({
+  "search-index.js"() {
+    FIELD_WEIGHTS = {
+      title: 4,
+      name: 4,
+      tags: 2.5,
+      args: 2,
+      id: 1,
+      argDescriptions: 1,
+      docs: 1
+    };
+    MATCH_QUALITY = {
+      exact: 1,
+      prefix: 0.75,
+      fuzzy: 0.55,
+      abbreviation: 0.45
+    };
+    SNIPPET_RADIUS = 40;
+    MAX_HIGHLIGHTS = 3;
+  }
+});
 
-// In CommonJS, __dirname is available directly
-// If running in a context where it's not available, use process.cwd() as fallback
-const __dirname = typeof __dirname !== 'undefined' 
-  ? __dirname 
-  : path.join(process.cwd(), '.storybook');
+// story-filters.js
+function parseStoryFilters(query) {
+  const filters = [];
+  Object.entries(query).forEach(([param, expression]) => {
+    const isArgParam = param.startsWith(ARG_PARAM_PREFIX);
+    if (!FILTER_PARAMS.includes(param) && !isArgParam) return;
+    const argName = isArgParam ? param.slice(ARG_PARAM_PREFIX.length) : null;
+    if (isArgParam && !argName) {
+      throw invalidFilter(param, expression, "Missing arg name, e.g. arg.disabled=true");
+    }
+    filters.push({
+      param,
+      argName,
+      clauses: parseExpression(param, expression)
+    });
+  });
+  return filters;
+}
+function filterStories(stories, filters, context = {}) {
+  if (filters.length === 0) return stories;
+  return stories.filter(
+    (story) => filters.every((filter) => {
+      const test = getValueTest(filter, story, context);
+      return filter.clauses.every(
+        (clause) => clause.values.some(test) !== clause.negate
+      );
+    })
+  );
+}
+function buildFacets(stories, context = {}) {
+  const tags = /* @__PURE__ */ new Map();
+  const titles = /* @__PURE__ */ new Map();
+  const packages = /* @__PURE__ */ new Map();
+  const increment = (counts, value) => counts.set(value, (counts.get(value) || 0) + 1);
+  stories.forEach((story) => {
+    var _a;
+    new Set(story.tags || []).forEach((tag) => increment(tags, tag));
+    const title = story.title || story.kind;
+    if (title) increment(titles, title.split("/")[0].trim());
+    const packageName = (_a = context.getPackage) == null ? void 0 : _a.call(context, story);
+    if (packageName) increment(packages, packageName);
+  });
+  return {
+    tags: sortCounts(tags),
+    titles: sortCounts(titles),
+    packages: sortCounts(packages)
+  };
+}
+function parseExpression(param, expression) {
+  if (typeof expression !== "string" || expression.trim() === "") {
+    throw invalidFilter(param, expression, "Empty expression");
+  }
+  return expression.split(",").map((term) => {
+    let clause = term.trim();
+    const negate = clause.startsWith("!");
+    if (negate) clause = clause.slice(1).trim();
+    const values = clause.split("|").map((value) => value.trim());
+    if (values.some((value) => value === "")) {
+      throw invalidFilter(param, expression, `Empty value in "${term}"`);
+    }
+    return { negate, values };
+  });
+}
+function invalidFilter(param, expression, reason) {
+  return Object.assign(new Error("Invalid filter"), {
+    details: {
+      filter: param,
+      expression,
+      reason,
+      syntax: "tags=autodocs,!deprecated  hasArg=size  arg.disabled=true  importPath=packages/forms/**"
+    }
+  });
+}
+function getValueTest(filter, story, context) {
+  var _a;
+  switch (filter.param) {
+    case "tags": {
+      const tags = story.tags || [];
+      return (value) => tags.includes(value);
+    }
+    case "hasArg":
+      return (value) => hasOwn(story.argTypes, value) || hasOwn(story.args, value);
+    case "importPath": {
+      const importPath = normalizePath(story.importPath);
+      return (value) => globToRegExp(normalizePath(value)).test(importPath);
+    }
+    case "package": {
+      const packageName = ((_a = context.getPackage) == null ? void 0 : _a.call(context, story)) || null;
+      return (value) => packageName === value;
+    }
+    default: {
+      if (!hasOwn(story.args, filter.argName)) return () => false;
+      const actual = story.args[filter.argName];
+      return (value) => valuesEqual(actual, parseValue(value));
+    }
+  }
+}
+function parseValue(value) {
+  if (value === "true") return true;
+  if (value === "false") return false;
+  if (value === "null") return null;
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value;
+}
+function valuesEqual(actual, expected) {
+  if (actual === expected) return true;
+  if (typeof expected === "number" && typeof actual === "string") return Number(actual) === expected;
+  return false;
+}
+function normalizePath(filePath) {
+  return String(filePath || "").replace(/\\/g, "/").replace(/^\.\//, "");
+}
+function globToRegExp(glob) {
+  if (globCache.has(glob)) return globCache.get(glob);
+  let pattern = "";
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*" && glob[i + 1] === "*") {
+      const slash = glob[i + 2] === "/";
+      pattern += slash ? "(?:.*/)?" : ".*";
+      i += slash ? 2 : 1;
+    } else if (char === "*") {
+      pattern += "[^/]*";
+    } else if (char === "?") {
+      pattern += "[^/]";
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  const regExp = new RegExp(`^${pattern}$`);
+  if (globCache.size >= GLOB_CACHE_SIZE) globCache.clear();
+  globCache.set(glob, regExp);
+  return regExp;
+}
+function hasOwn(object, key) {
+  return Boolean(object) && Object.prototype.hasOwnProperty.call(object, key);
+}
+function sortCounts(counts) {
+  return [...counts.entries()].map(([value, count]) => ({ value, count })).sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+}
+var FILTER_PARAMS, ARG_PARAM_PREFIX, globCache, GLOB_CACHE_SIZE;
+var init_story_filters = __esm({
+  "story-filters.js"() {
+    FILTER_PARAMS = ["tags", "hasArg", "importPath", "package"];
+    ARG_PARAM_PREFIX = "arg.";
+    globCache = /* @__PURE__ */ new Map();
+    GLOB_CACHE_SIZE = 100;
+  }
+});
 
-// Configuration from environment variables
-const CONFIG = {
-  corsOrigin: process.env.STORYBOOK_CORS_ORIGIN || '*',
-  cacheTTL: parseInt(process.env.STORYBOOK_CACHE_TTL || '5000', 10),
-};
+// story-tree.js
+function buildStoryTree(metadata, options = {}) {
+  const showRoots = options.showRoots !== false;
+  const topLevel = [];
+  const nodesById = /* @__PURE__ */ new Map();
+  orderIndexEntries(metadata).forEach((entry) => {
+    const title = entry.title || entry.kind;
+    if (!title) return;
+    const segments = title.split("/").map((segment) => segment.trim()).filter(Boolean);
+    let siblings = topLevel;
+    let node = null;
+    segments.forEach((segment, depth) => {
+      const path3 = segments.slice(0, depth + 1).join("/");
+      const id = sanitize(path3);
+      node = nodesById.get(id);
+      if (!node) {
+        node = {
+          type: getNodeType(depth, segments.length, showRoots),
+          id,
+          name: segment,
+          path: path3,
+          children: []
+        };
+        nodesById.set(id, node);
+        siblings.push(node);
+      }
+      siblings = node.children;
+    });
+    const leaf = {
+      type: entry.type === "docs" ? "docs" : "story",
+      id: entry.id,
+      name: entry.name,
+      title,
+      importPath: entry.importPath,
+      tags: entry.tags || []
+    };
+    if (leaf.type === "docs") {
+      const firstStory = node.children.findIndex((child) => child.type === "story");
+      node.children.splice(firstStory === -1 ? node.children.length : firstStory, 0, leaf);
+    } else {
+      node.children.push(leaf);
+    }
+  });
+  topLevel.forEach(countNode);
+  return topLevel;
+}
+function findTreeNode(tree, groupPath) {
+  const id = sanitize(groupPath);
+  for (const node of tree) {
+    if (!node.children) continue;
+    if (node.id === id) return node;
+    const found = findTreeNode(node.children, groupPath);
+    if (found) return found;
+  }
+  return null;
+}
+function flattenTreeNode(node) {
+  const result = { components: [], stories: [], docs: [] };
+  const visit = (current) => {
+    if (current.type === "story") {
+      result.stories.push(current);
+    } else if (current.type === "docs") {
+      result.docs.push(current);
+    } else {
+      if (current.type === "component") {
+        result.components.push({
+          id: current.id,
+          name: current.name,
+          path: current.path,
+          counts: current.counts
+        });
+      }
+      current.children.forEach(visit);
+    }
+  };
+  visit(node);
+  return result;
+}
+function formatTreeNode(node) {
+  if (!node.children) return node;
+  if (node.type === "component" && node.children.length === 1) {
+    const [child] = node.children;
+    const isHoistedStory = child.type === "story" && child.name === node.name;
+    const isDocsOnly = child.type === "docs";
+    if (isHoistedStory || isDocsOnly) {
+      return { ...child, name: node.name, componentId: node.id, path: node.path };
+    }
+  }
+  return { ...node, children: node.children.map(formatTreeNode) };
+}
+function orderIndexEntries(metadata) {
+  const stories = Object.values((metadata == null ? void 0 : metadata.stories) || {});
+  const docs = Object.values((metadata == null ? void 0 : metadata.docs) || {});
+  const ranks = /* @__PURE__ */ new Map();
+  const addFile = (file) => {
+    if (file && !ranks.has(file)) ranks.set(file, ranks.size);
+  };
+  (Array.isArray(metadata == null ? void 0 : metadata.importOrder) ? metadata.importOrder : []).forEach(addFile);
+  stories.forEach((story) => addFile(story.importPath));
+  const docsFiles = docs.map((entry) => {
+    var _a;
+    const attachedTo = (_a = entry.storiesImports) == null ? void 0 : _a[0];
+    return !ranks.has(entry.importPath) && ranks.has(attachedTo) ? attachedTo : entry.importPath;
+  });
+  docsFiles.forEach(addFile);
+  const rank = (file) => ranks.has(file) ? ranks.get(file) : ranks.size;
+  return [
+    ...docs.map((entry, i) => ({ entry, rank: rank(docsFiles[i]) })),
+    ...stories.map((entry) => ({ entry, rank: rank(entry.importPath) }))
+  ].sort((a, b) => a.rank - b.rank).map(({ entry }) => entry);
+}
+function getNodeType(depth, segmentCount, showRoots) {
+  if (depth === segmentCount - 1) return "component";
+  return depth === 0 && showRoots ? "root" : "group";
+}
+function countNode(node) {
+  if (node.type === "story") return { components: 0, stories: 1, docs: 0 };
+  if (node.type === "docs") return { components: 0, stories: 0, docs: 1 };
+  const counts = { components: node.type === "component" ? 1 : 0, stories: 0, docs: 0 };
+  node.children.forEach((child) => {
+    const childCounts = countNode(child);
+    counts.components += childCounts.components;
+    counts.stories += childCounts.stories;
+    counts.docs += childCounts.docs;
+  });
+  node.counts = node.type === "component" ? { stories: counts.stories, docs: counts.docs } : counts;
+  return counts;
+}
+function sanitize(text) {
+  return String(text || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+}
+var init_story_tree = __esm({
+  "story-tree.js"() {
+  }
+});
 
-// In-memory cache for metadata
-let metadataCache = {
-  data: null,
-  timestamp: 0,
-  filePath: null,
-};
+// usage-snippets.js
+function resolveSnippetFramework(requested, metadata, component = null) {
+  var _a, _b;
+  if (requested) {
+    const name = String(requested).toLowerCase();
+    const framework = FRAMEWORK_ALIASES[name] || name;
+    if (!SNIPPET_FRAMEWORKS.includes(framework)) {
+      throw Object.assign(new Error("Unsupported framework"), {
+        details: { framework: requested, supported: SNIPPET_FRAMEWORKS }
+      });
+    }
+    return framework;
+  }
+  if (/\.vue$/.test((component == null ? void 0 : component.sourcePath) || "")) return "vue";
+  if (/\.svelte$/.test((component == null ? void 0 : component.sourcePath) || "")) return "svelte";
+  const renderer = ((_a = component == null ? void 0 : component.framework) == null ? void 0 : _a.renderer) || ((_b = metadata == null ? void 0 : metadata.framework) == null ? void 0 : _b.renderer);
+  return SNIPPET_FRAMEWORKS.includes(renderer) ? renderer : "react";
+}
+function generateUsageSnippet(story, options = {}) {
+  const framework = options.framework || "react";
+  const component = options.component || null;
+  const name = getComponentName(story, component);
+  const render = RENDERERS[framework];
+  if (!render) {
+    throw new Error(`Unsupported framework: ${framework}`);
+  }
+  return {
+    framework,
+    language: SNIPPET_LANGUAGES[framework],
+    code: render({
+      name,
+      tag: getTagName(story, component, name, framework),
+      ...collectArgs(story)
+    })
+  };
+}
+function generateImportStatement(story, options = {}) {
+  const framework = options.framework || "react";
+  const component = options.component || null;
+  const packageImport = (component == null ? void 0 : component.packageImport) || null;
+  const modulePath = (packageImport == null ? void 0 : packageImport.source) || getModulePath(story, component, framework);
+  if (!modulePath) return null;
+  if (framework === "web-components") return `import '${modulePath}';`;
+  if (framework === "html") {
+    return packageImport ? `<script type="module">import '${modulePath}';</script>` : `<script type="module" src="${modulePath}"></script>`;
+  }
+  const name = getComponentName(story, component);
+  const exportName = (packageImport == null ? void 0 : packageImport.exportName) || (component == null ? void 0 : component.exportName);
+  const isDefault = exportName ? exportName === "default" : ["vue", "svelte"].includes(framework);
+  return isDefault ? `import ${name} from '${modulePath}';` : `import { ${name} } from '${modulePath}';`;
+}
+function renderReact({ name, props, events, content }) {
+  const attributes = [
+    ...props.map(({ name: prop, value }) => {
+      if (value === true) return prop;
+      if (typeof value === "string" && !/["\n]/.test(value)) return `${prop}="${value}"`;
+      return `${prop}={${formatLiteral(value)}}`;
+    }),
+    ...events.map((event) => `${event.prop}={${event.handler}}`)
+  ];
+  const children = content !== null && /[{}<>]/.test(content) ? `{${formatLiteral(content)}}` : content;
+  return renderElement(name, attributes, { content: children, selfClosing: true });
+}
+function renderVue({ name, props, events, content }) {
+  const eventNames = new Set(events.map((event) => event.event));
+  const modelProps = new Set(props.map((prop) => prop.name).filter((prop) => eventNames.has(`update:${prop}`)));
+  const attributes = [
+    ...props.map(({ name: prop, value, argType }) => {
+      if (modelProps.has(prop)) {
+        return prop === "modelValue" ? 'v-model="modelValue"' : `v-model:${prop}="${prop}"`;
+      }
+      const attribute = toKebabCase(prop);
+      if (typeof value === "string") return `${attribute}="${escapeAttribute(value)}"`;
+      if (value === true && isBooleanArg(argType)) return attribute;
+      return `:${attribute}="${escapeAttribute(formatLiteral(value))}"`;
+    }),
+    ...events.filter((event) => !(event.event.startsWith("update:") && modelProps.has(event.event.slice("update:".length)))).map((event) => `@${event.event.split(":").map(toKebabCase).join(":")}="${event.handler}"`)
+  ];
+  return renderElement(name, attributes, {
+    content: content !== null ? escapeHtml2(content) : null,
+    selfClosing: true
+  });
+}
+function renderAngular({ tag, props, events, content }) {
+  const outputNames = new Set(events.map((event) => event.prop));
+  const modelProps = new Set(props.map((prop) => prop.name).filter((prop) => outputNames.has(`${prop}Change`)));
+  const attributes = [
+    ...tag.attributes,
+    ...props.map(({ name: prop, value }) => {
+      if (modelProps.has(prop)) return `[(${prop})]="${prop}"`;
+      if (typeof value === "string") return `${prop}="${escapeAttribute(value)}"`;
+      return `[${prop}]="${escapeAttribute(formatLiteral(value))}"`;
+    }),
+    ...events.filter((event) => !(event.prop.endsWith("Change") && modelProps.has(event.prop.slice(0, -"Change".length)))).map((event) => {
+      const handler = /^on[A-Z]/.test(event.prop) ? event.prop : `on${toPascalCase(event.prop)}`;
+      return `(${event.prop})="${handler}($event)"`;
+    })
+  ];
+  return renderElement(tag.name, attributes, {
+    content: content !== null ? escapeHtml2(content) : null
+  });
+}
+function renderSvelte({ name, props, events, content }) {
+  const attributes = [
+    ...props.map(({ name: prop, value }) => {
+      if (value === true) return prop;
+      if (typeof value === "string" && !/["{}]/.test(value)) return `${prop}="${value}"`;
+      return `${prop}={${formatLiteral(value)}}`;
+    }),
+    ...events.map(
+      (event) => (
+        // createEventDispatcher events vs. callback props (Svelte 5 `onclick`, `onClick`)
+        event.dispatched ? `on:${event.event}={${event.handler}}` : `${event.prop}={${event.handler}}`
+      )
+    )
+  ];
+  return renderElement(name, attributes, {
+    content: content !== null ? escapeHtml2(content).replace(/[{}]/g, (char) => `{'${char}'}`) : null,
+    selfClosing: true
+  });
+}
+function renderLit({ tag, props, events, content }) {
+  const attributes = [
+    ...tag.attributes,
+    ...props.map(({ name: prop, value }) => {
+      if (typeof value === "string") return `${prop.toLowerCase()}="${escapeTemplate(escapeAttribute(value))}"`;
+      if (typeof value === "boolean") return `?${prop.toLowerCase()}=\${${value}}`;
+      return `.${prop}=\${${escapeTemplate(formatLiteral(value))}}`;
+    }),
+    ...events.map((event) => `@${event.event}=\${${event.handler}}`)
+  ];
+  const element = renderElement(tag.name, attributes, {
+    content: content !== null ? escapeTemplate(escapeHtml2(content)) : null
+  });
+  return element.includes("\n") ? `html\`
+${indent(element)}
+\`` : `html\`${element}\``;
+}
+function renderHtml({ tag, props, events, content }) {
+  const attributes = [...tag.attributes];
+  const scriptLines = [];
+  const variable = toCamelCase(tag.name);
+  props.forEach(({ name: prop, value }) => {
+    if (value === false) return;
+    if (value === true) {
+      attributes.push(toKebabCase(prop));
+    } else if (typeof value === "string" || typeof value === "number") {
+      attributes.push(`${toKebabCase(prop)}="${escapeAttribute(String(value))}"`);
+    } else {
+      scriptLines.push(`${variable}.${prop} = ${formatLiteral(value)};`);
+    }
+  });
+  events.forEach((event) => {
+    scriptLines.push(`${variable}.addEventListener('${event.event}', (event) => console.log('${event.event}', event));`);
+  });
+  const element = renderElement(tag.name, attributes, {
+    content: content !== null ? escapeHtml2(content) : null
+  });
+  if (scriptLines.length === 0) return element;
+  return [
+    element,
+    "<script>",
+    `  const ${variable} = document.querySelector('${tag.name}');`,
+    ...scriptLines.map((line) => `  ${line}`),
+    "</script>"
+  ].join("\n");
+}
+function collectArgs(story) {
+  const args = story.args || {};
+  const argTypes = story.argTypes || {};
+  const props = [];
+  const events = /* @__PURE__ */ new Map();
+  let content = null;
+  Object.entries(args).forEach(([name, value]) => {
+    const argType = argTypes[name] || {};
+    if (value === FUNCTION_VALUE || isEventArgType(argType)) {
+      events.set(name, makeEvent(name, argType));
+    } else if (CONTENT_ARGS.includes(name) && typeof value === "string") {
+      content = value;
+    } else if (value !== void 0 && value !== null && value !== ELEMENT_VALUE) {
+      props.push({ name, value, argType });
+    }
+  });
+  Object.entries(argTypes).forEach(([name, argType]) => {
+    if (!events.has(name) && isEventArgType(argType)) {
+      events.set(name, makeEvent(name, argType));
+    }
+  });
+  return { props, events: [...events.values()], content };
+}
+function isEventArgType(argType) {
+  var _a;
+  return Boolean(argType == null ? void 0 : argType.action) || ["events", "outputs"].includes((_a = argType == null ? void 0 : argType.table) == null ? void 0 : _a.category);
+}
+function makeEvent(prop, argType) {
+  var _a;
+  const callbackMatch = /^on([A-Z].*)$/.exec(prop);
+  const event = callbackMatch ? callbackMatch[1].charAt(0).toLowerCase() + callbackMatch[1].slice(1) : prop;
+  return {
+    prop,
+    event,
+    handler: `handle${toPascalCase(event)}`,
+    dispatched: ((_a = argType == null ? void 0 : argType.table) == null ? void 0 : _a.category) === "events" && !callbackMatch
+  };
+}
+function isBooleanArg(argType) {
+  var _a;
+  const type = argType == null ? void 0 : argType.type;
+  const typeName = typeof type === "string" ? type : type == null ? void 0 : type.name;
+  const control = typeof (argType == null ? void 0 : argType.control) === "string" ? argType.control : (_a = argType == null ? void 0 : argType.control) == null ? void 0 : _a.type;
+  if (!typeName && !control) return true;
+  return typeName === "boolean" || control === "boolean";
+}
+function getComponentName(story, component) {
+  var _a;
+  const exportName = ((_a = component == null ? void 0 : component.packageImport) == null ? void 0 : _a.exportName) || (component == null ? void 0 : component.exportName);
+  if (exportName && exportName !== "default") return exportName;
+  if (component == null ? void 0 : component.name) return component.name;
+  const storyComponent = typeof story.component === "string" && !story.component.includes("-") ? story.component.split(".").pop() : null;
+  if (storyComponent) return storyComponent;
+  const titleName = (story.title || story.kind || "").split("/").pop();
+  return toPascalCase(titleName) || "Component";
+}
+function getTagName(story, component, name, framework) {
+  if (framework === "angular") {
+    const selector = parseSelector(component == null ? void 0 : component.selector);
+    return selector || { name: `app-${toKebabCase(name.replace(/Component$/, ""))}`, attributes: [] };
+  }
+  if (typeof story.component === "string" && story.component.includes("-")) {
+    return { name: story.component, attributes: [] };
+  }
+  const tagName = toKebabCase(name);
+  return { name: tagName.includes("-") ? tagName : `my-${tagName}`, attributes: [] };
+}
+function parseSelector(selector) {
+  const first = String(selector || "").split(",")[0].trim();
+  const match = /^([a-zA-Z][\w-]*)?((?:\[[^\]]+\])*)$/.exec(first);
+  if (!first || !match) return null;
+  const attributes = [...match[2].matchAll(/\[([^\]=]+)(?:=["']?([^"'\]]*)["']?)?\]/g)].map(([, attribute, value]) => value !== void 0 ? `${attribute}="${value}"` : attribute);
+  return { name: match[1] || "div", attributes };
+}
+function getModulePath(story, component, framework) {
+  let modulePath = component == null ? void 0 : component.sourcePath;
+  if (!modulePath) {
+    const importPath = String(story.importPath || "");
+    if (!/\.stories\.\w+$/.test(importPath)) return null;
+    const sfcExtension = { vue: ".vue", svelte: ".svelte" }[framework];
+    modulePath = importPath.replace(/\.stories(\.\w+)$/, (_, extension) => sfcExtension || extension);
+  }
+  modulePath = modulePath.replace(/\\/g, "/").replace(/^\.\//, "");
+  modulePath = framework === "html" ? modulePath.replace(/\.(tsx?|jsx|mjs|cjs)$/, ".js") : modulePath.replace(/\.(tsx?|jsx?|mjs|cjs)$/, "").replace(/\/index$/, "");
+  return `./${modulePath}`;
+}
+function renderElement(tag, attributes, { content = null, selfClosing = false } = {}) {
+  const inline = [tag, ...attributes].join(" ");
+  const multiline = inline.length + 2 > MAX_LINE_LENGTH;
+  const openTag = multiline ? `<${tag}
+${attributes.map((attribute) => indent(attribute)).join("\n")}
+` : `<${inline}`;
+  if (content === null && selfClosing) return `${openTag}${multiline ? "" : " "}/>`;
+  if (content === null) return `${openTag}></${tag}>`;
+  return multiline ? `${openTag}>
+${indent(content)}
+</${tag}>` : `${openTag}>${content}</${tag}>`;
+}
+function formatLiteral(value) {
+  if (value === FUNCTION_VALUE) return "() => {}";
+  if (value === ELEMENT_VALUE || value === void 0) return "null";
+  if (typeof value === "string") {
+    return `'${value.replace(/\\/g, "\\\\").replace(/'/g, "\\'").replace(/\n/g, "\\n")}'`;
+  }
+  if (Array.isArray(value)) return `[${value.map(formatLiteral).join(", ")}]`;
+  if (value !== null && typeof value === "object") {
+    const entries = Object.entries(value).map(([key, entry]) => {
+      const formattedKey = /^[A-Za-z_$][\w$]*$/.test(key) ? key : formatLiteral(key);
+      return `${formattedKey}: ${formatLiteral(entry)}`;
+    });
+    return entries.length > 0 ? `{ ${entries.join(", ")} }` : "{}";
+  }
+  return String(value);
+}
+function indent(text) {
+  return text.split("\n").map((line) => `  ${line}`).join("\n");
+}
+function escapeAttribute(text) {
+  return text.replace(/&/g, "&amp;").replace(/"/g, "&quot;");
+}
+function escapeHtml2(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+function escapeTemplate(text) {
+  return text.replace(/\\/g, "\\\\").replace(/`/g, "\\`").replace(/\$\{/g, "\\${");
+}
+function toKebabCase(text) {
+  return text.replace(/([a-z0-9])([A-Z])/g, "$1-$2").replace(/([A-Z])([A-Z][a-z])/g, "$1-$2").replace(/[\s_]+/g, "-").toLowerCase();
+}
+function toCamelCase(text) {
+  return text.replace(/[-_\s]+(\w)/g, (_, char) => char.toUpperCase());
+}
+function toPascalCase(text) {
+  return String(text || "").split(/[^A-Za-z0-9]+/).filter(Boolean).map(capitalize).join("");
+}
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+var SNIPPET_FRAMEWORKS, FRAMEWORK_ALIASES, SNIPPET_LANGUAGES, FUNCTION_VALUE, ELEMENT_VALUE, CONTENT_ARGS, MAX_LINE_LENGTH, RENDERERS;
+var init_usage_snippets = __esm({
+  "usage-snippets.js"() {
+    SNIPPET_FRAMEWORKS = ["react", "vue", "angular", "svelte", "web-components", "html"];
+    FRAMEWORK_ALIASES = {
+      jsx: "react",
+      preact: "react",
+      vue3: "vue",
+      lit: "web-components",
+      "lit-html": "web-components"
+    };
+    SNIPPET_LANGUAGES = {
+      react: "jsx",
+      vue: "vue",
+      angular: "html",
+      svelte: "svelte",
+      "web-components": "js",
+      html: "html"
+    };
+    FUNCTION_VALUE = "[Function]";
+    ELEMENT_VALUE = "[JSX Element]";
+    CONTENT_ARGS = ["children", "default"];
+    MAX_LINE_LENGTH = 80;
+    RENDERERS = {
+      react: renderReact,
+      vue: renderVue,
+      angular: renderAngular,
+      svelte: renderSvelte,
+      "web-components": renderLit,
+      html: renderHtml
+    };
+  }
+});
 
-/**
- * Validate file path to prevent directory traversal attacks
- */
-function validatePath(filepath, baseDir) {
+// graphql-api.js
+var graphql_api_exports = {};
+__export(graphql_api_exports, {
+  executeGraphQL: () => executeGraphQL
+});
+async function executeGraphQL(request, context) {
+  const { query, variables, operationName } = request || {};
+  if (typeof query !== "string" || query.trim() === "") {
+    throw Object.assign(new Error("Missing GraphQL query"), {
+      details: { example: '{ "query": "{ components { items { id name } } }" }' }
+    });
+  }
+  if (variables != null && (typeof variables !== "object" || Array.isArray(variables))) {
+    throw Object.assign(new Error("Invalid GraphQL variables"), {
+      details: { variables: "Expected an object" }
+    });
+  }
+  let document;
   try {
-    const resolved = path.resolve(filepath);
-    const base = path.resolve(baseDir);
-    return resolved.startsWith(base);
-  } catch {
-    return false;
+    document = (0, import_graphql.parse)(query);
+  } catch (err) {
+    return { errors: [formatError(err)] };
   }
+  const validationErrors = (0, import_graphql.validate)(schema, document, [...import_graphql.specifiedRules, QueryLimitsRule]);
+  if (validationErrors.length > 0) {
+    return { errors: validationErrors.map(formatError) };
+  }
+  const result = await (0, import_graphql.execute)({
+    schema,
+    document,
+    rootValue,
+    contextValue: context,
+    variableValues: variables || void 0,
+    operationName: operationName || void 0
+  });
+  if (!result.errors) return result;
+  return {
+    ...result,
+    errors: result.errors.map(formatError)
+  };
 }
+function QueryLimitsRule(context) {
+  const fragmentSizes = /* @__PURE__ */ new Map();
+  const measureSelections = (selectionSet) => {
+    const size = { depth: 0, fields: 0 };
+    selectionSet == null ? void 0 : selectionSet.selections.forEach((selection) => {
+      let inner;
+      if (selection.kind === "Field") {
+        inner = measureSelections(selection.selectionSet);
+        inner = { depth: inner.depth + 1, fields: inner.fields + 1 };
+      } else if (selection.kind === "InlineFragment") {
+        inner = measureSelections(selection.selectionSet);
+      } else {
+        inner = measureFragment(selection.name.value);
+      }
+      size.depth = Math.max(size.depth, inner.depth);
+      size.fields += inner.fields;
+    });
+    return size;
+  };
+  const measureFragment = (name) => {
+    var _a;
+    if (fragmentSizes.has(name)) return fragmentSizes.get(name) || { depth: 0, fields: 0 };
+    fragmentSizes.set(name, null);
+    const size = measureSelections((_a = context.getFragment(name)) == null ? void 0 : _a.selectionSet);
+    fragmentSizes.set(name, size);
+    return size;
+  };
+  const limitError = (message, node, details) => new import_graphql.GraphQLError(message, {
+    nodes: [node],
+    extensions: { details }
+  });
+  return {
+    OperationDefinition(node) {
+      let fields = 0;
+      node.selectionSet.selections.forEach((selection) => {
+        const size = measureSelections({ selections: [selection] });
+        const introspection = selection.kind === "Field" && ["__schema", "__type"].includes(selection.name.value);
+        const maxDepth = introspection ? QUERY_LIMITS.maxIntrospectionDepth : QUERY_LIMITS.maxDepth;
+        fields += size.fields;
+        if (size.depth > maxDepth) {
+          context.reportError(limitError(
+            `Query is too deep: ${size.depth} levels, the limit is ${maxDepth}`,
+            selection,
+            { depth: size.depth, maxDepth }
+          ));
+        }
+      });
+      if (fields > QUERY_LIMITS.maxFields) {
+        context.reportError(limitError(
+          `Query selects too many fields: ${fields}, the limit is ${QUERY_LIMITS.maxFields}`,
+          node,
+          { fields, maxFields: QUERY_LIMITS.maxFields }
+        ));
+      }
+      return false;
+    }
+  };
+}
+function storyList(stories, args, context) {
+  const { items, pagination } = context.paginate(stories.map((story) => storyNode(story, context)), args);
+  return {
+    total: stories.length,
+    items,
+    pagination,
+    facets: () => buildFacets(stories, { getPackage: context.getPackage })
+  };
+}
+function storyNode(story, context) {
+  var _a, _b;
+  return {
+    id: story.id,
+    name: story.name,
+    title: story.title,
+    kind: story.kind,
+    story: story.story,
+    type: story.type || "story",
+    importPath: story.importPath,
+    tags: story.tags || [],
+    description: ((_a = story.docs) == null ? void 0 : _a.description) || "",
+    source: story.source || ((_b = story.docs) == null ? void 0 : _b.sourceCode) || null,
+    args: story.args || {},
+    initialArgs: story.initialArgs || {},
+    parameters: story.parameters || {},
+    argTypes: () => argTypeList(story.argTypes),
+    packageName: () => context.getPackage(story),
+    project: story.project || null,
+    component: () => getComponent(getComponentId(story.title || story.kind), context),
+    usage: ({ framework }) => {
+      var _a2;
+      const component = ((_a2 = context.metadata.components) == null ? void 0 : _a2[story.title]) || null;
+      return generateUsageSnippet(story, {
+        framework: resolveSnippetFramework(framework ?? void 0, context.metadata, component),
+        component
+      });
+    }
+  };
+}
+function argTypeList(argTypes) {
+  return Object.entries(argTypes || {}).map(([name, argType]) => {
+    var _a, _b;
+    const { type, control, table } = argType || {};
+    return {
+      name: (argType == null ? void 0 : argType.name) || name,
+      description: (argType == null ? void 0 : argType.description) || "",
+      type: typeof type === "string" ? type : (type == null ? void 0 : type.name) || ((_a = table == null ? void 0 : table.type) == null ? void 0 : _a.summary) || null,
+      required: Boolean((argType == null ? void 0 : argType.required) ?? (type == null ? void 0 : type.required)),
+      defaultValue: (argType == null ? void 0 : argType.defaultValue) ?? ((_b = table == null ? void 0 : table.defaultValue) == null ? void 0 : _b.summary) ?? null,
+      control: typeof control === "string" ? control : (control == null ? void 0 : control.type) || null,
+      options: Array.isArray(argType == null ? void 0 : argType.options) ? argType.options : null,
+      category: (table == null ? void 0 : table.category) || null,
+      raw: argType || {}
+    };
+  });
+}
+function componentNode(id, stories, context) {
+  var _a;
+  const [firstStory] = stories;
+  const componentInfo = ((_a = context.metadata.components) == null ? void 0 : _a[firstStory.title]) || null;
+  return {
+    id,
+    name: firstStory.title || firstStory.kind,
+    title: firstStory.title,
+    kind: firstStory.kind,
+    importPath: firstStory.importPath,
+    description: (componentInfo == null ? void 0 : componentInfo.description) || "",
+    tags: [...new Set(stories.flatMap((story) => story.tags || []))],
+    storyCount: stories.length,
+    stories: ({ filter }) => filterStoryList(stories, filter, context).map((story) => storyNode(story, context)),
+    args: () => Object.assign({}, ...stories.map((story) => story.args)),
+    argTypes: () => argTypeList(Object.assign({}, ...stories.map((story) => story.argTypes))),
+    props: (componentInfo == null ? void 0 : componentInfo.props) || {},
+    sourcePath: (componentInfo == null ? void 0 : componentInfo.sourcePath) || null,
+    packageName: () => (componentInfo == null ? void 0 : componentInfo.packageName) || context.getPackage(firstStory),
+    project: firstStory.project || null,
+    import: ({ framework }) => generateImportStatement(firstStory, {
+      framework: resolveSnippetFramework(framework ?? void 0, context.metadata, componentInfo),
+      component: componentInfo
+    }),
+    docs: () => docsNode(id, stories, context)
+  };
+}
+function docsNode(componentId, stories, context) {
+  var _a, _b, _c, _d;
+  const pages = Object.values(context.metadata.docs || {}).filter((page) => getComponentId(page.title) === componentId);
+  const firstStory = stories[0] || {};
+  const componentInfo = ((_a = context.metadata.components) == null ? void 0 : _a[firstStory.title]) || null;
+  return {
+    description: ((_b = firstStory.docs) == null ? void 0 : _b.description) || (componentInfo == null ? void 0 : componentInfo.description) || "",
+    mdx: pages.map((page) => page.markdown).filter(Boolean).join("\n\n") || ((_c = firstStory.docs) == null ? void 0 : _c.mdx) || "",
+    sourceCode: ((_d = firstStory.docs) == null ? void 0 : _d.sourceCode) || firstStory.source || "",
+    headings: pages.flatMap((page) => page.headings || []),
+    pages: pages.map((page) => docsPageNode(page, context))
+  };
+}
+function docsPageNode(page, context) {
+  return {
+    id: page.id,
+    name: page.name,
+    title: page.title,
+    importPath: page.importPath,
+    tags: page.tags || [],
+    markdown: page.markdown || "",
+    headings: page.headings || [],
+    stories: (page.stories || []).map((ref) => ({
+      block: ref.block || null,
+      id: ref.id,
+      story: () => {
+        var _a;
+        const story = (_a = context.metadata.stories) == null ? void 0 : _a[ref.id];
+        return story ? storyNode(story, context) : null;
+      }
+    }))
+  };
+}
+function groupNode(node, context) {
+  let flat = null;
+  const getFlat = () => {
+    flat = flat || flattenTreeNode(node);
+    return flat;
+  };
+  return {
+    id: node.id,
+    name: node.name,
+    path: node.path,
+    type: node.type,
+    counts: node.counts,
+    children: () => node.children.filter((child) => child.children).map((child) => groupNode(child, context)),
+    component: () => node.type === "component" ? getComponent(node.id, context) : null,
+    components: () => getFlat().components.map((component) => getComponent(component.id, context)).filter(Boolean),
+    stories: () => getFlat().stories.map((leaf) => {
+      var _a;
+      return (_a = context.metadata.stories) == null ? void 0 : _a[leaf.id];
+    }).filter(Boolean).map((story) => storyNode(story, context)),
+    docs: () => getFlat().docs.map((leaf) => {
+      var _a;
+      return (_a = context.metadata.docs) == null ? void 0 : _a[leaf.id];
+    }).filter(Boolean).map((page) => docsPageNode(page, context))
+  };
+}
+function tagNode(name, context) {
+  const stories = Object.values(context.metadata.stories || {}).filter((story) => (story.tags || []).includes(name));
+  return {
+    name,
+    storyCount: stories.length,
+    stories: (args) => storyList(stories, args, context),
+    components: () => [...groupByComponent2(stories).keys()].map((id) => getComponent(id, context)).filter(Boolean)
+  };
+}
+function searchHitNode(hit, context) {
+  const { document } = hit;
+  const isDocs = document.type === "docs";
+  return {
+    id: document.id,
+    name: document.name,
+    title: document.title || document.kind,
+    type: document.type || "story",
+    score: hit.score,
+    highlights: () => hit.getHighlights(),
+    story: () => isDocs ? null : storyNode(document, context),
+    docsPage: () => isDocs ? docsPageNode(document, context) : null,
+    component: () => getComponent(getComponentId(document.title || document.kind), context)
+  };
+}
+function filterStoryList(stories, filter, context) {
+  if (!filter) return stories;
+  const { title, kind, tag } = filter;
+  let result = stories;
+  if (title) {
+    result = result.filter((story) => {
+      var _a;
+      return (_a = story.title) == null ? void 0 : _a.toLowerCase().includes(title.toLowerCase());
+    });
+  }
+  if (kind) {
+    result = result.filter((story) => {
+      var _a;
+      return (_a = story.kind) == null ? void 0 : _a.toLowerCase().includes(kind.toLowerCase());
+    });
+  }
+  if (tag) {
+    result = result.filter((story) => Array.isArray(story.tags) && story.tags.includes(tag));
+  }
+  const query = {};
+  ["tags", "hasArg", "importPath", "package"].forEach((param) => {
+    if (filter[param] != null) query[param] = filter[param];
+  });
+  (filter.args || []).forEach(({ name, value }) => {
+    query[`arg.${name}`] = value;
+  });
+  return filterStories(result, parseStoryFilters(query), { getPackage: context.getPackage });
+}
+function getComponent(id, context) {
+  const stories = getIndex(context.metadata).componentStories.get(id);
+  return stories ? componentNode(id, stories, context) : null;
+}
+function groupByComponent2(stories) {
+  const groups = /* @__PURE__ */ new Map();
+  stories.forEach((story) => {
+    const id = getComponentId(story.title || story.kind);
+    if (!groups.has(id)) groups.set(id, []);
+    groups.get(id).push(story);
+  });
+  return groups;
+}
+function getIndex(metadata) {
+  if (!metadataIndexes.has(metadata)) {
+    metadataIndexes.set(metadata, {
+      componentStories: groupByComponent2(Object.values(metadata.stories || {})),
+      tree: buildStoryTree(metadata)
+    });
+  }
+  return metadataIndexes.get(metadata);
+}
+function getComponentId(titleOrKind) {
+  return (titleOrKind || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+}
+function formatError(error) {
+  var _a;
+  const formatted = error.toJSON();
+  const details = (_a = error.originalError) == null ? void 0 : _a.details;
+  return details ? { ...formatted, extensions: { ...formatted.extensions, details } } : formatted;
+}
+var import_graphql, SCHEMA_SDL, schema, QUERY_LIMITS, metadataIndexes, rootValue;
+var init_graphql_api = __esm({
+  "graphql-api.js"() {
+    import_graphql = require("graphql");
+    init_story_filters();
+    init_story_tree();
+    init_search_index();
+    init_usage_snippets();
+    SCHEMA_SDL = `
+"""Any JSON value (args, parameters, props, raw argTypes)"""
+scalar JSON
 
-/**
- * Middleware to serve stories.json endpoint
- */
-function middleware(router) {
+type Query {
+  """Stories with filters, facets and pagination (GET /api/stories)"""
+  stories(filter: StoryFilter, limit: Int, offset: Int, sort: SortField, order: SortOrder): StoryList!
+  """Story by ID"""
+  story(id: ID!): Story
+  """Components grouped from their stories (GET /api/components)"""
+  components(filter: StoryFilter, limit: Int, offset: Int, sort: SortField, order: SortOrder): ComponentList!
+  """Component by ID (GET /api/components/:id)"""
+  component(id: ID!): Component
+  """Ranked, typo-tolerant search of stories and docs (GET /api/search)"""
+  search(query: String!, limit: Int, offset: Int, sort: SortField, order: SortOrder): SearchResults!
+  """Sidebar hierarchy (GET /api/tree)"""
+  tree(showRoots: Boolean = true): [Group!]!
+  """Root, group or component by title path or node ID (GET /api/groups/:path)"""
+  group(path: String!): Group
+  """Tags with story counts, most used first"""
+  tags: [Tag!]!
+  """Tag by name"""
+  tag(name: String!): Tag
+}
+
+"""Same filter language as the REST query params"""
+input StoryFilter {
+  """Title contains (case-insensitive)"""
+  title: String
+  """Kind contains (case-insensitive)"""
+  kind: String
+  """Has this tag"""
+  tag: String
+  """Tag expression: , = AND, | = OR, ! = NOT (e.g. autodocs,!deprecated)"""
+  tags: String
+  """Stories having (or with !, lacking) an arg/argType, e.g. size,!onClick"""
+  hasArg: String
+  """Story file glob (* within a folder, ** across folders)"""
+  importPath: String
+  """Name of the package the story file belongs to"""
+  package: String
+  """Arg values, like arg.<name>=value"""
+  args: [ArgFilter!]
+}
+
+input ArgFilter {
+  name: String!
+  """Value expression, e.g. true or small|medium"""
+  value: String!
+}
+
+enum SortField {
+  title
+  name
+  id
+}
+
+enum SortOrder {
+  asc
+  desc
+}
+
+type Pagination {
+  offset: Int!
+  limit: Int
+  count: Int!
+  total: Int!
+  hasMore: Boolean!
+}
+
+type StoryList {
+  total: Int!
+  items: [Story!]!
+  facets: Facets!
+  pagination: Pagination!
+}
+
+type ComponentList {
+  total: Int!
+  items: [Component!]!
+  pagination: Pagination!
+}
+
+type SearchResults {
+  total: Int!
+  items: [SearchHit!]!
+  pagination: Pagination!
+}
+
+type Facets {
+  tags: [FacetCount!]!
+  titles: [FacetCount!]!
+  packages: [FacetCount!]!
+}
+
+type FacetCount {
+  value: String!
+  count: Int!
+}
+
+type Story {
+  id: ID!
+  name: String
+  title: String
+  kind: String
+  story: String
+  type: String!
+  importPath: String
+  tags: [String!]!
+  description: String!
+  source: String
+  args: JSON!
+  initialArgs: JSON!
+  parameters: JSON!
+  argTypes: [ArgType!]!
+  packageName: String
+  """Project the story comes from (multi-project APIs)"""
+  project: String
+  """Component the story belongs to"""
+  component: Component
+  """Usage snippet, defaults to the project's framework"""
+  usage(framework: String): Snippet!
+}
+
+type ArgType {
+  name: String!
+  description: String!
+  type: String
+  required: Boolean!
+  defaultValue: JSON
+  control: String
+  options: [JSON!]
+  category: String
+  """The argType as stored in stories.json"""
+  raw: JSON!
+}
+
+type Snippet {
+  framework: String!
+  language: String!
+  code: String!
+}
+
+type Component {
+  id: ID!
+  name: String!
+  title: String
+  kind: String
+  importPath: String
+  description: String!
+  tags: [String!]!
+  storyCount: Int!
+  stories(filter: StoryFilter): [Story!]!
+  """Args merged from all stories"""
+  args: JSON!
+  """ArgTypes merged from all stories"""
+  argTypes: [ArgType!]!
+  props: JSON!
+  sourcePath: String
+  packageName: String
+  """Project the component comes from (multi-project APIs)"""
+  project: String
+  """Import statement, defaults to the project's framework"""
+  import(framework: String): String
+  docs: Docs!
+}
+
+type Docs {
+  description: String!
+  mdx: String!
+  sourceCode: String!
+  headings: [Heading!]!
+  pages: [DocsPage!]!
+}
+
+type DocsPage {
+  id: ID!
+  name: String
+  title: String
+  importPath: String
+  tags: [String!]!
+  markdown: String!
+  headings: [Heading!]!
+  stories: [DocsStoryRef!]!
+}
+
+type Heading {
+  depth: Int!
+  text: String!
+  id: String!
+}
+
+"""Story embedded in a docs page (<Canvas of>, <Story of>)"""
+type DocsStoryRef {
+  block: String
+  id: ID!
+  story: Story
+}
+
+enum GroupType {
+  root
+  group
+  component
+}
+
+type Group {
+  id: ID!
+  name: String!
+  path: String!
+  type: GroupType!
+  counts: Counts!
+  """Nested groups and components"""
+  children: [Group!]!
+  """The component, for a component node"""
+  component: Component
+  components: [Component!]!
+  stories: [Story!]!
+  docs: [DocsPage!]!
+}
+
+type Counts {
+  components: Int
+  stories: Int!
+  docs: Int!
+}
+
+type Tag {
+  name: String!
+  storyCount: Int!
+  stories(limit: Int, offset: Int, sort: SortField, order: SortOrder): StoryList!
+  components: [Component!]!
+}
+
+type SearchHit {
+  id: ID!
+  name: String
+  title: String
+  type: String!
+  score: Float!
+  """Snippets of the matched fields, HTML-escaped with matches in <mark>"""
+  highlights: [Highlight!]!
+  story: Story
+  docsPage: DocsPage
+  component: Component
+}
+
+type Highlight {
+  field: String!
+  snippet: String!
+}
+`;
+    schema = (0, import_graphql.buildSchema)(SCHEMA_SDL);
+    QUERY_LIMITS = {
+      maxDepth: 10,
+      maxIntrospectionDepth: 15,
+      maxFields: 500
+    };
+    metadataIndexes = /* @__PURE__ */ new WeakMap();
+    rootValue = {
+      stories: (args, context) => {
+        const stories = filterStoryList(Object.values(context.metadata.stories || {}), args.filter, context);
+        return storyList(stories, args, context);
+      },
+      story: ({ id }, context) => {
+        var _a;
+        const story = (_a = context.metadata.stories) == null ? void 0 : _a[id];
+        return story ? storyNode(story, context) : null;
+      },
+      components: (args, context) => {
+        const stories = filterStoryList(Object.values(context.metadata.stories || {}), args.filter, context);
+        const components = [...groupByComponent2(stories).entries()].map(([id, componentStories]) => componentNode(id, componentStories, context));
+        const { items, pagination } = context.paginate(components, args);
+        return { total: components.length, items, pagination };
+      },
+      component: ({ id }, context) => getComponent(id, context),
+      search: (args, context) => {
+        const searchQuery = args.query.trim();
+        if (!searchQuery || searchQuery.length > context.maxSearchLength) {
+          throw Object.assign(new Error("Missing or invalid search query"), {
+            details: { maxLength: context.maxSearchLength }
+          });
+        }
+        const hits = querySearchIndex(context.getSearchIndex(context.metadata), searchQuery).map((hit) => searchHitNode(hit, context));
+        const { items, pagination } = context.paginate(hits, args);
+        return { total: hits.length, items, pagination };
+      },
+      tree: ({ showRoots }, context) => {
+        const tree = showRoots === false ? buildStoryTree(context.metadata, { showRoots: false }) : getIndex(context.metadata).tree;
+        return tree.map((node) => groupNode(node, context));
+      },
+      group: ({ path: path3 }, context) => {
+        const node = findTreeNode(getIndex(context.metadata).tree, path3);
+        return node ? groupNode(node, context) : null;
+      },
+      tags: (args, context) => {
+        const stories = Object.values(context.metadata.stories || {});
+        return buildFacets(stories).tags.map(({ value }) => tagNode(value, context));
+      },
+      tag: ({ name }, context) => {
+        const tagged = Object.values(context.metadata.stories || {}).some((story) => (story.tags || []).includes(name));
+        return tagged ? tagNode(name, context) : null;
+      }
+    };
+  }
+});
+
+// middleware.js
+var middleware_exports = {};
+__export(middleware_exports, {
+  default: () => middleware,
+  middleware: () => middleware
+});
+module.exports = __toCommonJS(middleware_exports);
+var import_fs2 = __toESM(require("fs"), 1);
+var import_path2 = __toESM(require("path"), 1);
+var import_crypto = __toESM(require("crypto"), 1);
+var import_zlib = __toESM(require("zlib"), 1);
+var import_url = require("url");
+
+// metadata-diff.js
+var SEVERITY = {
+  BREAKING: "breaking",
+  NON_BREAKING: "non-breaking"
+};
+function diffMetadata(base, head) {
+  const baseComponents = groupByComponent(base);
+  const headComponents = groupByComponent(head);
+  const changes = [];
+  const titles = /* @__PURE__ */ new Set([...baseComponents.keys(), ...headComponents.keys()]);
+  [...titles].sort().forEach((title) => {
+    const before = baseComponents.get(title);
+    const after = headComponents.get(title);
+    if (!before) {
+      changes.push(makeChange("component-added", SEVERITY.NON_BREAKING, title, {
+        message: `Component added (${after.storyIds.length} ${pluralize("story", after.storyIds.length)})`
+      }));
+      return;
+    }
+    if (!after) {
+      changes.push(makeChange("component-removed", SEVERITY.BREAKING, title, {
+        message: "Component removed"
+      }));
+      return;
+    }
+    diffStories(title, before, after, changes);
+    diffArgTypes(title, before.argTypes, after.argTypes, changes);
+  });
+  const count = (type) => changes.filter((change) => change.type === type).length;
+  return {
+    base: describeMetadata(base),
+    head: describeMetadata(head),
+    summary: {
+      breaking: changes.filter((change) => change.severity === SEVERITY.BREAKING).length,
+      nonBreaking: changes.filter((change) => change.severity === SEVERITY.NON_BREAKING).length,
+      componentsAdded: count("component-added"),
+      componentsRemoved: count("component-removed"),
+      storiesAdded: count("story-added"),
+      storiesRemoved: count("story-removed")
+    },
+    changes
+  };
+}
+function formatDiffMarkdown(report) {
+  const { summary } = report;
+  const lines = [
+    "## \u{1F4DA} Storybook API Changes",
+    "",
+    `**Base:** ${report.base.totalStories} stories${report.base.generatedAt ? ` (${report.base.generatedAt})` : ""} \u2192 **Head:** ${report.head.totalStories} stories${report.head.generatedAt ? ` (${report.head.generatedAt})` : ""}`,
+    ""
+  ];
+  if (report.changes.length === 0) {
+    lines.push("No component API changes. \u2705");
+    return lines.join("\n");
+  }
+  lines.push(
+    "| Breaking | Non-breaking | Components +/- | Stories +/- |",
+    "|----------|--------------|----------------|-------------|",
+    `| ${summary.breaking} | ${summary.nonBreaking} | +${summary.componentsAdded} / -${summary.componentsRemoved} | +${summary.storiesAdded} / -${summary.storiesRemoved} |`,
+    ""
+  );
+  const sections = [
+    { title: "\u{1F4A5} Breaking changes", severity: SEVERITY.BREAKING },
+    { title: "\u2728 Non-breaking changes", severity: SEVERITY.NON_BREAKING }
+  ];
+  sections.forEach(({ title, severity }) => {
+    const sectionChanges = report.changes.filter((change) => change.severity === severity);
+    if (sectionChanges.length === 0) return;
+    lines.push(`### ${title} (${sectionChanges.length})`, "");
+    sectionChanges.forEach((change) => {
+      const subject = change.arg ? ` \`${change.arg}\`` : change.story ? ` \`${change.story}\`` : "";
+      lines.push(`- **${change.component}**${subject}: ${change.message}`);
+    });
+    lines.push("");
+  });
+  return lines.join("\n").trimEnd();
+}
+function groupByComponent(metadata) {
+  const components = /* @__PURE__ */ new Map();
+  Object.values((metadata == null ? void 0 : metadata.stories) || {}).forEach((story) => {
+    if (story.type === "docs") return;
+    const title = story.title || story.kind || "Unknown";
+    if (!components.has(title)) {
+      components.set(title, { storyIds: [], argTypes: {} });
+    }
+    const component = components.get(title);
+    component.storyIds.push(story.id);
+    Object.entries(story.argTypes || {}).forEach(([name, argType]) => {
+      component.argTypes[name] = { ...component.argTypes[name], ...argType };
+    });
+  });
+  return components;
+}
+function diffStories(title, before, after, changes) {
+  const beforeIds = new Set(before.storyIds);
+  const afterIds = new Set(after.storyIds);
+  after.storyIds.filter((id) => !beforeIds.has(id)).forEach((id) => changes.push(makeChange("story-added", SEVERITY.NON_BREAKING, title, {
+    story: id,
+    message: "Story added"
+  })));
+  before.storyIds.filter((id) => !afterIds.has(id)).forEach((id) => changes.push(makeChange("story-removed", SEVERITY.BREAKING, title, {
+    story: id,
+    message: "Story removed"
+  })));
+}
+function diffArgTypes(title, before, after, changes) {
+  const names = /* @__PURE__ */ new Set([...Object.keys(before), ...Object.keys(after)]);
+  [...names].sort().forEach((arg) => {
+    const oldArg = before[arg];
+    const newArg = after[arg];
+    if (!oldArg) {
+      const required = isRequired(newArg);
+      changes.push(makeChange("arg-added", required ? SEVERITY.BREAKING : SEVERITY.NON_BREAKING, title, {
+        arg,
+        message: required ? "Required prop added" : "Prop added",
+        after: getTypeName(newArg)
+      }));
+      return;
+    }
+    if (!newArg) {
+      changes.push(makeChange("arg-removed", SEVERITY.BREAKING, title, {
+        arg,
+        message: "Prop removed",
+        before: getTypeName(oldArg)
+      }));
+      return;
+    }
+    const oldType = getTypeName(oldArg);
+    const newType = getTypeName(newArg);
+    if (oldType && newType && oldType !== newType) {
+      changes.push(makeChange("arg-type-changed", SEVERITY.BREAKING, title, {
+        arg,
+        message: `Type changed from \`${oldType}\` to \`${newType}\``,
+        before: oldType,
+        after: newType
+      }));
+    }
+    if (!isRequired(oldArg) && isRequired(newArg)) {
+      changes.push(makeChange("arg-required", SEVERITY.BREAKING, title, {
+        arg,
+        message: "Prop is now required"
+      }));
+    } else if (isRequired(oldArg) && !isRequired(newArg)) {
+      changes.push(makeChange("arg-optional", SEVERITY.NON_BREAKING, title, {
+        arg,
+        message: "Prop is now optional"
+      }));
+    }
+    const oldOptions = getOptions(oldArg);
+    const newOptions = getOptions(newArg);
+    if (oldOptions && newOptions) {
+      const removed = oldOptions.filter((option) => !newOptions.includes(option));
+      const added = newOptions.filter((option) => !oldOptions.includes(option));
+      if (removed.length > 0) {
+        changes.push(makeChange("options-removed", SEVERITY.BREAKING, title, {
+          arg,
+          message: `Options removed: ${removed.map(formatValue).join(", ")}`,
+          before: removed
+        }));
+      }
+      if (added.length > 0) {
+        changes.push(makeChange("options-added", SEVERITY.NON_BREAKING, title, {
+          arg,
+          message: `Options added: ${added.map(formatValue).join(", ")}`,
+          after: added
+        }));
+      }
+    }
+    const oldDefault = getDefaultValue(oldArg);
+    const newDefault = getDefaultValue(newArg);
+    if (JSON.stringify(oldDefault) !== JSON.stringify(newDefault)) {
+      changes.push(makeChange("default-changed", SEVERITY.NON_BREAKING, title, {
+        arg,
+        message: `Default changed from ${formatValue(oldDefault)} to ${formatValue(newDefault)}`,
+        before: oldDefault,
+        after: newDefault
+      }));
+    }
+  });
+}
+function getTypeName(argType) {
+  var _a;
+  const type = argType == null ? void 0 : argType.type;
+  if (typeof type === "string") return type;
+  if (type == null ? void 0 : type.name) return type.raw || type.name;
+  const tableType = (_a = argType == null ? void 0 : argType.table) == null ? void 0 : _a.type;
+  if (typeof tableType === "string") return tableType;
+  return (tableType == null ? void 0 : tableType.summary) || null;
+}
+function isRequired(argType) {
+  var _a;
+  return (argType == null ? void 0 : argType.required) === true || ((_a = argType == null ? void 0 : argType.type) == null ? void 0 : _a.required) === true;
+}
+function getOptions(argType) {
+  var _a;
+  const options = (argType == null ? void 0 : argType.options) || ((_a = argType == null ? void 0 : argType.control) == null ? void 0 : _a.options);
+  return Array.isArray(options) ? options : null;
+}
+function getDefaultValue(argType) {
+  var _a;
+  if ((argType == null ? void 0 : argType.defaultValue) !== void 0) return argType.defaultValue;
+  const tableDefault = (_a = argType == null ? void 0 : argType.table) == null ? void 0 : _a.defaultValue;
+  return (tableDefault == null ? void 0 : tableDefault.summary) !== void 0 ? tableDefault.summary : tableDefault ?? null;
+}
+function makeChange(type, severity, component, details) {
+  return { type, severity, component, ...details };
+}
+function describeMetadata(metadata) {
+  return {
+    generatedAt: (metadata == null ? void 0 : metadata.generatedAt) || null,
+    totalStories: Object.keys((metadata == null ? void 0 : metadata.stories) || {}).length
+  };
+}
+function formatValue(value) {
+  if (value === null || value === void 0) return "`none`";
+  return `\`${typeof value === "string" ? value : JSON.stringify(value)}\``;
+}
+function pluralize(word, count) {
+  if (count === 1) return word;
+  return word.endsWith("y") ? `${word.slice(0, -1)}ies` : `${word}s`;
+}
+
+// middleware.js
+init_search_index();
+init_story_filters();
+init_story_tree();
+init_usage_snippets();
+
+// api-explorer.js
+var STYLES = `
+  :root { color-scheme: light dark; --bg: #fff; --fg: #1d2433; --muted: #5c677d; --line: #e2e6ee;
+    --panel: #f6f8fb; --accent: #ff4785; --ok: #1f8a4c; --err: #c62828; }
+  @media (prefers-color-scheme: dark) {
+    :root { --bg: #161a22; --fg: #e4e8f0; --muted: #98a2b3; --line: #2b3240; --panel: #1e2430; }
+  }
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 14px/1.5 system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; background: var(--bg); color: var(--fg); }
+  header { display: flex; align-items: baseline; gap: 12px; padding: 12px 20px; border-bottom: 1px solid var(--line); }
+  header h1 { margin: 0; font-size: 18px; }
+  header .version { color: var(--muted); }
+  .layout { display: grid; grid-template-columns: 300px 1fr; min-height: calc(100vh - 50px); }
+  nav { border-right: 1px solid var(--line); padding: 12px; overflow-y: auto; }
+  nav input { width: 100%; padding: 6px 8px; margin-bottom: 8px; border: 1px solid var(--line); border-radius: 4px; background: var(--bg); color: var(--fg); }
+  nav h2 { font-size: 12px; text-transform: uppercase; letter-spacing: .05em; color: var(--muted); margin: 14px 0 4px; }
+  nav a { display: block; padding: 4px 6px; border-radius: 4px; color: inherit; text-decoration: none; font-family: ui-monospace, monospace; font-size: 12px; word-break: break-all; }
+  nav a:hover, nav a.active { background: var(--panel); }
+  main { padding: 20px 28px; overflow-x: hidden; }
+  .method { display: inline-block; padding: 1px 6px; margin-right: 6px; border-radius: 3px; background: var(--accent); color: #fff; font: 600 11px ui-monospace, monospace; }
+  .path { font: 600 16px ui-monospace, monospace; word-break: break-all; }
+  .description { color: var(--muted); }
+  code { font-family: ui-monospace, monospace; font-size: 12px; background: var(--panel); padding: 1px 4px; border-radius: 3px; }
+  table { border-collapse: collapse; width: 100%; margin: 12px 0; }
+  th, td { text-align: left; vertical-align: top; padding: 6px 8px; border-bottom: 1px solid var(--line); }
+  th { font-size: 12px; color: var(--muted); font-weight: 600; }
+  td input, td select, textarea { width: 100%; padding: 5px 7px; border: 1px solid var(--line); border-radius: 4px; background: var(--bg); color: var(--fg); }
+  textarea { min-height: 140px; font: 12px/1.45 ui-monospace, monospace; }
+  .required { color: var(--err); }
+  .actions { display: flex; gap: 8px; margin: 12px 0; }
+  button { padding: 6px 14px; border: 0; border-radius: 4px; background: var(--accent); color: #fff; font-weight: 600; cursor: pointer; }
+  button:disabled { opacity: .5; cursor: default; }
+  button.secondary { background: var(--panel); color: var(--fg); border: 1px solid var(--line); }
+  .url { font: 12px ui-monospace, monospace; color: var(--muted); word-break: break-all; }
+  .status { margin: 16px 0 6px; font-weight: 600; }
+  .status.ok { color: var(--ok); }
+  .status.error { color: var(--err); }
+  pre { margin: 0; padding: 12px; max-height: 60vh; overflow: auto; background: var(--panel); border: 1px solid var(--line); border-radius: 4px; font: 12px/1.45 ui-monospace, monospace; white-space: pre-wrap; word-break: break-word; }
+  @media (max-width: 800px) { .layout { grid-template-columns: 1fr; } nav { border-right: 0; border-bottom: 1px solid var(--line); } }
+`;
+var SCRIPT = `
+(function () {
+  var specUrl = document.body.getAttribute('data-spec-url');
+  var state = { spec: null, operations: [], controller: null };
   
-  // GET /stories.json - Main endpoint
-  router.get('/stories.json', (req, res) => {
-    try {
-      const now = Date.now();
+  function el(tag, props, children) {
+    var node = document.createElement(tag);
+    Object.keys(props || {}).forEach(function (key) {
+      if (key === 'text') node.textContent = props[key];
+      else if (key === 'className') node.className = props[key];
+      else node.setAttribute(key, props[key]);
+    });
+    (children || []).forEach(function (child) {
+      node.appendChild(typeof child === 'string' ? document.createTextNode(child) : child);
+    });
+    return node;
+  }
+  
+  // Text with backtick code spans, the only markup used in descriptions
+  function inline(text) {
+    var fragment = document.createDocumentFragment();
+    String(text || '').split(String.fromCharCode(96)).forEach(function (part, index) {
+      fragment.appendChild(index % 2 ? el('code', { text: part }) : document.createTextNode(part));
+    });
+    return fragment;
+  }
+  
+  function listOperations(spec) {
+    var operations = [];
+    Object.keys(spec.paths || {}).forEach(function (path) {
+      Object.keys(spec.paths[path]).forEach(function (method) {
+        var operation = spec.paths[path][method];
+        operations.push({
+          id: operation.operationId || method + ' ' + path,
+          method: method.toUpperCase(),
+          path: path,
+          operation: operation
+        });
+      });
+    });
+    return operations;
+  }
+  
+  function renderNav(filter) {
+    var nav = document.getElementById('operations');
+    var needle = (filter || '').toLowerCase();
+    var tagNames = (state.spec.tags || []).map(function (tag) { return tag.name; });
+    state.operations.forEach(function (entry) {
+      var tag = (entry.operation.tags || ['Other'])[0];
+      if (tagNames.indexOf(tag) === -1) tagNames.push(tag);
+    });
+    
+    nav.textContent = '';
+    tagNames.forEach(function (tag) {
+      var entries = state.operations.filter(function (entry) {
+        var text = (entry.path + ' ' + (entry.operation.summary || '')).toLowerCase();
+        return (entry.operation.tags || ['Other'])[0] === tag && text.indexOf(needle) !== -1;
+      });
+      if (entries.length === 0) return;
       
-      // Check cache first
-      if (metadataCache.data && 
-          metadataCache.timestamp && 
-          (now - metadataCache.timestamp) < CONFIG.cacheTTL &&
-          metadataCache.filePath &&
-          fs.existsSync(metadataCache.filePath)) {
-        res.setHeader('Content-Type', 'application/json');
-        res.setHeader('Access-Control-Allow-Origin', CONFIG.corsOrigin);
-        res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-        res.setHeader('X-Content-Type-Options', 'nosniff');
-        res.end(JSON.stringify(metadataCache.data, null, 2));
+      nav.appendChild(el('h2', { text: tag }));
+      entries.forEach(function (entry) {
+        var link = el('a', { href: '#' + encodeURIComponent(entry.id), title: entry.operation.summary || '' }, [entry.path]);
+        link.setAttribute('data-id', entry.id);
+        nav.appendChild(link);
+      });
+    });
+    highlightNav();
+  }
+  
+  function highlightNav() {
+    var current = decodeURIComponent(location.hash.slice(1));
+    Array.prototype.forEach.call(document.querySelectorAll('nav a'), function (link) {
+      link.className = link.getAttribute('data-id') === current ? 'active' : '';
+    });
+  }
+  
+  function renderParameterInput(parameter) {
+    var schema = parameter.schema || {};
+    var input;
+    var options = schema.enum || (schema.type === 'boolean' ? ['true', 'false'] : null);
+    
+    if (options) {
+      input = el('select', {}, [el('option', { value: '', text: '' })].concat(options.map(function (option) {
+        return el('option', { value: String(option), text: String(option) });
+      })));
+    } else {
+      input = el('input', { type: schema.type === 'integer' ? 'number' : 'text' });
+      if (schema.default !== undefined) input.placeholder = String(schema.default);
+    }
+    input.name = parameter.name;
+    input.setAttribute('data-in', parameter.in);
+    return input;
+  }
+  
+  function renderOperation(entry) {
+    var main = document.getElementById('main');
+    var operation = entry.operation;
+    var parameters = operation.parameters || [];
+    main.textContent = '';
+    
+    main.appendChild(el('div', {}, [el('span', { className: 'method', text: entry.method }), el('span', { className: 'path', text: entry.path })]));
+    main.appendChild(el('h3', { text: operation.summary || '' }));
+    if (operation.description) main.appendChild(el('p', { className: 'description' }, [inline(operation.description)]));
+    
+    var form = el('form');
+    var rows = parameters.map(function (parameter) {
+      var name = el('td', {}, [el('code', { text: parameter.name })]);
+      if (parameter.required) name.appendChild(el('span', { className: 'required', text: ' *' }));
+      return el('tr', {}, [
+        name,
+        el('td', { text: parameter.in }),
+        el('td', {}, [renderParameterInput(parameter)]),
+        el('td', { className: 'description' }, [inline(parameter.description)])
+      ]);
+    });
+    
+    // Anything the spec can't list, e.g. arg.<name> filters
+    var extra = el('input', { type: 'text', placeholder: 'arg.disabled=true&arg.size=small' });
+    extra.name = '__extra';
+    rows.push(el('tr', {}, [el('td', {}, [el('code', { text: 'query' })]), el('td', { text: 'extra' }), el('td', {}, [extra]), el('td', { className: 'description', text: 'Additional query string' })]));
+    
+    form.appendChild(el('table', {}, [
+      el('thead', {}, [el('tr', {}, [el('th', { text: 'Parameter' }), el('th', { text: 'In' }), el('th', { text: 'Value' }), el('th', { text: 'Description' })])]),
+      el('tbody', {}, rows)
+    ]));
+    
+    // JSON body, prefilled from the schema's example
+    var bodySchema = operation.requestBody && operation.requestBody.content &&
+      operation.requestBody.content['application/json'] && operation.requestBody.content['application/json'].schema;
+    if (bodySchema) {
+      var example = {};
+      Object.keys(bodySchema.properties || {}).forEach(function (name) {
+        if (bodySchema.properties[name].example !== undefined) example[name] = bodySchema.properties[name].example;
+      });
+      var bodyInput = el('textarea', { 'aria-label': 'Request body', spellcheck: 'false' });
+      bodyInput.name = '__body';
+      bodyInput.value = JSON.stringify(example, null, 2);
+      form.appendChild(el('h4', { text: 'Request body (JSON)' }));
+      form.appendChild(bodyInput);
+    }
+    
+    var send = el('button', { type: 'submit', text: 'Send request' });
+    var stop = el('button', { type: 'button', className: 'secondary', text: 'Stop' });
+    stop.disabled = true;
+    form.appendChild(el('div', { className: 'actions' }, [send, stop]));
+    
+    var url = el('div', { className: 'url' });
+    var status = el('div', { className: 'status' });
+    var body = el('pre', { text: 'Send a request to see the response.' });
+    main.appendChild(form);
+    main.appendChild(url);
+    main.appendChild(status);
+    main.appendChild(body);
+    
+    form.addEventListener('submit', function (event) {
+      event.preventDefault();
+      sendRequest(entry, form, { url: url, status: status, body: body, send: send, stop: stop });
+    });
+    stop.addEventListener('click', function () {
+      if (state.controller) state.controller.abort();
+    });
+  }
+  
+  function buildUrl(entry, form) {
+    var path = entry.path;
+    var query = new URLSearchParams();
+    var missing = [];
+    
+    Array.prototype.forEach.call(form.querySelectorAll('[data-in]'), function (input) {
+      var value = input.value.trim();
+      var parameter = (entry.operation.parameters || []).filter(function (p) { return p.name === input.name; })[0];
+      if (!value) {
+        if (parameter && parameter.required) missing.push(input.name);
         return;
       }
-      
-      const possiblePaths = [
-        // Built storybook
-        path.join(__dirname, '../storybook-static/stories.json'),
-        // Temp file from extractor
-        path.join(__dirname, '../.storybook-metadata-temp.json'),
-        // Alternative location
-        path.join(__dirname, 'stories.json'),
-      ];
-      
-      // Find first existing file
-      let metadataPath = null;
-      for (const filepath of possiblePaths) {
-        // Validate path to prevent directory traversal
-        if (!validatePath(filepath, process.cwd())) {
-          continue;
+      if (input.getAttribute('data-in') === 'path') {
+        // Group paths keep their slashes: /api/groups/Forms/Inputs
+        var encoded = value.split('/').map(encodeURIComponent).join('/');
+        path = path.replace('{' + input.name + '}', encoded);
+      } else {
+        query.append(input.name, value);
+      }
+    });
+    
+    var extra = form.querySelector('[name="__extra"]').value.trim().replace(/^[?&]+/, '');
+    var search = query.toString();
+    if (extra) search = search ? search + '&' + extra : extra;
+    var bodyInput = form.querySelector('[name="__body"]');
+    return {
+      url: path + (search ? '?' + search : ''),
+      body: bodyInput ? bodyInput.value : null,
+      missing: missing
+    };
+  }
+  
+  function sendRequest(entry, form, view) {
+    var built = buildUrl(entry, form);
+    if (built.missing.length > 0) {
+      view.status.className = 'status error';
+      view.status.textContent = 'Missing required: ' + built.missing.join(', ');
+      return;
+    }
+    
+    if (state.controller) state.controller.abort();
+    var controller = new AbortController();
+    state.controller = controller;
+    var startedAt = performance.now();
+    
+    view.url.textContent = entry.method + ' ' + location.origin + built.url;
+    view.status.className = 'status';
+    view.status.textContent = 'Loading...';
+    view.body.textContent = '';
+    view.send.disabled = true;
+    view.stop.disabled = false;
+    
+    var finish = function () {
+      view.send.disabled = false;
+      view.stop.disabled = true;
+      if (state.controller === controller) state.controller = null;
+    };
+    
+    var init = { method: entry.method, signal: controller.signal };
+    if (built.body !== null) {
+      init.body = built.body;
+      init.headers = { 'Content-Type': 'application/json' };
+    }
+    
+    fetch(built.url, init)
+      .then(function (response) {
+        var type = response.headers.get('content-type') || '';
+        var elapsed = Math.round(performance.now() - startedAt);
+        view.status.className = 'status ' + (response.ok ? 'ok' : 'error');
+        view.status.textContent = response.status + ' ' + response.statusText + ' \xB7 ' + elapsed + ' ms \xB7 ' + type;
+        
+        // Event streams never end on their own: show chunks as they arrive until Stop
+        if (type.indexOf('text/event-stream') === 0 && response.body) {
+          var reader = response.body.getReader();
+          var decoder = new TextDecoder();
+          var read = function () {
+            return reader.read().then(function (chunk) {
+              if (chunk.done) return;
+              view.body.textContent += decoder.decode(chunk.value, { stream: true });
+              return read();
+            });
+          };
+          return read();
         }
         
-        if (fs.existsSync(filepath)) {
-          metadataPath = filepath;
-          break;
+        return response.text().then(function (text) {
+          if (type.indexOf('json') !== -1) {
+            try {
+              text = JSON.stringify(JSON.parse(text), null, 2);
+            } catch (err) {
+              // Not valid JSON after all, show it as is
+            }
+          }
+          view.body.textContent = text;
+        });
+      })
+      .catch(function (err) {
+        if (err.name === 'AbortError') {
+          view.status.textContent += ' \xB7 stopped';
+          return;
+        }
+        view.status.className = 'status error';
+        view.status.textContent = 'Request failed: ' + err.message;
+      })
+      .then(finish);
+  }
+  
+  function showCurrent() {
+    var id = decodeURIComponent(location.hash.slice(1));
+    var entry = state.operations.filter(function (operation) { return operation.id === id; })[0] || state.operations[0];
+    if (entry) renderOperation(entry);
+    highlightNav();
+  }
+  
+  fetch(specUrl)
+    .then(function (response) {
+      if (!response.ok) throw new Error(response.status + ' ' + response.statusText);
+      return response.json();
+    })
+    .then(function (spec) {
+      state.spec = spec;
+      state.operations = listOperations(spec);
+      document.getElementById('title').textContent = (spec.info && spec.info.title) || 'API';
+      document.getElementById('version').textContent = spec.info && spec.info.version ? 'v' + spec.info.version : '';
+      document.getElementById('filter').addEventListener('input', function (event) { renderNav(event.target.value); });
+      window.addEventListener('hashchange', showCurrent);
+      renderNav('');
+      showCurrent();
+    })
+    .catch(function (err) {
+      document.getElementById('main').textContent = 'Could not load ' + specUrl + ': ' + err.message;
+    });
+})();
+`;
+function renderApiExplorer(options = {}) {
+  const specUrl = options.specUrl || "openapi.json";
+  const title = options.title || "API Explorer";
+  const nonceAttribute = options.nonce ? ` nonce="${escapeHtml3(options.nonce)}"` : "";
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml3(title)}</title>
+<style${nonceAttribute}>${STYLES}</style>
+</head>
+<body data-spec-url="${escapeHtml3(specUrl)}">
+<header><h1 id="title">${escapeHtml3(title)}</h1><span class="version" id="version"></span></header>
+<div class="layout">
+<nav><input id="filter" type="search" placeholder="Filter endpoints" aria-label="Filter endpoints"><div id="operations"></div></nav>
+<main id="main">Loading ${escapeHtml3(specUrl)}...</main>
+</div>
+<script${nonceAttribute}>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+function escapeHtml3(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+// metadata-schema.js
+var METADATA_VERSION = "2.0.0";
+var nullable = (type) => ({ type: [type, "null"] });
+var stringArray = { type: "array", items: { type: "string" } };
+var METADATA_SCHEMA = {
+  $schema: "http://json-schema.org/draft-07/schema#",
+  title: "storybook-api stories.json",
+  description: `Storybook metadata extracted by storybook-api (format ${METADATA_VERSION})`,
+  type: "object",
+  required: ["version", "generatedAt", "extractedFrom", "totalStories", "stories", "components", "docs"],
+  properties: {
+    version: {
+      type: "string",
+      pattern: `^${METADATA_VERSION.split(".")[0]}\\.\\d+\\.\\d+$`,
+      description: "Format version of this file"
+    },
+    migratedFrom: {
+      type: "string",
+      description: "Version of the file before it was upgraded on read"
+    },
+    generatedAt: { type: "string", format: "date-time" },
+    extractedFrom: {
+      type: "string",
+      description: "Extraction path: source-files, built-storybook, running-storybook-deep, storybook-index-basic"
+    },
+    storybookVersion: nullable("string"),
+    framework: {
+      type: ["object", "null"],
+      required: ["name"],
+      properties: {
+        name: { type: "string" },
+        renderer: nullable("string")
+      }
+    },
+    totalStories: { type: "integer", minimum: 0 },
+    stories: {
+      type: "object",
+      description: "Stories by story ID",
+      additionalProperties: { $ref: "#/definitions/story" }
+    },
+    components: {
+      type: "object",
+      description: "Component APIs by story title",
+      additionalProperties: { $ref: "#/definitions/component" }
+    },
+    docs: {
+      type: "object",
+      description: "Docs entries (MDX pages, autodocs) by docs ID",
+      additionalProperties: { $ref: "#/definitions/docsEntry" }
+    },
+    importOrder: {
+      ...stringArray,
+      description: "Story and MDX files (importPath) in Storybook index order, which is the sidebar order"
+    },
+    refs: {
+      type: "object",
+      description: "Composed Storybooks (refs of .storybook/main)",
+      additionalProperties: {
+        type: "object",
+        required: ["url"],
+        properties: {
+          title: { type: "string" },
+          url: { type: "string" }
+        }
+      }
+    }
+  },
+  definitions: {
+    story: {
+      type: "object",
+      required: [
+        "id",
+        "title",
+        "name",
+        "kind",
+        "story",
+        "importPath",
+        "type",
+        "tags",
+        "args",
+        "initialArgs",
+        "argTypes",
+        "actions",
+        "parameters",
+        "decorators",
+        "docs",
+        "source",
+        "render",
+        "play",
+        "template",
+        "location",
+        "component"
+      ],
+      properties: {
+        id: { type: "string" },
+        title: { type: "string" },
+        name: { type: "string" },
+        kind: { type: "string", description: "Same as title (Storybook 6 name)" },
+        story: { type: "string", description: "Same as name (Storybook 6 name)" },
+        importPath: { type: "string" },
+        type: { enum: ["story"] },
+        tags: stringArray,
+        args: { type: "object" },
+        initialArgs: { type: "object" },
+        argTypes: { type: "object" },
+        actions: {
+          type: "object",
+          additionalProperties: {
+            type: "object",
+            required: ["name"],
+            properties: {
+              name: { type: "string" },
+              description: { type: "string" }
+            }
+          }
+        },
+        parameters: {
+          type: "object",
+          required: ["fileName"],
+          properties: {
+            fileName: { type: "string" }
+          }
+        },
+        decorators: stringArray,
+        docs: {
+          type: "object",
+          required: ["description", "sourceCode", "mdx"],
+          properties: {
+            description: { type: "string" },
+            sourceCode: { type: "string" },
+            mdx: { type: "string" }
+          }
+        },
+        source: { type: "string" },
+        render: nullable("string"),
+        play: nullable("string"),
+        template: nullable("string"),
+        location: {
+          type: ["object", "null"],
+          required: ["file", "start", "end"],
+          properties: {
+            file: { type: "string" },
+            start: { $ref: "#/definitions/position" },
+            end: { $ref: "#/definitions/position" }
+          }
+        },
+        component: {
+          type: ["string", "null"],
+          description: "Component of the CSF meta (identifier or custom element name)"
+        },
+        project: { type: "string" }
+      }
+    },
+    position: {
+      type: "object",
+      required: ["line", "column"],
+      properties: {
+        line: { type: "integer", minimum: 1 },
+        column: { type: "integer", minimum: 1 }
+      }
+    },
+    component: {
+      type: "object",
+      required: ["name", "description", "props"],
+      properties: {
+        name: { type: "string" },
+        description: { type: "string" },
+        sourcePath: { type: "string" },
+        exportName: { type: "string" },
+        selector: { type: "string" },
+        packageName: { type: "string" },
+        packageImport: {
+          type: "object",
+          required: ["source", "exportName"],
+          properties: {
+            source: { type: "string" },
+            exportName: { type: "string" }
+          }
+        },
+        props: {
+          type: "object",
+          additionalProperties: {
+            type: "object",
+            required: ["name", "type", "required", "description"],
+            properties: {
+              name: { type: "string" },
+              type: { type: "string" },
+              required: { type: "boolean" },
+              description: { type: "string" },
+              options: { type: "array" },
+              category: { type: "string" }
+            }
+          }
         }
       }
-      
-      if (metadataPath) {
+    },
+    docsEntry: {
+      type: "object",
+      required: ["id", "title", "name", "importPath", "type", "storiesImports", "tags", "markdown", "headings", "stories"],
+      properties: {
+        id: { type: "string" },
+        title: { type: "string" },
+        name: { type: "string" },
+        importPath: { type: "string" },
+        type: { enum: ["docs"] },
+        storiesImports: stringArray,
+        tags: stringArray,
+        markdown: { type: "string" },
+        headings: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["depth", "text", "id"],
+            properties: {
+              depth: { type: "integer", minimum: 1 },
+              text: { type: "string" },
+              id: { type: "string" }
+            }
+          }
+        },
+        stories: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["id"],
+            properties: {
+              block: { type: "string" },
+              id: { type: "string" }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+var MIGRATIONS = [
+  {
+    from: 1,
+    // One shape for every extraction path
+    migrate: (metadata) => normalizeMetadata(metadata)
+  }
+];
+function normalizeMetadata(metadata) {
+  const components = {};
+  Object.entries(asObject(metadata.components)).forEach(([title, component]) => {
+    components[title] = normalizeComponent(component);
+  });
+  const docs = {};
+  Object.entries(asObject(metadata.docs)).forEach(([id, entry]) => {
+    docs[id] = normalizeDocsEntry(entry, id);
+  });
+  const stories = {};
+  Object.entries(asObject(metadata.stories)).forEach(([id, story]) => {
+    if (story.type === "docs") {
+      const { kind, story: storyName, args, initialArgs, argTypes, actions, docs: storyDocs, source, parameters, component, ...entry } = story;
+      docs[id] = docs[id] || normalizeDocsEntry(entry, id);
+      return;
+    }
+    const normalized = normalizeStory(story, id);
+    stories[id] = normalized;
+    if (isPlainObject(story.component) && normalized.title && !components[normalized.title]) {
+      components[normalized.title] = normalizeComponent(story.component);
+    }
+  });
+  return {
+    ...metadata,
+    version: METADATA_VERSION,
+    generatedAt: typeof metadata.generatedAt === "string" ? metadata.generatedAt : (/* @__PURE__ */ new Date(0)).toISOString(),
+    extractedFrom: typeof metadata.extractedFrom === "string" ? metadata.extractedFrom : "unknown",
+    totalStories: Object.keys(stories).length,
+    stories,
+    components,
+    docs
+  };
+}
+function migrateMetadata(metadata) {
+  if (!isPlainObject(metadata) || compareMetadataVersion(metadata.version) >= 0) {
+    return metadata;
+  }
+  const original = typeof metadata.version === "string" ? metadata.version : "1.0.0";
+  const current = majorVersion(METADATA_VERSION);
+  let migrated = metadata;
+  MIGRATIONS.filter((migration) => migration.from >= majorVersion(original) && migration.from < current).forEach((migration) => {
+    migrated = migration.migrate(migrated);
+  });
+  return { ...migrated, version: METADATA_VERSION, migratedFrom: original };
+}
+function compareMetadataVersion(version) {
+  const difference = majorVersion(version) - majorVersion(METADATA_VERSION);
+  return Math.sign(difference);
+}
+function normalizeStory(story, id) {
+  const docs = asObject(story.docs);
+  const parameters = asObject(story.parameters);
+  const importPath = asString(story.importPath) || asString(parameters.fileName);
+  const title = asString(story.title) || asString(story.kind);
+  const name = asString(story.name) || asString(story.story);
+  const args = asObject(story.args);
+  const initialArgs = asObject(story.initialArgs);
+  return {
+    ...story,
+    id: asString(story.id) || id,
+    title,
+    name,
+    kind: asString(story.kind) || title,
+    story: asString(story.story) || name,
+    importPath,
+    type: "story",
+    tags: asStringArray(story.tags),
+    args,
+    initialArgs: Object.keys(initialArgs).length > 0 ? initialArgs : args,
+    argTypes: asObject(story.argTypes),
+    actions: asObject(story.actions),
+    parameters: { ...parameters, fileName: asString(parameters.fileName) || importPath },
+    decorators: asStringArray(story.decorators),
+    docs: {
+      ...docs,
+      description: asString(docs.description),
+      sourceCode: asString(docs.sourceCode),
+      mdx: asString(docs.mdx)
+    },
+    source: asString(story.source),
+    render: asNullableString(story.render),
+    play: asNullableString(story.play),
+    template: asNullableString(story.template),
+    location: isPlainObject(story.location) ? story.location : null,
+    component: isPlainObject(story.component) ? asString(story.component.displayName) || asString(story.component.name) || null : asNullableString(story.component)
+  };
+}
+function normalizeDocsEntry(entry, id) {
+  return {
+    ...entry,
+    id: asString(entry.id) || id,
+    title: asString(entry.title),
+    name: asString(entry.name),
+    importPath: asString(entry.importPath),
+    type: "docs",
+    storiesImports: asStringArray(entry.storiesImports),
+    tags: asStringArray(entry.tags),
+    markdown: asString(entry.markdown),
+    headings: Array.isArray(entry.headings) ? entry.headings : [],
+    stories: Array.isArray(entry.stories) ? entry.stories.filter((ref) => typeof (ref == null ? void 0 : ref.id) === "string") : []
+  };
+}
+function normalizeComponent(component) {
+  const props = {};
+  Object.entries(asObject(component.props)).forEach(([propName, prop]) => {
+    var _a;
+    const row = asObject(prop);
+    const type = typeof row.type === "string" ? row.type : asString((_a = row.type) == null ? void 0 : _a.name) || "unknown";
+    const defaultValue = isPlainObject(row.defaultValue) ? row.defaultValue.value : row.defaultValue;
+    props[propName] = {
+      ...row,
+      name: asString(row.name) || propName,
+      type,
+      required: Boolean(row.required),
+      defaultValue: defaultValue ?? null,
+      description: asString(row.description)
+    };
+  });
+  const { displayName, ...rest } = component;
+  return {
+    ...rest,
+    name: asString(component.name) || asString(displayName),
+    description: asString(component.description),
+    props
+  };
+}
+function majorVersion(version) {
+  const major = parseInt(String(version ?? "").split(".")[0], 10);
+  return Number.isInteger(major) && major > 0 ? major : 1;
+}
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+var asObject = (value) => isPlainObject(value) ? value : {};
+var asString = (value) => typeof value === "string" ? value : "";
+var asNullableString = (value) => typeof value === "string" ? value : null;
+var asStringArray = (value) => Array.isArray(value) ? value.filter((entry) => typeof entry === "string") : [];
+
+// federation.js
+var LOCAL_PROJECT = { id: "local", title: "Local" };
+var PROJECT_ID_PATTERN = /^[A-Za-z0-9][\w-]*$/;
+function parseProjectList(value) {
+  const entries = typeof value === "string" ? value.split(",").map((entry) => entry.trim()).filter(Boolean) : value || [];
+  let refs = false;
+  const projects = [];
+  entries.forEach((entry) => {
+    if (entry === "refs") {
+      refs = true;
+      return;
+    }
+    const project = typeof entry === "string" ? { id: entry.split("=")[0].trim(), metadata: entry.split("=").slice(1).join("=").trim() } : entry;
+    projects.push(normalizeProject(project));
+  });
+  assertUniqueProjects(projects);
+  return { projects, refs };
+}
+function projectsFromRefs(refs) {
+  if (!refs || typeof refs !== "object" || Array.isArray(refs)) return [];
+  return Object.entries(refs).filter(([id, ref]) => ref && typeof ref === "object" && typeof ref.url === "string" && ref.disable !== true && PROJECT_ID_PATTERN.test(id) && id !== LOCAL_PROJECT.id).map(([id, ref]) => ({
+    ...normalizeProject({
+      id,
+      title: ref.title,
+      metadata: `${ref.url.replace(/\/+$/, "")}/stories.json`
+    }),
+    ref: true
+  }));
+}
+function mergeProjects(loaded) {
+  const merged = {
+    version: METADATA_VERSION,
+    generatedAt: null,
+    extractedFrom: "federation",
+    storybookVersion: null,
+    framework: null,
+    totalStories: 0,
+    stories: {},
+    components: {},
+    docs: {},
+    projects: [],
+    duplicates: []
+  };
+  loaded.forEach(({ project, metadata }) => {
+    const namespaced = project.id !== LOCAL_PROJECT.id;
+    const toId = (id) => namespaced ? `${project.id}_${id}` : id;
+    const toTitle = (title) => namespaced && title ? `${project.title}/${title}` : title;
+    Object.values(metadata.stories || {}).forEach((story) => {
+      const id = toId(story.id);
+      merged.stories[id] = {
+        ...story,
+        id,
+        title: toTitle(story.title),
+        kind: toTitle(story.kind),
+        project: project.id
+      };
+    });
+    Object.values(metadata.docs || {}).forEach((page) => {
+      const id = toId(page.id);
+      merged.docs[id] = {
+        ...page,
+        id,
+        title: toTitle(page.title),
+        stories: (page.stories || []).map((ref) => ref.id ? { ...ref, id: toId(ref.id) } : ref),
+        project: project.id
+      };
+    });
+    Object.entries(metadata.components || {}).forEach(([title, component]) => {
+      merged.components[toTitle(title)] = {
+        ...component,
+        project: project.id,
+        ...metadata.framework && !component.framework ? { framework: metadata.framework } : {}
+      };
+    });
+    if (!namespaced || !merged.storybookVersion) {
+      merged.storybookVersion = metadata.storybookVersion || merged.storybookVersion;
+    }
+    if (metadata.framework && (!namespaced || !merged.framework)) {
+      merged.framework = metadata.framework;
+    }
+    if (metadata.generatedAt && (!merged.generatedAt || metadata.generatedAt > merged.generatedAt)) {
+      merged.generatedAt = metadata.generatedAt;
+    }
+    merged.projects.push({
+      id: project.id,
+      title: project.title,
+      namespaced,
+      totalStories: Object.keys(metadata.stories || {}).length,
+      generatedAt: metadata.generatedAt || null,
+      storybookVersion: metadata.storybookVersion || null,
+      extractedFrom: metadata.extractedFrom || null
+    });
+  });
+  merged.totalStories = Object.keys(merged.stories).length;
+  merged.duplicates = findDuplicateComponents(merged);
+  return merged;
+}
+function findDuplicateComponents(merged) {
+  const byName = /* @__PURE__ */ new Map();
+  Object.values(merged.stories || {}).forEach((story) => {
+    const title = story.title || story.kind;
+    if (!title) return;
+    const name = title.split("/").pop().trim();
+    const key = name.toLowerCase();
+    const id = toComponentId(title);
+    if (!byName.has(key)) byName.set(key, { name, components: /* @__PURE__ */ new Map() });
+    const components = byName.get(key).components;
+    if (!components.has(id)) {
+      components.set(id, { project: story.project, id, title });
+    }
+  });
+  return [...byName.values()].map(({ name, components }) => {
+    const list = [...components.values()];
+    return { name, projects: [...new Set(list.map((component) => component.project))], components: list };
+  }).filter((duplicate) => duplicate.projects.length > 1).sort((a, b) => a.name.localeCompare(b.name));
+}
+function selectProjects(merged, projectIds) {
+  const selected = new Set(projectIds);
+  const pick = (entries) => Object.fromEntries(
+    Object.entries(entries || {}).filter(([, entry]) => selected.has(entry.project))
+  );
+  const stories = pick(merged.stories);
+  const projects = merged.projects.filter((project) => selected.has(project.id));
+  return {
+    ...merged,
+    generatedAt: projects.map((project) => project.generatedAt).filter(Boolean).sort().pop() || null,
+    totalStories: Object.keys(stories).length,
+    stories,
+    components: pick(merged.components),
+    docs: pick(merged.docs),
+    projects,
+    duplicates: merged.duplicates.filter(
+      (duplicate) => duplicate.projects.filter((id) => selected.has(id)).length > 1
+    )
+  };
+}
+function normalizeProject(project) {
+  const invalid = (message, details) => Object.assign(new Error(message), { details });
+  if (!project || typeof project !== "object") {
+    throw invalid("Invalid project", { project, expected: '{ id, metadata } or "id=path-or-url"' });
+  }
+  const { id, title, metadata } = project;
+  if (typeof id !== "string" || !PROJECT_ID_PATTERN.test(id)) {
+    throw invalid("Invalid project ID", { project: id, allowed: 'letters, digits, "-" and "_"' });
+  }
+  if (id === LOCAL_PROJECT.id) {
+    throw invalid("Reserved project ID", { project: id, reason: `"${LOCAL_PROJECT.id}" is the Storybook the API runs in` });
+  }
+  if (typeof metadata !== "string" || !metadata) {
+    throw invalid("Missing project metadata", { project: id, expected: "path or URL of its stories.json" });
+  }
+  return {
+    id,
+    title: typeof title === "string" && title.trim() ? title.trim() : id,
+    source: metadata,
+    remote: /^https?:\/\//i.test(metadata)
+  };
+}
+function assertUniqueProjects(projects) {
+  const seen = /* @__PURE__ */ new Set();
+  projects.forEach((project) => {
+    if (seen.has(project.id)) {
+      throw Object.assign(new Error("Duplicate project ID"), { details: { project: project.id } });
+    }
+    seen.add(project.id);
+  });
+}
+function toComponentId(title) {
+  return (title || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+}
+
+// api-config.js
+var import_fs = __toESM(require("fs"), 1);
+var import_path = __toESM(require("path"), 1);
+var import_module = require("module");
+var import_util = require("util");
+var CONFIG_FILES = [
+  "storybook-api.config.js",
+  "storybook-api.config.mjs",
+  "storybook-api.config.cjs",
+  "storybook-api.config.json"
+];
+var CONFIG_ENV = "STORYBOOK_API_CONFIG";
+var OPTIONS = {
+  // ----- Extraction (extract-metadata.js) -----
+  // Storybook dev server URL
+  storybookUrl: { type: "url", default: "http://localhost:6006", env: "STORYBOOK_URL" },
+  // Storybook port on localhost; replaces the port of storybookUrl
+  storybookPort: { type: "port", default: null, env: "STORYBOOK_PORT" },
+  // Where stories.json is written (and served from)
+  outputDir: { type: "path", default: "storybook-static", env: "STORYBOOK_OUTPUT_DIR" },
+  outputFile: { type: "filename", default: "stories.json", env: "STORYBOOK_OUTPUT_FILE" },
+  // ----- API (middleware.js, storybook-api serve) -----
+  // Other locations checked for the metadata when outputDir/outputFile has none
+  metadataPaths: {
+    type: "paths",
+    default: [".storybook-metadata-temp.json", ".storybook/stories.json"],
+    env: "STORYBOOK_METADATA_PATHS"
+  },
+  // Allowed CORS origins (comma-separated, `*` for any)
+  corsOrigin: { type: "string", default: "*", env: "STORYBOOK_CORS_ORIGIN" },
+  // Metadata cache TTL (ms)
+  cacheTTL: { type: "integer", default: 5e3, min: 0, env: "STORYBOOK_CACHE_TTL" },
+  // Longest accepted search query and title/kind filter
+  maxSearchLength: { type: "integer", default: 200, min: 1, env: "STORYBOOK_MAX_SEARCH_LENGTH" },
+  // How often /api/events checks the metadata file for changes (ms)
+  eventsPollInterval: { type: "integer", default: 1e3, min: 1, env: "STORYBOOK_EVENTS_POLL" },
+  // Heartbeat ping interval for /api/events clients (ms)
+  heartbeatInterval: { type: "integer", default: 15e3, min: 1, env: "STORYBOOK_SSE_HEARTBEAT" },
+  // Allow /api/diff to fetch its base metadata over HTTP(S). Off by default:
+  // the server fetches whatever URL a client sends, including internal ones
+  diffAllowRemote: { type: "boolean", default: false, env: "STORYBOOK_DIFF_ALLOW_REMOTE" },
+  // Timeout for fetching a remote diff base (ms)
+  diffFetchTimeout: { type: "integer", default: 1e4, min: 1, env: "STORYBOOK_DIFF_TIMEOUT" },
+  // Page size for list endpoints when ?limit is not given (0 = return everything)
+  defaultPageSize: { type: "integer", default: 0, min: 0, env: "STORYBOOK_PAGE_SIZE" },
+  // Largest ?limit accepted by list endpoints
+  maxPageSize: { type: "integer", default: 1e3, min: 1, env: "STORYBOOK_MAX_PAGE_SIZE" },
+  // Responses smaller than this (bytes) are sent uncompressed
+  compressionThreshold: { type: "integer", default: 1024, min: 0, env: "STORYBOOK_COMPRESSION_THRESHOLD" },
+  // Other Storybooks to serve next to the local one (see federation.js)
+  projects: { type: "projects", default: "", env: "STORYBOOK_API_PROJECTS" },
+  // How often remote projects (URLs, refs) are fetched again (ms)
+  projectRefreshInterval: { type: "integer", default: 6e4, min: 0, env: "STORYBOOK_PROJECT_REFRESH" },
+  // Timeout for fetching a remote project's stories.json (ms)
+  projectFetchTimeout: { type: "integer", default: 1e4, min: 1, env: "STORYBOOK_PROJECT_TIMEOUT" }
+};
+function findConfigFile(dirs) {
+  for (const dir of [...new Set(dirs.map((dir2) => import_path.default.resolve(dir2)))]) {
+    const found = CONFIG_FILES.map((file) => import_path.default.join(dir, file)).find((file) => import_fs.default.existsSync(file));
+    if (found) return found;
+  }
+  return null;
+}
+function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const rootDir = import_path.default.resolve(options.rootDir || process.cwd());
+  const configPath = options.configPath ?? env[CONFIG_ENV] ?? null;
+  const configFile = configPath === false ? null : configPath ? import_path.default.resolve(configPath) : findConfigFile([rootDir, process.cwd()]);
+  const baseDir = configFile ? import_path.default.dirname(configFile) : rootDir;
+  const errors = [];
+  const invalid = (error) => Object.assign(new Error("Invalid storybook-api configuration"), {
+    details: { configFile, errors: [error] }
+  });
+  const config = Object.fromEntries(
+    Object.entries(OPTIONS).map(([option, spec]) => [option, spec.default])
+  );
+  if (configFile) {
+    const fileOptions = readConfigFile(configFile, invalid);
+    Object.entries(fileOptions).forEach(([option, value]) => {
+      if (!OPTIONS[option]) {
+        const known = Object.keys(OPTIONS).find((name) => name.toLowerCase() === option.toLowerCase());
+        errors.push({ option, source: configFile, value, expected: known ? `"${known}"` : "a known option" });
+        return;
+      }
+      const result = checkValue(OPTIONS[option], value);
+      if (result.error) {
+        errors.push({ option, source: configFile, value, expected: result.error });
+      } else {
+        config[option] = result.value;
+      }
+    });
+  }
+  Object.entries(OPTIONS).forEach(([option, spec]) => {
+    const raw = env[spec.env];
+    if (raw === void 0 || raw === "") return;
+    const result = checkValue(spec, parseEnvValue(spec, raw));
+    if (result.error) {
+      errors.push({ option, source: spec.env, value: raw, expected: result.error });
+    } else {
+      config[option] = result.value;
+    }
+  });
+  if (config.defaultPageSize > config.maxPageSize) {
+    errors.push({
+      option: "defaultPageSize",
+      source: "merged configuration",
+      value: config.defaultPageSize,
+      expected: `at most maxPageSize (${config.maxPageSize})`
+    });
+  }
+  if (errors.length > 0) {
+    throw Object.assign(new Error("Invalid storybook-api configuration"), {
+      details: { configFile, errors }
+    });
+  }
+  if (config.storybookPort) {
+    config.storybookUrl = `http://localhost:${config.storybookPort}`;
+  }
+  return {
+    ...config,
+    outputDir: import_path.default.resolve(baseDir, config.outputDir),
+    metadataPaths: config.metadataPaths.map((filepath) => import_path.default.resolve(baseDir, filepath)),
+    configFile,
+    baseDir
+  };
+}
+function formatConfigError(err) {
+  const { configFile, errors = [] } = err.details || {};
+  const lines = [`${err.message}${configFile ? ` (${configFile})` : ""}:`];
+  errors.forEach(({ option, source, value, expected }) => {
+    const from = source && source !== configFile ? ` [${source}]` : "";
+    const got = value === void 0 ? "" : `, got ${JSON.stringify(value)}`;
+    lines.push(`  - ${option || "config"}${from}: expected ${expected}${got}`);
+  });
+  return lines.join("\n");
+}
+function readConfigFile(configFile, invalid) {
+  if (!import_fs.default.existsSync(configFile)) {
+    throw invalid({ option: null, source: configFile, expected: "an existing config file" });
+  }
+  let loaded;
+  try {
+    if (import_path.default.extname(configFile) === ".json") {
+      loaded = JSON.parse(import_fs.default.readFileSync(configFile, "utf-8"));
+    } else {
+      const exported = (0, import_module.createRequire)(configFile)(configFile);
+      loaded = import_util.types.isModuleNamespaceObject(exported) || (exported == null ? void 0 : exported.__esModule) ? exported.default : exported;
+    }
+  } catch (err) {
+    const expected = err.code === "ERR_REQUIRE_ESM" ? "a CommonJS or JSON config (this Node.js version cannot load ES module configs synchronously)" : `a readable config file (${err.message})`;
+    throw invalid({ option: null, source: configFile, expected });
+  }
+  if (!loaded || typeof loaded !== "object" || Array.isArray(loaded)) {
+    throw invalid({ option: null, source: configFile, expected: "an object of options as default export" });
+  }
+  return loaded;
+}
+function parseEnvValue(spec, raw) {
+  switch (spec.type) {
+    case "integer":
+    case "port":
+      return /^\d+$/.test(raw.trim()) ? Number(raw) : raw;
+    case "boolean":
+      if (["true", "1"].includes(raw.trim().toLowerCase())) return true;
+      if (["false", "0"].includes(raw.trim().toLowerCase())) return false;
+      return raw;
+    case "paths":
+      return raw.split(",").map((entry) => entry.trim()).filter(Boolean);
+    default:
+      return raw;
+  }
+}
+function checkValue(spec, value) {
+  const isText = typeof value === "string" && value.trim() !== "";
+  switch (spec.type) {
+    case "string":
+      return isText ? { value } : { error: "a non-empty string" };
+    case "url":
+      return isText && /^https?:\/\/[^/\s]+/i.test(value) ? { value: value.replace(/\/+$/, "") } : { error: "an http(s) URL" };
+    case "path":
+      return isText ? { value } : { error: "a path" };
+    case "filename":
+      return isText && !/[\\/]/.test(value) ? { value } : { error: "a file name without folders" };
+    case "paths":
+      return Array.isArray(value) && value.every((entry) => typeof entry === "string" && entry.trim() !== "") ? { value } : { error: "an array of paths" };
+    case "integer": {
+      const min = spec.min ?? 0;
+      return Number.isInteger(value) && value >= min ? { value } : { error: `an integer >= ${min}` };
+    }
+    case "port":
+      return value === null || Number.isInteger(value) && value > 0 && value <= 65535 ? { value } : { error: "a port number (1-65535)" };
+    case "boolean":
+      return typeof value === "boolean" ? { value } : { error: "true or false" };
+    case "projects":
+      if (typeof value !== "string" && !Array.isArray(value)) {
+        return { error: '"id=path-or-url,..." or an array of projects' };
+      }
+      try {
+        parseProjectList(value);
+        return { value };
+      } catch (err) {
+        return { error: `valid projects (${err.message}${err.details ? ` ${JSON.stringify(err.details)}` : ""})` };
+      }
+    default:
+      return { value };
+  }
+}
+
+// middleware.js
+var import_meta = {};
+var JSON_INDENT = 2;
+var METADATA_RESPONSE = /* @__PURE__ */ Symbol("metadataResponse");
+var LIMITS = {
+  // Maximum query string length to prevent DoS
+  maxQueryLength: 2048,
+  // Maximum request body size for POST /api/graphql (bytes)
+  maxBodySize: 100 * 1024,
+  // Maximum size of a base stories.json read by /api/diff (bytes)
+  maxDiffBaseSize: 20 * 1024 * 1024
+};
+function middleware(router, options = {}) {
+  const explicitMetadataPath = options.metadataPath ? import_path2.default.resolve(options.metadataPath) : null;
+  const getDirname = () => {
+    try {
+      if (typeof import_meta !== "undefined" && import_meta.url) {
+        return import_path2.default.dirname((0, import_url.fileURLToPath)(import_meta.url));
+      }
+    } catch (e) {
+    }
+    try {
+      if (typeof __dirname !== "undefined") {
+        return __dirname;
+      }
+    } catch (e) {
+    }
+    return import_path2.default.join(process.cwd(), ".storybook");
+  };
+  let CONFIG;
+  try {
+    CONFIG = {
+      ...LIMITS,
+      ...loadConfig({ rootDir: import_path2.default.join(getDirname(), ".."), configPath: options.config })
+    };
+  } catch (err) {
+    if (err.details) console.error(`\u274C ${formatConfigError(err)}`);
+    throw err;
+  }
+  let metadataCache = {
+    data: null,
+    timestamp: 0,
+    filePath: null,
+    hash: null,
+    // sha1 of the file, the base of metadata response ETags
+    modifiedAt: null
+  };
+  let federationCache = {
+    data: null,
+    key: null,
+    // local file hash plus the state of every project
+    hash: null,
+    modifiedAt: null
+  };
+  const federation = parseProjectList(options.projects ?? CONFIG.projects);
+  const federated = federation.refs || federation.projects.length > 0;
+  const validatePath = (filepath, baseDir) => {
+    try {
+      const relative = import_path2.default.relative(import_path2.default.resolve(baseDir), import_path2.default.resolve(filepath));
+      return relative === "" || relative.split(import_path2.default.sep)[0] !== ".." && !import_path2.default.isAbsolute(relative);
+    } catch {
+      return false;
+    }
+  };
+  const getMetadataPaths = () => {
+    if (explicitMetadataPath) {
+      return [explicitMetadataPath];
+    }
+    const outputPath = import_path2.default.join(CONFIG.outputDir, CONFIG.outputFile);
+    return [.../* @__PURE__ */ new Set([
+      outputPath,
+      ...CONFIG.metadataPaths,
+      import_path2.default.resolve(import_path2.default.relative(CONFIG.baseDir, outputPath))
+    ])];
+  };
+  const newerFormatWarnings = /* @__PURE__ */ new Set();
+  const parseMetadata = (content, source) => {
+    const data = JSON.parse(content);
+    if (compareMetadataVersion(data == null ? void 0 : data.version) > 0 && !newerFormatWarnings.has(source)) {
+      newerFormatWarnings.add(source);
+      console.warn(`\u26A0\uFE0F  ${source} has format ${data.version}, newer than this API supports (${METADATA_VERSION}). Update storybook-api.`);
+    }
+    return migrateMetadata(data);
+  };
+  const readMetadataFile = (filepath, previous = {}) => {
+    const content = import_fs2.default.readFileSync(filepath, "utf-8");
+    const hash = import_crypto.default.createHash("sha1").update(content).digest("hex");
+    return {
+      data: hash === previous.hash && previous.data ? previous.data : parseMetadata(content, filepath),
+      hash,
+      modifiedAt: import_fs2.default.statSync(filepath).mtime
+    };
+  };
+  const loadLocalMetadata = () => {
+    const now = Date.now();
+    if (metadataCache.data && metadataCache.timestamp && now - metadataCache.timestamp < CONFIG.cacheTTL && metadataCache.filePath && import_fs2.default.existsSync(metadataCache.filePath)) {
+      return metadataCache.data;
+    }
+    const possiblePaths = getMetadataPaths();
+    for (const filepath of possiblePaths) {
+      if (filepath !== explicitMetadataPath && !validatePath(filepath, process.cwd())) {
+        console.warn(`Skipping invalid path: ${filepath}`);
+        continue;
+      }
+      if (import_fs2.default.existsSync(filepath)) {
         try {
-          const metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf-8'));
-          
-          // Update cache
+          const { data, hash, modifiedAt } = readMetadataFile(filepath, metadataCache);
           metadataCache = {
-            data: metadata,
+            data,
             timestamp: now,
-            filePath: metadataPath,
+            filePath: filepath,
+            hash,
+            modifiedAt
           };
-          
-          // Set appropriate headers
-          res.setHeader('Content-Type', 'application/json');
-          res.setHeader('Access-Control-Allow-Origin', CONFIG.corsOrigin);
-          res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-          res.setHeader('X-Content-Type-Options', 'nosniff');
-          
-          // Send metadata
-          res.end(JSON.stringify(metadata, null, 2));
-          
+          return data;
         } catch (err) {
-          console.error('Error reading metadata file:', err);
-          res.statusCode = 500;
-          res.setHeader('Content-Type', 'application/json');
-          res.setHeader('X-Content-Type-Options', 'nosniff');
-          res.end(JSON.stringify({ 
-            error: 'Failed to read metadata', 
-            message: err.message,
-            timestamp: new Date().toISOString(),
-          }, null, 2));
+          console.error("Error parsing metadata:", err.message);
+          continue;
         }
-      } else {
-        // No metadata file found
-        res.statusCode = 404;
-        res.setHeader('Content-Type', 'application/json');
-        res.setHeader('X-Content-Type-Options', 'nosniff');
-        res.end(JSON.stringify({
-          error: 'Metadata not found',
-          message: 'Stories metadata has not been generated yet',
-          timestamp: new Date().toISOString(),
-          instructions: [
-            'For development: Run `npm run metadata:dev` in a separate terminal',
-            'For build: Run `npm run build-storybook`',
-            'Make sure Storybook is running before extracting metadata',
+      }
+    }
+    metadataCache = { data: null, timestamp: 0, filePath: null, hash: null, modifiedAt: null };
+    return null;
+  };
+  const projectStates = /* @__PURE__ */ new Map();
+  const projectViews = /* @__PURE__ */ new WeakMap();
+  const getConfiguredProjects = (localMetadata) => {
+    if (!federation.refs) return federation.projects;
+    const configuredIds = new Set(federation.projects.map((project) => project.id));
+    return [
+      ...federation.projects,
+      ...projectsFromRefs(localMetadata == null ? void 0 : localMetadata.refs).filter((project) => !configuredIds.has(project.id))
+    ];
+  };
+  const fetchProject = async (project, state) => {
+    try {
+      const response = await fetch(project.source, {
+        headers: { Accept: "application/json" },
+        signal: AbortSignal.timeout(CONFIG.projectFetchTimeout)
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} ${response.statusText}`.trim());
+      }
+      const content = await response.text();
+      const hash = import_crypto.default.createHash("sha1").update(content).digest("hex");
+      const changed = hash !== state.hash;
+      Object.assign(state, {
+        status: "ok",
+        error: null,
+        data: changed ? parseMetadata(content, project.source) : state.data,
+        hash,
+        modifiedAt: changed ? /* @__PURE__ */ new Date() : state.modifiedAt
+      });
+      if (changed && eventsState.watching) {
+        handleMetadataFileChange();
+      }
+    } catch (err) {
+      Object.assign(state, { status: "error", error: err.message });
+      console.warn(`\u26A0\uFE0F  Could not load project "${project.id}" from ${project.source}: ${err.message}`);
+    } finally {
+      state.checkedAt = Date.now();
+      state.pending = null;
+    }
+  };
+  const loadProject = (project) => {
+    let state = projectStates.get(project.id);
+    if (!state || state.source !== project.source) {
+      state = { source: project.source, remote: project.remote, status: "loading", error: null, data: null, hash: null, modifiedAt: null, checkedAt: 0, pending: null };
+      projectStates.set(project.id, state);
+    }
+    const age = Date.now() - state.checkedAt;
+    if (project.remote) {
+      if (!state.pending && age >= CONFIG.projectRefreshInterval) {
+        state.pending = fetchProject(project, state);
+      }
+      return state;
+    }
+    if (age >= CONFIG.cacheTTL) {
+      try {
+        Object.assign(state, readMetadataFile(import_path2.default.resolve(project.source), state), { status: "ok", error: null });
+      } catch (err) {
+        Object.assign(state, {
+          status: "error",
+          error: err.code === "ENOENT" ? "Metadata file not found" : err.message,
+          data: null,
+          hash: null
+        });
+      }
+      state.checkedAt = Date.now();
+    }
+    return state;
+  };
+  const loadFederatedMetadata = () => {
+    const local = loadLocalMetadata();
+    const projects = getConfiguredProjects(local).map((project) => ({ project, state: loadProject(project) }));
+    const key = [
+      local ? metadataCache.hash : "-",
+      ...projects.map(({ project, state }) => `${project.id}:${state.status}:${state.hash}`)
+    ].join("|");
+    if (key === federationCache.key) {
+      return federationCache.data;
+    }
+    const loaded = [
+      ...local ? [{ project: LOCAL_PROJECT, metadata: local, modifiedAt: metadataCache.modifiedAt }] : [],
+      ...projects.filter(({ state }) => state.data).map(({ project, state }) => ({ project, metadata: state.data, modifiedAt: state.modifiedAt }))
+    ];
+    const merged = loaded.length > 0 ? mergeProjects(loaded) : null;
+    federationCache = {
+      data: merged,
+      key,
+      hash: merged ? import_crypto.default.createHash("sha1").update(key).digest("hex") : null,
+      modifiedAt: loaded.map((entry) => entry.modifiedAt).filter(Boolean).sort((a, b) => b - a)[0] || null
+    };
+    if ((merged == null ? void 0 : merged.duplicates.length) > 0) {
+      console.warn(`\u26A0\uFE0F  Component names used in more than one project: ${merged.duplicates.map((duplicate) => duplicate.name).join(", ")}`);
+    }
+    return merged;
+  };
+  const getProjectIds = () => {
+    if (!federated) return [LOCAL_PROJECT.id];
+    const local = loadLocalMetadata();
+    return [
+      ...local ? [LOCAL_PROJECT.id] : [],
+      ...getConfiguredProjects(local).map((project) => project.id)
+    ];
+  };
+  const getRequestedProjects = (req) => {
+    const value = new URLSearchParams(((req == null ? void 0 : req.url) || "").split("?")[1] || "").get("project");
+    return value ? [...new Set(value.split(",").map((id) => id.trim()).filter(Boolean))] : [];
+  };
+  const loadMetadata = (req = null) => {
+    if (!federated) return loadLocalMetadata();
+    const merged = loadFederatedMetadata();
+    const projectIds = getRequestedProjects(req);
+    if (!merged || projectIds.length === 0) return merged;
+    const viewKey = [...projectIds].sort().join(",");
+    if (!projectViews.has(merged)) projectViews.set(merged, /* @__PURE__ */ new Map());
+    const views = projectViews.get(merged);
+    if (!views.has(viewKey)) views.set(viewKey, selectProjects(merged, projectIds));
+    return views.get(viewKey);
+  };
+  const loadProjectMetadata = (req) => {
+    const projectIds = getRequestedProjects(req);
+    if (!federated || projectIds.length !== 1) return null;
+    const local = loadLocalMetadata();
+    if (projectIds[0] === LOCAL_PROJECT.id) return local;
+    const project = getConfiguredProjects(local).find((candidate) => candidate.id === projectIds[0]);
+    return project ? loadProject(project).data : null;
+  };
+  const getMetadataVersion = () => federated ? federationCache : metadataCache;
+  const getCorsOrigin = (req) => {
+    var _a;
+    if (CONFIG.corsOrigin === "*") {
+      return "*";
+    }
+    const origins = CONFIG.corsOrigin.split(",").map((o) => o.trim());
+    const requestOrigin = (_a = req == null ? void 0 : req.headers) == null ? void 0 : _a.origin;
+    if (requestOrigin && origins.includes(requestOrigin)) {
+      return requestOrigin;
+    }
+    return origins[0] || "*";
+  };
+  const negotiateEncoding = (req) => {
+    var _a;
+    const header = (_a = req == null ? void 0 : req.headers) == null ? void 0 : _a["accept-encoding"];
+    if (!header) return null;
+    const qualities = /* @__PURE__ */ new Map();
+    header.split(",").forEach((part) => {
+      const [coding, ...params] = part.trim().toLowerCase().split(";").map((value) => value.trim());
+      const q = params.find((param) => param.startsWith("q="));
+      qualities.set(coding, q ? Number(q.slice(2)) : 1);
+    });
+    const quality = (coding) => qualities.get(coding) ?? qualities.get("*") ?? 0;
+    return ["br", "gzip"].filter((coding) => quality(coding) > 0).sort((a, b) => quality(b) - quality(a))[0] || null;
+  };
+  const wantsPrettyJSON = (req) => {
+    var _a, _b;
+    const pretty = new URLSearchParams(((req == null ? void 0 : req.url) || "").split("?")[1] || "").get("pretty");
+    if (pretty !== null) return pretty !== "false" && pretty !== "0";
+    return Boolean((_b = (_a = req == null ? void 0 : req.headers) == null ? void 0 : _a.accept) == null ? void 0 : _b.includes("text/html"));
+  };
+  const isNotModified = (req, etag, lastModified) => {
+    var _a, _b;
+    const ifNoneMatch = (_a = req.headers) == null ? void 0 : _a["if-none-match"];
+    if (ifNoneMatch) {
+      return ifNoneMatch.split(",").some((tag) => {
+        const value = tag.trim();
+        return value === "*" || value.replace(/^W\//, "") === etag;
+      });
+    }
+    const ifModifiedSince = Date.parse((_b = req.headers) == null ? void 0 : _b["if-modified-since"]);
+    if (Number.isNaN(ifModifiedSince) || !lastModified) return false;
+    return Math.floor(lastModified.getTime() / 1e3) * 1e3 <= ifModifiedSince;
+  };
+  const sendJSON = (res, data, statusCode = 200, req = null) => {
+    const encoding = negotiateEncoding(req);
+    const pretty = wantsPrettyJSON(req);
+    const isRead = statusCode === 200 && ["GET", "HEAD"].includes(req == null ? void 0 : req.method);
+    const serialize = () => JSON.stringify(data, null, pretty ? JSON_INDENT : 0);
+    res.statusCode = statusCode;
+    res.setHeader("Content-Type", "application/json");
+    res.setHeader("Access-Control-Allow-Origin", getCorsOrigin(req));
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+    res.setHeader("Access-Control-Expose-Headers", "ETag, Last-Modified, Link");
+    res.setHeader("Vary", "Accept, Accept-Encoding");
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    res.setHeader("Cache-Control", isRead ? "no-cache" : "no-cache, no-store, must-revalidate");
+    let body = null;
+    if (isRead) {
+      const representation = `${pretty ? "pretty" : "compact"}.${encoding || "identity"}`;
+      const version = getMetadataVersion();
+      const fromMetadata = Boolean(res[METADATA_RESPONSE] && version.hash);
+      if (!fromMetadata) body = serialize();
+      const etag = `"${import_crypto.default.createHash("sha1").update(fromMetadata ? `${version.hash}
+${req.originalUrl || req.url}` : body).update(`
+${representation}`).digest("hex")}"`;
+      const lastModified = fromMetadata ? version.modifiedAt : null;
+      res.setHeader("ETag", etag);
+      if (lastModified) res.setHeader("Last-Modified", lastModified.toUTCString());
+      if (isNotModified(req, etag, lastModified)) {
+        res.statusCode = 304;
+        res.end();
+        return;
+      }
+    }
+    body = body ?? serialize();
+    if (!encoding || Buffer.byteLength(body) < CONFIG.compressionThreshold) {
+      res.end(body);
+      return;
+    }
+    const compress = encoding === "br" ? (input, callback) => import_zlib.default.brotliCompress(input, {
+      params: { [import_zlib.default.constants.BROTLI_PARAM_QUALITY]: 5 }
+    }, callback) : import_zlib.default.gzip;
+    compress(body, (err, compressed) => {
+      if (err) {
+        console.warn("Compression failed, sending uncompressed:", err.message);
+        res.end(body);
+        return;
+      }
+      res.setHeader("Content-Encoding", encoding);
+      res.setHeader("Content-Length", compressed.length);
+      res.end(compressed);
+    });
+  };
+  const sendError = (res, message, statusCode = 500, details = {}, req = null) => {
+    const errorResponse = {
+      error: message,
+      statusCode,
+      timestamp: (/* @__PURE__ */ new Date()).toISOString(),
+      ...details
+    };
+    if (statusCode >= 500) {
+      console.error(`[${statusCode}] ${message}`, details);
+    } else if (statusCode >= 400) {
+      console.warn(`[${statusCode}] ${message}`, details);
+    }
+    sendJSON(res, errorResponse, statusCode, req);
+  };
+  const validateInput = (input, maxLength = 200) => {
+    if (typeof input !== "string") return null;
+    if (input.length > maxLength) return null;
+    if (input.length === 0) return null;
+    const sanitized = input.trim();
+    if (sanitized.length === 0) return null;
+    return sanitized;
+  };
+  const parseQuery = (url) => {
+    if (url.length > CONFIG.maxQueryLength) {
+      throw new Error("Query string too long");
+    }
+    const queryString = url.split("?")[1];
+    if (!queryString) return {};
+    const params = {};
+    try {
+      queryString.split("&").forEach((param) => {
+        const [key, value] = param.split("=");
+        const decodedKey = decodeURIComponent(key || "");
+        const decodedValue = decodeURIComponent(value || "");
+        if (decodedKey && validateInput(decodedKey, 100)) {
+          params[decodedKey] = validateInput(decodedValue, CONFIG.maxSearchLength) || "";
+        }
+      });
+    } catch (err) {
+      console.warn("Error parsing query string:", err.message);
+      return {};
+    }
+    return params;
+  };
+  const getComponentId2 = (titleOrKind) => {
+    return (titleOrKind || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  };
+  const findStoriesByComponentId = (metadata, componentId) => {
+    return Object.values(metadata.stories || {}).filter((story) => {
+      const storyComponentId = getComponentId2(story.title || story.kind);
+      return storyComponentId === componentId;
+    });
+  };
+  const findDocsByComponentId = (metadata, componentId) => {
+    return Object.values(metadata.docs || {}).filter((page) => {
+      return getComponentId2(page.title) === componentId;
+    });
+  };
+  const getComponentInfo = (metadata, story) => {
+    var _a;
+    return ((_a = metadata.components) == null ? void 0 : _a[story.title]) || null;
+  };
+  const packageNames = /* @__PURE__ */ new Map();
+  const getStoryPackage = (story) => {
+    if (!story.importPath) return null;
+    let dir = import_path2.default.dirname(import_path2.default.resolve(process.cwd(), story.importPath));
+    const visited = [];
+    let name = null;
+    while (validatePath(dir, process.cwd())) {
+      if (packageNames.has(dir)) {
+        name = packageNames.get(dir);
+        break;
+      }
+      visited.push(dir);
+      const packageJsonPath = import_path2.default.join(dir, "package.json");
+      if (import_fs2.default.existsSync(packageJsonPath)) {
+        try {
+          name = JSON.parse(import_fs2.default.readFileSync(packageJsonPath, "utf-8")).name || null;
+        } catch {
+          name = null;
+        }
+        break;
+      }
+      const parent = import_path2.default.dirname(dir);
+      if (parent === dir) break;
+      dir = parent;
+    }
+    visited.forEach((visitedDir) => packageNames.set(visitedDir, name));
+    return name;
+  };
+  const searchIndexes = /* @__PURE__ */ new WeakMap();
+  const getSearchIndex = (metadata) => {
+    if (!searchIndexes.has(metadata)) {
+      searchIndexes.set(metadata, buildSearchIndex(metadata));
+    }
+    return searchIndexes.get(metadata);
+  };
+  const extractComponentIdFromUrl = (url) => {
+    const match = url.match(/^\/api\/components\/([^\/\?]+)/);
+    if (!match) return "";
+    try {
+      const decoded = decodeURIComponent(match[1]);
+      if (/^[a-z0-9-_]+$/i.test(decoded) && decoded.length <= 200) {
+        return decoded;
+      }
+    } catch (err) {
+      console.warn("Error decoding component ID:", err.message);
+    }
+    return "";
+  };
+  const UNSAFE_FIELD_KEYS = /* @__PURE__ */ new Set(["__proto__", "constructor", "prototype"]);
+  const parseListOptions = (query, sortFields) => {
+    const invalid = (message, details) => Object.assign(new Error(message), { details });
+    const limit = query.limit ? Number(query.limit) : CONFIG.defaultPageSize;
+    if (!Number.isInteger(limit) || limit < 0 || limit > CONFIG.maxPageSize) {
+      throw invalid("Invalid limit", { limit: query.limit, allowed: `0-${CONFIG.maxPageSize} (0 = all)` });
+    }
+    const offset = query.offset ? Number(query.offset) : 0;
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw invalid("Invalid offset", { offset: query.offset, allowed: "integer >= 0" });
+    }
+    const sort = query.sort || null;
+    if (sort && !sortFields.includes(sort)) {
+      throw invalid("Invalid sort field", { sort, allowed: sortFields });
+    }
+    const order = (query.order || "asc").toLowerCase();
+    if (!["asc", "desc"].includes(order)) {
+      throw invalid("Invalid sort order", { order: query.order, allowed: ["asc", "desc"] });
+    }
+    const fields = query.fields ? query.fields.split(",").map((field) => field.trim()).filter(Boolean) : null;
+    const badField = fields == null ? void 0 : fields.find(
+      (field) => !/^[A-Za-z0-9_$]+(\.[A-Za-z0-9_$]+)*$/.test(field) || field.split(".").some((part) => UNSAFE_FIELD_KEYS.has(part))
+    );
+    if (badField) {
+      throw invalid("Invalid field name", { field: badField, example: "fields=id,title,args" });
+    }
+    return { limit, offset, sort, order, fields };
+  };
+  const sortItems = (items, sort, order) => {
+    if (!sort) return items;
+    const direction = order === "desc" ? -1 : 1;
+    return [...items].sort(
+      (a, b) => direction * String(a[sort] ?? "").localeCompare(String(b[sort] ?? ""), void 0, {
+        numeric: true,
+        sensitivity: "base"
+      })
+    );
+  };
+  const pickFields = (item, fields) => {
+    const picked = {};
+    fields.forEach((field) => {
+      const parts = field.split(".");
+      let value = item;
+      for (const part of parts) {
+        if (value === null || typeof value !== "object" || !Object.prototype.hasOwnProperty.call(value, part)) {
+          return;
+        }
+        value = value[part];
+      }
+      let target = picked;
+      parts.slice(0, -1).forEach((part) => {
+        target[part] = target[part] || {};
+        target = target[part];
+      });
+      target[parts[parts.length - 1]] = value;
+    });
+    return picked;
+  };
+  const buildPageUrl = (req, offset) => {
+    const [pathname, queryString = ""] = (req.originalUrl || req.url).split("?");
+    const params = new URLSearchParams(queryString);
+    params.set("offset", String(offset));
+    return `${pathname}?${params.toString().replace(/%2C/gi, ",")}`;
+  };
+  const applyListOptions = (req, res, items, options2) => {
+    const { limit, offset, sort, order, fields } = options2;
+    const sorted = sortItems(items, sort, order);
+    const page = limit ? sorted.slice(offset, offset + limit) : sorted.slice(offset);
+    const nextOffset = limit && offset + limit < sorted.length ? offset + limit : null;
+    const prevOffset = offset > 0 ? Math.max(0, offset - (limit || offset)) : null;
+    const pagination = {
+      offset,
+      limit: limit || null,
+      count: page.length,
+      total: sorted.length,
+      sort,
+      order,
+      next: nextOffset !== null ? buildPageUrl(req, nextOffset) : null,
+      prev: prevOffset !== null ? buildPageUrl(req, prevOffset) : null
+    };
+    const links = [
+      pagination.next && `<${pagination.next}>; rel="next"`,
+      pagination.prev && `<${pagination.prev}>; rel="prev"`
+    ].filter(Boolean);
+    if (links.length > 0) {
+      res.setHeader("Link", links.join(", "));
+    }
+    return {
+      items: fields ? page.map((item) => pickFields(item, fields)) : page,
+      pagination
+    };
+  };
+  const routes = [];
+  const LIST_SORT_FIELDS = ["title", "name", "id"];
+  const ROUTE_TAGS = [
+    { name: "Health", description: "API health and status" },
+    { name: "Projects", description: "Storybooks served by this API" },
+    { name: "Stories", description: "Story metadata operations" },
+    { name: "Components", description: "Component-level operations" },
+    { name: "Documentation", description: "Component documentation and the API description" },
+    { name: "Examples", description: "Code examples and usage" },
+    { name: "Navigation", description: "Sidebar tree and groups" },
+    { name: "Search", description: "Search functionality" },
+    { name: "Diff", description: "Component API changes against a base" },
+    { name: "Events", description: "Live metadata updates" },
+    { name: "GraphQL", description: "GraphQL over the metadata model" },
+    { name: "Legacy", description: "Backward compatible endpoints" }
+  ];
+  const PARAMS = {
+    componentId: {
+      name: "id",
+      in: "path",
+      required: true,
+      description: "Component ID (sanitized title, e.g. `components-button`)",
+      schema: { type: "string" }
+    },
+    tags: {
+      name: "tags",
+      in: "query",
+      description: "Tag expression: `,` = AND, `|` = OR, `!` = NOT (e.g. `autodocs,!deprecated`)",
+      schema: { type: "string" }
+    },
+    hasArg: {
+      name: "hasArg",
+      in: "query",
+      description: "Stories having (or with `!`, lacking) an arg/argType, e.g. `size,!onClick`",
+      schema: { type: "string" }
+    },
+    importPath: {
+      name: "importPath",
+      in: "query",
+      description: "Story file glob (`*` within a folder, `**` across folders)",
+      schema: { type: "string" }
+    },
+    package: {
+      name: "package",
+      in: "query",
+      description: "Name of the package the story file belongs to",
+      schema: { type: "string" }
+    },
+    limit: {
+      name: "limit",
+      in: "query",
+      description: `Page size (0 = everything, at most ${CONFIG.maxPageSize})`,
+      schema: { type: "integer", minimum: 0, maximum: CONFIG.maxPageSize }
+    },
+    offset: {
+      name: "offset",
+      in: "query",
+      description: "Number of items to skip",
+      schema: { type: "integer", minimum: 0 }
+    },
+    sort: {
+      name: "sort",
+      in: "query",
+      description: "Field to sort by",
+      schema: { type: "string", enum: LIST_SORT_FIELDS }
+    },
+    order: {
+      name: "order",
+      in: "query",
+      description: "Sort order",
+      schema: { type: "string", enum: ["asc", "desc"] }
+    },
+    pretty: {
+      name: "pretty",
+      in: "query",
+      description: "Indent the JSON (default: true for browsers, false for other clients)",
+      schema: { type: "boolean" }
+    },
+    project: {
+      name: "project",
+      in: "query",
+      description: "Comma-separated project IDs to limit the response to (see /api/projects)",
+      schema: { type: "string" }
+    },
+    fields: {
+      name: "fields",
+      in: "query",
+      description: "Comma-separated fields to return, dotted paths allowed (e.g. `id,title,args.size`)",
+      schema: { type: "string" }
+    }
+  };
+  const FILTER_PARAMS2 = [PARAMS.tags, PARAMS.hasArg, PARAMS.importPath, PARAMS.package];
+  const LIST_PARAMS = [PARAMS.limit, PARAMS.offset, PARAMS.sort, PARAMS.order, PARAMS.fields];
+  const route = (spec, handler) => {
+    routes.push(spec);
+    router[spec.method || "get"](spec.pattern || spec.path, (req, res, next) => {
+      if (spec.projectScoped !== false) {
+        const available = getProjectIds();
+        const unknown = getRequestedProjects(req).filter((id) => !available.includes(id));
+        if (unknown.length > 0) {
+          return sendError(res, "Unknown project", 400, {
+            project: unknown.join(","),
+            available,
+            suggestion: "Use GET /api/projects to see available projects"
+          }, req);
+        }
+      }
+      if (spec.cacheable) {
+        res[METADATA_RESPONSE] = true;
+      }
+      return handler(req, res, next);
+    });
+  };
+  let apiVersion = null;
+  const getApiVersion = () => {
+    if (apiVersion) return apiVersion;
+    const candidates = [
+      import_path2.default.join(getDirname(), "package.json"),
+      import_path2.default.join(process.cwd(), "node_modules", "storybook-api", "package.json")
+    ];
+    for (const candidate of candidates) {
+      try {
+        const manifest = JSON.parse(import_fs2.default.readFileSync(candidate, "utf-8"));
+        if (manifest.name === "storybook-api" && manifest.version) {
+          apiVersion = manifest.version;
+          return apiVersion;
+        }
+      } catch (err) {
+      }
+    }
+    apiVersion = "0.0.0";
+    return apiVersion;
+  };
+  const buildOpenApiDocument = () => {
+    const paths = {};
+    routes.forEach((spec) => {
+      const method = spec.method || "get";
+      const responses = {};
+      let isJson = true;
+      Object.entries(spec.responses || { 200: "OK" }).forEach(([status, response]) => {
+        const { description, contentType = "application/json" } = typeof response === "string" ? { description: response } : response;
+        const isError = Number(status) >= 400;
+        if (contentType !== "application/json") isJson = false;
+        responses[status] = {
+          description,
+          content: {
+            [contentType]: {
+              schema: isError ? { $ref: "#/components/schemas/ErrorResponse" } : {}
+            }
+          }
+        };
+      });
+      const isJsonRead = method === "get" && isJson;
+      if (isJsonRead) {
+        responses[304] = { description: "Not modified (If-None-Match / If-Modified-Since)" };
+      }
+      paths[spec.path] = {
+        ...paths[spec.path],
+        [method]: {
+          tags: [spec.tag],
+          summary: spec.summary,
+          ...spec.description ? { description: spec.description } : {},
+          operationId: spec.operationId,
+          parameters: [
+            ...spec.parameters || [],
+            ...federated && spec.projectScoped !== false ? [PARAMS.project] : [],
+            ...isJsonRead ? [PARAMS.pretty] : []
           ],
-        }, null, 2));
+          ...spec.requestBody ? { requestBody: spec.requestBody } : {},
+          responses
+        }
+      };
+    });
+    const usedTags = new Set(routes.map((spec) => spec.tag));
+    return {
+      openapi: "3.0.3",
+      info: {
+        title: "Storybook Metadata API",
+        version: getApiVersion(),
+        description: "REST API for accessing Storybook component metadata: stories, components, documentation, code examples, search and live updates.",
+        license: { name: "MIT", url: "https://opensource.org/licenses/MIT" }
+      },
+      tags: ROUTE_TAGS.filter((tag) => usedTags.has(tag.name)),
+      paths,
+      components: {
+        schemas: {
+          ErrorResponse: {
+            type: "object",
+            required: ["error", "statusCode", "timestamp"],
+            properties: {
+              error: { type: "string", description: "Error message" },
+              statusCode: { type: "integer", description: "HTTP status code" },
+              timestamp: { type: "string", format: "date-time" }
+            },
+            additionalProperties: true
+          }
+        }
       }
+    };
+  };
+  route({
+    path: "/api/health",
+    tag: "Health",
+    summary: "Health check",
+    description: "Whether the API is running and metadata is available",
+    operationId: "getHealth",
+    responses: { 200: "API status (`healthy` or `no-metadata`)" }
+  }, (req, res) => {
+    var _a, _b;
+    try {
+      const metadata = loadMetadata(req);
+      sendJSON(res, {
+        status: metadata ? "healthy" : "no-metadata",
+        timestamp: (/* @__PURE__ */ new Date()).toISOString(),
+        message: metadata ? "Storybook metadata API is running" : "Metadata not generated yet. Run metadata extraction.",
+        metadata: metadata ? {
+          totalStories: metadata.totalStories || 0,
+          generatedAt: metadata.generatedAt,
+          storybookVersion: metadata.storybookVersion,
+          extractedFrom: metadata.extractedFrom,
+          // Format of stories.json; migratedFrom when an older file was upgraded on read
+          version: metadata.version,
+          ...metadata.migratedFrom ? { migratedFrom: metadata.migratedFrom } : {}
+        } : null,
+        ...federated ? {
+          projects: {
+            total: getProjectIds().length,
+            loaded: ((_a = metadata == null ? void 0 : metadata.projects) == null ? void 0 : _a.length) || 0,
+            duplicateComponents: ((_b = metadata == null ? void 0 : metadata.duplicates) == null ? void 0 : _b.length) || 0
+          }
+        } : {},
+        instructions: metadata ? null : [
+          "Development: npm run metadata:dev",
+          "Production: npm run build-storybook"
+        ],
+        cache: {
+          enabled: CONFIG.cacheTTL > 0,
+          ttl: CONFIG.cacheTTL
+        }
+      }, 200, req);
     } catch (error) {
-      res.statusCode = 500;
-      res.setHeader('Content-Type', 'application/json');
-      res.setHeader('X-Content-Type-Options', 'nosniff');
-      res.end(JSON.stringify({
-        error: 'Internal server error',
-        message: error.message,
-        timestamp: new Date().toISOString(),
-      }, null, 2));
+      sendError(res, "Health check failed", 500, {
+        error: error.message
+      }, req);
     }
   });
-  
-  // GET /stories.json/refresh - Force refresh endpoint
-  router.get('/stories.json/refresh', (req, res) => {
+  route({
+    path: "/api/projects",
+    tag: "Projects",
+    summary: "List projects",
+    description: "Storybooks served by this API, their status and components that share a name across projects. Namespaced projects prefix story IDs with `<project>_` and titles with the project title.",
+    operationId: "getProjects",
+    cacheable: true,
+    responses: {
+      200: "Projects and duplicate component names",
+      400: "Unknown project",
+      404: "Metadata not found"
+    }
+  }, (req, res) => {
     try {
-      // Clear cache
-      metadataCache = { data: null, timestamp: 0, filePath: null };
-      
-      res.setHeader('Content-Type', 'application/json');
-      res.setHeader('X-Content-Type-Options', 'nosniff');
-      res.end(JSON.stringify({
-        message: 'To refresh metadata, run the extraction script again',
-        commands: {
-          development: 'npm run metadata:dev',
-          build: 'npm run build-storybook',
+      const metadata = loadMetadata(req);
+      if (!metadata) {
+        return sendError(res, "Metadata not found", 404, {
+          instructions: [
+            "Run `npm run metadata:dev` in development",
+            "Run `npm run build-storybook` for production"
+          ]
+        }, req);
+      }
+      const componentCounts = /* @__PURE__ */ new Map();
+      Object.values(metadata.stories || {}).forEach((story) => {
+        const project = story.project || LOCAL_PROJECT.id;
+        if (!componentCounts.has(project)) componentCounts.set(project, /* @__PURE__ */ new Set());
+        componentCounts.get(project).add(getComponentId2(story.title || story.kind));
+      });
+      const loadedProjects = metadata.projects || [{
+        ...LOCAL_PROJECT,
+        namespaced: false,
+        totalStories: metadata.totalStories || 0,
+        generatedAt: metadata.generatedAt || null,
+        storybookVersion: metadata.storybookVersion || null,
+        extractedFrom: metadata.extractedFrom || null
+      }];
+      const configuredProjects = getConfiguredProjects(loadLocalMetadata());
+      const requested = getRequestedProjects(req);
+      const pendingProjects = configuredProjects.filter((project) => !loadedProjects.some((loaded) => loaded.id === project.id)).filter((project) => requested.length === 0 || requested.includes(project.id)).map((project) => ({ id: project.id, title: project.title, namespaced: true, totalStories: 0 }));
+      const projects = [...loadedProjects, ...pendingProjects].map((project) => {
+        var _a;
+        const configured = configuredProjects.find((candidate) => candidate.id === project.id);
+        const state = configured ? projectStates.get(project.id) : null;
+        return {
+          ...project,
+          source: configured ? configured.source : import_path2.default.relative(process.cwd(), metadataCache.filePath || "") || null,
+          ref: Boolean(configured == null ? void 0 : configured.ref),
+          status: state ? state.status : "ok",
+          error: (state == null ? void 0 : state.error) || null,
+          components: ((_a = componentCounts.get(project.id)) == null ? void 0 : _a.size) || 0
+        };
+      });
+      sendJSON(res, {
+        total: projects.length,
+        federated,
+        projects,
+        duplicates: metadata.duplicates || []
+      }, 200, req);
+    } catch (error) {
+      sendError(res, "Failed to fetch projects", 500, {
+        error: error.message
+      }, req);
+    }
+  });
+  route({
+    path: "/api/stories",
+    tag: "Stories",
+    summary: "Get all stories",
+    description: "Stories with optional filters, facets and pagination. Filter by arg value with `arg.<name>=value` (e.g. `arg.disabled=true`, `arg.size=small|medium`).",
+    operationId: "getStories",
+    cacheable: true,
+    parameters: [
+      { name: "title", in: "query", description: "Title contains (case-insensitive)", schema: { type: "string" } },
+      { name: "tag", in: "query", description: "Has this tag", schema: { type: "string" } },
+      { name: "kind", in: "query", description: "Kind contains (case-insensitive)", schema: { type: "string" } },
+      ...FILTER_PARAMS2,
+      ...LIST_PARAMS
+    ],
+    responses: {
+      200: "Stories, facets and pagination",
+      400: "Invalid filter or list option",
+      404: "Metadata not found"
+    }
+  }, (req, res) => {
+    try {
+      const metadata = loadMetadata(req);
+      if (!metadata) {
+        return sendError(res, "Metadata not found", 404, {
+          instructions: [
+            "Run `npm run metadata:dev` in development",
+            "Run `npm run build-storybook` for production"
+          ]
+        }, req);
+      }
+      let query;
+      try {
+        query = parseQuery(req.url);
+      } catch (err) {
+        return sendError(res, "Invalid query string", 400, {
+          error: err.message
+        }, req);
+      }
+      let listOptions;
+      try {
+        listOptions = parseListOptions(query, LIST_SORT_FIELDS);
+      } catch (err) {
+        return sendError(res, err.message, 400, err.details, req);
+      }
+      let filters;
+      try {
+        filters = parseStoryFilters(query);
+      } catch (err) {
+        return sendError(res, err.message, 400, err.details, req);
+      }
+      const { title, tag, kind } = query;
+      let stories = Object.values(metadata.stories || {});
+      if (title) {
+        const validatedTitle = validateInput(title, CONFIG.maxSearchLength);
+        if (validatedTitle) {
+          stories = stories.filter(
+            (s) => {
+              var _a;
+              return (_a = s.title) == null ? void 0 : _a.toLowerCase().includes(validatedTitle.toLowerCase());
+            }
+          );
+        }
+      }
+      if (tag) {
+        const validatedTag = validateInput(tag, 100);
+        if (validatedTag) {
+          stories = stories.filter(
+            (s) => Array.isArray(s.tags) && s.tags.includes(validatedTag)
+          );
+        }
+      }
+      if (kind) {
+        const validatedKind = validateInput(kind, CONFIG.maxSearchLength);
+        if (validatedKind) {
+          stories = stories.filter(
+            (s) => {
+              var _a;
+              return (_a = s.kind) == null ? void 0 : _a.toLowerCase().includes(validatedKind.toLowerCase());
+            }
+          );
+        }
+      }
+      stories = filterStories(stories, filters, { getPackage: getStoryPackage });
+      const { items, pagination } = applyListOptions(req, res, stories, listOptions);
+      sendJSON(res, {
+        total: stories.length,
+        filtered: Boolean(title || tag || kind || filters.length > 0),
+        stories: items,
+        facets: buildFacets(stories, { getPackage: getStoryPackage }),
+        pagination,
+        metadata: {
+          generatedAt: metadata.generatedAt,
+          storybookVersion: metadata.storybookVersion,
+          extractedFrom: metadata.extractedFrom
+        }
+      }, 200, req);
+    } catch (error) {
+      sendError(res, "Failed to fetch stories", 500, {
+        error: error.message
+      }, req);
+    }
+  });
+  route({
+    path: "/api/components",
+    tag: "Components",
+    summary: "List all components",
+    description: "Components grouped from their stories. Accepts the same filters as /api/stories.",
+    operationId: "getComponents",
+    cacheable: true,
+    parameters: [...FILTER_PARAMS2, ...LIST_PARAMS],
+    responses: {
+      200: "Components and pagination",
+      400: "Invalid filter or list option",
+      404: "Metadata not found"
+    }
+  }, (req, res) => {
+    try {
+      const metadata = loadMetadata(req);
+      if (!metadata) {
+        return sendError(res, "Metadata not found", 404, {
+          instructions: [
+            "Run `npm run metadata:dev` to generate metadata"
+          ]
+        }, req);
+      }
+      let query;
+      try {
+        query = parseQuery(req.url);
+      } catch (err) {
+        return sendError(res, "Invalid query string", 400, {
+          error: err.message
+        }, req);
+      }
+      let listOptions;
+      try {
+        listOptions = parseListOptions(query, LIST_SORT_FIELDS);
+      } catch (err) {
+        return sendError(res, err.message, 400, err.details, req);
+      }
+      let filters;
+      try {
+        filters = parseStoryFilters(query);
+      } catch (err) {
+        return sendError(res, err.message, 400, err.details, req);
+      }
+      const stories = filterStories(Object.values(metadata.stories || {}), filters, {
+        getPackage: getStoryPackage
+      });
+      const componentMap = {};
+      stories.forEach((story) => {
+        const componentName = story.title || story.kind;
+        const componentId = getComponentId2(componentName);
+        if (!componentMap[componentId]) {
+          componentMap[componentId] = {
+            id: componentId,
+            name: componentName,
+            title: story.title,
+            kind: story.kind,
+            stories: [],
+            tags: new Set(story.tags || []),
+            // Using Set to auto-dedupe tags
+            importPath: story.importPath
+          };
+        }
+        componentMap[componentId].stories.push({
+          id: story.id,
+          name: story.name,
+          story: story.story
+        });
+        (story.tags || []).forEach(
+          (tag) => componentMap[componentId].tags.add(tag)
+        );
+      });
+      const components = Object.values(componentMap).map((comp) => ({
+        ...comp,
+        tags: Array.from(comp.tags),
+        // Convert Set back to array
+        storyCount: comp.stories.length
+      }));
+      const { items, pagination } = applyListOptions(req, res, components, listOptions);
+      sendJSON(res, {
+        total: components.length,
+        components: items,
+        pagination
+      }, 200, req);
+    } catch (error) {
+      sendError(res, "Failed to fetch components", 500, {
+        error: error.message
+      }, req);
+    }
+  });
+  route({
+    path: "/api/components/{id}",
+    pattern: /^\/api\/components\/([^\/]+)$/,
+    tag: "Components",
+    summary: "Get component by ID",
+    description: "Stories, merged args/argTypes, props, package name and import statement of a component",
+    operationId: "getComponentById",
+    cacheable: true,
+    parameters: [PARAMS.componentId],
+    responses: {
+      200: "Component details",
+      400: "Invalid component ID",
+      404: "Component not found"
+    }
+  }, (req, res) => {
+    try {
+      const metadata = loadMetadata(req);
+      if (!metadata) {
+        return sendError(res, "Metadata not found", 404, {}, req);
+      }
+      const componentId = extractComponentIdFromUrl(req.url);
+      if (!componentId) {
+        return sendError(res, "Invalid component ID", 400, {
+          suggestion: "Component ID must be alphanumeric with hyphens/underscores only"
+        }, req);
+      }
+      const stories = findStoriesByComponentId(metadata, componentId);
+      if (stories.length === 0) {
+        return sendError(res, "Component not found", 404, {
+          componentId,
+          suggestion: "Use GET /api/components to see available components"
+        });
+      }
+      const firstStory = stories[0];
+      const componentInfo = getComponentInfo(metadata, firstStory);
+      const allTags = /* @__PURE__ */ new Set();
+      const allArgs = {};
+      const allArgTypes = {};
+      stories.forEach((story) => {
+        (story.tags || []).forEach((tag) => allTags.add(tag));
+        Object.assign(allArgs, story.args);
+        Object.assign(allArgTypes, story.argTypes);
+      });
+      const componentData = {
+        id: componentId,
+        name: firstStory.title || firstStory.kind,
+        title: firstStory.title,
+        kind: firstStory.kind,
+        importPath: firstStory.importPath,
+        tags: Array.from(allTags),
+        stories: stories.map((s) => ({
+          id: s.id,
+          name: s.name,
+          story: s.story,
+          args: s.args,
+          initialArgs: s.initialArgs,
+          argTypes: s.argTypes,
+          parameters: s.parameters
+        })),
+        args: allArgs,
+        argTypes: allArgTypes,
+        component: firstStory.component,
+        description: (componentInfo == null ? void 0 : componentInfo.description) || "",
+        props: (componentInfo == null ? void 0 : componentInfo.props) || {},
+        componentSource: (componentInfo == null ? void 0 : componentInfo.sourcePath) || null,
+        packageName: (componentInfo == null ? void 0 : componentInfo.packageName) || getStoryPackage(firstStory),
+        import: generateImportStatement(firstStory, {
+          framework: resolveSnippetFramework(void 0, metadata, componentInfo),
+          component: componentInfo
+        }),
+        storyCount: stories.length
+      };
+      sendJSON(res, componentData, 200, req);
+    } catch (error) {
+      sendError(res, "Failed to fetch component", 500, {
+        error: error.message
+      }, req);
+    }
+  });
+  route({
+    path: "/api/components/{id}/docs",
+    pattern: /^\/api\/components\/([^\/]+)\/docs$/,
+    tag: "Documentation",
+    summary: "Get component documentation",
+    description: "Descriptions, props and MDX docs pages of a component",
+    operationId: "getComponentDocs",
+    cacheable: true,
+    parameters: [PARAMS.componentId],
+    responses: {
+      200: "Component documentation",
+      400: "Invalid component ID",
+      404: "Component not found"
+    }
+  }, (req, res) => {
+    var _a, _b, _c;
+    try {
+      const metadata = loadMetadata(req);
+      if (!metadata) {
+        return sendError(res, "Metadata not found", 404, {}, req);
+      }
+      const componentId = extractComponentIdFromUrl(req.url);
+      if (!componentId) {
+        return sendError(res, "Invalid component ID", 400, {}, req);
+      }
+      const stories = findStoriesByComponentId(metadata, componentId);
+      const pages = findDocsByComponentId(metadata, componentId);
+      if (stories.length === 0 && pages.length === 0) {
+        return sendError(res, "Component not found", 404, {
+          componentId
+        }, req);
+      }
+      const firstStory = stories[0] || {};
+      const componentInfo = getComponentInfo(metadata, firstStory);
+      const docs = {
+        component: firstStory.title || firstStory.kind || pages[0].title,
+        description: ((_a = firstStory.docs) == null ? void 0 : _a.description) || (componentInfo == null ? void 0 : componentInfo.description) || "",
+        mdx: pages.map((page) => page.markdown).filter(Boolean).join("\n\n") || ((_b = firstStory.docs) == null ? void 0 : _b.mdx) || "",
+        headings: pages.flatMap((page) => page.headings || []),
+        pages: pages.map((page) => ({
+          id: page.id,
+          name: page.name,
+          importPath: page.importPath,
+          headings: page.headings || [],
+          stories: page.stories || []
+        })),
+        sourceCode: ((_c = firstStory.docs) == null ? void 0 : _c.sourceCode) || firstStory.source || "",
+        argTypes: firstStory.argTypes || {},
+        props: (componentInfo == null ? void 0 : componentInfo.props) || {},
+        stories: stories.map((s) => {
+          var _a2;
+          return {
+            name: s.name,
+            description: ((_a2 = s.docs) == null ? void 0 : _a2.description) || "",
+            args: s.args,
+            argTypes: s.argTypes,
+            source: s.source
+          };
+        }),
+        parameters: firstStory.parameters || {},
+        tags: firstStory.tags || [],
+        importPath: firstStory.importPath || pages[0].importPath
+      };
+      sendJSON(res, docs, 200, req);
+    } catch (error) {
+      sendError(res, "Failed to fetch component docs", 500, {
+        error: error.message
+      }, req);
+    }
+  });
+  route({
+    path: "/api/components/{id}/examples",
+    pattern: /^\/api\/components\/([^\/]+)\/examples$/,
+    tag: "Examples",
+    summary: "Get component code examples",
+    description: "Story sources and usage snippets written for a framework, plus the import statement",
+    operationId: "getComponentExamples",
+    cacheable: true,
+    parameters: [
+      PARAMS.componentId,
+      {
+        name: "framework",
+        in: "query",
+        description: "Framework to write usage snippets for (defaults to the project's framework)",
+        schema: { type: "string", enum: SNIPPET_FRAMEWORKS }
+      }
+    ],
+    responses: {
+      200: "Code examples",
+      400: "Invalid component ID or unsupported framework",
+      404: "Component not found"
+    }
+  }, (req, res) => {
+    var _a, _b;
+    try {
+      const metadata = loadMetadata(req);
+      if (!metadata) {
+        return sendError(res, "Metadata not found", 404, {}, req);
+      }
+      const componentId = extractComponentIdFromUrl(req.url);
+      if (!componentId) {
+        return sendError(res, "Invalid component ID", 400, {}, req);
+      }
+      const stories = findStoriesByComponentId(metadata, componentId);
+      if (stories.length === 0) {
+        return sendError(res, "Component not found", 404, {
+          componentId
+        }, req);
+      }
+      const firstStory = stories[0];
+      const component = ((_a = metadata.components) == null ? void 0 : _a[firstStory.title]) || null;
+      let framework;
+      try {
+        framework = resolveSnippetFramework(parseQuery(req.url).framework, metadata, component);
+      } catch (err) {
+        return sendError(res, err.message, 400, err.details, req);
+      }
+      const examples = {
+        component: firstStory.title || firstStory.kind,
+        importPath: firstStory.importPath,
+        sourceFile: ((_b = firstStory.parameters) == null ? void 0 : _b.fileName) || "",
+        packageName: (component == null ? void 0 : component.packageName) || getStoryPackage(firstStory),
+        framework,
+        import: generateImportStatement(firstStory, { framework, component }),
+        examples: stories.map((story) => {
+          var _a2;
+          const snippet = generateUsageSnippet(story, { framework, component });
+          return {
+            name: story.name,
+            description: `${story.story} example`,
+            code: story.source || ((_a2 = story.docs) == null ? void 0 : _a2.sourceCode) || "",
+            render: story.render || null,
+            play: story.play || null,
+            location: story.location || null,
+            args: story.args || {},
+            argTypes: story.argTypes || {},
+            usage: snippet.code,
+            usageLanguage: snippet.language
+          };
+        })
+      };
+      sendJSON(res, examples, 200, req);
+    } catch (error) {
+      sendError(res, "Failed to fetch component examples", 500, {
+        error: error.message
+      }, req);
+    }
+  });
+  route({
+    path: "/api/tree",
+    tag: "Navigation",
+    summary: "Story tree",
+    description: "Nested root/group/component/story tree as the Storybook sidebar shows it, with counts per node",
+    operationId: "getTree",
+    cacheable: true,
+    parameters: [
+      {
+        name: "roots",
+        in: "query",
+        description: "`false` treats top-level title segments as plain groups",
+        schema: { type: "boolean", default: true }
+      }
+    ],
+    responses: {
+      200: "Story tree",
+      400: "Invalid query string",
+      404: "Metadata not found"
+    }
+  }, (req, res) => {
+    try {
+      const metadata = loadMetadata(req);
+      if (!metadata) {
+        return sendError(res, "Metadata not found", 404, {}, req);
+      }
+      let query;
+      try {
+        query = parseQuery(req.url);
+      } catch (err) {
+        return sendError(res, "Invalid query string", 400, {
+          error: err.message
+        }, req);
+      }
+      const tree = buildStoryTree(metadata, { showRoots: query.roots !== "false" });
+      const { components, stories, docs } = flattenTreeNode({ type: "root", children: tree });
+      sendJSON(res, {
+        counts: {
+          components: components.length,
+          stories: stories.length,
+          docs: docs.length
         },
-        cacheCleared: true,
-      }, null, 2));
+        tree: tree.map(formatTreeNode)
+      }, 200, req);
     } catch (error) {
-      res.statusCode = 500;
-      res.setHeader('Content-Type', 'application/json');
-      res.end(JSON.stringify({
-        error: 'Failed to process refresh request',
-        message: error.message,
-        timestamp: new Date().toISOString(),
-      }, null, 2));
+      sendError(res, "Failed to build tree", 500, {
+        error: error.message
+      }, req);
     }
   });
-  
-  // GET /stories.json/stats - Statistics endpoint
-  router.get('/stories.json/stats', (req, res) => {
-    try {
-      const metadata = metadataCache.data || (() => {
-        const metadataPath = path.join(__dirname, '../storybook-static/stories.json');
-        if (fs.existsSync(metadataPath) && validatePath(metadataPath, process.cwd())) {
-          try {
-            return JSON.parse(fs.readFileSync(metadataPath, 'utf-8'));
-          } catch {
-            return null;
+  route({
+    path: "/api/groups/{path}",
+    pattern: /^\/api\/groups\/(.+)$/,
+    tag: "Navigation",
+    summary: "Group contents",
+    description: "Subtree of a root, group or component plus flat lists of its components, stories and docs pages",
+    operationId: "getGroup",
+    cacheable: true,
+    parameters: [
+      {
+        name: "path",
+        in: "path",
+        required: true,
+        description: "Title path (`Forms/Inputs`) or node ID (`forms-inputs`)",
+        schema: { type: "string" }
+      }
+    ],
+    responses: {
+      200: "Group contents",
+      400: "Invalid group path",
+      404: "Group not found"
+    }
+  }, (req, res) => {
+    try {
+      const metadata = loadMetadata(req);
+      if (!metadata) {
+        return sendError(res, "Metadata not found", 404, {}, req);
+      }
+      let groupPath = "";
+      try {
+        groupPath = decodeURIComponent(req.url.split("?")[0].replace(/^\/api\/groups\//, ""));
+      } catch (err) {
+        console.warn("Error decoding group path:", err.message);
+      }
+      if (!validateInput(groupPath, CONFIG.maxSearchLength)) {
+        return sendError(res, "Invalid group path", 400, {
+          example: "/api/groups/forms/inputs"
+        }, req);
+      }
+      const tree = buildStoryTree(metadata);
+      const group = findTreeNode(tree, groupPath);
+      if (!group) {
+        return sendError(res, "Group not found", 404, {
+          path: groupPath,
+          suggestion: "Use GET /api/tree to see available groups"
+        }, req);
+      }
+      const { children, ...groupInfo } = formatTreeNode(group);
+      const { components, stories, docs } = flattenTreeNode(group);
+      sendJSON(res, {
+        group: groupInfo,
+        children: children || [],
+        components,
+        stories,
+        docs
+      }, 200, req);
+    } catch (error) {
+      sendError(res, "Failed to fetch group", 500, {
+        error: error.message
+      }, req);
+    }
+  });
+  route({
+    path: "/api/search",
+    tag: "Search",
+    summary: "Search stories and docs",
+    description: "Ranked, typo-tolerant search across titles, names, tags, argTypes and docs text, with highlighted snippets",
+    operationId: "searchStories",
+    cacheable: true,
+    parameters: [
+      {
+        name: "q",
+        in: "query",
+        required: true,
+        description: `Search query (at most ${CONFIG.maxSearchLength} characters)`,
+        schema: { type: "string", maxLength: CONFIG.maxSearchLength }
+      },
+      ...LIST_PARAMS
+    ],
+    responses: {
+      200: "Search results and component groups",
+      400: "Missing query or invalid list option",
+      404: "Metadata not found"
+    }
+  }, (req, res) => {
+    try {
+      const metadata = loadMetadata(req);
+      if (!metadata) {
+        return sendError(res, "Metadata not found", 404, {}, req);
+      }
+      let query;
+      try {
+        query = parseQuery(req.url);
+      } catch (err) {
+        return sendError(res, "Invalid query string", 400, {
+          error: err.message
+        }, req);
+      }
+      const rawQuery = query.q || "";
+      const searchQuery = validateInput(rawQuery, CONFIG.maxSearchLength);
+      if (!searchQuery) {
+        return sendError(res, "Missing or invalid search query", 400, {
+          usage: "GET /api/search?q=button",
+          example: "http://localhost:6006/api/search?q=button",
+          maxLength: CONFIG.maxSearchLength
+        }, req);
+      }
+      let listOptions;
+      try {
+        listOptions = parseListOptions(query, LIST_SORT_FIELDS);
+      } catch (err) {
+        return sendError(res, err.message, 400, err.details, req);
+      }
+      const results = querySearchIndex(getSearchIndex(metadata), searchQuery).map((hit) => {
+        const result = { ...hit.document, score: hit.score };
+        Object.defineProperty(result, "highlights", { enumerable: true, get: hit.getHighlights });
+        return result;
+      });
+      const groupMap = /* @__PURE__ */ new Map();
+      results.forEach((result) => {
+        const componentId = getComponentId2(result.title || result.kind);
+        if (!groupMap.has(componentId)) {
+          groupMap.set(componentId, {
+            componentId,
+            component: result.title || result.kind,
+            score: result.score,
+            total: 0,
+            results: []
+          });
+        }
+        const group = groupMap.get(componentId);
+        group.total++;
+        group.results.push({ id: result.id, name: result.name, type: result.type || "story", score: result.score });
+      });
+      const { items, pagination } = applyListOptions(req, res, results, listOptions);
+      sendJSON(res, {
+        query: searchQuery,
+        total: results.length,
+        results: items,
+        groups: [...groupMap.values()],
+        pagination
+      }, 200, req);
+    } catch (error) {
+      sendError(res, "Search failed", 500, {
+        error: error.message
+      }, req);
+    }
+  });
+  const getDiffBaseDirs = () => [.../* @__PURE__ */ new Set([
+    CONFIG.outputDir,
+    import_path2.default.resolve(import_path2.default.relative(CONFIG.baseDir, CONFIG.outputDir)),
+    ...explicitMetadataPath ? [import_path2.default.dirname(explicitMetadataPath)] : []
+  ])];
+  const readDiffBaseResponse = async (response) => {
+    const tooLarge = () => Object.assign(new Error("Base is too large"), {
+      statusCode: 413,
+      details: { maxBytes: CONFIG.maxDiffBaseSize }
+    });
+    if (Number(response.headers.get("content-length")) > CONFIG.maxDiffBaseSize) {
+      throw tooLarge();
+    }
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body || []) {
+      size += chunk.length;
+      if (size > CONFIG.maxDiffBaseSize) throw tooLarge();
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString("utf-8");
+  };
+  const loadDiffBase = async (source) => {
+    let content;
+    if (/^https?:\/\//i.test(source)) {
+      if (!CONFIG.diffAllowRemote) {
+        throw Object.assign(new Error("Remote diff bases are disabled (diffAllowRemote)"), { statusCode: 403 });
+      }
+      const response = await fetch(source, { signal: AbortSignal.timeout(CONFIG.diffFetchTimeout) });
+      if (!response.ok) {
+        throw Object.assign(new Error(`Fetching base returned HTTP ${response.status}`), { statusCode: 502 });
+      }
+      content = await readDiffBaseResponse(response);
+    } else {
+      const baseDirs = getDiffBaseDirs();
+      const filepath = import_path2.default.resolve(process.cwd(), source);
+      const isAllowed = (file) => baseDirs.some((dir) => validatePath(file, dir) || import_fs2.default.existsSync(dir) && validatePath(file, import_fs2.default.realpathSync(dir)));
+      const notAllowed = () => Object.assign(new Error("Base must be a .json file in the output directory"), {
+        statusCode: 400,
+        details: { directories: baseDirs.map((dir) => import_path2.default.relative(process.cwd(), dir) || ".") }
+      });
+      if (import_path2.default.extname(filepath) !== ".json" || !isAllowed(filepath)) {
+        throw notAllowed();
+      }
+      if (!import_fs2.default.existsSync(filepath)) {
+        throw Object.assign(new Error(`Base file not found: ${source}`), { statusCode: 404 });
+      }
+      const realpath = import_fs2.default.realpathSync(filepath);
+      if (!isAllowed(realpath)) {
+        throw notAllowed();
+      }
+      if (import_fs2.default.statSync(realpath).size > CONFIG.maxDiffBaseSize) {
+        throw Object.assign(new Error("Base is too large"), {
+          statusCode: 413,
+          details: { maxBytes: CONFIG.maxDiffBaseSize }
+        });
+      }
+      content = import_fs2.default.readFileSync(realpath, "utf-8");
+    }
+    try {
+      return parseMetadata(content, source);
+    } catch {
+      throw Object.assign(new Error("Base is not valid JSON"), { statusCode: 400 });
+    }
+  };
+  route({
+    path: "/api/diff",
+    tag: "Diff",
+    summary: "Diff against a base stories.json",
+    description: "Component API changes between a base stories.json and the current metadata, classified as breaking or non-breaking",
+    operationId: "getDiff",
+    parameters: [
+      {
+        name: "base",
+        in: "query",
+        required: true,
+        description: "Path of a .json file in the output directory, or an http(s) URL when diffAllowRemote is on",
+        schema: { type: "string" }
+      },
+      {
+        name: "format",
+        in: "query",
+        description: "`markdown` for a pull request comment",
+        schema: { type: "string", enum: ["json", "markdown"], default: "json" }
+      }
+    ],
+    responses: {
+      200: "Diff report (JSON, or text/markdown with format=markdown)",
+      400: "Missing or invalid base",
+      403: "Remote bases are disabled (diffAllowRemote)",
+      404: "Metadata or base file not found",
+      413: "Base is too large"
+    }
+  }, async (req, res) => {
+    try {
+      const metadata = loadProjectMetadata(req) || loadMetadata(req);
+      if (!metadata) {
+        return sendError(res, "Metadata not found", 404, {}, req);
+      }
+      let query;
+      try {
+        query = parseQuery(req.url);
+      } catch (err) {
+        return sendError(res, "Invalid query string", 400, {
+          error: err.message
+        }, req);
+      }
+      if (!query.base) {
+        return sendError(res, "Missing base metadata", 400, {
+          usage: "GET /api/diff?base=storybook-static/stories.base.json&format=markdown",
+          example: "http://localhost:6006/api/diff?base=storybook-static/stories.base.json"
+        }, req);
+      }
+      let base;
+      try {
+        base = await loadDiffBase(query.base);
+      } catch (err) {
+        return sendError(res, "Failed to load base metadata", err.statusCode || 400, {
+          error: err.message,
+          ...err.details
+        }, req);
+      }
+      const report = diffMetadata(base, metadata);
+      if (query.format === "markdown") {
+        res.statusCode = 200;
+        res.setHeader("Content-Type", "text/markdown; charset=utf-8");
+        res.setHeader("Access-Control-Allow-Origin", getCorsOrigin(req));
+        res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+        res.setHeader("X-Content-Type-Options", "nosniff");
+        return res.end(formatDiffMarkdown(report));
+      }
+      sendJSON(res, report, 200, req);
+    } catch (error) {
+      sendError(res, "Diff failed", 500, {
+        error: error.message
+      }, req);
+    }
+  });
+  const eventClients = /* @__PURE__ */ new Set();
+  let eventsState = {
+    watching: false,
+    heartbeat: null,
+    generatedAt: null,
+    storyHashes: /* @__PURE__ */ new Map()
+  };
+  const hashStories = (metadata) => {
+    return new Map(Object.entries((metadata == null ? void 0 : metadata.stories) || {}).map(([id, story]) => [
+      id,
+      import_crypto.default.createHash("sha1").update(JSON.stringify(story)).digest("hex")
+    ]));
+  };
+  const broadcastEvent = (event, data, id = null) => {
+    const message = `${id ? `id: ${id}
+` : ""}event: ${event}
+data: ${JSON.stringify(data)}
+
+`;
+    eventClients.forEach((res) => res.write(message));
+  };
+  const handleMetadataFileChange = () => {
+    metadataCache = { data: null, timestamp: 0, filePath: null, hash: null, modifiedAt: null };
+    projectStates.forEach((state) => {
+      if (!state.remote) state.checkedAt = 0;
+    });
+    const metadata = loadMetadata();
+    const storyHashes = hashStories(metadata);
+    const previous = eventsState.storyHashes;
+    const added = [...storyHashes.keys()].filter((id) => !previous.has(id));
+    const removed = [...previous.keys()].filter((id) => !storyHashes.has(id));
+    const changed = [...storyHashes.keys()].filter((id) => previous.has(id) && previous.get(id) !== storyHashes.get(id));
+    const generatedAt = (metadata == null ? void 0 : metadata.generatedAt) || null;
+    if (generatedAt === eventsState.generatedAt && added.length + removed.length + changed.length === 0) {
+      return;
+    }
+    broadcastEvent("metadata-updated", {
+      generatedAt,
+      previousGeneratedAt: eventsState.generatedAt,
+      totalStories: storyHashes.size,
+      added,
+      removed,
+      changed
+    }, generatedAt);
+    eventsState.generatedAt = generatedAt;
+    eventsState.storyHashes = storyHashes;
+  };
+  const getWatchedPaths = () => [
+    ...getMetadataPaths(),
+    ...federation.projects.filter((project) => !project.remote).map((project) => import_path2.default.resolve(project.source))
+  ];
+  const startWatchingMetadata = () => {
+    if (eventsState.watching) return;
+    const metadata = loadMetadata();
+    eventsState = {
+      watching: true,
+      generatedAt: (metadata == null ? void 0 : metadata.generatedAt) || null,
+      storyHashes: hashStories(metadata),
+      heartbeat: setInterval(() => {
+        broadcastEvent("ping", { timestamp: (/* @__PURE__ */ new Date()).toISOString() });
+      }, CONFIG.heartbeatInterval)
+    };
+    getWatchedPaths().forEach((filepath) => {
+      import_fs2.default.watchFile(filepath, { interval: CONFIG.eventsPollInterval }, handleMetadataFileChange);
+    });
+  };
+  const stopWatchingMetadata = () => {
+    if (!eventsState.watching) return;
+    clearInterval(eventsState.heartbeat);
+    getWatchedPaths().forEach((filepath) => {
+      import_fs2.default.unwatchFile(filepath, handleMetadataFileChange);
+    });
+    eventsState = { ...eventsState, watching: false, heartbeat: null };
+  };
+  route({
+    path: "/api/events",
+    tag: "Events",
+    summary: "Metadata change events",
+    description: "Server-Sent Events: `connected`, `metadata-updated` with added/removed/changed story IDs, and `ping` heartbeats",
+    operationId: "getEvents",
+    projectScoped: false,
+    responses: {
+      200: { description: "Event stream", contentType: "text/event-stream" }
+    }
+  }, (req, res) => {
+    var _a;
+    try {
+      res.statusCode = 200;
+      res.setHeader("Content-Type", "text/event-stream");
+      res.setHeader("Cache-Control", "no-cache, no-transform");
+      res.setHeader("Connection", "keep-alive");
+      res.setHeader("Access-Control-Allow-Origin", getCorsOrigin(req));
+      res.setHeader("X-Accel-Buffering", "no");
+      (_a = res.flushHeaders) == null ? void 0 : _a.call(res);
+      startWatchingMetadata();
+      eventClients.add(res);
+      res.write(`retry: 3000
+
+`);
+      res.write(`event: connected
+data: ${JSON.stringify({
+        generatedAt: eventsState.generatedAt,
+        totalStories: eventsState.storyHashes.size
+      })}
+
+`);
+      req.on("close", () => {
+        eventClients.delete(res);
+        if (eventClients.size === 0) {
+          stopWatchingMetadata();
+        }
+      });
+    } catch (error) {
+      sendError(res, "Failed to open event stream", 500, {
+        error: error.message
+      }, req);
+    }
+  });
+  let graphqlApi = null;
+  const loadGraphQLApi = async () => {
+    graphqlApi = graphqlApi || await Promise.resolve().then(() => (init_graphql_api(), graphql_api_exports));
+    return graphqlApi;
+  };
+  const readJsonBody = (req, res) => {
+    if (req.body !== void 0 && typeof req.body !== "string" && !Buffer.isBuffer(req.body)) {
+      return Promise.resolve(req.body);
+    }
+    const invalid = (message, statusCode, details) => Object.assign(new Error(message), { statusCode, details });
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      const onData = (chunk) => {
+        size += chunk.length;
+        if (size > CONFIG.maxBodySize) {
+          tooLarge();
+          return;
+        }
+        chunks.push(chunk);
+      };
+      const tooLarge = () => {
+        req.removeListener("data", onData);
+        req.pause();
+        res.setHeader("Connection", "close");
+        res.once("finish", () => req.destroy());
+        reject(invalid("Request body too large", 413, { maxBytes: CONFIG.maxBodySize }));
+      };
+      if (Number(req.headers["content-length"]) > CONFIG.maxBodySize) {
+        tooLarge();
+        return;
+      }
+      req.on("data", onData);
+      req.on("end", () => {
+        try {
+          resolve(JSON.parse(Buffer.concat(chunks).toString("utf-8") || "null"));
+        } catch (err) {
+          reject(invalid("Invalid JSON body", 400, { reason: err.message }));
+        }
+      });
+      req.on("error", (err) => reject(invalid("Failed to read request body", 400, { reason: err.message })));
+    });
+  };
+  const paginateList = (items, args) => {
+    const { limit, offset, sort, order } = parseListOptions({
+      limit: args.limit != null ? String(args.limit) : void 0,
+      offset: args.offset != null ? String(args.offset) : void 0,
+      sort: args.sort,
+      order: args.order
+    }, LIST_SORT_FIELDS);
+    const sorted = sortItems(items, sort, order);
+    const page = limit ? sorted.slice(offset, offset + limit) : sorted.slice(offset);
+    return {
+      items: page,
+      pagination: {
+        offset,
+        limit: limit || null,
+        count: page.length,
+        total: sorted.length,
+        hasMore: offset + page.length < sorted.length
+      }
+    };
+  };
+  route({
+    path: "/api/graphql",
+    method: "post",
+    tag: "GraphQL",
+    summary: "GraphQL query",
+    description: "Query components, stories, argTypes, docs, tags and groups in one request. Filters, pagination and search mirror the REST endpoints; introspection is enabled for client generation.",
+    operationId: "postGraphQL",
+    requestBody: {
+      required: true,
+      content: {
+        "application/json": {
+          schema: {
+            type: "object",
+            required: ["query"],
+            properties: {
+              query: { type: "string", example: "{ components { items { id name docs { description } } } }" },
+              variables: { type: "object", additionalProperties: true },
+              operationName: { type: "string" }
+            }
           }
         }
-        return null;
-      })();
-      
+      }
+    },
+    responses: {
+      200: "GraphQL result: `data`, plus `errors` when a field failed",
+      400: "Invalid JSON body or missing query",
+      404: "Metadata not found",
+      413: "Request body too large",
+      501: "The graphql package is not installed"
+    }
+  }, async (req, res) => {
+    try {
+      const metadata = loadMetadata(req);
+      if (!metadata) {
+        return sendError(res, "Metadata not found", 404, {
+          instructions: [
+            "Run `npm run metadata:dev` to generate metadata"
+          ]
+        }, req);
+      }
+      let executeGraphQL2;
+      try {
+        ({ executeGraphQL: executeGraphQL2 } = await loadGraphQLApi());
+      } catch (err) {
+        return sendError(res, "GraphQL not available", 501, {
+          reason: err.message,
+          instructions: [
+            "Run `npm install graphql` in your project"
+          ]
+        }, req);
+      }
+      let result;
+      try {
+        const body = await readJsonBody(req, res);
+        result = await executeGraphQL2(body, {
+          metadata,
+          getPackage: getStoryPackage,
+          getSearchIndex,
+          paginate: paginateList,
+          maxSearchLength: CONFIG.maxSearchLength
+        });
+      } catch (err) {
+        return sendError(res, err.message, err.statusCode || 400, err.details, req);
+      }
+      sendJSON(res, result, 200, req);
+    } catch (error) {
+      sendError(res, "GraphQL request failed", 500, {
+        error: error.message
+      }, req);
+    }
+  });
+  router.options("/api/graphql", (req, res) => {
+    res.statusCode = 204;
+    res.setHeader("Access-Control-Allow-Origin", getCorsOrigin(req));
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+    res.setHeader("Access-Control-Max-Age", "600");
+    res.end();
+  });
+  route({
+    path: "/api/openapi.json",
+    tag: "Documentation",
+    summary: "OpenAPI document",
+    description: "Generated from the registered routes, so it always matches this server",
+    operationId: "getOpenApiDocument",
+    projectScoped: false,
+    responses: {
+      200: "OpenAPI 3.0 document"
+    }
+  }, (req, res) => {
+    try {
+      sendJSON(res, buildOpenApiDocument(), 200, req);
+    } catch (error) {
+      sendError(res, "Failed to build OpenAPI document", 500, {
+        error: error.message
+      }, req);
+    }
+  });
+  route({
+    path: "/api/docs",
+    tag: "Documentation",
+    summary: "API explorer",
+    description: "Browse the endpoints and call them from the browser",
+    operationId: "getApiExplorer",
+    projectScoped: false,
+    responses: {
+      200: { description: "HTML page", contentType: "text/html" }
+    }
+  }, (req, res) => {
+    try {
+      const nonce = import_crypto.default.randomBytes(16).toString("base64");
+      res.statusCode = 200;
+      res.setHeader("Content-Type", "text/html; charset=utf-8");
+      res.setHeader("Cache-Control", "no-cache");
+      res.setHeader("X-Content-Type-Options", "nosniff");
+      res.setHeader(
+        "Content-Security-Policy",
+        `default-src 'none'; style-src 'nonce-${nonce}'; script-src 'nonce-${nonce}'; connect-src 'self'`
+      );
+      res.end(renderApiExplorer({
+        specUrl: "openapi.json",
+        title: "Storybook Metadata API",
+        nonce
+      }));
+    } catch (error) {
+      sendError(res, "Failed to render API explorer", 500, {
+        error: error.message
+      }, req);
+    }
+  });
+  route({
+    path: "/stories.json",
+    tag: "Legacy",
+    summary: "Full metadata",
+    description: "The complete stories.json",
+    operationId: "getLegacyStoriesJson",
+    cacheable: true,
+    responses: {
+      200: "Complete metadata",
+      404: "Metadata not found"
+    }
+  }, (req, res) => {
+    try {
+      const metadata = loadMetadata(req);
       if (metadata) {
-        const stats = {
-          totalStories: metadata.totalStories || 0,
-          generatedAt: metadata.generatedAt,
-          extractedFrom: metadata.extractedFrom,
-          storybookVersion: metadata.storybookVersion,
-          storyTitles: Object.keys(
-            Object.values(metadata.stories || {}).reduce((acc, story) => {
-              acc[story.title] = true;
-              return acc;
-            }, {})
-          ),
-        };
-        
-        res.setHeader('Content-Type', 'application/json');
-        res.setHeader('X-Content-Type-Options', 'nosniff');
-        res.end(JSON.stringify(stats, null, 2));
+        sendJSON(res, metadata, 200, req);
       } else {
-        res.statusCode = 404;
-        res.setHeader('Content-Type', 'application/json');
-        res.setHeader('X-Content-Type-Options', 'nosniff');
-        res.end(JSON.stringify({ 
-          error: 'Metadata not found',
-          timestamp: new Date().toISOString(),
-        }, null, 2));
+        sendError(res, "Metadata not found", 404, {
+          instructions: [
+            "For development: Run `npm run metadata:dev` in a separate terminal",
+            "For build: Run `npm run build-storybook`",
+            "Make sure Storybook is running before extracting metadata"
+          ]
+        }, req);
       }
     } catch (error) {
-      res.statusCode = 500;
-      res.setHeader('Content-Type', 'application/json');
-      res.setHeader('X-Content-Type-Options', 'nosniff');
-      res.end(JSON.stringify({ 
-        error: 'Failed to read stats', 
-        message: error.message,
-        timestamp: new Date().toISOString(),
-      }, null, 2));
+      sendError(res, "Failed to fetch metadata", 500, {
+        error: error.message
+      }, req);
     }
   });
-  
+  route({
+    path: "/stories.json/stats",
+    tag: "Legacy",
+    summary: "Metadata statistics",
+    operationId: "getLegacyStats",
+    cacheable: true,
+    responses: {
+      200: "Story count and titles",
+      404: "Metadata not found"
+    }
+  }, (req, res) => {
+    try {
+      const metadata = loadMetadata(req);
+      if (!metadata) {
+        return sendError(res, "Metadata not found", 404, {}, req);
+      }
+      const stats = {
+        totalStories: metadata.totalStories || 0,
+        generatedAt: metadata.generatedAt,
+        extractedFrom: metadata.extractedFrom,
+        storybookVersion: metadata.storybookVersion,
+        storyTitles: Object.keys(
+          Object.values(metadata.stories || {}).reduce((acc, story) => {
+            acc[story.title] = true;
+            return acc;
+          }, {})
+        )
+      };
+      sendJSON(res, stats, 200, req);
+    } catch (error) {
+      sendError(res, "Failed to fetch stats", 500, {
+        error: error.message
+      }, req);
+    }
+  });
+  route({
+    path: "/stories.json/refresh",
+    tag: "Legacy",
+    summary: "Clear the metadata cache",
+    description: "Clears the in-memory cache and returns the commands that regenerate the metadata",
+    operationId: "refreshLegacy",
+    projectScoped: false,
+    responses: { 200: "Cache cleared" }
+  }, (req, res) => {
+    try {
+      metadataCache = { data: null, timestamp: 0, filePath: null, hash: null, modifiedAt: null };
+      projectStates.forEach((state) => {
+        state.checkedAt = 0;
+      });
+      sendJSON(res, {
+        message: "To refresh metadata, run the extraction script again",
+        commands: {
+          development: "npm run metadata:dev",
+          build: "npm run build-storybook"
+        },
+        cacheCleared: true
+      }, 200, req);
+    } catch (error) {
+      sendError(res, "Failed to process refresh request", 500, {
+        error: error.message
+      }, req);
+    }
+  });
+  if (federated) {
+    loadMetadata();
+  }
   return router;
 }
-
-// Export for CommonJS
-module.exports = middleware;
-
+// Annotate the CommonJS export names for ESM import in node:
+0 && (module.exports = {
+  middleware
+});
+const cjsMiddleware = module.exports.default;
+module.exports = Object.assign(cjsMiddleware, { default: cjsMiddleware, middleware: cjsMiddleware });
@@ -7,57 +7,84 @@
  * Works with any Storybook project (React, Vue, Angular, etc.)
  * 
  * Endpoints:
- *   - GET /api/stories              - All stories with optional filters
+ *   - GET /api/stories              - All stories with filters and facets
  *   - GET /api/components           - List all components
  *   - GET /api/components/:id       - Get specific component data
  *   - GET /api/components/:id/docs  - Get component documentation
  *   - GET /api/components/:id/examples - Get code examples
- *   - GET /api/search?q=query       - Search stories/components
+ *   - GET /api/tree                 - Sidebar hierarchy (roots/groups/components/stories)
+ *   - GET /api/groups/:path         - Everything under a group, e.g. /api/groups/forms/inputs
+ *   - GET /api/search?q=query       - Ranked, typo-tolerant search of stories/docs
+ *   - GET /api/diff?base=path|url   - Component API changes against a base stories.json
+ *   - GET /api/events               - Server-Sent Events on metadata changes
+ *   - POST /api/graphql             - GraphQL over the same metadata (introspection enabled)
  *   - GET /api/health               - Health check
+ *   - GET /api/projects             - Projects served (multi-project federation)
+ *   - GET /api/openapi.json         - OpenAPI document generated from the routes
+ *   - GET /api/docs                 - Interactive API explorer
+ * 
+ * Every data endpoint accepts ?project=id[,id] to select projects.
  * 
  * Legacy endpoints (backward compatible):
  *   - GET /stories.json             - Original metadata endpoint
  *   - GET /stories.json/stats       - Statistics endpoint
  * 
+ * Settings: storybook-api.config.js and env vars (see api-config.js)
+ * 
  * Tested with Storybook 7.x and 8.x
  * ==============================================
  */
 
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
+import zlib from 'zlib';
 import { fileURLToPath } from 'url';
+import { diffMetadata, formatDiffMarkdown } from './metadata-diff.js';
+import { buildSearchIndex, querySearchIndex } from './search-index.js';
+import { parseStoryFilters, filterStories, buildFacets } from './story-filters.js';
+import { buildStoryTree, findTreeNode, flattenTreeNode, formatTreeNode } from './story-tree.js';
+import { SNIPPET_FRAMEWORKS, resolveSnippetFramework, generateUsageSnippet, generateImportStatement } from './usage-snippets.js';
+import { renderApiExplorer } from './api-explorer.js';
+import { LOCAL_PROJECT, parseProjectList, projectsFromRefs, mergeProjects, selectProjects } from './federation.js';
+import { loadConfig, formatConfigError } from './api-config.js';
+import { METADATA_VERSION, migrateMetadata, compareMetadataVersion } from './metadata-schema.js';
 
 // Constants
-const JSON_INDENT = 2; // Pretty print JSON responses
+const JSON_INDENT = 2; // Pretty print JSON responses (?pretty=true and browsers)
 
-// Configuration from environment variables
-const CONFIG = {
-  // CORS: Allow specific origins or use wildcard for development
-  // Set STORYBOOK_CORS_ORIGIN env var to restrict origins (comma-separated)
-  corsOrigin: process.env.STORYBOOK_CORS_ORIGIN || '*',
-  
-  // Cache TTL in milliseconds (default: 5 seconds)
-  cacheTTL: parseInt(process.env.STORYBOOK_CACHE_TTL || '5000', 10),
-  
+// Marks responses that depend only on the metadata file and the request URL
+const METADATA_RESPONSE = Symbol('metadataResponse');
+
+// Limits that are not configurable; the other settings come from
+// storybook-api.config.js and env vars when the middleware is mounted (api-config.js)
+const LIMITS = {
   // Maximum query string length to prevent DoS
   maxQueryLength: 2048,
   
-  // Maximum search query length
-  maxSearchLength: 200,
-};
-
-// In-memory cache for metadata
-let metadataCache = {
-  data: null,
-  timestamp: 0,
-  filePath: null,
+  // Maximum request body size for POST /api/graphql (bytes)
+  maxBodySize: 100 * 1024,
+  
+  // Maximum size of a base stories.json read by /api/diff (bytes)
+  maxDiffBaseSize: 20 * 1024 * 1024,
 };
 
 /**
  * Middleware function that adds REST API endpoints to Storybook
  * @param {object} router - Express router instance from Storybook
+ * @param {object} [options]
+ * @param {string} [options.metadataPath] - Serve this stories.json instead of
+ *   looking in the usual locations (used by `storybook-api serve`)
+ * @param {Array|string} [options.projects] - Other Storybooks to serve next to
+ *   the local one (`{ id, title, metadata }` objects, `id=path-or-url` strings,
+ *   `refs`); defaults to the `projects` option of the config file
+ * @param {string|false} [options.config] - Config file to use instead of the
+ *   storybook-api.config.* of the project (or STORYBOOK_API_CONFIG); false for none
  */
-export default function middleware(router) {
+export default function middleware(router, options = {}) {
+  // An explicitly configured file is trusted even outside the working directory
+  const explicitMetadataPath = options.metadataPath ? path.resolve(options.metadataPath) : null;
+  
   /**
    * Get the directory path for this middleware file.
    * Handles both ES modules and CommonJS contexts.
@@ -85,6 +112,42 @@ export default function middleware(router) {
     return path.join(process.cwd(), '.storybook');
   };
   
+  // Settings of the project (the folder above .storybook); an invalid
+  // config file or env var stops Storybook from starting. Settings and
+  // caches belong to this mount, so a second mount in the same process
+  // doesn't take over the first one's files, origins or cached metadata.
+  let CONFIG;
+  try {
+    CONFIG = {
+      ...LIMITS,
+      ...loadConfig({ rootDir: path.join(getDirname(), '..'), configPath: options.config }),
+    };
+  } catch (err) {
+    if (err.details) console.error(`❌ ${formatConfigError(err)}`);
+    throw err;
+  }
+  
+  // In-memory cache for metadata
+  let metadataCache = {
+    data: null,
+    timestamp: 0,
+    filePath: null,
+    hash: null, // sha1 of the file, the base of metadata response ETags
+    modifiedAt: null,
+  };
+  
+  // Merged metadata of all projects (multi-project federation)
+  let federationCache = {
+    data: null,
+    key: null, // local file hash plus the state of every project
+    hash: null,
+    modifiedAt: null,
+  };
+  
+  // Configured projects; without any, the API serves the local metadata as before
+  const federation = parseProjectList(options.projects ?? CONFIG.projects);
+  const federated = federation.refs || federation.projects.length > 0;
+  
   /**
    * Validate file path to prevent directory traversal attacks
    * @param {string} filepath - Path to validate
@@ -93,23 +156,81 @@ export default function middleware(router) {
    */
   const validatePath = (filepath, baseDir) => {
     try {
-      const resolved = path.resolve(filepath);
-      const base = path.resolve(baseDir);
-      return resolved.startsWith(base);
+      // A plain prefix check would let /app-secrets through for /app
+      const relative = path.relative(path.resolve(baseDir), path.resolve(filepath));
+      return relative === '' || (relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative));
     } catch {
       return false;
     }
   };
-
+  
+  /**
+   * Locations where metadata might be stored, in priority order.
+   * Different setups put the file in different places.
+   */
+  const getMetadataPaths = () => {
+    if (explicitMetadataPath) {
+      return [explicitMetadataPath];
+    }
+    
+    // Where the extractor writes, the configured metadataPaths, then
+    // the same output path under the working directory (fallback)
+    const outputPath = path.join(CONFIG.outputDir, CONFIG.outputFile);
+    
+    return [...new Set([
+      outputPath,
+      ...CONFIG.metadataPaths,
+      path.resolve(path.relative(CONFIG.baseDir, outputPath)),
+    ])];
+  };
+  
+  // Sources already warned about for a format newer than this API
+  const newerFormatWarnings = new Set();
+  
+  /**
+   * Parse a stories.json. Files of older extractor versions are upgraded
+   * to the current format on read (see metadata-schema.js).
+   * 
+   * @param {string} content - File content
+   * @param {string} source - Path or URL, for warnings
+   * @returns {object} Metadata
+   */
+  const parseMetadata = (content, source) => {
+    const data = JSON.parse(content);
+    
+    if (compareMetadataVersion(data?.version) > 0 && !newerFormatWarnings.has(source)) {
+      newerFormatWarnings.add(source);
+      console.warn(`⚠️  ${source} has format ${data.version}, newer than this API supports (${METADATA_VERSION}). Update storybook-api.`);
+    }
+    
+    return migrateMetadata(data);
+  };
+  
+  /**
+   * Read and parse a metadata file. The parsed object of `previous` is kept
+   * when the content is unchanged, so indexes built for it stay valid.
+   * 
+   * @returns {object} { data, hash, modifiedAt }
+   */
+  const readMetadataFile = (filepath, previous = {}) => {
+    const content = fs.readFileSync(filepath, 'utf-8');
+    const hash = crypto.createHash('sha1').update(content).digest('hex');
+    
+    return {
+      data: hash === previous.hash && previous.data ? previous.data : parseMetadata(content, filepath),
+      hash,
+      modifiedAt: fs.statSync(filepath).mtime,
+    };
+  };
+  
   /**
-   * Load metadata from filesystem with caching.
+   * Load the local metadata from filesystem with caching.
    * Checks multiple locations because different setups put the file in different places.
    * 
    * @returns {object|null} Parsed metadata object or null if not found
    */
-  const loadMetadata = () => {
+  const loadLocalMetadata = () => {
     const now = Date.now();
-    const dirname = getDirname();
     
     // Check if cache is still valid
     if (metadataCache.data && 
@@ -121,33 +242,30 @@ export default function middleware(router) {
     }
     
     // Check common locations where metadata might be stored
-    const possiblePaths = [
-      path.join(dirname, '../storybook-static/stories.json'),
-      path.join(dirname, '../.storybook-metadata-temp.json'), // Temp file during dev
-      path.join(dirname, 'stories.json'),
-      path.join(process.cwd(), 'storybook-static/stories.json'), // Fallback
-    ];
+    const possiblePaths = getMetadataPaths();
     
     // Return first file that exists and can be parsed
     for (const filepath of possiblePaths) {
       // Validate path to prevent directory traversal
-      if (!validatePath(filepath, process.cwd())) {
+      if (filepath !== explicitMetadataPath && !validatePath(filepath, process.cwd())) {
         console.warn(`Skipping invalid path: ${filepath}`);
         continue;
       }
       
       if (fs.existsSync(filepath)) {
         try {
-          const metadata = JSON.parse(fs.readFileSync(filepath, 'utf-8'));
+          const { data, hash, modifiedAt } = readMetadataFile(filepath, metadataCache);
           
           // Update cache
           metadataCache = {
-            data: metadata,
+            data,
             timestamp: now,
             filePath: filepath,
+            hash,
+            modifiedAt,
           };
           
-          return metadata;
+          return data;
         } catch (err) {
           // Corrupted JSON? Log it and continue checking other paths
           console.error('Error parsing metadata:', err.message);
@@ -157,10 +275,214 @@ export default function middleware(router) {
     }
     
     // Clear cache if no file found
-    metadataCache = { data: null, timestamp: 0, filePath: null };
+    metadataCache = { data: null, timestamp: 0, filePath: null, hash: null, modifiedAt: null };
     return null; // No metadata found
   };
   
+  // ============================================
+  // PROJECTS (multi-project federation)
+  // ============================================
+  // Local project files are re-read like the local metadata (cache TTL);
+  // remote ones (URLs, refs) are fetched in the background and served
+  // from their last successful fetch meanwhile.
+  
+  // Load state per project ID: { source, status, error, data, hash, modifiedAt, checkedAt, pending }
+  const projectStates = new Map();
+  
+  // Project views per merged metadata object, by selected project IDs
+  const projectViews = new WeakMap();
+  
+  /**
+   * Configured projects plus the refs recorded in the local metadata
+   * (configured IDs win over refs with the same ID)
+   */
+  const getConfiguredProjects = (localMetadata) => {
+    if (!federation.refs) return federation.projects;
+    
+    const configuredIds = new Set(federation.projects.map(project => project.id));
+    return [
+      ...federation.projects,
+      ...projectsFromRefs(localMetadata?.refs).filter(project => !configuredIds.has(project.id)),
+    ];
+  };
+  
+  /**
+   * Fetch a remote project's stories.json into its state
+   */
+  const fetchProject = async (project, state) => {
+    try {
+      const response = await fetch(project.source, {
+        headers: { Accept: 'application/json' },
+        signal: AbortSignal.timeout(CONFIG.projectFetchTimeout),
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} ${response.statusText}`.trim());
+      }
+      
+      const content = await response.text();
+      const hash = crypto.createHash('sha1').update(content).digest('hex');
+      const changed = hash !== state.hash;
+      
+      Object.assign(state, {
+        status: 'ok',
+        error: null,
+        data: changed ? parseMetadata(content, project.source) : state.data,
+        hash,
+        modifiedAt: changed ? new Date() : state.modifiedAt,
+      });
+      
+      if (changed && eventsState.watching) {
+        handleMetadataFileChange();
+      }
+    } catch (err) {
+      // Keep serving the last successful fetch
+      Object.assign(state, { status: 'error', error: err.message });
+      console.warn(`⚠️  Could not load project "${project.id}" from ${project.source}: ${err.message}`);
+    } finally {
+      state.checkedAt = Date.now();
+      state.pending = null;
+    }
+  };
+  
+  /**
+   * Current state of a project, refreshed when stale
+   */
+  const loadProject = (project) => {
+    let state = projectStates.get(project.id);
+    if (!state || state.source !== project.source) {
+      state = { source: project.source, remote: project.remote, status: 'loading', error: null, data: null, hash: null, modifiedAt: null, checkedAt: 0, pending: null };
+      projectStates.set(project.id, state);
+    }
+    
+    const age = Date.now() - state.checkedAt;
+    
+    if (project.remote) {
+      if (!state.pending && age >= CONFIG.projectRefreshInterval) {
+        state.pending = fetchProject(project, state);
+      }
+      return state;
+    }
+    
+    if (age >= CONFIG.cacheTTL) {
+      try {
+        Object.assign(state, readMetadataFile(path.resolve(project.source), state), { status: 'ok', error: null });
+      } catch (err) {
+        Object.assign(state, {
+          status: 'error',
+          error: err.code === 'ENOENT' ? 'Metadata file not found' : err.message,
+          data: null,
+          hash: null,
+        });
+      }
+      state.checkedAt = Date.now();
+    }
+    
+    return state;
+  };
+  
+  /**
+   * Merge the local metadata with every loaded project.
+   * The merged object is rebuilt only when one of them changed.
+   * 
+   * @returns {object|null} Merged metadata or null when nothing is loaded
+   */
+  const loadFederatedMetadata = () => {
+    const local = loadLocalMetadata();
+    const projects = getConfiguredProjects(local).map(project => ({ project, state: loadProject(project) }));
+    
+    const key = [
+      local ? metadataCache.hash : '-',
+      ...projects.map(({ project, state }) => `${project.id}:${state.status}:${state.hash}`),
+    ].join('|');
+    if (key === federationCache.key) {
+      return federationCache.data;
+    }
+    
+    const loaded = [
+      ...(local ? [{ project: LOCAL_PROJECT, metadata: local, modifiedAt: metadataCache.modifiedAt }] : []),
+      ...projects
+        .filter(({ state }) => state.data)
+        .map(({ project, state }) => ({ project, metadata: state.data, modifiedAt: state.modifiedAt })),
+    ];
+    
+    const merged = loaded.length > 0 ? mergeProjects(loaded) : null;
+    federationCache = {
+      data: merged,
+      key,
+      hash: merged ? crypto.createHash('sha1').update(key).digest('hex') : null,
+      modifiedAt: loaded.map(entry => entry.modifiedAt).filter(Boolean).sort((a, b) => b - a)[0] || null,
+    };
+    
+    if (merged?.duplicates.length > 0) {
+      console.warn(`⚠️  Component names used in more than one project: ${merged.duplicates.map(duplicate => duplicate.name).join(', ')}`);
+    }
+    
+    return merged;
+  };
+  
+  /**
+   * IDs of the projects that can be selected with ?project=
+   */
+  const getProjectIds = () => {
+    if (!federated) return [LOCAL_PROJECT.id];
+    
+    const local = loadLocalMetadata();
+    return [
+      ...(local ? [LOCAL_PROJECT.id] : []),
+      ...getConfiguredProjects(local).map(project => project.id),
+    ];
+  };
+  
+  /**
+   * Project IDs selected by the request's ?project=a,b (empty = all)
+   */
+  const getRequestedProjects = (req) => {
+    const value = new URLSearchParams((req?.url || '').split('?')[1] || '').get('project');
+    return value ? [...new Set(value.split(',').map(id => id.trim()).filter(Boolean))] : [];
+  };
+  
+  /**
+   * Load metadata: the local stories.json, or with projects configured all
+   * of them merged. With a request, only the projects its ?project= selects.
+   * 
+   * @param {object} [req] - Request whose ?project= applies
+   * @returns {object|null} Parsed metadata object or null if not found
+   */
+  const loadMetadata = (req = null) => {
+    if (!federated) return loadLocalMetadata();
+    
+    const merged = loadFederatedMetadata();
+    const projectIds = getRequestedProjects(req);
+    if (!merged || projectIds.length === 0) return merged;
+    
+    // Same selection, same object: search indexes and ETags are reused
+    const viewKey = [...projectIds].sort().join(',');
+    if (!projectViews.has(merged)) projectViews.set(merged, new Map());
+    const views = projectViews.get(merged);
+    if (!views.has(viewKey)) views.set(viewKey, selectProjects(merged, projectIds));
+    return views.get(viewKey);
+  };
+  
+  /**
+   * Metadata of the one project a request selects, as loaded (not namespaced).
+   * Null without projects configured or unless exactly one is selected.
+   */
+  const loadProjectMetadata = (req) => {
+    const projectIds = getRequestedProjects(req);
+    if (!federated || projectIds.length !== 1) return null;
+    
+    const local = loadLocalMetadata();
+    if (projectIds[0] === LOCAL_PROJECT.id) return local;
+    
+    const project = getConfiguredProjects(local).find(candidate => candidate.id === projectIds[0]);
+    return project ? loadProject(project).data : null;
+  };
+  
+  /**
+   * Hash and modification time the metadata response ETags derive from
+   */
+  const getMetadataVersion = () => federated ? federationCache : metadataCache;
+  
   /**
    * Get CORS origin header value based on configuration
    * @param {object} req - Request object (optional, for origin checking)
@@ -182,20 +504,135 @@ export default function middleware(router) {
     // Default to first configured origin or wildcard
     return origins[0] || '*';
   };
-
+  
+  /**
+   * Pick the response encoding from Accept-Encoding: br or gzip
+   * (br wins a tie), null for an uncompressed response
+   */
+  const negotiateEncoding = (req) => {
+    const header = req?.headers?.['accept-encoding'];
+    if (!header) return null;
+    
+    const qualities = new Map();
+    header.split(',').forEach(part => {
+      const [coding, ...params] = part.trim().toLowerCase().split(';').map(value => value.trim());
+      const q = params.find(param => param.startsWith('q='));
+      qualities.set(coding, q ? Number(q.slice(2)) : 1);
+    });
+    
+    const quality = (coding) => qualities.get(coding) ?? qualities.get('*') ?? 0;
+    return ['br', 'gzip']
+      .filter(coding => quality(coding) > 0)
+      .sort((a, b) => quality(b) - quality(a))[0] || null;
+  };
+  
+  /**
+   * Pretty-print JSON for ?pretty=true and for browsers opening the URL
+   * (navigations accept text/html); compact for other clients
+   */
+  const wantsPrettyJSON = (req) => {
+    const pretty = new URLSearchParams((req?.url || '').split('?')[1] || '').get('pretty');
+    if (pretty !== null) return pretty !== 'false' && pretty !== '0';
+    return Boolean(req?.headers?.accept?.includes('text/html'));
+  };
+  
+  /**
+   * Whether the client's copy is still current (If-None-Match, or
+   * If-Modified-Since when no ETag was sent)
+   */
+  const isNotModified = (req, etag, lastModified) => {
+    const ifNoneMatch = req.headers?.['if-none-match'];
+    if (ifNoneMatch) {
+      return ifNoneMatch.split(',').some(tag => {
+        const value = tag.trim();
+        return value === '*' || value.replace(/^W\//, '') === etag;
+      });
+    }
+    
+    const ifModifiedSince = Date.parse(req.headers?.['if-modified-since']);
+    if (Number.isNaN(ifModifiedSince) || !lastModified) return false;
+    
+    // HTTP dates have second precision
+    return Math.floor(lastModified.getTime() / 1000) * 1000 <= ifModifiedSince;
+  };
+  
   /**
    * Send a JSON response with proper headers.
    * Using vanilla Node.js API for Storybook 8.x compatibility.
+   * 
+   * Successful GETs carry a strong ETag and are answered with 304 when the
+   * client's copy is current. Routes marked `cacheable` derive it from the
+   * metadata file hash plus the request (and send Last-Modified), so a 304
+   * skips serializing; other responses hash their body.
+   * Bodies are compressed with br/gzip when the client accepts it.
    */
   const sendJSON = (res, data, statusCode = 200, req = null) => {
+    const encoding = negotiateEncoding(req);
+    const pretty = wantsPrettyJSON(req);
+    const isRead = statusCode === 200 && ['GET', 'HEAD'].includes(req?.method);
+    const serialize = () => JSON.stringify(data, null, pretty ? JSON_INDENT : 0);
+    
     res.statusCode = statusCode;
     res.setHeader('Content-Type', 'application/json');
     res.setHeader('Access-Control-Allow-Origin', getCorsOrigin(req));
-    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
     res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.setHeader('Access-Control-Expose-Headers', 'ETag, Last-Modified, Link');
+    res.setHeader('Vary', 'Accept, Accept-Encoding');
     res.setHeader('X-Content-Type-Options', 'nosniff');
-    res.end(JSON.stringify(data, null, JSON_INDENT));
+    
+    // Reads may be stored but must be revalidated; errors and writes are never stored
+    res.setHeader('Cache-Control', isRead ? 'no-cache' : 'no-cache, no-store, must-revalidate');
+    
+    let body = null;
+    
+    if (isRead) {
+      // Each formatting/encoding is its own representation with its own ETag
+      const representation = `${pretty ? 'pretty' : 'compact'}.${encoding || 'identity'}`;
+      const version = getMetadataVersion();
+      const fromMetadata = Boolean(res[METADATA_RESPONSE] && version.hash);
+      
+      if (!fromMetadata) body = serialize();
+      const etag = `"${crypto.createHash('sha1')
+        .update(fromMetadata ? `${version.hash}\n${req.originalUrl || req.url}` : body)
+        .update(`\n${representation}`)
+        .digest('hex')}"`;
+      const lastModified = fromMetadata ? version.modifiedAt : null;
+      
+      res.setHeader('ETag', etag);
+      if (lastModified) res.setHeader('Last-Modified', lastModified.toUTCString());
+      
+      if (isNotModified(req, etag, lastModified)) {
+        res.statusCode = 304;
+        res.end();
+        return;
+      }
+    }
+    
+    body = body ?? serialize();
+    
+    if (!encoding || Buffer.byteLength(body) < CONFIG.compressionThreshold) {
+      res.end(body);
+      return;
+    }
+    
+    // Async, so compressing a large payload doesn't block other requests
+    const compress = encoding === 'br'
+      ? (input, callback) => zlib.brotliCompress(input, {
+        params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 },
+      }, callback)
+      : zlib.gzip;
+    
+    compress(body, (err, compressed) => {
+      if (err) {
+        console.warn('Compression failed, sending uncompressed:', err.message);
+        res.end(body);
+        return;
+      }
+      res.setHeader('Content-Encoding', encoding);
+      res.setHeader('Content-Length', compressed.length);
+      res.end(compressed);
+    });
   };
   
   /**
@@ -218,7 +655,7 @@ export default function middleware(router) {
     
     sendJSON(res, errorResponse, statusCode, req);
   };
-
+  
   /**
    * Validate and sanitize input strings
    * @param {string} input - Input to validate
@@ -295,6 +732,76 @@ export default function middleware(router) {
     });
   };
   
+  /**
+   * Find MDX/docs pages by component ID (attached pages share their stories' title).
+   */
+  const findDocsByComponentId = (metadata, componentId) => {
+    return Object.values(metadata.docs || {}).filter(page => {
+      return getComponentId(page.title) === componentId;
+    });
+  };
+  
+  /**
+   * Get the extracted component API (props, description) for a story's component.
+   * Only available when metadata came from source file parsing.
+   */
+  const getComponentInfo = (metadata, story) => {
+    return metadata.components?.[story.title] || null;
+  };
+  
+  // package.json name per directory, for the `package` filter and facet
+  const packageNames = new Map();
+  
+  /**
+   * Get the name of the package a story file belongs to (nearest package.json
+   * within the project). Null when the source files aren't available.
+   */
+  const getStoryPackage = (story) => {
+    if (!story.importPath) return null;
+    
+    let dir = path.dirname(path.resolve(process.cwd(), story.importPath));
+    const visited = [];
+    let name = null;
+    
+    while (validatePath(dir, process.cwd())) {
+      if (packageNames.has(dir)) {
+        name = packageNames.get(dir);
+        break;
+      }
+      visited.push(dir);
+      
+      const packageJsonPath = path.join(dir, 'package.json');
+      if (fs.existsSync(packageJsonPath)) {
+        try {
+          name = JSON.parse(fs.readFileSync(packageJsonPath, 'utf-8')).name || null;
+        } catch {
+          name = null;
+        }
+        break;
+      }
+      
+      const parent = path.dirname(dir);
+      if (parent === dir) break;
+      dir = parent;
+    }
+    
+    visited.forEach(visitedDir => packageNames.set(visitedDir, name));
+    return name;
+  };
+  
+  // Search index per loaded metadata object, rebuilt when the file is reloaded
+  const searchIndexes = new WeakMap();
+  
+  /**
+   * Get (or build) the search index for a metadata object
+   */
+  const getSearchIndex = (metadata) => {
+    if (!searchIndexes.has(metadata)) {
+      searchIndexes.set(metadata, buildSearchIndex(metadata));
+    }
+    return searchIndexes.get(metadata);
+  };
+  
   /**
    * Extract component ID from URL path with validation.
    * Used by component detail endpoints.
@@ -316,87 +823,578 @@ export default function middleware(router) {
     return '';
   };
   
+  // ============================================
+  // PAGINATION, SORTING & FIELD SELECTION
+  // ============================================
+  // Shared by the list endpoints: /api/stories, /api/components, /api/search
+  
+  // Never walk or write these keys when selecting ?fields
+  const UNSAFE_FIELD_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+  
   /**
-   * Generate a usage example (JSX-like) from story args.
-   * This gives developers a quick copy-paste starting point.
+   * Parse and validate ?limit, ?offset, ?sort, ?order and ?fields.
+   * Throws an Error with `details` when a parameter is invalid.
+   * 
+   * @param {object} query - Parsed query params
+   * @param {string[]} sortFields - Fields the endpoint can be sorted by
+   * @returns {object} { limit, offset, sort, order, fields }
    */
-  const generateUsageExample = (story) => {
-    const componentName = story.component || story.title?.split('/').pop() || 'Component';
+  const parseListOptions = (query, sortFields) => {
+    const invalid = (message, details) => Object.assign(new Error(message), { details });
     
-    // No args? Just render the basic component
-    if (!story.args || Object.keys(story.args).length === 0) {
-      return `<${componentName} />`;
+    const limit = query.limit ? Number(query.limit) : CONFIG.defaultPageSize;
+    if (!Number.isInteger(limit) || limit < 0 || limit > CONFIG.maxPageSize) {
+      throw invalid('Invalid limit', { limit: query.limit, allowed: `0-${CONFIG.maxPageSize} (0 = all)` });
     }
     
-    // Convert args to JSX props format
-    const props = Object.entries(story.args)
-      .map(([key, value]) => {
-        if (typeof value === 'string') {
-          return `${key}="${value}"`;
-        } else if (typeof value === 'boolean') {
-          return value ? key : ''; // Boolean true props can be shorthand
-        } else if (typeof value === 'number') {
-          return `${key}={${value}}`;
-        } else {
-          // Objects, arrays, etc. - JSON stringify them
-          return `${key}={${JSON.stringify(value)}}`;
-        }
-      })
-      .filter(Boolean)
-      .join(' ');
+    const offset = query.offset ? Number(query.offset) : 0;
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw invalid('Invalid offset', { offset: query.offset, allowed: 'integer >= 0' });
+    }
+    
+    const sort = query.sort || null;
+    if (sort && !sortFields.includes(sort)) {
+      throw invalid('Invalid sort field', { sort, allowed: sortFields });
+    }
+    
+    const order = (query.order || 'asc').toLowerCase();
+    if (!['asc', 'desc'].includes(order)) {
+      throw invalid('Invalid sort order', { order: query.order, allowed: ['asc', 'desc'] });
+    }
+    
+    const fields = query.fields
+      ? query.fields.split(',').map(field => field.trim()).filter(Boolean)
+      : null;
+    const badField = fields?.find(field =>
+      !/^[A-Za-z0-9_$]+(\.[A-Za-z0-9_$]+)*$/.test(field) ||
+      field.split('.').some(part => UNSAFE_FIELD_KEYS.has(part))
+    );
+    if (badField) {
+      throw invalid('Invalid field name', { field: badField, example: 'fields=id,title,args' });
+    }
     
-    return `<${componentName} ${props} />`;
+    return { limit, offset, sort, order, fields };
   };
   
-  // ============================================
-  // API ENDPOINTS
-  // ============================================
+  /**
+   * Sort a copy of the items by a field (natural order, case-insensitive).
+   * Without a sort field the original order is kept.
+   */
+  const sortItems = (items, sort, order) => {
+    if (!sort) return items;
+    
+    const direction = order === 'desc' ? -1 : 1;
+    return [...items].sort((a, b) =>
+      direction * String(a[sort] ?? '').localeCompare(String(b[sort] ?? ''), undefined, {
+        numeric: true,
+        sensitivity: 'base',
+      })
+    );
+  };
   
   /**
-   * GET /api/health
-   * Simple health check to verify API is running and metadata is available
+   * Keep only the requested fields of an object.
+   * Dotted paths select nested values: fields=id,docs.description
    */
-  router.get('/api/health', (req, res) => {
-    try {
-      const metadata = loadMetadata();
+  const pickFields = (item, fields) => {
+    const picked = {};
+    
+    fields.forEach(field => {
+      const parts = field.split('.');
       
-      sendJSON(res, {
-        status: metadata ? 'healthy' : 'no-metadata',
-        timestamp: new Date().toISOString(),
-        message: metadata 
-          ? 'Storybook metadata API is running'
-          : 'Metadata not generated yet. Run metadata extraction.',
-        metadata: metadata ? {
-          totalStories: metadata.totalStories || 0,
-          generatedAt: metadata.generatedAt,
-          storybookVersion: metadata.storybookVersion,
-          extractedFrom: metadata.extractedFrom
-        } : null,
-        instructions: metadata ? null : [
-          'Development: npm run metadata:dev',
-          'Production: npm run build-storybook'
-        ],
-        cache: {
-          enabled: CONFIG.cacheTTL > 0,
-          ttl: CONFIG.cacheTTL
+      let value = item;
+      for (const part of parts) {
+        if (value === null || typeof value !== 'object' ||
+            !Object.prototype.hasOwnProperty.call(value, part)) {
+          return;
         }
-      }, 200, req);
-    } catch (error) {
-      sendError(res, 'Health check failed', 500, { 
-        error: error.message 
-      }, req);
-    }
-  });
+        value = value[part];
+      }
+      
+      let target = picked;
+      parts.slice(0, -1).forEach(part => {
+        target[part] = target[part] || {};
+        target = target[part];
+      });
+      target[parts[parts.length - 1]] = value;
+    });
+    
+    return picked;
+  };
   
   /**
-   * GET /api/stories
-   * Get all stories with optional filtering via query params
-   * Supports: ?title=X&tag=Y&kind=Z
+   * Build the URL of another page: same path and query, different offset
    */
-  router.get('/api/stories', (req, res) => {
-    try {
-      const metadata = loadMetadata();
-      
+  const buildPageUrl = (req, offset) => {
+    const [pathname, queryString = ''] = (req.originalUrl || req.url).split('?');
+    const params = new URLSearchParams(queryString);
+    params.set('offset', String(offset));
+    return `${pathname}?${params.toString().replace(/%2C/gi, ',')}`;
+  };
+  
+  /**
+   * Sort, paginate and prune a list for a response.
+   * Also sets a `Link` header with the next/prev pages.
+   * 
+   * @returns {object} { items, pagination }
+   */
+  const applyListOptions = (req, res, items, options) => {
+    const { limit, offset, sort, order, fields } = options;
+    
+    const sorted = sortItems(items, sort, order);
+    const page = limit ? sorted.slice(offset, offset + limit) : sorted.slice(offset);
+    
+    const nextOffset = limit && offset + limit < sorted.length ? offset + limit : null;
+    const prevOffset = offset > 0 ? Math.max(0, offset - (limit || offset)) : null;
+    
+    const pagination = {
+      offset,
+      limit: limit || null,
+      count: page.length,
+      total: sorted.length,
+      sort,
+      order,
+      next: nextOffset !== null ? buildPageUrl(req, nextOffset) : null,
+      prev: prevOffset !== null ? buildPageUrl(req, prevOffset) : null,
+    };
+    
+    const links = [
+      pagination.next && `<${pagination.next}>; rel="next"`,
+      pagination.prev && `<${pagination.prev}>; rel="prev"`,
+    ].filter(Boolean);
+    if (links.length > 0) {
+      res.setHeader('Link', links.join(', '));
+    }
+    
+    return {
+      items: fields ? page.map(item => pickFields(item, fields)) : page,
+      pagination,
+    };
+  };
+  
+  // ============================================
+  // ROUTE REGISTRY
+  // ============================================
+  // Every endpoint is registered through route(), which keeps its
+  // OpenAPI description next to the handler. GET /api/openapi.json is
+  // generated from this list, so the served spec always matches the
+  // implemented endpoints and query params.
+  
+  const routes = [];
+  
+  // Fields list endpoints can ?sort by
+  const LIST_SORT_FIELDS = ['title', 'name', 'id'];
+  
+  // OpenAPI tags, in the order the explorer lists them
+  const ROUTE_TAGS = [
+    { name: 'Health', description: 'API health and status' },
+    { name: 'Projects', description: 'Storybooks served by this API' },
+    { name: 'Stories', description: 'Story metadata operations' },
+    { name: 'Components', description: 'Component-level operations' },
+    { name: 'Documentation', description: 'Component documentation and the API description' },
+    { name: 'Examples', description: 'Code examples and usage' },
+    { name: 'Navigation', description: 'Sidebar tree and groups' },
+    { name: 'Search', description: 'Search functionality' },
+    { name: 'Diff', description: 'Component API changes against a base' },
+    { name: 'Events', description: 'Live metadata updates' },
+    { name: 'GraphQL', description: 'GraphQL over the metadata model' },
+    { name: 'Legacy', description: 'Backward compatible endpoints' },
+  ];
+  
+  // Parameters shared by several endpoints
+  const PARAMS = {
+    componentId: {
+      name: 'id',
+      in: 'path',
+      required: true,
+      description: 'Component ID (sanitized title, e.g. `components-button`)',
+      schema: { type: 'string' },
+    },
+    tags: {
+      name: 'tags',
+      in: 'query',
+      description: 'Tag expression: `,` = AND, `|` = OR, `!` = NOT (e.g. `autodocs,!deprecated`)',
+      schema: { type: 'string' },
+    },
+    hasArg: {
+      name: 'hasArg',
+      in: 'query',
+      description: 'Stories having (or with `!`, lacking) an arg/argType, e.g. `size,!onClick`',
+      schema: { type: 'string' },
+    },
+    importPath: {
+      name: 'importPath',
+      in: 'query',
+      description: 'Story file glob (`*` within a folder, `**` across folders)',
+      schema: { type: 'string' },
+    },
+    package: {
+      name: 'package',
+      in: 'query',
+      description: 'Name of the package the story file belongs to',
+      schema: { type: 'string' },
+    },
+    limit: {
+      name: 'limit',
+      in: 'query',
+      description: `Page size (0 = everything, at most ${CONFIG.maxPageSize})`,
+      schema: { type: 'integer', minimum: 0, maximum: CONFIG.maxPageSize },
+    },
+    offset: {
+      name: 'offset',
+      in: 'query',
+      description: 'Number of items to skip',
+      schema: { type: 'integer', minimum: 0 },
+    },
+    sort: {
+      name: 'sort',
+      in: 'query',
+      description: 'Field to sort by',
+      schema: { type: 'string', enum: LIST_SORT_FIELDS },
+    },
+    order: {
+      name: 'order',
+      in: 'query',
+      description: 'Sort order',
+      schema: { type: 'string', enum: ['asc', 'desc'] },
+    },
+    pretty: {
+      name: 'pretty',
+      in: 'query',
+      description: 'Indent the JSON (default: true for browsers, false for other clients)',
+      schema: { type: 'boolean' },
+    },
+    project: {
+      name: 'project',
+      in: 'query',
+      description: 'Comma-separated project IDs to limit the response to (see /api/projects)',
+      schema: { type: 'string' },
+    },
+    fields: {
+      name: 'fields',
+      in: 'query',
+      description: 'Comma-separated fields to return, dotted paths allowed (e.g. `id,title,args.size`)',
+      schema: { type: 'string' },
+    },
+  };
+  
+  const FILTER_PARAMS = [PARAMS.tags, PARAMS.hasArg, PARAMS.importPath, PARAMS.package];
+  const LIST_PARAMS = [PARAMS.limit, PARAMS.offset, PARAMS.sort, PARAMS.order, PARAMS.fields];
+  
+  /**
+   * Register an endpoint together with its OpenAPI description
+   * @param {object} spec - { path, pattern, method, tag, summary, description, parameters, requestBody, responses, cacheable }
+   *   `path` uses OpenAPI templating (`/api/components/{id}`), `pattern` is the
+   *   RegExp to route by when the path has parameters. `method` defaults to get.
+   *   `responses` maps status codes to a description or { description, contentType }.
+   *   `cacheable` marks responses that depend only on the metadata file and the
+   *   request URL: their ETag comes from the file hash.
+   *   `projectScoped: false` marks endpoints that ignore ?project=.
+   * @param {Function} handler - (req, res) route handler
+   */
+  const route = (spec, handler) => {
+    routes.push(spec);
+    router[spec.method || 'get'](spec.pattern || spec.path, (req, res, next) => {
+      if (spec.projectScoped !== false) {
+        const available = getProjectIds();
+        const unknown = getRequestedProjects(req).filter(id => !available.includes(id));
+        if (unknown.length > 0) {
+          return sendError(res, 'Unknown project', 400, {
+            project: unknown.join(','),
+            available,
+            suggestion: 'Use GET /api/projects to see available projects',
+          }, req);
+        }
+      }
+      
+      if (spec.cacheable) {
+        res[METADATA_RESPONSE] = true;
+      }
+      return handler(req, res, next);
+    });
+  };
+  
+  /**
+   * Version of the storybook-api package: its package.json next to this file,
+   * or in node_modules when the middleware was copied into .storybook
+   */
+  let apiVersion = null;
+  const getApiVersion = () => {
+    if (apiVersion) return apiVersion;
+    
+    const candidates = [
+      path.join(getDirname(), 'package.json'),
+      path.join(process.cwd(), 'node_modules', 'storybook-api', 'package.json'),
+    ];
+    
+    for (const candidate of candidates) {
+      try {
+        const manifest = JSON.parse(fs.readFileSync(candidate, 'utf-8'));
+        if (manifest.name === 'storybook-api' && manifest.version) {
+          apiVersion = manifest.version;
+          return apiVersion;
+        }
+      } catch (err) {
+        // Not there, try the next one
+      }
+    }
+    
+    apiVersion = '0.0.0';
+    return apiVersion;
+  };
+  
+  /**
+   * Build the OpenAPI document from the route registry
+   * @returns {object} OpenAPI 3.0 document
+   */
+  const buildOpenApiDocument = () => {
+    const paths = {};
+    
+    routes.forEach(spec => {
+      const method = spec.method || 'get';
+      const responses = {};
+      let isJson = true;
+      
+      Object.entries(spec.responses || { 200: 'OK' }).forEach(([status, response]) => {
+        const { description, contentType = 'application/json' } =
+          typeof response === 'string' ? { description: response } : response;
+        const isError = Number(status) >= 400;
+        if (contentType !== 'application/json') isJson = false;
+        
+        responses[status] = {
+          description,
+          content: {
+            [contentType]: {
+              schema: isError ? { $ref: '#/components/schemas/ErrorResponse' } : {},
+            },
+          },
+        };
+      });
+      
+      // Every JSON read goes through sendJSON: ?pretty, ETag and 304
+      const isJsonRead = method === 'get' && isJson;
+      if (isJsonRead) {
+        responses[304] = { description: 'Not modified (If-None-Match / If-Modified-Since)' };
+      }
+      
+      paths[spec.path] = {
+        ...paths[spec.path],
+        [method]: {
+          tags: [spec.tag],
+          summary: spec.summary,
+          ...(spec.description ? { description: spec.description } : {}),
+          operationId: spec.operationId,
+          parameters: [
+            ...(spec.parameters || []),
+            ...(federated && spec.projectScoped !== false ? [PARAMS.project] : []),
+            ...(isJsonRead ? [PARAMS.pretty] : []),
+          ],
+          ...(spec.requestBody ? { requestBody: spec.requestBody } : {}),
+          responses,
+        },
+      };
+    });
+    
+    const usedTags = new Set(routes.map(spec => spec.tag));
+    
+    return {
+      openapi: '3.0.3',
+      info: {
+        title: 'Storybook Metadata API',
+        version: getApiVersion(),
+        description: 'REST API for accessing Storybook component metadata: stories, components, ' +
+          'documentation, code examples, search and live updates.',
+        license: { name: 'MIT', url: 'https://opensource.org/licenses/MIT' },
+      },
+      tags: ROUTE_TAGS.filter(tag => usedTags.has(tag.name)),
+      paths,
+      components: {
+        schemas: {
+          ErrorResponse: {
+            type: 'object',
+            required: ['error', 'statusCode', 'timestamp'],
+            properties: {
+              error: { type: 'string', description: 'Error message' },
+              statusCode: { type: 'integer', description: 'HTTP status code' },
+              timestamp: { type: 'string', format: 'date-time' },
+            },
+            additionalProperties: true,
+          },
+        },
+      },
+    };
+  };
+  
+  // ============================================
+  // API ENDPOINTS
+  // ============================================
+  
+  /**
+   * GET /api/health
+   * Simple health check to verify API is running and metadata is available
+   */
+  route({
+    path: '/api/health',
+    tag: 'Health',
+    summary: 'Health check',
+    description: 'Whether the API is running and metadata is available',
+    operationId: 'getHealth',
+    responses: { 200: 'API status (`healthy` or `no-metadata`)' },
+  }, (req, res) => {
+    try {
+      const metadata = loadMetadata(req);
+      
+      sendJSON(res, {
+        status: metadata ? 'healthy' : 'no-metadata',
+        timestamp: new Date().toISOString(),
+        message: metadata 
+          ? 'Storybook metadata API is running'
+          : 'Metadata not generated yet. Run metadata extraction.',
+        metadata: metadata ? {
+          totalStories: metadata.totalStories || 0,
+          generatedAt: metadata.generatedAt,
+          storybookVersion: metadata.storybookVersion,
+          extractedFrom: metadata.extractedFrom,
+          // Format of stories.json; migratedFrom when an older file was upgraded on read
+          version: metadata.version,
+          ...(metadata.migratedFrom ? { migratedFrom: metadata.migratedFrom } : {}),
+        } : null,
+        ...(federated ? {
+          projects: {
+            total: getProjectIds().length,
+            loaded: metadata?.projects?.length || 0,
+            duplicateComponents: metadata?.duplicates?.length || 0,
+          },
+        } : {}),
+        instructions: metadata ? null : [
+          'Development: npm run metadata:dev',
+          'Production: npm run build-storybook'
+        ],
+        cache: {
+          enabled: CONFIG.cacheTTL > 0,
+          ttl: CONFIG.cacheTTL
+        }
+      }, 200, req);
+    } catch (error) {
+      sendError(res, 'Health check failed', 500, { 
+        error: error.message 
+      }, req);
+    }
+  });
+  
+  /**
+   * GET /api/projects
+   * The Storybooks this API serves (the local one, configured projects and
+   * refs) with their load status, plus component names used by several
+   */
+  route({
+    path: '/api/projects',
+    tag: 'Projects',
+    summary: 'List projects',
+    description: 'Storybooks served by this API, their status and components that share a name across projects. ' +
+      'Namespaced projects prefix story IDs with `<project>_` and titles with the project title.',
+    operationId: 'getProjects',
+    cacheable: true,
+    responses: {
+      200: 'Projects and duplicate component names',
+      400: 'Unknown project',
+      404: 'Metadata not found',
+    },
+  }, (req, res) => {
+    try {
+      const metadata = loadMetadata(req);
+      
+      if (!metadata) {
+        return sendError(res, 'Metadata not found', 404, {
+          instructions: [
+            'Run `npm run metadata:dev` in development',
+            'Run `npm run build-storybook` for production'
+          ]
+        }, req);
+      }
+      
+      const componentCounts = new Map();
+      Object.values(metadata.stories || {}).forEach(story => {
+        const project = story.project || LOCAL_PROJECT.id;
+        if (!componentCounts.has(project)) componentCounts.set(project, new Set());
+        componentCounts.get(project).add(getComponentId(story.title || story.kind));
+      });
+      
+      const loadedProjects = metadata.projects || [{
+        ...LOCAL_PROJECT,
+        namespaced: false,
+        totalStories: metadata.totalStories || 0,
+        generatedAt: metadata.generatedAt || null,
+        storybookVersion: metadata.storybookVersion || null,
+        extractedFrom: metadata.extractedFrom || null,
+      }];
+      
+      // Configured projects that aren't loaded (yet) are listed with their error
+      const configuredProjects = getConfiguredProjects(loadLocalMetadata());
+      const requested = getRequestedProjects(req);
+      const pendingProjects = configuredProjects
+        .filter(project => !loadedProjects.some(loaded => loaded.id === project.id))
+        .filter(project => requested.length === 0 || requested.includes(project.id))
+        .map(project => ({ id: project.id, title: project.title, namespaced: true, totalStories: 0 }));
+      
+      const projects = [...loadedProjects, ...pendingProjects].map(project => {
+        const configured = configuredProjects.find(candidate => candidate.id === project.id);
+        const state = configured ? projectStates.get(project.id) : null;
+        
+        return {
+          ...project,
+          source: configured ? configured.source : path.relative(process.cwd(), metadataCache.filePath || '') || null,
+          ref: Boolean(configured?.ref),
+          status: state ? state.status : 'ok',
+          error: state?.error || null,
+          components: componentCounts.get(project.id)?.size || 0,
+        };
+      });
+      
+      sendJSON(res, {
+        total: projects.length,
+        federated,
+        projects,
+        duplicates: metadata.duplicates || [],
+      }, 200, req);
+    } catch (error) {
+      sendError(res, 'Failed to fetch projects', 500, {
+        error: error.message
+      }, req);
+    }
+  });
+  
+  /**
+   * GET /api/stories
+   * Get all stories with optional filtering via query params
+   * Supports: ?title=X&tag=Y&kind=Z
+   * Filter language: ?tags=a,!b&hasArg=size&arg.disabled=true&importPath=glob&package=name
+   * Plus list options: ?limit=N&offset=N&sort=title|name|id&order=asc|desc&fields=a,b
+   */
+  route({
+    path: '/api/stories',
+    tag: 'Stories',
+    summary: 'Get all stories',
+    description: 'Stories with optional filters, facets and pagination. ' +
+      'Filter by arg value with `arg.<name>=value` (e.g. `arg.disabled=true`, `arg.size=small|medium`).',
+    operationId: 'getStories',
+    cacheable: true,
+    parameters: [
+      { name: 'title', in: 'query', description: 'Title contains (case-insensitive)', schema: { type: 'string' } },
+      { name: 'tag', in: 'query', description: 'Has this tag', schema: { type: 'string' } },
+      { name: 'kind', in: 'query', description: 'Kind contains (case-insensitive)', schema: { type: 'string' } },
+      ...FILTER_PARAMS,
+      ...LIST_PARAMS,
+    ],
+    responses: {
+      200: 'Stories, facets and pagination',
+      400: 'Invalid filter or list option',
+      404: 'Metadata not found',
+    },
+  }, (req, res) => {
+    try {
+      const metadata = loadMetadata(req);
+      
       // Early return if no metadata - prefer this style for clarity
       if (!metadata) {
         return sendError(res, 'Metadata not found', 404, {
@@ -417,6 +1415,20 @@ export default function middleware(router) {
         }, req);
       }
       
+      let listOptions;
+      try {
+        listOptions = parseListOptions(query, LIST_SORT_FIELDS);
+      } catch (err) {
+        return sendError(res, err.message, 400, err.details, req);
+      }
+      
+      let filters;
+      try {
+        filters = parseStoryFilters(query);
+      } catch (err) {
+        return sendError(res, err.message, 400, err.details, req);
+      }
+      
       const { title, tag, kind } = query;
       let stories = Object.values(metadata.stories || {});
       
@@ -450,10 +1462,17 @@ export default function middleware(router) {
         }
       }
       
+      // Filter language: tags=a,!b  hasArg=x  arg.x=value  importPath=glob  package=name
+      stories = filterStories(stories, filters, { getPackage: getStoryPackage });
+      
+      const { items, pagination } = applyListOptions(req, res, stories, listOptions);
+      
       sendJSON(res, {
         total: stories.length,
-        filtered: Boolean(title || tag || kind),
-        stories,
+        filtered: Boolean(title || tag || kind || filters.length > 0),
+        stories: items,
+        facets: buildFacets(stories, { getPackage: getStoryPackage }),
+        pagination,
         metadata: {
           generatedAt: metadata.generatedAt,
           storybookVersion: metadata.storybookVersion,
@@ -470,10 +1489,25 @@ export default function middleware(router) {
   /**
    * GET /api/components
    * List all unique components (grouped stories by component name)
+   * Filters: ?tags=a,!b&hasArg=size&arg.disabled=true&importPath=glob&package=name
+   * Supports: ?limit=N&offset=N&sort=title|name|id&order=asc|desc&fields=a,b
    */
-  router.get('/api/components', (req, res) => {
+  route({
+    path: '/api/components',
+    tag: 'Components',
+    summary: 'List all components',
+    description: 'Components grouped from their stories. Accepts the same filters as /api/stories.',
+    operationId: 'getComponents',
+    cacheable: true,
+    parameters: [...FILTER_PARAMS, ...LIST_PARAMS],
+    responses: {
+      200: 'Components and pagination',
+      400: 'Invalid filter or list option',
+      404: 'Metadata not found',
+    },
+  }, (req, res) => {
     try {
-      const metadata = loadMetadata();
+      const metadata = loadMetadata(req);
       
       if (!metadata) {
         return sendError(res, 'Metadata not found', 404, {
@@ -482,12 +1516,41 @@ export default function middleware(router) {
           ]
         }, req);
       }
+      
+      let query;
+      try {
+        query = parseQuery(req.url);
+      } catch (err) {
+        return sendError(res, 'Invalid query string', 400, {
+          error: err.message
+        }, req);
+      }
+      
+      let listOptions;
+      try {
+        listOptions = parseListOptions(query, LIST_SORT_FIELDS);
+      } catch (err) {
+        return sendError(res, err.message, 400, err.details, req);
+      }
+      
+      // Same filter language as /api/stories: a component is listed
+      // with the stories that match
+      let filters;
+      try {
+        filters = parseStoryFilters(query);
+      } catch (err) {
+        return sendError(res, err.message, 400, err.details, req);
+      }
+      
+      const stories = filterStories(Object.values(metadata.stories || {}), filters, {
+        getPackage: getStoryPackage
+      });
     
     // Group stories by component
     // Using a map to collect all stories for each component
     const componentMap = {};
     
-    Object.values(metadata.stories || {}).forEach(story => {
+    stories.forEach(story => {
       const componentName = story.title || story.kind;
       const componentId = getComponentId(componentName);
       
@@ -523,10 +1586,13 @@ export default function middleware(router) {
       tags: Array.from(comp.tags), // Convert Set back to array
       storyCount: comp.stories.length
     }));
-    
+      
+      const { items, pagination } = applyListOptions(req, res, components, listOptions);
+      
       sendJSON(res, {
         total: components.length,
-        components
+        components: items,
+        pagination
       }, 200, req);
     } catch (error) {
       sendError(res, 'Failed to fetch components', 500, {
@@ -539,9 +1605,23 @@ export default function middleware(router) {
    * GET /api/components/:id
    * Get detailed information about a specific component
    */
-  router.get(/^\/api\/components\/([^\/]+)$/, (req, res) => {
+  route({
+    path: '/api/components/{id}',
+    pattern: /^\/api\/components\/([^\/]+)$/,
+    tag: 'Components',
+    summary: 'Get component by ID',
+    description: 'Stories, merged args/argTypes, props, package name and import statement of a component',
+    operationId: 'getComponentById',
+    cacheable: true,
+    parameters: [PARAMS.componentId],
+    responses: {
+      200: 'Component details',
+      400: 'Invalid component ID',
+      404: 'Component not found',
+    },
+  }, (req, res) => {
     try {
-      const metadata = loadMetadata();
+      const metadata = loadMetadata(req);
       
       if (!metadata) {
         return sendError(res, 'Metadata not found', 404, {}, req);
@@ -568,6 +1648,7 @@ export default function middleware(router) {
     
     // Aggregate data from all stories of this component
     const firstStory = stories[0];
+    const componentInfo = getComponentInfo(metadata, firstStory);
     const allTags = new Set();
     const allArgs = {};
     const allArgTypes = {};
@@ -599,9 +1680,17 @@ export default function middleware(router) {
       args: allArgs,
       argTypes: allArgTypes,
       component: firstStory.component,
+      description: componentInfo?.description || '',
+      props: componentInfo?.props || {},
+      componentSource: componentInfo?.sourcePath || null,
+      packageName: componentInfo?.packageName || getStoryPackage(firstStory),
+      import: generateImportStatement(firstStory, {
+        framework: resolveSnippetFramework(undefined, metadata, componentInfo),
+        component: componentInfo
+      }),
       storyCount: stories.length
     };
-    
+      
       sendJSON(res, componentData, 200, req);
     } catch (error) {
       sendError(res, 'Failed to fetch component', 500, {
@@ -614,9 +1703,23 @@ export default function middleware(router) {
    * GET /api/components/:id/docs
    * Get documentation for a specific component
    */
-  router.get(/^\/api\/components\/([^\/]+)\/docs$/, (req, res) => {
+  route({
+    path: '/api/components/{id}/docs',
+    pattern: /^\/api\/components\/([^\/]+)\/docs$/,
+    tag: 'Documentation',
+    summary: 'Get component documentation',
+    description: 'Descriptions, props and MDX docs pages of a component',
+    operationId: 'getComponentDocs',
+    cacheable: true,
+    parameters: [PARAMS.componentId],
+    responses: {
+      200: 'Component documentation',
+      400: 'Invalid component ID',
+      404: 'Component not found',
+    },
+  }, (req, res) => {
     try {
-      const metadata = loadMetadata();
+      const metadata = loadMetadata(req);
       
       if (!metadata) {
         return sendError(res, 'Metadata not found', 404, {}, req);
@@ -629,23 +1732,34 @@ export default function middleware(router) {
         return sendError(res, 'Invalid component ID', 400, {}, req);
       }
       
-      // Find stories for this component
+      // Find stories and MDX pages for this component (docs-only pages have no stories)
       const stories = findStoriesByComponentId(metadata, componentId);
+      const pages = findDocsByComponentId(metadata, componentId);
       
-      if (stories.length === 0) {
+      if (stories.length === 0 && pages.length === 0) {
         return sendError(res, 'Component not found', 404, {
           componentId
         }, req);
       }
     
-    // Extract documentation from stories
-    const firstStory = stories[0];
+    // Extract documentation from stories and MDX pages
+    const firstStory = stories[0] || {};
+    const componentInfo = getComponentInfo(metadata, firstStory);
     const docs = {
-      component: firstStory.title || firstStory.kind,
-      description: firstStory.docs?.description || '',
-      mdx: firstStory.docs?.mdx || '',
+      component: firstStory.title || firstStory.kind || pages[0].title,
+      description: firstStory.docs?.description || componentInfo?.description || '',
+      mdx: pages.map(page => page.markdown).filter(Boolean).join('\n\n') || firstStory.docs?.mdx || '',
+      headings: pages.flatMap(page => page.headings || []),
+      pages: pages.map(page => ({
+        id: page.id,
+        name: page.name,
+        importPath: page.importPath,
+        headings: page.headings || [],
+        stories: page.stories || []
+      })),
       sourceCode: firstStory.docs?.sourceCode || firstStory.source || '',
       argTypes: firstStory.argTypes || {},
+      props: componentInfo?.props || {},
       stories: stories.map(s => ({
         name: s.name,
         description: s.docs?.description || '',
@@ -655,9 +1769,9 @@ export default function middleware(router) {
       })),
       parameters: firstStory.parameters || {},
       tags: firstStory.tags || [],
-      importPath: firstStory.importPath
+      importPath: firstStory.importPath || pages[0].importPath
     };
-    
+      
       sendJSON(res, docs, 200, req);
     } catch (error) {
       sendError(res, 'Failed to fetch component docs', 500, {
@@ -669,10 +1783,34 @@ export default function middleware(router) {
   /**
    * GET /api/components/:id/examples
    * Get code examples and usage patterns for a component
+   * Query param: ?framework=vue to pick the snippet framework
+   * (defaults to the project's configured framework)
    */
-  router.get(/^\/api\/components\/([^\/]+)\/examples$/, (req, res) => {
+  route({
+    path: '/api/components/{id}/examples',
+    pattern: /^\/api\/components\/([^\/]+)\/examples$/,
+    tag: 'Examples',
+    summary: 'Get component code examples',
+    description: 'Story sources and usage snippets written for a framework, plus the import statement',
+    operationId: 'getComponentExamples',
+    cacheable: true,
+    parameters: [
+      PARAMS.componentId,
+      {
+        name: 'framework',
+        in: 'query',
+        description: 'Framework to write usage snippets for (defaults to the project\'s framework)',
+        schema: { type: 'string', enum: SNIPPET_FRAMEWORKS },
+      },
+    ],
+    responses: {
+      200: 'Code examples',
+      400: 'Invalid component ID or unsupported framework',
+      404: 'Component not found',
+    },
+  }, (req, res) => {
     try {
-      const metadata = loadMetadata();
+      const metadata = loadMetadata(req);
       
       if (!metadata) {
         return sendError(res, 'Metadata not found', 404, {}, req);
@@ -695,22 +1833,41 @@ export default function middleware(router) {
       }
     
     const firstStory = stories[0];
+    const component = metadata.components?.[firstStory.title] || null;
+    
+    let framework;
+    try {
+      framework = resolveSnippetFramework(parseQuery(req.url).framework, metadata, component);
+    } catch (err) {
+      return sendError(res, err.message, 400, err.details, req);
+    }
     
     // Build code examples
     const examples = {
       component: firstStory.title || firstStory.kind,
       importPath: firstStory.importPath,
       sourceFile: firstStory.parameters?.fileName || '',
-      examples: stories.map(story => ({
-        name: story.name,
-        description: `${story.story} example`,
-        code: story.source || story.docs?.sourceCode || '',
-        args: story.args || {},
-        argTypes: story.argTypes || {},
-        usage: generateUsageExample(story)
-      }))
+      packageName: component?.packageName || getStoryPackage(firstStory),
+      framework,
+      import: generateImportStatement(firstStory, { framework, component }),
+      examples: stories.map(story => {
+        const snippet = generateUsageSnippet(story, { framework, component });
+        
+        return {
+          name: story.name,
+          description: `${story.story} example`,
+          code: story.source || story.docs?.sourceCode || '',
+          render: story.render || null,
+          play: story.play || null,
+          location: story.location || null,
+          args: story.args || {},
+          argTypes: story.argTypes || {},
+          usage: snippet.code,
+          usageLanguage: snippet.language
+        };
+      })
     };
-    
+      
       sendJSON(res, examples, 200, req);
     } catch (error) {
       sendError(res, 'Failed to fetch component examples', 500, {
@@ -719,14 +1876,175 @@ export default function middleware(router) {
     }
   });
   
+  /**
+   * GET /api/tree
+   * Nested root/group/component/story tree built from story titles, as the
+   * Storybook sidebar shows it, with counts per node
+   * Query param: ?roots=false to treat top-level segments as plain groups
+   */
+  route({
+    path: '/api/tree',
+    tag: 'Navigation',
+    summary: 'Story tree',
+    description: 'Nested root/group/component/story tree as the Storybook sidebar shows it, with counts per node',
+    operationId: 'getTree',
+    cacheable: true,
+    parameters: [
+      {
+        name: 'roots',
+        in: 'query',
+        description: '`false` treats top-level title segments as plain groups',
+        schema: { type: 'boolean', default: true },
+      },
+    ],
+    responses: {
+      200: 'Story tree',
+      400: 'Invalid query string',
+      404: 'Metadata not found',
+    },
+  }, (req, res) => {
+    try {
+      const metadata = loadMetadata(req);
+      
+      if (!metadata) {
+        return sendError(res, 'Metadata not found', 404, {}, req);
+      }
+      
+      let query;
+      try {
+        query = parseQuery(req.url);
+      } catch (err) {
+        return sendError(res, 'Invalid query string', 400, {
+          error: err.message
+        }, req);
+      }
+      
+      const tree = buildStoryTree(metadata, { showRoots: query.roots !== 'false' });
+      const { components, stories, docs } = flattenTreeNode({ type: 'root', children: tree });
+      
+      sendJSON(res, {
+        counts: {
+          components: components.length,
+          stories: stories.length,
+          docs: docs.length
+        },
+        tree: tree.map(formatTreeNode)
+      }, 200, req);
+    } catch (error) {
+      sendError(res, 'Failed to build tree', 500, {
+        error: error.message
+      }, req);
+    }
+  });
+  
+  /**
+   * GET /api/groups/:path
+   * Everything under a root, group or component: the subtree plus flat lists
+   * of its components, stories and docs pages
+   * Path: title path (/api/groups/Forms/Inputs) or node ID (/api/groups/forms-inputs)
+   */
+  route({
+    path: '/api/groups/{path}',
+    pattern: /^\/api\/groups\/(.+)$/,
+    tag: 'Navigation',
+    summary: 'Group contents',
+    description: 'Subtree of a root, group or component plus flat lists of its components, stories and docs pages',
+    operationId: 'getGroup',
+    cacheable: true,
+    parameters: [
+      {
+        name: 'path',
+        in: 'path',
+        required: true,
+        description: 'Title path (`Forms/Inputs`) or node ID (`forms-inputs`)',
+        schema: { type: 'string' },
+      },
+    ],
+    responses: {
+      200: 'Group contents',
+      400: 'Invalid group path',
+      404: 'Group not found',
+    },
+  }, (req, res) => {
+    try {
+      const metadata = loadMetadata(req);
+      
+      if (!metadata) {
+        return sendError(res, 'Metadata not found', 404, {}, req);
+      }
+      
+      let groupPath = '';
+      try {
+        groupPath = decodeURIComponent(req.url.split('?')[0].replace(/^\/api\/groups\//, ''));
+      } catch (err) {
+        console.warn('Error decoding group path:', err.message);
+      }
+      
+      if (!validateInput(groupPath, CONFIG.maxSearchLength)) {
+        return sendError(res, 'Invalid group path', 400, {
+          example: '/api/groups/forms/inputs'
+        }, req);
+      }
+      
+      const tree = buildStoryTree(metadata);
+      const group = findTreeNode(tree, groupPath);
+      
+      if (!group) {
+        return sendError(res, 'Group not found', 404, {
+          path: groupPath,
+          suggestion: 'Use GET /api/tree to see available groups'
+        }, req);
+      }
+      
+      const { children, ...groupInfo } = formatTreeNode(group);
+      const { components, stories, docs } = flattenTreeNode(group);
+      
+      sendJSON(res, {
+        group: groupInfo,
+        children: children || [],
+        components,
+        stories,
+        docs
+      }, 200, req);
+    } catch (error) {
+      sendError(res, 'Failed to fetch group', 500, {
+        error: error.message
+      }, req);
+    }
+  });
+  
   /**
    * GET /api/search
-   * Search across all stories by title, name, kind, tags, etc.
+   * Ranked search across stories and docs pages (titles, names, tags,
+   * argTypes, docs text) with typo tolerance and highlighted snippets
    * Query param: ?q=searchterm
+   * Plus list options: ?limit=N&offset=N&sort=title|name|id&order=asc|desc&fields=a,b
    */
-  router.get('/api/search', (req, res) => {
+  route({
+    path: '/api/search',
+    tag: 'Search',
+    summary: 'Search stories and docs',
+    description: 'Ranked, typo-tolerant search across titles, names, tags, argTypes and docs text, with highlighted snippets',
+    operationId: 'searchStories',
+    cacheable: true,
+    parameters: [
+      {
+        name: 'q',
+        in: 'query',
+        required: true,
+        description: `Search query (at most ${CONFIG.maxSearchLength} characters)`,
+        schema: { type: 'string', maxLength: CONFIG.maxSearchLength },
+      },
+      ...LIST_PARAMS,
+    ],
+    responses: {
+      200: 'Search results and component groups',
+      400: 'Missing query or invalid list option',
+      404: 'Metadata not found',
+    },
+  }, (req, res) => {
     try {
-      const metadata = loadMetadata();
+      const metadata = loadMetadata(req);
       
       if (!metadata) {
         return sendError(res, 'Metadata not found', 404, {}, req);
@@ -752,26 +2070,48 @@ export default function middleware(router) {
         }, req);
       }
       
-      const searchLower = searchQuery.toLowerCase();
-      
-      // Search across multiple fields - pretty comprehensive
-      const results = Object.values(metadata.stories || {}).filter(story => {
-        return (
-          story.title?.toLowerCase().includes(searchLower) ||
-          story.name?.toLowerCase().includes(searchLower) ||
-          story.kind?.toLowerCase().includes(searchLower) ||
-          story.story?.toLowerCase().includes(searchLower) ||
-          (Array.isArray(story.tags) && story.tags.some(tag => 
-            tag.toLowerCase().includes(searchLower)
-          )) ||
-          story.id?.toLowerCase().includes(searchLower)
-        );
+      let listOptions;
+      try {
+        listOptions = parseListOptions(query, LIST_SORT_FIELDS);
+      } catch (err) {
+        return sendError(res, err.message, 400, err.details, req);
+      }
+      
+      // Ranked matches, best first (unless ?sort is given)
+      const results = querySearchIndex(getSearchIndex(metadata), searchQuery).map(hit => {
+        const result = { ...hit.document, score: hit.score };
+        // Snippets are only built for results that end up in the response
+        Object.defineProperty(result, 'highlights', { enumerable: true, get: hit.getHighlights });
+        return result;
+      });
+      
+      // Matches grouped by component, ordered by their best match
+      const groupMap = new Map();
+      results.forEach(result => {
+        const componentId = getComponentId(result.title || result.kind);
+        if (!groupMap.has(componentId)) {
+          groupMap.set(componentId, {
+            componentId,
+            component: result.title || result.kind,
+            score: result.score,
+            total: 0,
+            results: []
+          });
+        }
+        
+        const group = groupMap.get(componentId);
+        group.total++;
+        group.results.push({ id: result.id, name: result.name, type: result.type || 'story', score: result.score });
       });
       
+      const { items, pagination } = applyListOptions(req, res, results, listOptions);
+      
       sendJSON(res, {
         query: searchQuery,
         total: results.length,
-        results
+        results: items,
+        groups: [...groupMap.values()],
+        pagination
       }, 200, req);
     } catch (error) {
       sendError(res, 'Search failed', 500, {
@@ -780,6 +2120,604 @@ export default function middleware(router) {
     }
   });
   
+  /**
+   * Folders /api/diff reads local bases from: the output directory the
+   * extractor writes stories.json to, and the folder of a served metadataPath
+   */
+  const getDiffBaseDirs = () => [...new Set([
+    CONFIG.outputDir,
+    path.resolve(path.relative(CONFIG.baseDir, CONFIG.outputDir)),
+    ...(explicitMetadataPath ? [path.dirname(explicitMetadataPath)] : []),
+  ])];
+  
+  /**
+   * Read a fetched diff base, giving up past maxDiffBaseSize
+   * @returns {Promise<string>} Response body
+   */
+  const readDiffBaseResponse = async (response) => {
+    const tooLarge = () => Object.assign(new Error('Base is too large'), {
+      statusCode: 413,
+      details: { maxBytes: CONFIG.maxDiffBaseSize },
+    });
+    
+    if (Number(response.headers.get('content-length')) > CONFIG.maxDiffBaseSize) {
+      throw tooLarge();
+    }
+    
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body || []) {
+      size += chunk.length;
+      // Leaving the loop cancels the download
+      if (size > CONFIG.maxDiffBaseSize) throw tooLarge();
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf-8');
+  };
+  
+  /**
+   * Load the base metadata for /api/diff from a .json file in the output
+   * directory or, if enabled (diffAllowRemote), a URL such as a deployed stories.json
+   * @param {string} source - Path (relative to the working directory) or URL
+   * @returns {Promise<object>} Parsed metadata (upgraded to the current format)
+   */
+  const loadDiffBase = async (source) => {
+    let content;
+    
+    if (/^https?:\/\//i.test(source)) {
+      // Off by default: the server would fetch any URL a client sends it
+      if (!CONFIG.diffAllowRemote) {
+        throw Object.assign(new Error('Remote diff bases are disabled (diffAllowRemote)'), { statusCode: 403 });
+      }
+      
+      const response = await fetch(source, { signal: AbortSignal.timeout(CONFIG.diffFetchTimeout) });
+      if (!response.ok) {
+        throw Object.assign(new Error(`Fetching base returned HTTP ${response.status}`), { statusCode: 502 });
+      }
+      content = await readDiffBaseResponse(response);
+    } else {
+      const baseDirs = getDiffBaseDirs();
+      const filepath = path.resolve(process.cwd(), source);
+      const isAllowed = (file) => baseDirs.some(dir => validatePath(file, dir) ||
+        (fs.existsSync(dir) && validatePath(file, fs.realpathSync(dir))));
+      const notAllowed = () => Object.assign(new Error('Base must be a .json file in the output directory'), {
+        statusCode: 400,
+        details: { directories: baseDirs.map(dir => path.relative(process.cwd(), dir) || '.') },
+      });
+      
+      if (path.extname(filepath) !== '.json' || !isAllowed(filepath)) {
+        throw notAllowed();
+      }
+      if (!fs.existsSync(filepath)) {
+        throw Object.assign(new Error(`Base file not found: ${source}`), { statusCode: 404 });
+      }
+      // Symlinks must not lead out of the output directory either
+      const realpath = fs.realpathSync(filepath);
+      if (!isAllowed(realpath)) {
+        throw notAllowed();
+      }
+      if (fs.statSync(realpath).size > CONFIG.maxDiffBaseSize) {
+        throw Object.assign(new Error('Base is too large'), {
+          statusCode: 413,
+          details: { maxBytes: CONFIG.maxDiffBaseSize },
+        });
+      }
+      content = fs.readFileSync(realpath, 'utf-8');
+    }
+    
+    try {
+      return parseMetadata(content, source);
+    } catch {
+      // The parser message quotes the content, which may not be ours to show
+      throw Object.assign(new Error('Base is not valid JSON'), { statusCode: 400 });
+    }
+  };
+  
+  /**
+   * GET /api/diff
+   * Compare the current metadata against a base stories.json
+   * Query params: ?base=path-or-url&format=json|markdown
+   */
+  route({
+    path: '/api/diff',
+    tag: 'Diff',
+    summary: 'Diff against a base stories.json',
+    description: 'Component API changes between a base stories.json and the current metadata, ' +
+      'classified as breaking or non-breaking',
+    operationId: 'getDiff',
+    parameters: [
+      {
+        name: 'base',
+        in: 'query',
+        required: true,
+        description: 'Path of a .json file in the output directory, or an http(s) URL when diffAllowRemote is on',
+        schema: { type: 'string' },
+      },
+      {
+        name: 'format',
+        in: 'query',
+        description: '`markdown` for a pull request comment',
+        schema: { type: 'string', enum: ['json', 'markdown'], default: 'json' },
+      },
+    ],
+    responses: {
+      200: 'Diff report (JSON, or text/markdown with format=markdown)',
+      400: 'Missing or invalid base',
+      403: 'Remote bases are disabled (diffAllowRemote)',
+      404: 'Metadata or base file not found',
+      413: 'Base is too large',
+    },
+  }, async (req, res) => {
+    try {
+      // One selected project is compared as its own stories.json (un-namespaced)
+      const metadata = loadProjectMetadata(req) || loadMetadata(req);
+      
+      if (!metadata) {
+        return sendError(res, 'Metadata not found', 404, {}, req);
+      }
+      
+      let query;
+      try {
+        query = parseQuery(req.url);
+      } catch (err) {
+        return sendError(res, 'Invalid query string', 400, {
+          error: err.message
+        }, req);
+      }
+      
+      if (!query.base) {
+        return sendError(res, 'Missing base metadata', 400, {
+          usage: 'GET /api/diff?base=storybook-static/stories.base.json&format=markdown',
+          example: 'http://localhost:6006/api/diff?base=storybook-static/stories.base.json'
+        }, req);
+      }
+      
+      let base;
+      try {
+        base = await loadDiffBase(query.base);
+      } catch (err) {
+        return sendError(res, 'Failed to load base metadata', err.statusCode || 400, {
+          error: err.message,
+          ...err.details,
+        }, req);
+      }
+      
+      const report = diffMetadata(base, metadata);
+      
+      if (query.format === 'markdown') {
+        res.statusCode = 200;
+        res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+        res.setHeader('Access-Control-Allow-Origin', getCorsOrigin(req));
+        res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        return res.end(formatDiffMarkdown(report));
+      }
+      
+      sendJSON(res, report, 200, req);
+    } catch (error) {
+      sendError(res, 'Diff failed', 500, {
+        error: error.message
+      }, req);
+    }
+  });
+  
+  // ============================================
+  // SERVER-SENT EVENTS
+  // ============================================
+  
+  // Connected /api/events clients and the state used to diff metadata versions
+  const eventClients = new Set();
+  let eventsState = {
+    watching: false,
+    heartbeat: null,
+    generatedAt: null,
+    storyHashes: new Map(),
+  };
+  
+  /**
+   * Hash every story so versions can be compared without keeping old copies around.
+   */
+  const hashStories = (metadata) => {
+    return new Map(Object.entries(metadata?.stories || {}).map(([id, story]) => [
+      id,
+      crypto.createHash('sha1').update(JSON.stringify(story)).digest('hex')
+    ]));
+  };
+  
+  /**
+   * Write one SSE message to every connected client.
+   */
+  const broadcastEvent = (event, data, id = null) => {
+    const message = `${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    eventClients.forEach(res => res.write(message));
+  };
+  
+  /**
+   * Re-read metadata after a file change and tell clients which stories changed.
+   * Rewrites without real changes (same generatedAt, same stories) are ignored.
+   */
+  const handleMetadataFileChange = () => {
+    // The REST endpoints should see the new file right away, not after the cache TTL
+    metadataCache = { data: null, timestamp: 0, filePath: null, hash: null, modifiedAt: null };
+    projectStates.forEach(state => {
+      if (!state.remote) state.checkedAt = 0;
+    });
+    const metadata = loadMetadata();
+    const storyHashes = hashStories(metadata);
+    const previous = eventsState.storyHashes;
+    
+    const added = [...storyHashes.keys()].filter(id => !previous.has(id));
+    const removed = [...previous.keys()].filter(id => !storyHashes.has(id));
+    const changed = [...storyHashes.keys()].filter(id => previous.has(id) && previous.get(id) !== storyHashes.get(id));
+    const generatedAt = metadata?.generatedAt || null;
+    
+    if (generatedAt === eventsState.generatedAt && added.length + removed.length + changed.length === 0) {
+      return;
+    }
+    
+    broadcastEvent('metadata-updated', {
+      generatedAt,
+      previousGeneratedAt: eventsState.generatedAt,
+      totalStories: storyHashes.size,
+      added,
+      removed,
+      changed,
+    }, generatedAt);
+    
+    eventsState.generatedAt = generatedAt;
+    eventsState.storyHashes = storyHashes;
+  };
+  
+  /**
+   * Metadata files to poll: the local locations plus local project files
+   * (remote projects report their changes when they are fetched)
+   */
+  const getWatchedPaths = () => [
+    ...getMetadataPaths(),
+    ...federation.projects.filter(project => !project.remote).map(project => path.resolve(project.source)),
+  ];
+  
+  /**
+   * Start polling the metadata files (and heartbeats) while clients are connected.
+   * fs.watchFile keeps working when the extractor replaces the file atomically.
+   */
+  const startWatchingMetadata = () => {
+    if (eventsState.watching) return;
+    
+    const metadata = loadMetadata();
+    eventsState = {
+      watching: true,
+      generatedAt: metadata?.generatedAt || null,
+      storyHashes: hashStories(metadata),
+      heartbeat: setInterval(() => {
+        broadcastEvent('ping', { timestamp: new Date().toISOString() });
+      }, CONFIG.heartbeatInterval),
+    };
+    
+    getWatchedPaths().forEach(filepath => {
+      fs.watchFile(filepath, { interval: CONFIG.eventsPollInterval }, handleMetadataFileChange);
+    });
+  };
+  
+  /**
+   * Stop polling once the last client has disconnected.
+   */
+  const stopWatchingMetadata = () => {
+    if (!eventsState.watching) return;
+    
+    clearInterval(eventsState.heartbeat);
+    getWatchedPaths().forEach(filepath => {
+      fs.unwatchFile(filepath, handleMetadataFileChange);
+    });
+    eventsState = { ...eventsState, watching: false, heartbeat: null };
+  };
+  
+  /**
+   * GET /api/events
+   * Server-Sent Events stream: `metadata-updated` with added/removed/changed
+   * story IDs whenever the metadata file changes, plus `ping` heartbeats
+   */
+  route({
+    path: '/api/events',
+    tag: 'Events',
+    summary: 'Metadata change events',
+    description: 'Server-Sent Events: `connected`, `metadata-updated` with added/removed/changed story IDs, and `ping` heartbeats',
+    operationId: 'getEvents',
+    projectScoped: false,
+    responses: {
+      200: { description: 'Event stream', contentType: 'text/event-stream' },
+    },
+  }, (req, res) => {
+    try {
+      res.statusCode = 200;
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache, no-transform');
+      res.setHeader('Connection', 'keep-alive');
+      res.setHeader('Access-Control-Allow-Origin', getCorsOrigin(req));
+      res.setHeader('X-Accel-Buffering', 'no'); // Don't let proxies buffer the stream
+      res.flushHeaders?.();
+      
+      startWatchingMetadata();
+      eventClients.add(res);
+      
+      // Reconnect delay for EventSource, then the current version
+      res.write(`retry: 3000\n\n`);
+      res.write(`event: connected\ndata: ${JSON.stringify({
+        generatedAt: eventsState.generatedAt,
+        totalStories: eventsState.storyHashes.size,
+      })}\n\n`);
+      
+      req.on('close', () => {
+        eventClients.delete(res);
+        if (eventClients.size === 0) {
+          stopWatchingMetadata();
+        }
+      });
+    } catch (error) {
+      sendError(res, 'Failed to open event stream', 500, {
+        error: error.message
+      }, req);
+    }
+  });
+  
+  // ============================================
+  // GRAPHQL
+  // ============================================
+  // Schema and resolvers live in graphql-api.js; filters, pagination
+  // and search use the same helpers as the REST endpoints.
+  
+  // graphql-api.js needs the `graphql` package. It is loaded on the first
+  // request, so the REST endpoints keep working when it isn't installed.
+  let graphqlApi = null;
+  const loadGraphQLApi = async () => {
+    graphqlApi = graphqlApi || await import('./graphql-api.js');
+    return graphqlApi;
+  };
+  
+  /**
+   * Read and parse a JSON request body.
+   * Uses req.body when a body parser already ran (Express apps).
+   * Throws an Error with `statusCode` and `details` when the body is invalid.
+   * A body over maxBodySize is rejected as soon as the limit is passed: the
+   * rest is never read and the connection closes after the 413 response.
+   */
+  const readJsonBody = (req, res) => {
+    if (req.body !== undefined && typeof req.body !== 'string' && !Buffer.isBuffer(req.body)) {
+      return Promise.resolve(req.body);
+    }
+    
+    const invalid = (message, statusCode, details) =>
+      Object.assign(new Error(message), { statusCode, details });
+    
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      
+      const onData = (chunk) => {
+        size += chunk.length;
+        if (size > CONFIG.maxBodySize) {
+          tooLarge();
+          return;
+        }
+        chunks.push(chunk);
+      };
+      
+      const tooLarge = () => {
+        req.removeListener('data', onData);
+        req.pause();
+        res.setHeader('Connection', 'close');
+        res.once('finish', () => req.destroy());
+        reject(invalid('Request body too large', 413, { maxBytes: CONFIG.maxBodySize }));
+      };
+      
+      if (Number(req.headers['content-length']) > CONFIG.maxBodySize) {
+        tooLarge();
+        return;
+      }
+      
+      req.on('data', onData);
+      
+      req.on('end', () => {
+        try {
+          resolve(JSON.parse(Buffer.concat(chunks).toString('utf-8') || 'null'));
+        } catch (err) {
+          reject(invalid('Invalid JSON body', 400, { reason: err.message }));
+        }
+      });
+      
+      req.on('error', (err) => reject(invalid('Failed to read request body', 400, { reason: err.message })));
+    });
+  };
+  
+  /**
+   * Sort and page a GraphQL list with the same rules as the REST list endpoints
+   * @param {Array<object>} items - Items to page
+   * @param {object} args - Field arguments { limit, offset, sort, order }
+   * @returns {object} { items, pagination }
+   */
+  const paginateList = (items, args) => {
+    const { limit, offset, sort, order } = parseListOptions({
+      limit: args.limit != null ? String(args.limit) : undefined,
+      offset: args.offset != null ? String(args.offset) : undefined,
+      sort: args.sort,
+      order: args.order,
+    }, LIST_SORT_FIELDS);
+    
+    const sorted = sortItems(items, sort, order);
+    const page = limit ? sorted.slice(offset, offset + limit) : sorted.slice(offset);
+    
+    return {
+      items: page,
+      pagination: {
+        offset,
+        limit: limit || null,
+        count: page.length,
+        total: sorted.length,
+        hasMore: offset + page.length < sorted.length,
+      },
+    };
+  };
+  
+  /**
+   * POST /api/graphql
+   * GraphQL endpoint: body { query, variables, operationName }
+   * Components, stories, argTypes, docs, tags and groups in one round trip
+   */
+  route({
+    path: '/api/graphql',
+    method: 'post',
+    tag: 'GraphQL',
+    summary: 'GraphQL query',
+    description: 'Query components, stories, argTypes, docs, tags and groups in one request. ' +
+      'Filters, pagination and search mirror the REST endpoints; introspection is enabled for client generation.',
+    operationId: 'postGraphQL',
+    requestBody: {
+      required: true,
+      content: {
+        'application/json': {
+          schema: {
+            type: 'object',
+            required: ['query'],
+            properties: {
+              query: { type: 'string', example: '{ components { items { id name docs { description } } } }' },
+              variables: { type: 'object', additionalProperties: true },
+              operationName: { type: 'string' },
+            },
+          },
+        },
+      },
+    },
+    responses: {
+      200: 'GraphQL result: `data`, plus `errors` when a field failed',
+      400: 'Invalid JSON body or missing query',
+      404: 'Metadata not found',
+      413: 'Request body too large',
+      501: 'The graphql package is not installed',
+    },
+  }, async (req, res) => {
+    try {
+      const metadata = loadMetadata(req);
+      
+      if (!metadata) {
+        return sendError(res, 'Metadata not found', 404, {
+          instructions: [
+            'Run `npm run metadata:dev` to generate metadata'
+          ]
+        }, req);
+      }
+      
+      let executeGraphQL;
+      try {
+        ({ executeGraphQL } = await loadGraphQLApi());
+      } catch (err) {
+        return sendError(res, 'GraphQL not available', 501, {
+          reason: err.message,
+          instructions: [
+            'Run `npm install graphql` in your project'
+          ]
+        }, req);
+      }
+      
+      let result;
+      try {
+        const body = await readJsonBody(req, res);
+        result = await executeGraphQL(body, {
+          metadata,
+          getPackage: getStoryPackage,
+          getSearchIndex,
+          paginate: paginateList,
+          maxSearchLength: CONFIG.maxSearchLength
+        });
+      } catch (err) {
+        return sendError(res, err.message, err.statusCode || 400, err.details, req);
+      }
+      
+      sendJSON(res, result, 200, req);
+    } catch (error) {
+      sendError(res, 'GraphQL request failed', 500, {
+        error: error.message
+      }, req);
+    }
+  });
+  
+  /**
+   * OPTIONS /api/graphql
+   * CORS preflight: browsers send one before a cross-origin JSON POST
+   */
+  router.options('/api/graphql', (req, res) => {
+    res.statusCode = 204;
+    res.setHeader('Access-Control-Allow-Origin', getCorsOrigin(req));
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Max-Age', '600');
+    res.end();
+  });
+  
+  // ============================================
+  // API DOCUMENTATION
+  // ============================================
+  
+  /**
+   * GET /api/openapi.json
+   * OpenAPI document generated from the route registry
+   */
+  route({
+    path: '/api/openapi.json',
+    tag: 'Documentation',
+    summary: 'OpenAPI document',
+    description: 'Generated from the registered routes, so it always matches this server',
+    operationId: 'getOpenApiDocument',
+    projectScoped: false,
+    responses: {
+      200: 'OpenAPI 3.0 document',
+    },
+  }, (req, res) => {
+    try {
+      sendJSON(res, buildOpenApiDocument(), 200, req);
+    } catch (error) {
+      sendError(res, 'Failed to build OpenAPI document', 500, {
+        error: error.message
+      }, req);
+    }
+  });
+  
+  /**
+   * GET /api/docs
+   * Interactive API explorer, a single self-contained page (works offline)
+   */
+  route({
+    path: '/api/docs',
+    tag: 'Documentation',
+    summary: 'API explorer',
+    description: 'Browse the endpoints and call them from the browser',
+    operationId: 'getApiExplorer',
+    projectScoped: false,
+    responses: {
+      200: { description: 'HTML page', contentType: 'text/html' },
+    },
+  }, (req, res) => {
+    try {
+      // Inline style and script are allowed by nonce only
+      const nonce = crypto.randomBytes(16).toString('base64');
+      
+      res.statusCode = 200;
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('X-Content-Type-Options', 'nosniff');
+      res.setHeader('Content-Security-Policy',
+        `default-src 'none'; style-src 'nonce-${nonce}'; script-src 'nonce-${nonce}'; connect-src 'self'`);
+      res.end(renderApiExplorer({
+        specUrl: 'openapi.json',
+        title: 'Storybook Metadata API',
+        nonce,
+      }));
+    } catch (error) {
+      sendError(res, 'Failed to render API explorer', 500, {
+        error: error.message
+      }, req);
+    }
+  });
+  
   // ============================================
   // LEGACY ENDPOINTS
   // ============================================
@@ -790,9 +2728,20 @@ export default function middleware(router) {
    * Legacy endpoint - returns full metadata dump
    * Kept for backward compatibility
    */
-  router.get('/stories.json', (req, res) => {
+  route({
+    path: '/stories.json',
+    tag: 'Legacy',
+    summary: 'Full metadata',
+    description: 'The complete stories.json',
+    operationId: 'getLegacyStoriesJson',
+    cacheable: true,
+    responses: {
+      200: 'Complete metadata',
+      404: 'Metadata not found',
+    },
+  }, (req, res) => {
     try {
-      const metadata = loadMetadata();
+      const metadata = loadMetadata(req);
       
       if (metadata) {
         sendJSON(res, metadata, 200, req);
@@ -816,9 +2765,19 @@ export default function middleware(router) {
    * GET /stories.json/stats
    * Legacy statistics endpoint
    */
-  router.get('/stories.json/stats', (req, res) => {
+  route({
+    path: '/stories.json/stats',
+    tag: 'Legacy',
+    summary: 'Metadata statistics',
+    operationId: 'getLegacyStats',
+    cacheable: true,
+    responses: {
+      200: 'Story count and titles',
+      404: 'Metadata not found',
+    },
+  }, (req, res) => {
     try {
-      const metadata = loadMetadata();
+      const metadata = loadMetadata(req);
       
       if (!metadata) {
         return sendError(res, 'Metadata not found', 404, {}, req);
@@ -837,7 +2796,7 @@ export default function middleware(router) {
         }, {})
       ),
     };
-    
+      
       sendJSON(res, stats, 200, req);
     } catch (error) {
       sendError(res, 'Failed to fetch stats', 500, {
@@ -851,10 +2810,21 @@ export default function middleware(router) {
    * Legacy refresh endpoint - just returns instructions
    * (Actual refresh happens by re-running the extraction script)
    */
-  router.get('/stories.json/refresh', (req, res) => {
+  route({
+    path: '/stories.json/refresh',
+    tag: 'Legacy',
+    summary: 'Clear the metadata cache',
+    description: 'Clears the in-memory cache and returns the commands that regenerate the metadata',
+    operationId: 'refreshLegacy',
+    projectScoped: false,
+    responses: { 200: 'Cache cleared' },
+  }, (req, res) => {
     try {
-      // Clear cache when refresh is requested
-      metadataCache = { data: null, timestamp: 0, filePath: null };
+      // Clear cache when refresh is requested (projects are loaded again too)
+      metadataCache = { data: null, timestamp: 0, filePath: null, hash: null, modifiedAt: null };
+      projectStates.forEach(state => {
+        state.checkedAt = 0;
+      });
       
       sendJSON(res, {
         message: 'To refresh metadata, run the extraction script again',
@@ -871,6 +2841,11 @@ export default function middleware(router) {
     }
   });
   
+  // Start fetching remote projects before the first request needs them
+  if (federated) {
+    loadMetadata();
+  }
+  
   return router;
 }
 
@@ -0,0 +1,411 @@
+/**
+ * ==============================================
+ * PACKAGE IMPORTS
+ * ==============================================
+ * 
+ * Maps a component's source file to the import its
+ * consumers write, instead of the path inside the repo:
+ * 
+ *   packages/ui/src/Button/Button.tsx
+ *     → import { Button } from '@acme/ui'
+ * 
+ *   1. Find the package.json that owns the file
+ *   2. List its entry points: `exports` (subpaths, conditions
+ *      and `*` patterns), otherwise `source`/`module`/`main`
+ *      and index files
+ *   3. Map built entry files back to their sources
+ *      (`./dist/index.mjs` → `src/index.ts`)
+ *   4. Follow barrel re-exports from each entry point
+ *      to the component
+ * ==============================================
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { resolveImportPath } from './component-props.js';
+
+// Babel parser reads the barrel files, without it only direct entry points resolve
+let parser = null;
+try {
+  parser = await import('@babel/parser');
+} catch (err) {
+  // Not installed, barrels are not followed
+}
+
+// `exports` conditions, most source-like first
+const CONDITION_ORDER = ['source', 'development', 'import', 'module', 'default', 'require', 'node', 'browser', 'types'];
+
+// Output folders mapped back to `src/` (`dist/esm/index.js` → `src/index`)
+const BUILD_DIRS = ['dist', 'lib', 'build', 'esm', 'cjs', 'es', 'out', 'types'];
+
+// Index files tried when a package has no `exports`
+const INDEX_FILES = ['index', 'src/index'];
+
+// How deep barrels can re-export barrels
+const MAX_BARREL_DEPTH = 10;
+
+// Parsed package.json files by directory, and export lists by module
+const packageCache = new Map();
+const exportsCache = new Map();
+
+/**
+ * Resolve how consumers import a component
+ * @param {string} filePath - Absolute path of the component's source file
+ * @param {string} exportName - Name the file exports it as ('default' for default exports)
+ * @param {object} options - { projectRoot } (package.json files above it are ignored)
+ * @returns {object|null} { packageName, source, exportName, files } or null outside any package.
+ *   `source`/`exportName` are null when no entry point exposes the component.
+ *   `files` are the package.json and barrels the result depends on (for watch mode).
+ */
+function resolvePackageImport(filePath, exportName, options = {}) {
+  const pkg = findPackage(filePath, options.projectRoot);
+  if (!pkg) return null;
+  
+  const result = {
+    packageName: pkg.manifest.name,
+    source: null,
+    exportName: null,
+    files: [pkg.manifestPath],
+  };
+  
+  const entries = listEntryPoints(pkg).sort((a, b) =>
+    a.subpath.length - b.subpath.length || (a.pattern ? 1 : 0) - (b.pattern ? 1 : 0)
+  );
+  
+  for (const entry of entries) {
+    const found = entry.pattern
+      ? matchPattern(entry, pkg, filePath, exportName)
+      : findPublicExport(entry.file, filePath, exportName);
+    
+    if (found) {
+      result.source = toSpecifier(pkg.manifest.name, found.subpath || entry.subpath);
+      result.exportName = found.name;
+      result.files.push(...(found.files || []));
+      break;
+    }
+  }
+  
+  result.files = [...new Set(result.files)];
+  return result;
+}
+
+/**
+ * Forget cached package.json files and barrel exports (used by watch mode)
+ * @param {string} [filePath] - package.json or module to forget; clears everything when omitted
+ */
+function clearPackageImportCache(filePath) {
+  if (!filePath) {
+    packageCache.clear();
+    exportsCache.clear();
+    return;
+  }
+  
+  exportsCache.delete(filePath);
+  if (path.basename(filePath) === 'package.json') {
+    packageCache.delete(path.dirname(filePath));
+  }
+}
+
+// ============= PACKAGES =============
+
+/**
+ * Helper: Nearest package.json with a `name`, up to the project root
+ */
+function findPackage(filePath, projectRoot) {
+  const root = projectRoot ? path.resolve(projectRoot) : null;
+  let dir = path.dirname(filePath);
+  
+  while (true) {
+    const pkg = readPackage(dir);
+    if (pkg) return pkg;
+    
+    const parent = path.dirname(dir);
+    if (parent === dir || (root && !isInside(parent, root))) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Helper: Parsed package.json of a directory, if it has a name (cached)
+ */
+function readPackage(dir) {
+  if (packageCache.has(dir)) return packageCache.get(dir);
+  
+  const manifestPath = path.join(dir, 'package.json');
+  let pkg = null;
+  
+  try {
+    if (fs.existsSync(manifestPath)) {
+      const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+      if (typeof manifest.name === 'string' && manifest.name) {
+        pkg = { dir, manifest, manifestPath };
+      }
+    }
+  } catch (err) {
+    console.warn(`   ⚠️  Could not read ${manifestPath}: ${err.message}`);
+  }
+  
+  packageCache.set(dir, pkg);
+  return pkg;
+}
+
+/**
+ * Helper: Entry points of a package as [{ subpath, file }] or, for
+ * `"./*"`-style exports, [{ subpath, pattern: { prefix, suffix } }]
+ */
+function listEntryPoints(pkg) {
+  const { manifest, dir } = pkg;
+  
+  // `exports` replaces everything else: nothing outside it can be imported
+  if (manifest.exports !== undefined && manifest.exports !== null) {
+    return getExportTargets(manifest.exports).flatMap(([subpath, target]) => {
+      const targets = flattenConditions(target);
+      
+      if (subpath.includes('*')) {
+        return targets
+          .filter(candidate => candidate.includes('*'))
+          .map(candidate => ({ subpath, pattern: toSourcePattern(candidate) }))
+          .slice(0, 1);
+      }
+      
+      const file = targets.map(candidate => findSourceFile(dir, candidate)).find(Boolean);
+      return file ? [{ subpath, file }] : [];
+    });
+  }
+  
+  const files = [
+    ...['source', 'module', 'main'].map(field => manifest[field]).filter(value => typeof value === 'string'),
+    ...INDEX_FILES,
+  ]
+    .map(target => findSourceFile(dir, target))
+    .filter(Boolean);
+  
+  return [...new Set(files)].map(file => ({ subpath: '.', file }));
+}
+
+/**
+ * Helper: [subpath, target] pairs of an `exports` field
+ * (a string, conditions for ".", or a subpath map)
+ */
+function getExportTargets(exportsField) {
+  if (typeof exportsField === 'string' || Array.isArray(exportsField)) {
+    return [['.', exportsField]];
+  }
+  if (!exportsField || typeof exportsField !== 'object') return [];
+  
+  const keys = Object.keys(exportsField);
+  return keys.some(key => key.startsWith('.'))
+    ? Object.entries(exportsField).filter(([key]) => key.startsWith('.'))
+    : [['.', exportsField]];
+}
+
+/**
+ * Helper: Target paths of an `exports` value, most source-like condition first
+ */
+function flattenConditions(target) {
+  if (typeof target === 'string') return [target];
+  if (Array.isArray(target)) return target.flatMap(flattenConditions);
+  if (!target || typeof target !== 'object') return []; // null excludes a subpath
+  
+  const conditions = Object.keys(target).sort((a, b) => conditionRank(a) - conditionRank(b));
+  return conditions.flatMap(condition => flattenConditions(target[condition]));
+}
+
+/**
+ * Helper: Position of an `exports` condition in CONDITION_ORDER (unknown ones last)
+ */
+function conditionRank(condition) {
+  const rank = CONDITION_ORDER.indexOf(condition);
+  return rank === -1 ? CONDITION_ORDER.length : rank;
+}
+
+/**
+ * Helper: Source file behind an entry path. The same path under src/ (with
+ * build folders and extensions dropped) wins over the built file itself.
+ */
+function findSourceFile(packageDir, target) {
+  const relativePath = target.replace(/^\.\//, '');
+  const sourcePath = toSourcePath(relativePath);
+  const candidates = [`src/${sourcePath}`, sourcePath];
+  if (!relativePath.endsWith('.d.ts')) candidates.push(relativePath);
+  
+  const fromFile = path.join(packageDir, 'package.json');
+  for (const candidate of candidates) {
+    const resolved = resolveImportPath(fromFile, `./${candidate}`);
+    if (resolved) return resolved;
+  }
+  return null;
+}
+
+/**
+ * Helper: Built path to its extensionless source path
+ * (`dist/esm/button/index.js` → `button/index`)
+ */
+function toSourcePath(relativePath) {
+  const segments = relativePath.replace(/\.d\.ts$|\.[cm]?[jt]sx?$/, '').split('/');
+  while (segments.length > 1 && ['src', ...BUILD_DIRS].includes(segments[0])) {
+    segments.shift();
+  }
+  return segments.join('/');
+}
+
+/**
+ * Helper: A `./dist/*.js` target as the source prefix/suffix a file has to match
+ */
+function toSourcePattern(target) {
+  const [prefix, suffix] = target.replace(/^\.\//, '').split('*');
+  const sourcePrefix = toSourcePath(`${prefix}x`).slice(0, -1);
+  return {
+    prefix: sourcePrefix,
+    suffix: suffix.replace(/\.d\.ts$|\.[cm]?[jt]sx?$/, ''),
+  };
+}
+
+/**
+ * Helper: Match a component file against a `"./*"` subpath export
+ */
+function matchPattern(entry, pkg, filePath, exportName) {
+  const relativePath = path.relative(pkg.dir, filePath).split(path.sep).join('/');
+  const withoutExtension = relativePath.replace(/\.[^./]+$/, '');
+  const { prefix, suffix } = entry.pattern;
+  
+  // Patterns are compared without src/ (see toSourcePath), files outside src/ as they are
+  for (const candidate of [withoutExtension.replace(/^src\//, ''), withoutExtension]) {
+    if (candidate.startsWith(prefix) && candidate.endsWith(suffix) &&
+        candidate.length > prefix.length + suffix.length) {
+      const match = candidate.slice(prefix.length, candidate.length - suffix.length);
+      return {
+        subpath: entry.subpath.replace('*', match),
+        name: exportName,
+      };
+    }
+  }
+  return null;
+}
+
+// ============= BARRELS =============
+
+/**
+ * Helper: Name a module exports the component under, following re-exports
+ * @returns {object|null} { name, files } with the barrels along the way
+ */
+function findPublicExport(moduleFile, targetFile, targetExport, depth = 0, visited = new Set()) {
+  if (moduleFile === targetFile) return { name: targetExport, files: [] };
+  if (depth >= MAX_BARREL_DEPTH || visited.has(moduleFile)) return null;
+  visited.add(moduleFile);
+  
+  for (const reExport of readExports(moduleFile)) {
+    const resolved = resolveImportPath(moduleFile, reExport.source);
+    if (!resolved) continue;
+    
+    const inner = findPublicExport(resolved, targetFile, targetExport, depth + 1, visited);
+    if (!inner) continue;
+    
+    // `export * from` passes every name on except default
+    if (reExport.star && inner.name !== 'default') {
+      return { name: inner.name, files: [moduleFile, ...inner.files] };
+    }
+    if (!reExport.star && inner.name === reExport.imported) {
+      return { name: reExport.exported, files: [moduleFile, ...inner.files] };
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Helper: Re-exports of a module (cached)
+ * `export { a as b } from`, `export * from`, and imports exported again
+ * (`import Button from './Button'; export { Button }`)
+ */
+function readExports(moduleFile) {
+  if (exportsCache.has(moduleFile)) return exportsCache.get(moduleFile);
+  
+  const reExports = [];
+  try {
+    if (parser && /\.[cm]?[jt]sx?$/.test(moduleFile)) {
+      const ast = parser.parse(fs.readFileSync(moduleFile, 'utf-8'), {
+        sourceType: 'module',
+        errorRecovery: true,
+        plugins: getParserPlugins(moduleFile),
+      });
+      
+      const imports = new Map(); // local name → { source, imported }
+      ast.program.body.forEach(statement => {
+        if (statement.type !== 'ImportDeclaration') return;
+        statement.specifiers.forEach(specifier => {
+          imports.set(specifier.local.name, {
+            source: statement.source.value,
+            imported: specifier.type === 'ImportDefaultSpecifier' ? 'default'
+              : specifier.type === 'ImportNamespaceSpecifier' ? '*'
+              : getName(specifier.imported),
+          });
+        });
+      });
+      
+      ast.program.body.forEach(statement => {
+        if (statement.type === 'ExportAllDeclaration' && !statement.exported) {
+          reExports.push({ star: true, source: statement.source.value });
+        } else if (statement.type === 'ExportNamedDeclaration') {
+          statement.specifiers.forEach(specifier => {
+            if (specifier.type !== 'ExportSpecifier') return;
+            const exported = getName(specifier.exported);
+            
+            if (statement.source) {
+              reExports.push({ source: statement.source.value, imported: getName(specifier.local), exported });
+            } else {
+              const binding = imports.get(specifier.local.name);
+              if (binding && binding.imported !== '*') reExports.push({ ...binding, exported });
+            }
+          });
+        } else if (statement.type === 'ExportDefaultDeclaration' && statement.declaration.type === 'Identifier') {
+          const binding = imports.get(statement.declaration.name);
+          if (binding && binding.imported !== '*') reExports.push({ ...binding, exported: 'default' });
+        }
+      });
+    }
+  } catch (err) {
+    console.warn(`   ⚠️  Could not read exports of ${path.basename(moduleFile)}: ${err.message}`);
+  }
+  
+  exportsCache.set(moduleFile, reExports);
+  return reExports;
+}
+
+// ============= HELPERS =============
+
+/**
+ * Helper: Name of an identifier or string export specifier (`export { x as "y" }`)
+ */
+function getName(node) {
+  return node.type === 'StringLiteral' ? node.value : node.name;
+}
+
+/**
+ * Helper: Import specifier for a package subpath ("." → name, "./button" → name/button)
+ */
+function toSpecifier(packageName, subpath) {
+  return subpath === '.' ? packageName : `${packageName}/${subpath.replace(/^\.\//, '')}`;
+}
+
+/**
+ * Helper: Babel plugins for a module (.ts can't be parsed with JSX enabled)
+ */
+function getParserPlugins(moduleFile) {
+  const plugins = /\.[cm]?tsx?$/.test(moduleFile) ? ['typescript'] : [];
+  if (!/\.[cm]?ts$/.test(moduleFile)) plugins.push('jsx');
+  return [...plugins, 'decorators-legacy'];
+}
+
+/**
+ * Helper: Whether a path is (inside) a directory
+ */
+function isInside(filePath, dir) {
+  const relative = path.relative(dir, filePath);
+  return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+export {
+  resolvePackageImport,
+  clearPackageImportCache,
+};
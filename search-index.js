@@ -0,0 +1,358 @@
+/**
+ * ==============================================
+ * SEARCH INDEX
+ * ==============================================
+ * 
+ * Inverted index over stories and MDX docs pages for
+ * GET /api/search. Built once per metadata load.
+ * 
+ * Indexed fields (by weight): titles, story names, tags,
+ * argType names, IDs, argType descriptions and docs text.
+ * 
+ * Query terms match index terms exactly, by prefix
+ * ("butt" → button), within a small edit distance
+ * ("buton" → button) or as an abbreviation ("btn" → button).
+ * ==============================================
+ */
+
+// How much a match in each field counts towards the score
+const FIELD_WEIGHTS = {
+  title: 4,
+  name: 4,
+  tags: 2.5,
+  args: 2,
+  id: 1,
+  argDescriptions: 1,
+  docs: 1,
+};
+
+// How much each kind of term match counts (exact = 1)
+const MATCH_QUALITY = {
+  exact: 1,
+  prefix: 0.75,
+  fuzzy: 0.55,
+  abbreviation: 0.45,
+};
+
+// Snippet context around a match (characters per side)
+const SNIPPET_RADIUS = 40;
+const MAX_HIGHLIGHTS = 3;
+
+/**
+ * Build a search index from stories.json metadata
+ * @param {object} metadata - Parsed stories.json
+ * @returns {object} Index for querySearchIndex()
+ */
+function buildSearchIndex(metadata) {
+  const index = {
+    documents: [],
+    postings: new Map(), // term → Map(document index → Map(field → count))
+  };
+  
+  Object.values(metadata?.stories || {}).forEach(story => {
+    if (story.type === 'docs') return;
+    const component = metadata.components?.[story.title];
+    const argTypes = Object.entries(story.argTypes || {});
+    
+    addDocument(index, story, {
+      title: story.title || story.kind,
+      name: story.name,
+      tags: (story.tags || []).join(' '),
+      args: argTypes.map(([name]) => name).join(' '),
+      id: story.id,
+      argDescriptions: argTypes
+        .map(([, argType]) => argType?.description)
+        .filter(Boolean)
+        .join(' · '),
+      docs: [...new Set([story.docs?.description, component?.description])].filter(Boolean).join(' · '),
+    });
+  });
+  
+  Object.values(metadata?.docs || {}).forEach(page => {
+    addDocument(index, page, {
+      title: page.title,
+      name: page.name,
+      tags: (page.tags || []).join(' '),
+      id: page.id,
+      docs: page.markdown || '',
+    });
+  });
+  
+  index.terms = [...index.postings.keys()];
+  return index;
+}
+
+/**
+ * Search the index
+ * @param {object} index - Result of buildSearchIndex()
+ * @param {string} query - Free text query
+ * @returns {Array<{document: object, score: number, getHighlights: Function}>} Best matches first.
+ *   Snippets are built on demand, so only the results actually returned pay for them.
+ */
+function querySearchIndex(index, query) {
+  const tokens = [...new Set(tokenizeQuery(query))];
+  if (tokens.length === 0) return [];
+  
+  const total = index.documents.length;
+  const matchedTermsByDoc = new Map(); // document index → Set(term)
+  let scores = null;
+  
+  // Every query token has to match (AND); each adds its best term match
+  for (const token of tokens) {
+    const tokenScores = new Map();
+    
+    expandToken(index, token).forEach(({ term, quality }) => {
+      const postings = index.postings.get(term);
+      const idf = Math.log(1 + total / postings.size);
+      
+      postings.forEach((fieldCounts, docIndex) => {
+        let fieldScore = 0;
+        fieldCounts.forEach((count, field) => {
+          fieldScore += FIELD_WEIGHTS[field] * (1 + Math.log(count));
+        });
+        
+        const score = quality * idf * fieldScore;
+        if (score > (tokenScores.get(docIndex) || 0)) {
+          tokenScores.set(docIndex, score);
+        }
+        
+        if (!matchedTermsByDoc.has(docIndex)) matchedTermsByDoc.set(docIndex, new Set());
+        matchedTermsByDoc.get(docIndex).add(term);
+      });
+    });
+    
+    if (scores === null) {
+      scores = tokenScores;
+    } else {
+      const combined = new Map();
+      scores.forEach((score, docIndex) => {
+        if (tokenScores.has(docIndex)) combined.set(docIndex, score + tokenScores.get(docIndex));
+      });
+      scores = combined;
+    }
+    
+    if (scores.size === 0) return [];
+  }
+  
+  const phrase = tokens.join(' ');
+  const matchers = new Map(); // many documents match the same set of terms
+  
+  return [...scores.entries()]
+    .map(([docIndex, score]) => {
+      const document = index.documents[docIndex];
+      const terms = [...matchedTermsByDoc.get(docIndex)].sort((a, b) => b.length - a.length);
+      const matcherKey = terms.join('|');
+      if (!matchers.has(matcherKey)) {
+        matchers.set(matcherKey, new RegExp(terms.map(escapeRegExp).join('|'), 'giu'));
+      }
+      
+      // Whole query equal to the story name or component name ranks first
+      const componentName = (document.fields.title || '').split('/').pop();
+      if ([document.fields.name, componentName].some(text => normalize(text) === phrase)) {
+        score *= 1.5;
+      }
+      
+      return {
+        document: document.source,
+        score: Math.round(score * 1000) / 1000,
+        getHighlights: () => buildHighlights(document, matchers.get(matcherKey)),
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+// ============= INDEXING =============
+
+/**
+ * Helper: Add a document and its field terms to the index
+ */
+function addDocument(index, source, fields) {
+  const docIndex = index.documents.length;
+  
+  // Whitespace is collapsed up front so snippets can slice the text directly
+  Object.keys(fields).forEach(field => {
+    fields[field] = String(fields[field] || '').replace(/\s+/g, ' ').trim();
+  });
+  index.documents.push({ source, fields });
+  
+  Object.entries(fields).forEach(([field, text]) => {
+    tokenizeText(text).forEach(term => {
+      if (!index.postings.has(term)) index.postings.set(term, new Map());
+      
+      const docPostings = index.postings.get(term);
+      if (!docPostings.has(docIndex)) docPostings.set(docIndex, new Map());
+      
+      const fieldCounts = docPostings.get(docIndex);
+      fieldCounts.set(field, (fieldCounts.get(field) || 0) + 1);
+    });
+  });
+}
+
+/**
+ * Helper: Split indexed text into terms
+ * camelCase words are indexed whole and by part (isDisabled → isdisabled, is, disabled)
+ */
+function tokenizeText(text) {
+  const terms = [];
+  
+  String(text || '').split(/[^\p{L}\p{N}]+/u).forEach(word => {
+    if (!word) return;
+    terms.push(word.toLowerCase());
+    
+    const parts = word.replace(/([\p{Ll}\p{N}])(\p{Lu})/gu, '$1 $2').split(' ');
+    if (parts.length > 1) {
+      parts.forEach(part => terms.push(part.toLowerCase()));
+    }
+  });
+  
+  return terms;
+}
+
+/**
+ * Helper: Split a query into terms
+ */
+function tokenizeQuery(query) {
+  return String(query || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Helper: Lowercase text and collapse punctuation to single spaces
+ */
+function normalize(text) {
+  return tokenizeQuery(text).join(' ');
+}
+
+// ============= MATCHING =============
+
+/**
+ * Helper: Index terms a query token matches, with match quality
+ */
+function expandToken(index, token) {
+  const matches = [];
+  const maxEdits = token.length >= 8 ? 2 : 1;
+  
+  index.terms.forEach(term => {
+    if (term === token) {
+      matches.push({ term, quality: MATCH_QUALITY.exact });
+    } else if (token.length >= 2 && term.startsWith(token)) {
+      matches.push({ term, quality: MATCH_QUALITY.prefix });
+    } else if (token.length >= 4 && Math.abs(term.length - token.length) <= maxEdits &&
+               editDistance(token, term, maxEdits) <= maxEdits) {
+      matches.push({ term, quality: MATCH_QUALITY.fuzzy });
+    } else if (token.length >= 2 && term[0] === token[0] &&
+               token.length * 2 >= term.length && isSubsequence(token, term)) {
+      matches.push({ term, quality: MATCH_QUALITY.abbreviation });
+    }
+  });
+  
+  return matches;
+}
+
+/**
+ * Helper: Damerau-Levenshtein distance (adjacent swaps count once),
+ * gives up early once every path exceeds maxDistance
+ */
+function editDistance(a, b, maxDistance) {
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+    
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, previousRow[j - 2] + 1);
+      }
+      
+      nextRow.push(distance);
+      rowMin = Math.min(rowMin, distance);
+    }
+    
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+  
+  return row[b.length];
+}
+
+/**
+ * Helper: Whether all characters of `short` appear in order in `long`
+ */
+function isSubsequence(short, long) {
+  let position = 0;
+  for (const char of long) {
+    if (char === short[position]) position++;
+    if (position === short.length) return true;
+  }
+  return false;
+}
+
+// ============= HIGHLIGHTING =============
+
+/**
+ * Helper: Snippets of the best fields a document matched in
+ */
+function buildHighlights(document, matcher) {
+  return Object.keys(FIELD_WEIGHTS)
+    .filter(field => document.fields[field])
+    .map(field => ({ field, snippet: makeSnippet(document.fields[field], matcher) }))
+    .filter(highlight => highlight.snippet)
+    .slice(0, MAX_HIGHLIGHTS);
+}
+
+/**
+ * Helper: Text around the first match, with matches wrapped in <mark>.
+ * The text is HTML-escaped so snippets are safe to render as HTML.
+ */
+function makeSnippet(flat, matcher) {
+  matcher.lastIndex = 0;
+  const first = matcher.exec(flat);
+  if (!first) return null;
+  
+  const start = Math.max(0, first.index - SNIPPET_RADIUS);
+  const end = Math.min(flat.length, first.index + first[0].length + SNIPPET_RADIUS);
+  const excerpt = flat.slice(start, end);
+  
+  let snippet = '';
+  let lastIndex = 0;
+  matcher.lastIndex = 0;
+  for (const match of excerpt.matchAll(matcher)) {
+    snippet += escapeHtml(excerpt.slice(lastIndex, match.index));
+    snippet += `<mark>${escapeHtml(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+  snippet += escapeHtml(excerpt.slice(lastIndex));
+  
+  return `${start > 0 ? '…' : ''}${snippet}${end < flat.length ? '…' : ''}`;
+}
+
+/**
+ * Helper: Escape a string for use in a RegExp
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Helper: Escape HTML special characters
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export {
+  buildSearchIndex,
+  querySearchIndex,
+};
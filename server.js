@@ -0,0 +1,187 @@
+/**
+ * ==============================================
+ * STANDALONE METADATA SERVER
+ * ==============================================
+ * 
+ * Mounts the REST API middleware on a plain Node.js http
+ * server, so a built stories.json can be queried without
+ * running Storybook. Same router, endpoints, CORS and
+ * caching as inside Storybook; optionally serves the
+ * static Storybook build next to the API.
+ * 
+ * Started by `storybook-api serve` (cli.js).
+ * ==============================================
+ */
+
+import fs from 'fs';
+import path from 'path';
+import http from 'http';
+import middleware from './middleware.js';
+
+// Content types for the files of a static Storybook build
+const STATIC_CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.map': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.txt': 'text/plain; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+};
+
+/**
+ * Minimal router with the Express surface the middleware uses:
+ * get/post/options registration by exact path or RegExp.
+ * HEAD requests are answered by GET routes.
+ * 
+ * @returns {object} Router; `handle(req, res, next)` dispatches a request
+ */
+export function createRouter() {
+  const routes = [];
+  const add = (method) => (pattern, handler) => {
+    routes.push({ method, pattern, handler });
+  };
+  
+  return {
+    routes,
+    get: add('GET'),
+    post: add('POST'),
+    options: add('OPTIONS'),
+    
+    handle(req, res, next) {
+      const pathname = req.url.split('?')[0];
+      const found = routes.find(({ method, pattern }) =>
+        (method === req.method || (method === 'GET' && req.method === 'HEAD')) &&
+        (typeof pattern === 'string' ? pattern === pathname : pattern.test(pathname))
+      );
+      
+      if (!found) {
+        next();
+        return;
+      }
+      
+      Promise.resolve(found.handler(req, res, next)).catch(next);
+    },
+  };
+}
+
+/**
+ * Serve a file from the static Storybook build.
+ * Paths are confined to the build directory; directories serve index.html.
+ * 
+ * @returns {boolean} False when there is no such file
+ */
+function serveStatic(staticDir, req, res) {
+  if (!['GET', 'HEAD'].includes(req.method)) return false;
+  
+  let pathname;
+  try {
+    pathname = decodeURIComponent(req.url.split('?')[0]);
+  } catch {
+    return false;
+  }
+  
+  let filepath = path.join(staticDir, pathname);
+  if (filepath !== staticDir && !filepath.startsWith(staticDir + path.sep)) {
+    return false;
+  }
+  
+  let stats;
+  try {
+    stats = fs.statSync(filepath);
+    if (stats.isDirectory()) {
+      filepath = path.join(filepath, 'index.html');
+      stats = fs.statSync(filepath);
+    }
+  } catch {
+    return false;
+  }
+  if (!stats.isFile()) return false;
+  
+  const lastModified = stats.mtime.toUTCString();
+  res.setHeader('Content-Type', STATIC_CONTENT_TYPES[path.extname(filepath).toLowerCase()] || 'application/octet-stream');
+  res.setHeader('Last-Modified', lastModified);
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  
+  if (req.headers['if-modified-since'] === lastModified) {
+    res.statusCode = 304;
+    res.end();
+    return true;
+  }
+  
+  res.statusCode = 200;
+  res.setHeader('Content-Length', stats.size);
+  if (req.method === 'HEAD') {
+    res.end();
+  } else {
+    fs.createReadStream(filepath).pipe(res);
+  }
+  return true;
+}
+
+/**
+ * Create an http server that answers the REST API (and optionally the
+ * static Storybook build). Call `listen()` on the result to start it.
+ * 
+ * @param {object} [options]
+ * @param {string} [options.metadataPath] - stories.json to serve
+ *   (default: the middleware's usual locations under the working directory)
+ * @param {Array|string} [options.projects] - Other Storybooks to serve
+ *   (see the middleware's `projects` option)
+ * @param {string|false} [options.config] - Config file for the middleware
+ *   (default: storybook-api.config.* lookup; false: none)
+ * @param {string} [options.staticDir] - Static Storybook build to serve at /
+ * @returns {http.Server}
+ */
+export function createApiServer(options = {}) {
+  const router = createRouter();
+  middleware(router, {
+    metadataPath: options.metadataPath,
+    projects: options.projects,
+    config: options.config,
+  });
+  
+  const staticDir = options.staticDir ? path.resolve(options.staticDir) : null;
+  
+  return http.createServer((req, res) => {
+    router.handle(req, res, (err) => {
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      
+      if (!err && staticDir && serveStatic(staticDir, req, res)) {
+        return;
+      }
+      
+      const statusCode = err ? 500 : 404;
+      if (err) {
+        console.error('❌ Request failed:', err.message);
+      }
+      
+      res.statusCode = statusCode;
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+      res.end(JSON.stringify({
+        error: err ? 'Internal server error' : 'Not found',
+        statusCode,
+        path: req.url.split('?')[0],
+        timestamp: new Date().toISOString(),
+      }));
+    });
+  });
+}
@@ -8,7 +8,7 @@
  * Automatically configures a Storybook project to use
  * the metadata extractor.
  * 
- * Usage: node storybook-api/setup.js
+ * Usage: node storybook-api/setup.js [--config=path/to/storybook-api.config.js]
  * 
  * ==============================================
  */
@@ -16,6 +16,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { loadConfig, formatConfigError } from './api-config.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -67,6 +68,14 @@ async function setup() {
   const storybookDir = path.join(projectRoot, '.storybook');
   const packageJsonPath = path.join(projectRoot, 'package.json');
   
+  // A config file outside the project root (--config=path or --config path)
+  const configIndex = process.argv.findIndex(arg => arg === '--config' || arg.startsWith('--config='));
+  const configArg = configIndex === -1 ? null : process.argv[configIndex];
+  const apiConfigPath = configArg === '--config' ? process.argv[configIndex + 1] : configArg?.split('=')[1];
+  const configOption = apiConfigPath
+    ? ` --config=${path.relative(projectRoot, path.resolve(apiConfigPath)) || apiConfigPath}`
+    : '';
+  
   // Step 1: Check if .storybook exists
   logStep(1, 'Checking Storybook configuration...');
   if (!fs.existsSync(storybookDir)) {
@@ -141,6 +150,19 @@ async function setup() {
   const middlewareFile = isESM ? 'middleware.js' : 'middleware.cjs';
   const filesToCopy = [
     { src: 'extract-metadata.js', dest: '.storybook/extract-metadata.js' },
+    { src: 'component-props.js', dest: '.storybook/component-props.js' },
+    { src: 'mdx-docs.js', dest: '.storybook/mdx-docs.js' },
+    { src: 'metadata-diff.js', dest: '.storybook/metadata-diff.js' },
+    { src: 'search-index.js', dest: '.storybook/search-index.js' },
+    { src: 'story-filters.js', dest: '.storybook/story-filters.js' },
+    { src: 'story-tree.js', dest: '.storybook/story-tree.js' },
+    { src: 'usage-snippets.js', dest: '.storybook/usage-snippets.js' },
+    { src: 'package-imports.js', dest: '.storybook/package-imports.js' },
+    { src: 'api-explorer.js', dest: '.storybook/api-explorer.js' },
+    { src: 'graphql-api.js', dest: '.storybook/graphql-api.js' },
+    { src: 'federation.js', dest: '.storybook/federation.js' },
+    { src: 'api-config.js', dest: '.storybook/api-config.js' },
+    { src: 'metadata-schema.js', dest: '.storybook/metadata-schema.js' },
     { src: middlewareFile, dest: '.storybook/middleware.js' },
   ];
   
@@ -246,9 +268,11 @@ async function setup() {
   // Step 5: Update package.json scripts
   logStep(5, 'Updating package.json scripts...');
   const scriptsToAdd = {
-    'metadata:generate': 'node .storybook/extract-metadata.js --build',
-    'metadata:dev': 'node .storybook/extract-metadata.js --dev',
-    'metadata:full': 'node .storybook/extract-metadata.js --build --enhance',
+    'metadata:generate': `node .storybook/extract-metadata.js --build${configOption}`,
+    'metadata:dev': `node .storybook/extract-metadata.js --dev${configOption}`,
+    'metadata:watch': `node .storybook/extract-metadata.js --watch${configOption}`,
+    'metadata:diff': `node .storybook/extract-metadata.js --diff${configOption}`,
+    'metadata:full': `node .storybook/extract-metadata.js --build --enhance${configOption}`,
   };
   
   let scriptsAdded = 0;
@@ -287,7 +311,7 @@ async function setup() {
     logSuccess('Babel parser available (source file parsing enabled ⚡)');
   } else {
     logWarning('Babel parser not found (will use fallback methods)');
-    log('   Install with: npm install --save-dev @babel/parser @babel/traverse @babel/types glob', 'yellow');
+    log('   Install with: npm install --save-dev @babel/parser @babel/traverse @babel/types glob minimatch', 'yellow');
   }
   
   // Step 7: Validate configuration
@@ -316,6 +340,21 @@ async function setup() {
     validationWarnings.push('Create .storybook/package.json with {"type": "module"}');
   }
   
+  // storybook-api.config.* is read by the extractor and the middleware too
+  let apiConfig = null;
+  try {
+    apiConfig = loadConfig({ rootDir: projectRoot, configPath: apiConfigPath });
+    if (apiConfig.configFile) {
+      logSuccess(`Config file is valid: ${path.relative(projectRoot, apiConfig.configFile)}`);
+    }
+    if (apiConfigPath) {
+      validationWarnings.push(`Start Storybook with STORYBOOK_API_CONFIG=${configOption.split('=')[1]} so the middleware uses it too`);
+    }
+  } catch (err) {
+    if (!err.details) throw err;
+    validationErrors.push(formatConfigError(err).replace(/\n/g, '\n      '));
+  }
+  
   // Report validation results
   if (validationErrors.length > 0) {
     logError('Configuration validation failed:');
@@ -329,8 +368,13 @@ async function setup() {
     log('\n   Please fix these issues manually or the setup may not work correctly.\n', 'yellow');
   } else {
     logSuccess('Configuration validation passed ✅');
+    validationWarnings.forEach(warn => log(`   💡 ${warn}`, 'yellow'));
   }
   
+  // Where the API and the metadata file will be (defaults when the config is invalid)
+  const settings = apiConfig || loadConfig({ rootDir: projectRoot, configPath: false, env: {} });
+  const outputPath = path.relative(projectRoot, path.join(settings.outputDir, settings.outputFile));
+  
   // Summary
   log('\n' + '='.repeat(50), 'bright');
   log('✨ Setup Complete!', 'green');
@@ -344,15 +388,15 @@ async function setup() {
   log('   npm run metadata:dev\n', 'blue');
   
   log('3. Access metadata at:');
-  log('   http://localhost:6006/stories.json\n', 'blue');
+  log(`   ${settings.storybookUrl}/stories.json\n`, 'blue');
   
   log('📚 For production builds:');
   log('   npm run build-storybook\n', 'blue');
-  log('   (Metadata will be auto-generated at storybook-static/stories.json)\n');
+  log(`   (Metadata will be auto-generated at ${outputPath})\n`);
   
   if (!hasBabelParser) {
     log('💡 Tip: For fastest extraction with complete metadata, install:', 'yellow');
-    log('   npm install --save-dev @babel/parser @babel/traverse @babel/types glob\n', 'yellow');
+    log('   npm install --save-dev @babel/parser @babel/traverse @babel/types glob minimatch\n', 'yellow');
   }
   
   log('📖 Read more: storybook-api/README.md\n');
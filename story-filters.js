@@ -0,0 +1,257 @@
+/**
+ * ==============================================
+ * STORY FILTERS & FACETS
+ * ==============================================
+ * 
+ * Filter language for GET /api/stories (and /api/components):
+ * 
+ *   tags=autodocs,!deprecated     Comma = AND, ! = NOT, | = OR
+ *   hasArg=size,!onClick          Story has (or lacks) an arg/argType
+ *   arg.disabled=true             Arg value (true/false/null/numbers are typed)
+ *   arg.size=small|medium         Any of several values
+ *   importPath=packages/forms/*   Glob (* within a folder, ** across folders)
+ *   package=@acme/forms           Package the story file belongs to
+ * 
+ * Facets count tags, top-level title segments and
+ * packages over the filtered stories.
+ * ==============================================
+ */
+
+// Query parameters handled here (plus any `arg.<name>`)
+const FILTER_PARAMS = ['tags', 'hasArg', 'importPath', 'package'];
+const ARG_PARAM_PREFIX = 'arg.';
+
+// Compiled importPath globs (cleared when it grows, the globs come from queries)
+const globCache = new Map();
+const GLOB_CACHE_SIZE = 100;
+
+/**
+ * Parse filter parameters from a query object.
+ * Throws an Error with `details` when an expression is malformed.
+ * 
+ * @param {object} query - Parsed query params
+ * @returns {Array<object>} Filters for filterStories() (empty if none given)
+ */
+function parseStoryFilters(query) {
+  const filters = [];
+  
+  Object.entries(query).forEach(([param, expression]) => {
+    const isArgParam = param.startsWith(ARG_PARAM_PREFIX);
+    if (!FILTER_PARAMS.includes(param) && !isArgParam) return;
+    
+    const argName = isArgParam ? param.slice(ARG_PARAM_PREFIX.length) : null;
+    if (isArgParam && !argName) {
+      throw invalidFilter(param, expression, 'Missing arg name, e.g. arg.disabled=true');
+    }
+    
+    filters.push({
+      param,
+      argName,
+      clauses: parseExpression(param, expression),
+    });
+  });
+  
+  return filters;
+}
+
+/**
+ * Keep the stories matching every filter
+ * @param {Array<object>} stories - Stories to filter
+ * @param {Array<object>} filters - Result of parseStoryFilters()
+ * @param {object} context - { getPackage(story) → package name or null }
+ * @returns {Array<object>} Matching stories
+ */
+function filterStories(stories, filters, context = {}) {
+  if (filters.length === 0) return stories;
+  
+  return stories.filter(story =>
+    filters.every(filter => {
+      const test = getValueTest(filter, story, context);
+      
+      // Every clause has to hold; a clause holds if any of its values match
+      return filter.clauses.every(clause =>
+        clause.values.some(test) !== clause.negate
+      );
+    })
+  );
+}
+
+/**
+ * Count stories per tag, top-level title segment and package
+ * @param {Array<object>} stories - Stories to count (usually already filtered)
+ * @param {object} context - { getPackage(story) → package name or null }
+ * @returns {object} { tags, titles, packages } as [{ value, count }], most common first
+ */
+function buildFacets(stories, context = {}) {
+  const tags = new Map();
+  const titles = new Map();
+  const packages = new Map();
+  const increment = (counts, value) => counts.set(value, (counts.get(value) || 0) + 1);
+  
+  stories.forEach(story => {
+    new Set(story.tags || []).forEach(tag => increment(tags, tag));
+    
+    const title = story.title || story.kind;
+    if (title) increment(titles, title.split('/')[0].trim());
+    
+    const packageName = context.getPackage?.(story);
+    if (packageName) increment(packages, packageName);
+  });
+  
+  return {
+    tags: sortCounts(tags),
+    titles: sortCounts(titles),
+    packages: sortCounts(packages),
+  };
+}
+
+// ============= PARSING =============
+
+/**
+ * Helper: Parse `a,!b|c` into AND-ed clauses of OR-ed values
+ */
+function parseExpression(param, expression) {
+  if (typeof expression !== 'string' || expression.trim() === '') {
+    throw invalidFilter(param, expression, 'Empty expression');
+  }
+  
+  return expression.split(',').map(term => {
+    let clause = term.trim();
+    const negate = clause.startsWith('!');
+    if (negate) clause = clause.slice(1).trim();
+    
+    const values = clause.split('|').map(value => value.trim());
+    if (values.some(value => value === '')) {
+      throw invalidFilter(param, expression, `Empty value in "${term}"`);
+    }
+    
+    return { negate, values };
+  });
+}
+
+/**
+ * Helper: Error for a malformed filter, reported as a 400
+ */
+function invalidFilter(param, expression, reason) {
+  return Object.assign(new Error('Invalid filter'), {
+    details: {
+      filter: param,
+      expression,
+      reason,
+      syntax: 'tags=autodocs,!deprecated  hasArg=size  arg.disabled=true  importPath=packages/forms/**',
+    },
+  });
+}
+
+// ============= MATCHING =============
+
+/**
+ * Helper: Function testing one filter value against a story
+ */
+function getValueTest(filter, story, context) {
+  switch (filter.param) {
+    case 'tags': {
+      const tags = story.tags || [];
+      return value => tags.includes(value);
+    }
+    case 'hasArg':
+      return value => hasOwn(story.argTypes, value) || hasOwn(story.args, value);
+    case 'importPath': {
+      const importPath = normalizePath(story.importPath);
+      return value => globToRegExp(normalizePath(value)).test(importPath);
+    }
+    case 'package': {
+      const packageName = context.getPackage?.(story) || null;
+      return value => packageName === value;
+    }
+    default: {
+      // arg.<name>
+      if (!hasOwn(story.args, filter.argName)) return () => false;
+      const actual = story.args[filter.argName];
+      return value => valuesEqual(actual, parseValue(value));
+    }
+  }
+}
+
+/**
+ * Helper: Type a filter value (true/false/null/numbers), otherwise keep the string
+ */
+function parseValue(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (value === 'null') return null;
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value;
+}
+
+/**
+ * Helper: Compare an arg value with a filter value (numbers given as strings match too)
+ */
+function valuesEqual(actual, expected) {
+  if (actual === expected) return true;
+  if (typeof expected === 'number' && typeof actual === 'string') return Number(actual) === expected;
+  return false;
+}
+
+/**
+ * Helper: Strip ./ and Windows separators from a path
+ */
+function normalizePath(filePath) {
+  return String(filePath || '').replace(/\\/g, '/').replace(/^\.\//, '');
+}
+
+/**
+ * Helper: Convert a glob (* within a folder, ** across folders, ?) to a RegExp
+ * matching the whole path: `packages/forms/*` matches the files directly in
+ * packages/forms, `packages/forms/**` everything below it.
+ */
+function globToRegExp(glob) {
+  if (globCache.has(glob)) return globCache.get(glob);
+  
+  let pattern = '';
+  
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // `**/` also matches no folder at all
+      const slash = glob[i + 2] === '/';
+      pattern += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      pattern += '[^/]*';
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  
+  const regExp = new RegExp(`^${pattern}$`);
+  if (globCache.size >= GLOB_CACHE_SIZE) globCache.clear();
+  globCache.set(glob, regExp);
+  return regExp;
+}
+
+// ============= HELPERS =============
+
+/**
+ * Helper: Own-property check that works on null/undefined objects
+ */
+function hasOwn(object, key) {
+  return Boolean(object) && Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * Helper: Map of counts to [{ value, count }], most common first
+ */
+function sortCounts(counts) {
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+}
+
+export {
+  parseStoryFilters,
+  filterStories,
+  buildFacets,
+};
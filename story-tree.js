@@ -0,0 +1,234 @@
+/**
+ * ==============================================
+ * STORY TREE
+ * ==============================================
+ * 
+ * Builds the sidebar hierarchy from story titles
+ * (`Forms/Inputs/TextField`), the way Storybook does:
+ *   - Entries are walked in index order (file by file,
+ *     in stories specifier order), so roots, groups and
+ *     components appear in sidebar order
+ *   - First segment of a multi-segment title is a root
+ *     (or a plain group with showRoots: false)
+ *   - Middle segments are groups, the last is the component
+ *   - Docs entries come before stories in a component
+ *   - A component with a single story named like the
+ *     component, or with only one docs page, is shown
+ *     as a leaf (single-story hoisting)
+ * 
+ * Used by GET /api/tree and GET /api/groups/:path
+ * ==============================================
+ */
+
+/**
+ * Build the story tree from metadata
+ * @param {object} metadata - Parsed stories.json
+ * @param {object} options - { showRoots: true }
+ * @returns {Array<object>} Top-level nodes, in first-appearance order
+ */
+function buildStoryTree(metadata, options = {}) {
+  const showRoots = options.showRoots !== false;
+  const topLevel = [];
+  const nodesById = new Map();
+  
+  orderIndexEntries(metadata).forEach(entry => {
+    const title = entry.title || entry.kind;
+    if (!title) return;
+    
+    const segments = title.split('/').map(segment => segment.trim()).filter(Boolean);
+    let siblings = topLevel;
+    let node = null;
+    
+    segments.forEach((segment, depth) => {
+      const path = segments.slice(0, depth + 1).join('/');
+      const id = sanitize(path);
+      
+      node = nodesById.get(id);
+      if (!node) {
+        node = {
+          type: getNodeType(depth, segments.length, showRoots),
+          id,
+          name: segment,
+          path,
+          children: [],
+        };
+        nodesById.set(id, node);
+        siblings.push(node);
+      }
+      siblings = node.children;
+    });
+    
+    const leaf = {
+      type: entry.type === 'docs' ? 'docs' : 'story',
+      id: entry.id,
+      name: entry.name,
+      title,
+      importPath: entry.importPath,
+      tags: entry.tags || [],
+    };
+    
+    // Docs pages go before the component's stories
+    if (leaf.type === 'docs') {
+      const firstStory = node.children.findIndex(child => child.type === 'story');
+      node.children.splice(firstStory === -1 ? node.children.length : firstStory, 0, leaf);
+    } else {
+      node.children.push(leaf);
+    }
+  });
+  
+  topLevel.forEach(countNode);
+  return topLevel;
+}
+
+/**
+ * Find a root, group or component by its path
+ * @param {Array<object>} tree - Result of buildStoryTree()
+ * @param {string} groupPath - Title path (`Forms/Inputs`) or node ID (`forms-inputs`), any case
+ * @returns {object|null} Matching node
+ */
+function findTreeNode(tree, groupPath) {
+  const id = sanitize(groupPath);
+  
+  for (const node of tree) {
+    if (!node.children) continue;
+    if (node.id === id) return node;
+    
+    const found = findTreeNode(node.children, groupPath);
+    if (found) return found;
+  }
+  
+  return null;
+}
+
+/**
+ * Flat lists of everything under a node
+ * @param {object} node - Node from buildStoryTree()
+ * @returns {object} { components, stories, docs }
+ */
+function flattenTreeNode(node) {
+  const result = { components: [], stories: [], docs: [] };
+  
+  const visit = (current) => {
+    if (current.type === 'story') {
+      result.stories.push(current);
+    } else if (current.type === 'docs') {
+      result.docs.push(current);
+    } else {
+      if (current.type === 'component') {
+        result.components.push({
+          id: current.id,
+          name: current.name,
+          path: current.path,
+          counts: current.counts,
+        });
+      }
+      current.children.forEach(visit);
+    }
+  };
+  
+  visit(node);
+  return result;
+}
+
+/**
+ * Shape a node for a response, applying single-story hoisting
+ * @param {object} node - Node from buildStoryTree()
+ * @returns {object} Node as shown in the sidebar
+ */
+function formatTreeNode(node) {
+  if (!node.children) return node;
+  
+  if (node.type === 'component' && node.children.length === 1) {
+    const [child] = node.children;
+    const isHoistedStory = child.type === 'story' && child.name === node.name;
+    const isDocsOnly = child.type === 'docs';
+    
+    if (isHoistedStory || isDocsOnly) {
+      return { ...child, name: node.name, componentId: node.id, path: node.path };
+    }
+  }
+  
+  return { ...node, children: node.children.map(formatTreeNode) };
+}
+
+// ============= HELPERS =============
+
+/**
+ * Helper: Docs entries and stories in index order.
+ * Storybook sorts the index by file (`importOrder`, written by the
+ * extractor); a file's docs come before its stories. Without an
+ * `importOrder` (older or merged metadata), stories keep their order,
+ * MDX pages go with the CSF file they are attached to and
+ * unattached pages come last.
+ */
+function orderIndexEntries(metadata) {
+  const stories = Object.values(metadata?.stories || {});
+  const docs = Object.values(metadata?.docs || {});
+  const ranks = new Map();
+  const addFile = (file) => {
+    if (file && !ranks.has(file)) ranks.set(file, ranks.size);
+  };
+  
+  (Array.isArray(metadata?.importOrder) ? metadata.importOrder : []).forEach(addFile);
+  stories.forEach(story => addFile(story.importPath));
+  
+  const docsFiles = docs.map(entry => {
+    const attachedTo = entry.storiesImports?.[0];
+    return !ranks.has(entry.importPath) && ranks.has(attachedTo) ? attachedTo : entry.importPath;
+  });
+  docsFiles.forEach(addFile);
+  
+  const rank = (file) => ranks.has(file) ? ranks.get(file) : ranks.size;
+  return [
+    ...docs.map((entry, i) => ({ entry, rank: rank(docsFiles[i]) })),
+    ...stories.map(entry => ({ entry, rank: rank(entry.importPath) })),
+  ]
+    .sort((a, b) => a.rank - b.rank)
+    .map(({ entry }) => entry);
+}
+
+/**
+ * Helper: Node type for a title segment
+ */
+function getNodeType(depth, segmentCount, showRoots) {
+  if (depth === segmentCount - 1) return 'component';
+  return depth === 0 && showRoots ? 'root' : 'group';
+}
+
+/**
+ * Helper: Count components, stories and docs below a node (stored on the node)
+ */
+function countNode(node) {
+  if (node.type === 'story') return { components: 0, stories: 1, docs: 0 };
+  if (node.type === 'docs') return { components: 0, stories: 0, docs: 1 };
+  
+  const counts = { components: node.type === 'component' ? 1 : 0, stories: 0, docs: 0 };
+  node.children.forEach(child => {
+    const childCounts = countNode(child);
+    counts.components += childCounts.components;
+    counts.stories += childCounts.stories;
+    counts.docs += childCounts.docs;
+  });
+  
+  node.counts = node.type === 'component'
+    ? { stories: counts.stories, docs: counts.docs }
+    : counts;
+  return counts;
+}
+
+/**
+ * Helper: Storybook's ID sanitizer ("Forms/Inputs" → "forms-inputs")
+ */
+function sanitize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+export {
+  buildStoryTree,
+  findTreeNode,
+  flattenTreeNode,
+  formatTreeNode,
+};
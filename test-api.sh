@@ -117,6 +117,141 @@ else
   ((TESTS_FAILED++))
 fi
 
+# Test 10: Server-Sent Events
+echo "Test: Event Stream Connects"
+echo "URL: ${BASE_URL}/api/events"
+# The stream never ends on its own, read it for 2 seconds
+RESPONSE=$(curl -s -N --max-time 2 "${BASE_URL}/api/events")
+if echo "$RESPONSE" | grep -q "event: connected"; then
+  echo "✅ PASS - Stream sent connected event"
+  echo ""
+  ((TESTS_PASSED++))
+else
+  echo "❌ FAIL - Expected 'event: connected'"
+  echo ""
+  ((TESTS_FAILED++))
+fi
+
+# Test 11: Diff against itself (the extractor's output file as base)
+test_endpoint \
+  "Diff Metadata Against Itself" \
+  "${BASE_URL}/api/diff?base=storybook-static/stories.json" \
+  '"breaking": *0'
+
+# Test 12: Pagination and field selection
+test_endpoint \
+  "Paginate Stories" \
+  "${BASE_URL}/api/stories?limit=1&sort=id&fields=id,title" \
+  '"pagination"'
+
+# Test 13: Typo-tolerant search returns scored results
+test_endpoint \
+  "Fuzzy Search" \
+  "${BASE_URL}/api/search?q=buton" \
+  '"score"'
+
+# Test 14: Tag expression filter with facets
+test_endpoint \
+  "Filter Stories by Tag Expression" \
+  "${BASE_URL}/api/stories?tags=!deprecated&fields=id" \
+  '"facets"'
+
+# Test 15: Story tree
+test_endpoint \
+  "Story Tree" \
+  "${BASE_URL}/api/tree" \
+  '"tree"'
+
+# Test 16: Framework-specific usage snippets for the first component
+echo "Test: Vue Usage Snippets"
+COMPONENT_ID=$(curl -s "${BASE_URL}/api/components?fields=id&limit=1" | grep -o '"id": *"[^"]*"' | head -1 | sed 's/.*"\([^"]*\)"$/\1/')
+echo "URL: ${BASE_URL}/api/components/${COMPONENT_ID}/examples?framework=vue"
+RESPONSE=$(curl -s "${BASE_URL}/api/components/${COMPONENT_ID}/examples?framework=vue")
+if echo "$RESPONSE" | grep -q '"framework": *"vue"'; then
+  echo "✅ PASS - Snippets written for Vue"
+  echo ""
+  ((TESTS_PASSED++))
+else
+  echo "❌ FAIL - Expected '\"framework\": \"vue\"'"
+  echo ""
+  ((TESTS_FAILED++))
+fi
+
+# Test 17: OpenAPI document generated from the routes
+test_endpoint \
+  "OpenAPI Document" \
+  "${BASE_URL}/api/openapi.json" \
+  '"openapi"'
+
+# Test 18: GraphQL query
+echo "Test: GraphQL Components"
+echo "URL: POST ${BASE_URL}/api/graphql"
+RESPONSE=$(curl -s -X POST "${BASE_URL}/api/graphql" \
+  -H "Content-Type: application/json" \
+  -d '{"query":"{ components(limit: 1) { total items { id docs { description } } } }"}')
+if echo "$RESPONSE" | grep -q '"components"'; then
+  echo "✅ PASS - GraphQL returned components"
+  echo ""
+  ((TESTS_PASSED++))
+else
+  echo "❌ FAIL - Expected '\"components\"'"
+  echo ""
+  ((TESTS_FAILED++))
+fi
+
+# Test 19: Conditional request with the ETag of a previous response
+echo "Test: ETag Revalidation"
+echo "URL: ${BASE_URL}/api/stories"
+ETAG=$(curl -s -o /dev/null -D - "${BASE_URL}/api/stories" | grep -i '^etag:' | cut -d' ' -f2 | tr -d '\r')
+STATUS=$(curl -s -o /dev/null -w '%{http_code}' -H "If-None-Match: ${ETAG}" "${BASE_URL}/api/stories")
+if [ -n "$ETAG" ] && [ "$STATUS" = "304" ]; then
+  echo "✅ PASS - 304 Not Modified for ETag ${ETAG}"
+  echo ""
+  ((TESTS_PASSED++))
+else
+  echo "❌ FAIL - Expected 304 for If-None-Match: ${ETAG} (got ${STATUS})"
+  echo ""
+  ((TESTS_FAILED++))
+fi
+
+# Test 20: Projects served by the API
+test_endpoint \
+  "List Projects" \
+  "${BASE_URL}/api/projects" \
+  '"projects"'
+
+# Test 21: Diff bases outside the output directory and URLs are refused
+echo "Test: Diff Base Restrictions"
+echo "URL: ${BASE_URL}/api/diff?base=package.json"
+LOCAL_STATUS=$(curl -s -o /dev/null -w '%{http_code}' "${BASE_URL}/api/diff?base=package.json")
+REMOTE_STATUS=$(curl -s -o /dev/null -w '%{http_code}' "${BASE_URL}/api/diff?base=http://127.0.0.1:1/stories.json")
+if [ "$LOCAL_STATUS" = "400" ] && [ "$REMOTE_STATUS" = "403" ]; then
+  echo "✅ PASS - 400 for package.json, 403 for a URL"
+  echo ""
+  ((TESTS_PASSED++))
+else
+  echo "❌ FAIL - Expected 400 and 403 (got ${LOCAL_STATUS} and ${REMOTE_STATUS})"
+  echo ""
+  ((TESTS_FAILED++))
+fi
+
+# Test 22: GraphQL queries nested past the depth limit are refused
+echo "Test: GraphQL Depth Limit"
+echo "URL: POST ${BASE_URL}/api/graphql"
+RESPONSE=$(curl -s -X POST "${BASE_URL}/api/graphql" \
+  -H "Content-Type: application/json" \
+  -d '{"query":"{ stories { items { component { stories { component { stories { component { stories { component { stories { id } } } } } } } } } } }"}')
+if echo "$RESPONSE" | grep -q 'Query is too deep'; then
+  echo "✅ PASS - Deep query rejected"
+  echo ""
+  ((TESTS_PASSED++))
+else
+  echo "❌ FAIL - Expected 'Query is too deep'"
+  echo "Response: ${RESPONSE:0:200}..."
+  echo ""
+  ((TESTS_FAILED++))
+fi
+
 # Summary
 echo "======================================"
 echo "📊 Test Results"
@@ -133,12 +268,20 @@ if [ $TESTS_FAILED -eq 0 ]; then
   echo ""
   echo "Available endpoints:"
   echo "  - ${BASE_URL}/api/health"
+  echo "  - ${BASE_URL}/api/projects"
   echo "  - ${BASE_URL}/api/stories"
   echo "  - ${BASE_URL}/api/components"
   echo "  - ${BASE_URL}/api/components/:id"
   echo "  - ${BASE_URL}/api/components/:id/docs"
   echo "  - ${BASE_URL}/api/components/:id/examples"
+  echo "  - ${BASE_URL}/api/tree"
+  echo "  - ${BASE_URL}/api/groups/:path"
   echo "  - ${BASE_URL}/api/search?q=query"
+  echo "  - ${BASE_URL}/api/diff?base=path-or-url"
+  echo "  - ${BASE_URL}/api/events"
+  echo "  - ${BASE_URL}/api/openapi.json"
+  echo "  - ${BASE_URL}/api/docs"
+  echo "  - ${BASE_URL}/api/graphql (POST)"
   exit 0
 else
   echo "❌ Some tests failed"
@@ -0,0 +1,464 @@
+#!/usr/bin/env node
+
+/**
+ * ==============================================
+ * SOURCE EXTRACTOR TEST
+ * ==============================================
+ * 
+ * Copies the fixture project (fixtures/project) to a temp
+ * folder, installs the extractor into its .storybook/ the way
+ * setup.js does, parses the stories from source and checks
+ * the resulting stories.json entries.
+ * 
+ * Usage:
+ *   npm test
+ * ==============================================
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const pkg = JSON.parse(fs.readFileSync(path.join(__dirname, 'package.json'), 'utf-8'));
+
+const FIXTURE_PROJECT = path.join(__dirname, 'fixtures', 'project');
+const FIXTURE_COMPONENTS = path.join(__dirname, 'fixtures', 'components');
+const FIXTURE_V1 = path.join(__dirname, 'fixtures', 'stories-v1.json');
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * Copy the fixture project and install the published modules into its .storybook/
+ * @returns {string} The project directory
+ */
+function createProject() {
+  const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storybook-api-extract-'));
+  fs.cpSync(FIXTURE_PROJECT, projectDir, { recursive: true });
+  
+  pkg.files
+    .filter(file => file.endsWith('.js'))
+    .forEach(file => fs.copyFileSync(path.join(__dirname, file), path.join(projectDir, '.storybook', file)));
+  
+  // The copied extractor resolves @babel/parser, glob, ... from the project
+  fs.symlinkSync(path.join(__dirname, 'node_modules'), path.join(projectDir, 'node_modules'), 'junction');
+  
+  return projectDir;
+}
+
+/**
+ * Helper: Run an extractor call without its progress output (warnings still show)
+ */
+async function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+/**
+ * Helper: Print a check result
+ */
+function report(name, ok, detail = '') {
+  if (ok) {
+    passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${name}${detail ? `\n   ${detail}` : ''}`);
+  }
+}
+
+/**
+ * Helper: Check that a value serializes exactly like the expected one
+ */
+function check(name, actual, expected) {
+  const actualText = JSON.stringify(actual);
+  const expectedText = JSON.stringify(expected);
+  report(name, actualText === expectedText, `expected ${expectedText}, got ${actualText}`);
+}
+
+/**
+ * CSF3 object stories: args, parameters and names from the story objects
+ */
+function checkCsf3Stories(metadata) {
+  const primary = metadata.stories['components-button--primary'];
+  const large = metadata.stories['components-button--large-button'];
+  
+  check('CSF3 stories found', Object.keys(metadata.stories).filter(id => id.startsWith('components-button--')),
+    ['components-button--primary', 'components-button--large-button']);
+  check('CSF3 args merge meta args and object spreads', primary?.args,
+    { onClick: '[Function]', label: 'Button', primary: true });
+  check('CSF3 args spread from another story', large?.args,
+    { onClick: '[Function]', label: 'Button', primary: true, size: 'large' });
+  check('CSF3 parameters deep-merge into the meta parameters', primary?.parameters, {
+    layout: 'centered',
+    docs: { description: { story: 'The default button' } },
+    fileName: './src/components/Button/Button.stories.tsx',
+  });
+  check('CSF3 story parameters override the meta', large?.parameters?.layout, 'padded');
+  check('CSF3 `name` sets the story name', large?.name, 'Large');
+  check('CSF3 `onClick: fn()` arg becomes an action', Object.keys(primary?.actions || {}), ['onClick']);
+}
+
+/**
+ * Meta objects behind `export default meta`, `satisfies Meta` and `defineMeta({...})`
+ */
+function checkMetaResolution(metadata) {
+  const raised = metadata.stories['components-card--raised'];
+  const filled = metadata.stories['forms-text-input--filled'];
+  
+  check('`const meta = {...} satisfies Meta` gives the title', raised?.title, 'Components/Card');
+  check('`export default meta` args (with a spread) reach the story', raised?.args,
+    { elevation: 3, heading: 'Card' });
+  check('`export default meta` argTypes and tags reach the story',
+    [raised?.argTypes?.elevation?.control?.type, raised?.tags], ['range', ['autodocs']]);
+  check('`defineMeta({...})` wrapper is unwrapped', [filled?.title, filled?.args],
+    ['Forms/Text Input', { value: 'Hello' }]);
+}
+
+/**
+ * Titles derived from file paths, story IDs and names like Storybook's index.json
+ */
+function checkAutotitles(metadata) {
+  const withIcon = metadata.stories['widgets--with-icon-2'];
+  const stable = metadata.stories['widgets--stable-item'];
+  
+  check('Autotitle drops an `index` file name', withIcon?.title, 'widgets');
+  check('Autotitle collapses `Tabs/Tabs.stories`', metadata.stories['widgets-tabs--default']?.title, 'widgets/Tabs');
+  check('Export names become start-case story names', [withIcon?.name, stable?.name], ['With Icon 2', 'Stable$ Item']);
+  check('Story IDs are sanitized', Object.keys(metadata.stories).filter(id => id.startsWith('widgets')),
+    ['widgets-tabs--default', 'widgets--with-icon-2', 'widgets--stable-item']);
+  check('`!tag` removes a meta tag', [withIcon?.tags, stable?.tags], [['autodocs', 'beta'], ['autodocs']]);
+}
+
+/**
+ * Discovery and titles from the `stories` specifiers in .storybook/main
+ */
+function checkStoriesSpecifiers(metadata) {
+  const importPaths = [...new Set(Object.values(metadata.stories).map(story => story.importPath))];
+  
+  check('Object specifier `directory` is scanned with the default files pattern',
+    importPaths.filter(importPath => importPath.startsWith('./packages/')),
+    ['./packages/forms/src/Field.stories.js', './packages/forms/src/Select/Select.stories.js']);
+  check('Files outside every specifier are skipped',
+    importPaths.includes('./packages/legacy/Old.stories.js'), false);
+  check('`titlePrefix` is added to a meta title', metadata.stories['forms-field--basic']?.title, 'Forms/Field');
+  check('`titlePrefix` is added to an autotitle', metadata.stories['forms-select--basic']?.title, 'Forms/Select');
+}
+
+/**
+ * React component props from react-docgen, merged into argTypes
+ */
+function checkReactProps(metadata) {
+  const component = metadata.components['Components/Button'];
+  const argTypes = metadata.stories['components-button--primary']?.argTypes;
+  const describe = (prop) => prop && [prop.type, prop.required, prop.defaultValue, prop.description];
+  
+  check('React component resolved from the meta import', [component?.name, component?.sourcePath],
+    ['Button', './src/components/Button/Button.tsx']);
+  check('react-docgen component description', component?.description, 'Primary UI component for user interaction');
+  check('react-docgen prop with default and JSDoc', describe(component?.props?.primary),
+    ['boolean', false, 'false', 'Is this the principal call to action on the page?']);
+  check('react-docgen required prop', describe(component?.props?.label), ['string', true, null, 'Button contents']);
+  check('Union prop becomes options', component?.props?.size?.options, ['small', 'medium', 'large']);
+  check('Props are inferred as argTypes', Object.keys(argTypes || {}), ['primary', 'size', 'label', 'onClick']);
+  check('Hand-written argTypes win over inferred ones', [argTypes?.size?.control, argTypes?.size?.description],
+    ['radio', 'How large should the button be?']);
+}
+
+/**
+ * Per-story source: the export itself, its render/play functions and template
+ */
+function checkStorySources(metadata) {
+  const primary = metadata.stories['components-button--primary'];
+  const large = metadata.stories['components-button--large-button'];
+  const external = metadata.stories['components-link--external'];
+  
+  check('Story source is its own export, not the whole file', primary?.source,
+    'export const Primary: Story = {\n  ...base,\n  args: { ...base.args, primary: true },\n};');
+  check('`render` function source', large?.render, '(args) => <Button {...args} label="Large" />');
+  check('`play` function source', large?.play?.split('\n')[0], 'async ({ canvasElement }) => {');
+  check('Story without render/play', [primary?.render, primary?.play], [null, null]);
+  check('CSF2 source includes `Story.args` assignments', external?.source,
+    "export const External = Template.bind({});\nExternal.args = { href: 'https://storybook.js.org', label: 'Storybook' };");
+  check('CSF2 template behind `Template.bind({})`', external?.template,
+    '(args) => <a href={args.href}>{args.label}</a>');
+  check('Story location (1-based)', [large?.location?.file, large?.location?.start, large?.location?.end?.line],
+    ['./src/components/Button/Button.stories.tsx', { line: 27, column: 1 }, 35]);
+}
+
+/**
+ * MDX docs pages: attached with `<Meta of>`, standalone with `<Meta title>`
+ */
+function checkMdxDocs(metadata) {
+  const attached = metadata.docs['components-button--docs'];
+  const unattached = metadata.docs['getting-started-introduction--docs'];
+  
+  check('MDX pages indexed (templates skipped)', Object.keys(metadata.docs),
+    ['components-button--docs', 'getting-started-introduction--docs']);
+  check('`<Meta of>` attaches the page to the CSF file',
+    [attached?.title, attached?.storiesImports, attached?.tags],
+    ['Components/Button', ['./src/components/Button/Button.stories.tsx'], ['attached-mdx']]);
+  check('`<Canvas of>` resolves to a story ID', attached?.stories, [{ block: 'Canvas', id: 'components-button--primary' }]);
+  check('MDX markdown without imports and doc blocks', attached?.markdown,
+    '# Button\n\nButtons trigger actions.\n\n## Props');
+  check('MDX headings outline', attached?.headings?.map(heading => heading.id), ['button', 'props']);
+  check('`<Meta title>` page is unattached', [unattached?.title, unattached?.storiesImports, unattached?.tags],
+    ['Getting Started/Introduction', [], ['unattached-mdx']]);
+  check('MDX pages are not listed as stories', Object.keys(metadata.stories).filter(id => id.endsWith('--docs')), []);
+}
+
+/**
+ * /api/tree follows the sidebar: files in stories specifier order, docs before stories
+ */
+function checkStoryTree(metadata, { buildStoryTree }) {
+  const names = (nodes) => nodes.map(node => node.name);
+  const tree = buildStoryTree(metadata);
+  const components = tree.find(node => node.name === 'Components');
+  const forms = tree.find(node => node.name === 'Forms');
+  
+  check('Index order of the story and MDX files', metadata.importOrder, [
+    './src/components/Button/Button.mdx',
+    './src/components/Button/Button.stories.tsx',
+    './src/components/Card/Card.stories.tsx',
+    './src/components/Link/Link.stories.jsx',
+    './src/forms/Input.stories.js',
+    './src/widgets/Tabs/Tabs.stories.jsx',
+    './src/widgets/index.stories.js',
+    './packages/forms/src/Field.stories.js',
+    './packages/forms/src/Select/Select.stories.js',
+    './docs/Introduction.mdx',
+  ]);
+  check('Tree roots in sidebar order (`../docs` is the last specifier)', names(tree),
+    ['Components', 'Forms', 'widgets', 'Getting Started']);
+  check('Tree components in file order', [names(components?.children || []), names(forms?.children || [])],
+    [['Button', 'Card', 'Link'], ['Text Input', 'Field', 'Select']]);
+  check('Tree docs page before the component stories', components?.children[0]?.children.map(node => node.id),
+    ['components-button--docs', 'components-button--primary', 'components-button--large-button']);
+  
+  // Files written before importOrder existed
+  const { importOrder, ...older } = metadata;
+  const olderTree = buildStoryTree(older);
+  check('Tree without importOrder: attached MDX with its CSF file, unattached MDX last',
+    [names(olderTree), olderTree[0]?.children[0]?.children[0]?.id],
+    [['Components', 'Forms', 'widgets', 'Getting Started'], 'components-button--docs']);
+}
+
+/**
+ * Vue, Svelte and Angular props from fixtures/components
+ */
+function checkFrameworkProps({ getFrameworkRenderer, extractComponentProps }) {
+  const extract = (file, exportName, renderer) => extractComponentProps({
+    filePath: path.join(FIXTURE_COMPONENTS, file),
+    exportName,
+    localName: exportName,
+  }, renderer);
+  const describe = (prop) => prop && [prop.type, prop.required, prop.defaultValue, prop.description, prop.category];
+  
+  check('Framework packages map to renderers',
+    ['@storybook/vue3-vite', '@storybook/sveltekit', '@storybook/angular'].map(getFrameworkRenderer),
+    ['vue', 'svelte', 'angular']);
+  
+  const toggle = extract('Toggle.vue', 'default', 'vue');
+  check('Vue `defineProps` with `withDefaults`', describe(toggle?.props?.checked),
+    ['boolean', false, 'false', 'Whether the toggle is on', undefined]);
+  check('Vue required prop', toggle?.props?.label?.required, true);
+  check('Vue `defineEmits` event', describe(toggle?.props?.change),
+    ['value: boolean', false, null, 'Emitted with the new state', 'events']);
+  
+  const counter = extract('Counter.svelte', 'default', 'svelte');
+  check('Svelte `export let` props', Object.keys(counter?.props || {}), ['count', 'direction']);
+  check('Svelte prop type from its default', describe(counter?.props?.count),
+    ['number', false, '0', 'Starting value', undefined]);
+  
+  const badge = extract('badge.component.ts', 'BadgeComponent', 'angular');
+  check('Angular selector', badge?.selector, 'app-badge');
+  check('Angular `@Input()`', describe(badge?.props?.text), ['string', false, "''", 'Badge text', 'inputs']);
+  check('Angular signal `input()` with a union', [badge?.props?.tone?.options, badge?.props?.tone?.category],
+    [['info', 'warning'], 'inputs']);
+  check('Angular `@Output()`', describe(badge?.props?.dismissed),
+    ['void', false, null, 'Emitted when the badge is dismissed', 'outputs']);
+}
+
+/**
+ * Version 1 stories.json (written by the 1.x `--build` extraction) upgraded to the current format
+ */
+function checkMigration({ METADATA_VERSION, migrateMetadata, validateMetadata }) {
+  const v1 = JSON.parse(fs.readFileSync(FIXTURE_V1, 'utf-8'));
+  const migrated = migrateMetadata(v1);
+  
+  check('v1 file migrated to the current version', migrated.version, METADATA_VERSION);
+  check('v1 docs entries move from `stories` to `docs`',
+    [Object.keys(migrated.stories), Object.keys(migrated.docs)],
+    [['components-button--primary', 'components-button--large'], ['components-button--docs', 'introduction--docs']]);
+  check('Moved docs entries keep their index data', migrated.docs['components-button--docs'],
+    {
+      id: 'components-button--docs',
+      title: 'Components/Button',
+      name: 'Docs',
+      importPath: './src/components/Button/Button.mdx',
+      type: 'docs',
+      tags: ['dev', 'test', 'attached-mdx'],
+      storiesImports: [],
+      markdown: '',
+      headings: [],
+      stories: [],
+    });
+  check('totalStories counts only stories', migrated.totalStories, 2);
+  check('Migrated v1 file is valid', validateMetadata(migrated), []);
+  
+  // The 1.x browser extraction wrote `initialArgs: {}` when the story store had none
+  const args = { label: 'Large', size: 'large' };
+  const browser = migrateMetadata({
+    ...v1,
+    stories: { 'components-button--large': { ...v1.stories['components-button--large'], args } },
+  });
+  check('Missing initialArgs default to args', browser.stories['components-button--large'].initialArgs, args);
+}
+
+/**
+ * The extractor CLI loads a config file given as `--config path` and `--config=path`
+ */
+function checkConfigFlag(projectDir) {
+  const configPath = path.join(projectDir, 'config', 'api.json');
+  fs.mkdirSync(path.dirname(configPath));
+  fs.writeFileSync(configPath, JSON.stringify({ outputDir: '../storybook-static', outputFile: 'from-config.json' }));
+  const outputPath = path.join(projectDir, 'storybook-static', 'from-config.json');
+  
+  const run = (...args) => spawnSync(process.execPath, [path.join('.storybook', 'extract-metadata.js'), ...args], {
+    cwd: projectDir,
+    encoding: 'utf-8',
+    timeout: 60000,
+  });
+  
+  // Source parsing comes first in --dev mode, nothing connects to the port
+  const separate = run('--dev', '--port=1', '--config', 'config/api.json');
+  report('`--config path` sets the output file', separate.status === 0 && fs.existsSync(outputPath),
+    `exit ${separate.status}: ${separate.stderr.trim().split('\n').pop()}`);
+  
+  fs.rmSync(outputPath, { force: true });
+  const inline = run('--dev', '--port=1', '--config=config/api.json');
+  report('`--config=path` sets the output file', inline.status === 0 && fs.existsSync(outputPath),
+    `exit ${inline.status}: ${inline.stderr.trim().split('\n').pop()}`);
+  
+  const diff = run('--diff', '--config', 'config/api.json', outputPath, outputPath);
+  check('`--config path` is not read as a --diff file', [diff.status, JSON.parse(diff.stdout || '{}').summary?.breaking], [0, 0]);
+  
+  const missing = run('--build', '--config');
+  check('`--config` without a path fails', [missing.status, missing.stderr.trim()], [1, '❌ Missing value for --config']);
+}
+
+/**
+ * Helper: Poll until `predicate` returns a truthy value or the timeout passes
+ */
+async function waitFor(predicate, timeout = 5000) {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < timeout) {
+    const value = predicate();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  return null;
+}
+
+/**
+ * Watch mode: an edited story file is re-parsed alone and stories.json rewritten
+ */
+async function checkWatchMode(extractor, projectDir) {
+  const outputPath = path.join(projectDir, 'storybook-static', 'stories.json');
+  const storyFile = path.join(projectDir, 'src', 'components', 'Card', 'Card.stories.tsx');
+  const readOutput = () => {
+    try {
+      return JSON.parse(fs.readFileSync(outputPath, 'utf-8'));
+    } catch {
+      return null;
+    }
+  };
+  
+  const messages = [];
+  const log = console.log;
+  console.log = (...args) => messages.push(args.join(' '));
+  
+  let stop = null;
+  let initial = null;
+  let updated = null;
+  try {
+    stop = await extractor.watchSourceFiles(outputPath);
+    initial = readOutput();
+    
+    fs.appendFileSync(storyFile, '\nexport const Flat = { args: { elevation: 0 } };\n');
+    updated = await waitFor(() => readOutput()?.stories?.['components-card--flat'] && readOutput());
+  } finally {
+    console.log = log;
+    stop?.();
+  }
+  
+  report('Watch mode writes stories.json on start', Boolean(initial?.stories?.['components-card--raised']));
+  report('Edited story file is re-parsed', Boolean(updated));
+  check('New story has the meta args', updated?.stories?.['components-card--flat']?.args, { elevation: 0, heading: 'Card' });
+  check('Other files come from the cache', messages.some(message => /\(1 re-parsed of \d+ files\)/.test(message)), true);
+  check('Other stories are kept', Object.keys(updated?.stories || {}).length, Object.keys(initial?.stories || {}).length + 1);
+}
+
+async function main() {
+  console.log('======================================');
+  console.log('Source Extractor');
+  console.log('======================================\n');
+  
+  if (!fs.existsSync(path.join(__dirname, 'node_modules', '@babel', 'parser'))) {
+    console.error('❌ Dependencies not installed. Run: npm install');
+    process.exit(1);
+  }
+  
+  const projectDir = createProject();
+  
+  try {
+    const extractor = await import(pathToFileURL(path.join(projectDir, '.storybook', 'extract-metadata.js')).href);
+    const metadata = await quietly(() => extractor.extractFromSourceFiles());
+    
+    const componentProps = await import(pathToFileURL(path.join(projectDir, '.storybook', 'component-props.js')).href);
+    const storyTree = await import(pathToFileURL(path.join(projectDir, '.storybook', 'story-tree.js')).href);
+    
+    report('Stories extracted from the fixture project', metadata !== null);
+    if (metadata) {
+      checkCsf3Stories(metadata);
+      checkMetaResolution(metadata);
+      checkAutotitles(metadata);
+      checkStoriesSpecifiers(metadata);
+      checkStorySources(metadata);
+      checkMdxDocs(metadata);
+      checkStoryTree(metadata, storyTree);
+      // react-docgen is an optional dependency
+      if (fs.existsSync(path.join(__dirname, 'node_modules', 'react-docgen'))) {
+        checkReactProps(metadata);
+      } else {
+        console.log('⚠️  react-docgen not installed, React props not checked');
+      }
+    }
+    checkFrameworkProps(componentProps);
+    checkMigration(await import(pathToFileURL(path.join(projectDir, '.storybook', 'metadata-schema.js')).href));
+    checkConfigFlag(projectDir);
+    await checkWatchMode(extractor, projectDir);
+  } finally {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+  
+  console.log('\n======================================');
+  console.log(`✅ Passed: ${passed}`);
+  console.log(`❌ Failed: ${failed}`);
+  console.log('======================================');
+  
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error('❌ Extractor test failed to run:', err);
+  process.exit(1);
+});
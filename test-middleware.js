@@ -0,0 +1,923 @@
+#!/usr/bin/env node
+
+/**
+ * ==============================================
+ * MIDDLEWARE TEST
+ * ==============================================
+ * 
+ * Extracts the fixture project (fixtures/project) into a
+ * temp folder, mounts middleware.js on a local server and
+ * checks the values the /api endpoints return for it:
+ * which stories a filter selects, tree order, and so on.
+ * test-api.sh only checks a running Storybook for the
+ * presence of each endpoint.
+ * 
+ * Usage:
+ *   npm test
+ * ==============================================
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import net from 'net';
+import zlib from 'zlib';
+import { spawn } from 'child_process';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { createRouter } from './server.js';
+import { generateUsageSnippet } from './usage-snippets.js';
+import { loadConfig } from './api-config.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const pkg = JSON.parse(fs.readFileSync(path.join(__dirname, 'package.json'), 'utf-8'));
+
+const FIXTURE_PROJECT = path.join(__dirname, 'fixtures', 'project');
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * Copy the fixture project, install the published modules into its
+ * .storybook/ and write its storybook-static/stories.json
+ * @returns {Promise<string>} The project directory
+ */
+async function createProject() {
+  const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storybook-api-middleware-'));
+  fs.cpSync(FIXTURE_PROJECT, projectDir, { recursive: true });
+  
+  pkg.files
+    .filter(file => file.endsWith('.js'))
+    .forEach(file => fs.copyFileSync(path.join(__dirname, file), path.join(projectDir, '.storybook', file)));
+  fs.symlinkSync(path.join(__dirname, 'node_modules'), path.join(projectDir, 'node_modules'), 'junction');
+  
+  const extractor = await import(pathToFileURL(path.join(projectDir, '.storybook', 'extract-metadata.js')).href);
+  const { normalizeMetadata } = await import(pathToFileURL(path.join(projectDir, '.storybook', 'metadata-schema.js')).href);
+  const metadata = await quietly(() => extractor.extractFromSourceFiles());
+  if (!metadata) throw new Error('Could not extract the fixture project');
+  
+  fs.mkdirSync(path.join(projectDir, 'storybook-static'));
+  fs.writeFileSync(path.join(projectDir, 'storybook-static', 'stories.json'), JSON.stringify(normalizeMetadata(metadata), null, 2));
+  return projectDir;
+}
+
+/**
+ * Mount the middleware on a local server (random port)
+ */
+async function startServer(middleware, options) {
+  const router = createRouter();
+  await quietly(() => middleware(router, options));
+  
+  const server = http.createServer((req, res) => router.handle(req, res, () => {
+    res.statusCode = 404;
+    res.end('Not found');
+  }));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, port: server.address().port };
+}
+
+/**
+ * Send a request; JSON bodies are parsed
+ * @returns {Promise<object>} { status, headers, body }
+ */
+function request(port, method, urlPath, options = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1',
+      port,
+      method,
+      path: urlPath,
+      headers: {
+        ...(options.body ? { 'Content-Type': 'application/json' } : {}),
+        ...options.headers,
+      },
+    }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const raw = Buffer.concat(chunks);
+        const text = raw.toString('utf-8');
+        let body = text;
+        try {
+          body = JSON.parse(text);
+        } catch {
+          // Not JSON (HTML explorer, empty 304)
+        }
+        resolve({ status: res.statusCode, headers: res.headers, body, raw });
+      });
+    });
+    
+    req.on('error', reject);
+    req.setTimeout(10000, () => req.destroy(new Error(`Timed out: ${method} ${urlPath}`)));
+    req.end(options.body);
+  });
+}
+
+/**
+ * Helper: Run a call without its console output (the middleware logs every error response)
+ */
+async function quietly(fn) {
+  const { log, warn, error } = console;
+  console.log = console.warn = console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, { log, warn, error });
+  }
+}
+
+/**
+ * Helper: Print a check result
+ */
+function report(name, ok, detail = '') {
+  if (ok) {
+    passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${name}${detail ? `\n   ${detail}` : ''}`);
+  }
+}
+
+/**
+ * Helper: Check that a value serializes exactly like the expected one
+ */
+function check(name, actual, expected) {
+  const actualText = JSON.stringify(actual);
+  const expectedText = JSON.stringify(expected);
+  report(name, actualText === expectedText, `expected ${expectedText}, got ${actualText}`);
+}
+
+/**
+ * Helper: GET a path and return the JSON body (error responses included)
+ */
+async function get(port, urlPath, options) {
+  return (await quietly(() => request(port, 'GET', urlPath, options))).body;
+}
+
+/**
+ * Helper: Open /api/events and wait for events by name
+ * @returns {Promise<object>} { next(event) -> Promise<data>, close() }
+ */
+function openEventStream(port) {
+  return new Promise((resolve, reject) => {
+    const received = [];
+    const waiting = [];
+    let buffer = '';
+    
+    const deliver = () => {
+      waiting.forEach((waiter, i) => {
+        const index = received.findIndex(message => message.event === waiter.event);
+        if (index === -1) return;
+        waiting.splice(i, 1);
+        waiter.resolve(received.splice(index, 1)[0].data);
+      });
+    };
+    
+    const req = http.get({ host: '127.0.0.1', port, path: '/api/events' }, (res) => {
+      res.on('data', (chunk) => {
+        buffer += chunk.toString('utf-8');
+        const messages = buffer.split('\n\n');
+        buffer = messages.pop();
+        messages.forEach(message => {
+          const event = message.match(/^event: (.*)$/m)?.[1];
+          const data = message.match(/^data: (.*)$/m)?.[1];
+          if (event) received.push({ event, data: JSON.parse(data) });
+        });
+        deliver();
+      });
+      
+      resolve({
+        next: (event, timeout = 5000) => new Promise((resolveEvent, rejectEvent) => {
+          waiting.push({ event, resolve: resolveEvent });
+          deliver();
+          setTimeout(() => rejectEvent(new Error(`No ${event} event within ${timeout}ms`)), timeout).unref();
+        }),
+        close: () => req.destroy(),
+      });
+    });
+    
+    req.on('error', reject);
+  });
+}
+
+/**
+ * /api/events: `metadata-updated` lists the stories added, removed and changed on disk
+ */
+async function checkEvents(port, projectDir) {
+  const metadataPath = path.join(projectDir, 'storybook-static', 'stories.json');
+  const metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf-8'));
+  const { etag } = (await quietly(() => request(port, 'GET', '/api/stories'))).headers;
+  const stream = await openEventStream(port);
+  
+  try {
+    const connected = await stream.next('connected');
+    check('`connected` event with the current version', connected,
+      { generatedAt: metadata.generatedAt, totalStories: 10 });
+    
+    // A re-extraction: one story removed, one with new args, one added
+    const { 'forms-select--basic': removed, ...stories } = metadata.stories;
+    const raised = stories['components-card--raised'];
+    const generatedAt = new Date(Date.parse(metadata.generatedAt) + 60000).toISOString();
+    fs.writeFileSync(metadataPath, JSON.stringify({
+      ...metadata,
+      generatedAt,
+      stories: {
+        ...stories,
+        'components-card--raised': { ...raised, args: { ...raised.args, elevation: 5 } },
+        'components-card--flat': { ...raised, id: 'components-card--flat', name: 'Flat' },
+      },
+    }));
+    
+    const updated = await stream.next('metadata-updated');
+    check('`metadata-updated` lists added, removed and changed stories',
+      [updated.added, updated.removed, updated.changed, updated.totalStories],
+      [['components-card--flat'], ['forms-select--basic'], ['components-card--raised'], 10]);
+    check('`metadata-updated` carries both versions', [updated.generatedAt, updated.previousGeneratedAt],
+      [generatedAt, metadata.generatedAt]);
+    check('REST endpoints serve the new file right away',
+      (await get(port, '/api/stories?arg.elevation=5&fields=id')).stories?.map(story => story.id), ['components-card--raised']);
+    check('New file, new ETag', (await quietly(() => request(port, 'GET', '/api/stories', { headers: { 'If-None-Match': etag } }))).status, 200);
+  } catch (err) {
+    report('Metadata change events', false, err.message);
+  } finally {
+    stream.close();
+  }
+}
+
+/**
+ * /api/diff against an older base: severity of each API change, and which bases are allowed
+ */
+async function checkDiff(port, projectDir) {
+  const outputDir = path.join(projectDir, 'storybook-static');
+  const head = JSON.parse(fs.readFileSync(path.join(outputDir, 'stories.json'), 'utf-8'));
+  
+  // The base had an `xl` size, an optional label, a Small story and no Select
+  const { 'forms-select--basic': select, ...stories } = structuredClone(head.stories);
+  Object.values(stories).filter(story => story.title === 'Components/Button').forEach(story => {
+    story.argTypes.size.options.push('xl');
+    story.argTypes.label.required = false;
+  });
+  stories['components-button--small'] = { ...stories['components-button--primary'], id: 'components-button--small', name: 'Small' };
+  fs.writeFileSync(path.join(outputDir, 'stories.base.json'),
+    JSON.stringify({ ...head, generatedAt: '2026-01-01T00:00:00.000Z', stories }));
+  
+  const diff = await get(port, '/api/diff?base=storybook-static/stories.base.json');
+  check('Diff summary', diff.summary,
+    { breaking: 3, nonBreaking: 1, componentsAdded: 1, componentsRemoved: 0, storiesAdded: 0, storiesRemoved: 1 });
+  check('Diff changes with their severity',
+    diff.changes?.map(change => [change.type, change.severity, change.component, change.story || change.arg || null]), [
+      ['story-removed', 'breaking', 'Components/Button', 'components-button--small'],
+      ['arg-required', 'breaking', 'Components/Button', 'label'],
+      ['options-removed', 'breaking', 'Components/Button', 'size'],
+      ['component-added', 'non-breaking', 'Forms/Select', null],
+    ]);
+  
+  const markdown = await quietly(() => request(port, 'GET', '/api/diff?base=storybook-static/stories.base.json&format=markdown'));
+  check('Markdown diff for PR comments', [markdown.headers['content-type'], markdown.body.split('\n').find(line => line.startsWith('- '))],
+    ['text/markdown; charset=utf-8', '- **Components/Button** `components-button--small`: Story removed']);
+  
+  const status = async (base) => (await quietly(() => request(port, 'GET', `/api/diff?base=${encodeURIComponent(base)}`))).status;
+  check('Diff bases: outside the output directory, remote (disabled), missing',
+    [await status('package.json'), await status('https://example.com/stories.json'), await status('storybook-static/missing.json')],
+    [400, 403, 404]);
+}
+
+/**
+ * Pagination, sorting and sparse fieldsets on the list endpoints
+ */
+async function checkPagination(port) {
+  const page = await quietly(() => request(port, 'GET', '/api/stories?limit=3&offset=2&sort=name&order=desc&fields=id,name'));
+  check('Sorted page of stories with only the requested fields', page.body.stories,
+    [
+      { id: 'components-card--raised', name: 'Raised' },
+      { id: 'components-button--primary', name: 'Primary' },
+      { id: 'components-button--large-button', name: 'Large' },
+    ]);
+  check('`total` counts every match, `pagination` the page', [page.body.total, page.body.pagination?.count], [10, 3]);
+  check('Neighbouring pages as URLs and in the Link header', [page.body.pagination?.next, page.body.pagination?.prev, page.headers.link], [
+    '/api/stories?limit=3&offset=5&sort=name&order=desc&fields=id,name',
+    '/api/stories?limit=3&offset=0&sort=name&order=desc&fields=id,name',
+    '</api/stories?limit=3&offset=5&sort=name&order=desc&fields=id,name>; rel="next", ' +
+      '</api/stories?limit=3&offset=0&sort=name&order=desc&fields=id,name>; rel="prev"',
+  ]);
+  
+  const last = await get(port, '/api/stories?limit=3&offset=9&sort=id&fields=id');
+  check('Last page has no next page', [last.stories?.map(story => story.id), last.pagination?.next],
+    [['widgets-tabs--default'], null]);
+  
+  const nested = await get(port, '/api/stories?sort=id&limit=1&fields=id,argTypes.size.options');
+  check('Dotted fields keep nested values', nested.stories,
+    [{ id: 'components-button--large-button', argTypes: { size: { options: ['small', 'medium', 'large'] } } }]);
+  
+  const components = await get(port, '/api/components?fields=id,storyCount&sort=id&order=desc&limit=2');
+  check('Components page', [components.total, components.components], [8, [
+    { id: 'widgets-tabs', storyCount: 1 },
+    { id: 'widgets', storyCount: 2 },
+  ]]);
+  
+  const search = await get(port, '/api/search?q=basic&limit=1&fields=id');
+  check('Search results page', [search.total, search.results, search.pagination?.next],
+    [2, [{ id: 'forms-field--basic' }], '/api/search?q=basic&limit=1&fields=id&offset=1']);
+  
+  const invalid = await get(port, '/api/stories?sort=color');
+  check('Unknown sort field is rejected', [invalid.statusCode, invalid.allowed], [400, ['title', 'name', 'id']]);
+}
+
+/**
+ * /api/search ranking: exact, prefix, typo and abbreviation matches, best first
+ */
+async function checkSearch(port) {
+  const search = (query) => get(port, `/api/search?q=${encodeURIComponent(query)}`);
+  const ids = (response) => response.results?.map(result => result.id);
+  const topScore = (response) => response.results?.[0]?.score || 0;
+  
+  const primary = await search('primary');
+  check('Exact story name ranks first', ids(primary), ['components-button--primary', 'components-button--large-button']);
+  report('Exact name match scores well above an arg-only match', topScore(primary) > 2 * primary.results?.[1]?.score,
+    `scores ${primary.results?.map(result => result.score)}`);
+  
+  const exact = await search('button');
+  const prefix = await search('butt');
+  const typo = await search('buton');
+  const abbreviation = await search('btn');
+  check('Prefix, typo and abbreviation find the same entries',
+    [ids(prefix), ids(typo), ids(abbreviation)],
+    Array(3).fill(['components-button--primary', 'components-button--large-button', 'components-button--docs']));
+  report('Exact beats prefix beats typo', topScore(exact) > topScore(prefix) && topScore(prefix) > topScore(typo),
+    `button ${topScore(exact)}, butt ${topScore(prefix)}, buton ${topScore(typo)}`);
+  
+  check('Every word has to match', [ids(await search('text input')), ids(await search('button select'))],
+    [['forms-text-input--filled'], []]);
+  check('Matches highlighted per field', (await search('text input')).results?.[0]?.highlights?.[0],
+    { field: 'title', snippet: 'Forms/<mark>Text</mark> <mark>Input</mark>' });
+  check('MDX pages are searched too', ids(await search('welcome')), ['getting-started-introduction--docs']);
+  check('Results grouped by component', (await search('basic')).groups?.map(group => [group.componentId, group.total]),
+    [['forms-field', 1], ['forms-select', 1]]);
+}
+
+/**
+ * Filters on /api/stories: which stories each expression selects
+ */
+async function checkFilters(port) {
+  const ids = async (query) => (await get(port, `/api/stories?${query}&fields=id`)).stories?.map(story => story.id);
+  
+  check('`importPath` glob: `*` stays within the folder', await ids('importPath=packages/forms/*'), []);
+  check('`importPath` glob: `*` matches the files of a folder', await ids('importPath=./packages/forms/src/*'),
+    ['forms-field--basic']);
+  check('`importPath` glob: `**` matches across folders', await ids('importPath=packages/forms/**'),
+    ['forms-field--basic', 'forms-select--basic']);
+  
+  check('`tags`: comma is AND, `!` is NOT', await ids('tags=autodocs,!beta'), ['components-card--raised', 'widgets--stable-item']);
+  check('`tags`: `|` is OR', await ids('tags=beta|deprecated'), ['widgets--with-icon-2']);
+  check('`hasArg` with a negated arg', await ids('hasArg=label,!primary'), ['components-link--external']);
+  check('`arg.*` values are typed', [await ids('arg.primary=true'), await ids('arg.elevation=3'), await ids('arg.elevation=5')],
+    [['components-button--primary', 'components-button--large-button'], ['components-card--raised'], []]);
+  check('Filters combine', await ids('tags=autodocs&arg.icon=star'), ['widgets--with-icon-2']);
+  check('`package` from the nearest package.json', await ids('package=@acme/forms'), ['forms-field--basic', 'forms-select--basic']);
+  
+  const faceted = await get(port, '/api/stories?tags=autodocs,!beta&facets=true&fields=id');
+  check('Facets count the filtered stories', faceted.facets, {
+    tags: [{ value: 'autodocs', count: 2 }],
+    titles: [{ value: 'Components', count: 1 }, { value: 'widgets', count: 1 }],
+    packages: [{ value: '@acme/ui', count: 2 }],
+  });
+  
+  const invalid = await quietly(() => request(port, 'GET', '/api/stories?tags=!x,%7C'));
+  check('Malformed expression answers 400 with the reason', [invalid.status, invalid.body.filter, invalid.body.reason],
+    [400, 'tags', 'Empty value in "|"']);
+}
+
+/**
+ * Sidebar tree: node order follows the Storybook index, groups by path or ID
+ */
+async function checkTree(port) {
+  const outline = nodes => nodes?.map(node => node.children ? [node.type, node.name, outline(node.children)] : [node.type, node.name]);
+  const { counts, tree } = await get(port, '/api/tree');
+  
+  check('Tree counts', counts, { components: 8, stories: 10, docs: 2 });
+  check('Tree in sidebar order', outline(tree), [
+    ['root', 'Components', [
+      ['component', 'Button', [['docs', 'Docs'], ['story', 'Primary'], ['story', 'Large']]],
+      ['component', 'Card', [['story', 'Raised']]],
+      ['component', 'Link', [['story', 'External']]],
+    ]],
+    ['root', 'Forms', [
+      ['component', 'Text Input', [['story', 'Filled']]],
+      ['component', 'Field', [['story', 'Basic']]],
+      ['component', 'Select', [['story', 'Basic']]],
+    ]],
+    ['root', 'widgets', [
+      ['component', 'Tabs', [['story', 'Default']]],
+      ['story', 'With Icon 2'],
+      ['story', 'Stable$ Item'],
+    ]],
+    ['root', 'Getting Started', [['docs', 'Introduction']]],
+  ]);
+  check('`?roots=false` turns roots into groups', (await get(port, '/api/tree?roots=false')).tree?.map(node => node.type),
+    Array(4).fill('group'));
+  
+  const byPath = await get(port, '/api/groups/Forms');
+  check('Group by title path', [byPath.group?.id, byPath.group?.counts, byPath.components?.map(component => component.id)],
+    ['forms', { components: 3, stories: 3, docs: 0 }, ['forms-text-input', 'forms-field', 'forms-select']]);
+  
+  const byId = await get(port, '/api/groups/components/button');
+  check('Component by node ID, stories and docs split', [byId.group?.type, byId.stories?.map(story => story.id), byId.docs?.map(doc => doc.id)],
+    ['component', ['components-button--primary', 'components-button--large-button'], ['components-button--docs']]);
+  
+  const missing = await quietly(() => request(port, 'GET', '/api/groups/nope'));
+  check('Unknown group answers 404', [missing.status, missing.body.path], [404, 'nope']);
+}
+
+/**
+ * Usage snippets on /examples, per framework
+ */
+async function checkExamples(port) {
+  const examples = framework => get(port, `/api/components/components-button/examples${framework ? `?framework=${framework}` : ''}`);
+  const usage = async framework => (await examples(framework)).examples?.[0]?.usage;
+  
+  const byDefault = await examples();
+  check('Framework from the project (react-vite)', [byDefault.framework, byDefault.examples?.[0]?.usageLanguage], ['react', 'jsx']);
+  check('React usage', byDefault.examples?.[0]?.usage, '<Button label="Button" primary onClick={handleClick} />');
+  check('Vue usage binds events with @', await usage('vue'), '<Button label="Button" primary @click="handleClick" />');
+  check('Angular usage binds inputs and outputs', await usage('angular'),
+    '<app-button label="Button" [primary]="true" (onClick)="onClick($event)"></app-button>');
+  check('Svelte usage', await usage('svelte'), '<Button label="Button" primary onClick={handleClick} />');
+  check('Lit usage uses boolean attributes', await usage('web-components'),
+    'html`<my-button label="Button" ?primary=${true} @click=${handleClick}></my-button>`');
+  check('HTML usage wires events in a script', (await usage('html'))?.split('\n'), [
+    '<my-button label="Button" primary></my-button>',
+    '<script>',
+    "  const myButton = document.querySelector('my-button');",
+    "  myButton.addEventListener('click', (event) => console.log('click', event));",
+    '</script>',
+  ]);
+  
+  const unsupported = await quietly(() => request(port, 'GET', '/api/components/components-button/examples?framework=nope'));
+  check('Unknown framework answers 400 with the supported list', [unsupported.status, unsupported.body.supported],
+    [400, ['react', 'vue', 'angular', 'svelte', 'web-components', 'html']]);
+  
+  // false booleans and objects, which the fixture stories don't have
+  const story = { title: 'Components/Button', args: { primary: false, style: { color: 'red' } }, argTypes: { primary: { type: 'boolean' } } };
+  check('`false` and objects kept as expressions',
+    ['react', 'vue', 'web-components'].map(framework => generateUsageSnippet(story, { framework }).code), [
+      "<Button primary={false} style={{ color: 'red' }} />",
+      "<Button :primary=\"false\" :style=\"{ color: 'red' }\" />",
+      "html`<my-button ?primary=${false} .style=${{ color: 'red' }}></my-button>`",
+    ]);
+}
+
+/**
+ * Package imports: the component import mapped through package.json `exports` and barrels
+ */
+async function checkImports(port) {
+  const button = await get(port, '/api/components/components-button');
+  check('Component resolved through the package entry point', [button.componentSource, button.packageName, button.import],
+    ['./src/components/Button/Button.tsx', '@acme/ui', "import { Button } from '@acme/ui';"]);
+  check('Same import on /examples', (await get(port, '/api/components/components-button/examples')).import,
+    "import { Button } from '@acme/ui';");
+  
+  const field = await get(port, '/api/components/forms-field');
+  check('Package of a story without a component', [field.packageName, field.componentSource], ['@acme/forms', null]);
+}
+
+/**
+ * OpenAPI document and explorer page: generated from the routes that answer
+ */
+async function checkOpenApi(port) {
+  const spec = await get(port, '/api/openapi.json');
+  const samples = { id: 'components-button', path: 'Forms', base: 'storybook-static/stories.base.json', q: 'button' };
+  
+  check('OpenAPI 3 document', [spec.openapi, spec.info?.title], ['3.0.3', 'Storybook Metadata API']);
+  check('Filter and page parameters documented on /api/stories',
+    spec.paths?.['/api/stories']?.get?.parameters?.map(parameter => parameter.name).filter(name => name !== 'pretty'),
+    ['title', 'tag', 'kind', 'tags', 'hasArg', 'importPath', 'package', 'limit', 'offset', 'sort', 'order', 'fields']);
+  
+  // Every documented GET answers 200 with its required parameters filled in
+  const statuses = [];
+  for (const [route, operations] of Object.entries(spec.paths || {})) {
+    if (!operations.get || route === '/api/events') continue;
+    
+    const required = (operations.get.parameters || []).filter(parameter => parameter.required);
+    let urlPath = route.replace(/\{(\w+)\}/g, (match, name) => encodeURIComponent(samples[name]));
+    const query = required.filter(parameter => parameter.in === 'query').map(parameter => `${parameter.name}=${encodeURIComponent(samples[parameter.name])}`);
+    if (query.length > 0) urlPath += `?${query.join('&')}`;
+    
+    const { status } = await quietly(() => request(port, 'GET', urlPath));
+    if (status !== 200) statuses.push(`${urlPath} ${status}`);
+  }
+  check('Every documented endpoint is implemented', statuses, []);
+  
+  const docs = await quietly(() => request(port, 'GET', '/api/docs'));
+  const nonce = /script-src 'nonce-([^']+)'/.exec(docs.headers['content-security-policy'] || '')?.[1];
+  check('Explorer page loads the spec from the API', [docs.status, docs.headers['content-type'], /data-spec-url="openapi.json"/.test(docs.body)],
+    [200, 'text/html; charset=utf-8', true]);
+  report('Explorer page is self-contained (inline script with the CSP nonce, nothing external)',
+    Boolean(nonce) && docs.body.includes(`<script nonce="${nonce}">`) && !/(src|href)="(https?:)?\/\//.test(docs.body),
+    `nonce ${nonce}`);
+}
+
+/**
+ * Helper: POST a body that never ends (chunked, or announcing `contentLength`).
+ * Uses a raw socket: http.request gives up on the response once a write fails.
+ * @returns {Promise<object>} { status } once the server closes the connection,
+ *   { status: null } when it is still reading after 5 seconds
+ */
+function postEndlessBody(port, urlPath, contentLength) {
+  return new Promise((resolve) => {
+    const socket = net.connect(port, '127.0.0.1');
+    const chunk = Buffer.alloc(16 * 1024, ' ');
+    let received = '';
+    
+    socket.write([
+      `POST ${urlPath} HTTP/1.1`,
+      'Host: 127.0.0.1',
+      'Content-Type: application/json',
+      contentLength ? `Content-Length: ${contentLength}` : 'Transfer-Encoding: chunked',
+      '',
+      '',
+    ].join('\r\n'));
+    const timer = setInterval(() => {
+      if (socket.destroyed) return;
+      socket.write(contentLength ? chunk : Buffer.concat([Buffer.from(`${chunk.length.toString(16)}\r\n`), chunk, Buffer.from('\r\n')]));
+    }, 1);
+    const timeout = setTimeout(() => socket.destroy(), 5000);
+    
+    socket.on('data', (data) => {
+      received += data.toString('utf-8');
+    });
+    socket.on('close', () => {
+      clearInterval(timer);
+      clearTimeout(timeout);
+      const status = received.match(/^HTTP\/1\.1 (\d+)/);
+      resolve({ status: status ? Number(status[1]) : null });
+    });
+    // The server stops reading: writes fail with EPIPE / ECONNRESET
+    socket.on('error', () => {});
+  });
+}
+
+/**
+ * GraphQL: components with stories, argTypes and docs in one query, REST filters and search
+ */
+async function checkGraphql(port) {
+  const graphql = async (query, variables) => (await quietly(() => request(port, 'POST', '/api/graphql', {
+    body: JSON.stringify({ query, variables }),
+  }))).body;
+  
+  const { data: components } = await graphql(`{
+    components(limit: 2) {
+      total
+      items { id storyCount stories { id } argTypes { name required } docs { pages { id headings { text } } } }
+    }
+  }`);
+  check('Components with stories, argTypes and docs in one round trip', components?.components, {
+    total: 8,
+    items: [
+      {
+        id: 'components-button',
+        storyCount: 2,
+        stories: [{ id: 'components-button--primary' }, { id: 'components-button--large-button' }],
+        argTypes: [
+          { name: 'primary', required: false },
+          { name: 'size', required: false },
+          { name: 'label', required: true },
+          { name: 'onClick', required: false },
+        ],
+        docs: { pages: [{ id: 'components-button--docs', headings: [{ text: 'Button' }, { text: 'Props' }] }] },
+      },
+      { id: 'components-card', storyCount: 1, stories: [{ id: 'components-card--raised' }], argTypes: [{ name: 'elevation', required: false }], docs: { pages: [] } },
+    ],
+  });
+  
+  const { data: filtered } = await graphql('query ($filter: StoryFilter) { stories(filter: $filter) { total items { id } } }', {
+    filter: { tags: 'autodocs,!beta', args: [{ name: 'elevation', value: '3' }] },
+  });
+  check('StoryFilter works like the REST filters', filtered?.stories, { total: 1, items: [{ id: 'components-card--raised' }] });
+  
+  const { data: lookups } = await graphql(`{
+    search(query: "btn", limit: 2) { total items { id } }
+    tag(name: "beta") { storyCount }
+    group(path: "Forms") { type components { id } }
+    component(id: "components-button") { import(framework: "vue") stories { usage(framework: "vue") { code } } }
+  }`);
+  check('Search, tags, groups, imports and usage', lookups, {
+    search: { total: 3, items: [{ id: 'components-button--primary' }, { id: 'components-button--large-button' }] },
+    tag: { storyCount: 1 },
+    group: { type: 'root', components: [{ id: 'forms-text-input' }, { id: 'forms-field' }, { id: 'forms-select' }] },
+    component: {
+      import: "import { Button } from '@acme/ui';",
+      stories: [
+        { usage: { code: '<Button label="Button" primary @click="handleClick" />' } },
+        { usage: { code: '<Button label="Button" primary size="large" @click="handleClick" />' } },
+      ],
+    },
+  });
+  
+  const introspection = await graphql('{ __schema { types { name } } }');
+  const typeNames = introspection.data?.__schema?.types?.map(type => type.name) || [];
+  check('Introspection lists the schema types', ['Component', 'Story', 'ArgType', 'Docs', 'Tag', 'Group'].filter(name => !typeNames.includes(name)), []);
+  
+  const invalidFilter = await graphql('{ stories(filter: { tags: "|" }) { total } }');
+  check('Malformed filter reported with its details', invalidFilter.errors?.[0]?.extensions?.details?.reason, 'Empty value in "|"');
+  
+  const nested = 'component { stories { '.repeat(5);
+  const tooDeep = await graphql(`{ story(id: "components-button--primary") { ${nested} id ${' } }'.repeat(5)} } }`);
+  check('Too deep queries rejected before they run', [tooDeep.data, tooDeep.errors?.[0]?.extensions?.details], [undefined, { depth: 12, maxDepth: 10 }]);
+  
+  const invalidJson = await quietly(() => request(port, 'POST', '/api/graphql', { body: '{not json' }));
+  const missingQuery = await quietly(() => request(port, 'POST', '/api/graphql', { body: '{}' }));
+  check('Bad bodies answer 400', [invalidJson.status, invalidJson.body.error, missingQuery.status, missingQuery.body.error],
+    [400, 'Invalid JSON body', 400, 'Missing GraphQL query']);
+}
+
+/**
+ * HTTP caching: ETags per file and request, 304s, compression and compact JSON for non-browsers
+ */
+async function checkCaching(port) {
+  const fetchStories = (urlPath, headers) => quietly(() => request(port, 'GET', urlPath, { headers }));
+  const first = await fetchStories('/api/stories');
+  const { etag } = first.headers;
+  const lastModified = first.headers['last-modified'];
+  
+  report('Strong ETag and Last-Modified', /^"[0-9a-f]+"$/.test(etag) && Boolean(lastModified), `ETag ${etag}, Last-Modified ${lastModified}`);
+  check('Same request, same ETag; other query, other ETag',
+    [(await fetchStories('/api/stories')).headers.etag === etag, (await fetchStories('/api/stories?limit=1')).headers.etag === etag],
+    [true, false]);
+  
+  const matching = await fetchStories('/api/stories', { 'If-None-Match': etag });
+  check('Matching If-None-Match answers 304 without a body', [matching.status, matching.raw.length], [304, 0]);
+  check('If-None-Match lists are matched', (await fetchStories('/api/stories', { 'If-None-Match': `"stale", ${etag}` })).status, 304);
+  check('Stale If-None-Match answers 200', (await fetchStories('/api/stories', { 'If-None-Match': '"stale"' })).status, 200);
+  check('If-Modified-Since', [
+    (await fetchStories('/api/stories', { 'If-Modified-Since': lastModified })).status,
+    (await fetchStories('/api/stories', { 'If-Modified-Since': new Date(0).toUTCString() })).status,
+  ], [304, 200]);
+  
+  const brotli = await fetchStories('/api/stories', { 'Accept-Encoding': 'br, gzip' });
+  const gzip = await fetchStories('/api/stories', { 'Accept-Encoding': 'gzip' });
+  check('Brotli preferred, gzip otherwise, same JSON once decoded', [
+    brotli.headers['content-encoding'],
+    gzip.headers['content-encoding'],
+    zlib.brotliDecompressSync(brotli.raw).equals(first.raw),
+    zlib.gunzipSync(gzip.raw).equals(first.raw),
+  ], ['br', 'gzip', true, true]);
+  check('Responses vary on Accept and Accept-Encoding', first.headers.vary, 'Accept, Accept-Encoding');
+  
+  const indented = text => text.startsWith('{\n  ');
+  check('Compact JSON for clients, indented for browsers and ?pretty=true', [
+    indented(first.raw.toString()),
+    indented((await fetchStories('/api/health', { Accept: 'text/html' })).raw.toString()),
+    indented((await fetchStories('/api/health?pretty=true')).raw.toString()),
+    indented((await fetchStories('/api/health?pretty=false', { Accept: 'text/html' })).raw.toString()),
+  ], [false, true, true, false]);
+}
+
+/**
+ * Helper: Run `storybook-api serve` and wait until it listens
+ * @returns {Promise<object>} { port, child } (stop it with child.kill())
+ */
+function startCli(args, cwd) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(__dirname, 'cli.js'), 'serve', '--port', '0', ...args], { cwd });
+    let output = '';
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`serve did not start: ${output}`));
+    }, 10000);
+    
+    const onOutput = (chunk) => {
+      output += chunk;
+      const match = /API:\s+http:\/\/[^:]+:(\d+)\//.exec(output);
+      if (match) {
+        clearTimeout(timer);
+        resolve({ port: Number(match[1]), child });
+      }
+    };
+    child.stdout.on('data', onOutput);
+    child.stderr.on('data', onOutput);
+    child.on('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`serve exited with ${code}: ${output}`));
+    });
+  });
+}
+
+/**
+ * `storybook-api serve`: the same API on a plain server, plus the static build
+ */
+async function checkServe(port, projectDir) {
+  const outputDir = path.join(projectDir, 'storybook-static');
+  fs.writeFileSync(path.join(outputDir, 'index.html'), '<!DOCTYPE html><title>Storybook</title>');
+  
+  let cli = null;
+  try {
+    // Started elsewhere: only the flags point at the project
+    cli = await startCli(['--metadata', path.join(outputDir, 'stories.json'), '--static', '--cors', 'https://docs.acme.dev'], os.tmpdir());
+    
+    const stories = await quietly(() => request(cli.port, 'GET', '/api/stories', { headers: { Origin: 'https://docs.acme.dev' } }));
+    const middlewareStories = await quietly(() => request(port, 'GET', '/api/stories'));
+    check('Same stories as the middleware', stories.body.stories?.map(story => story.id), middlewareStories.body.stories?.map(story => story.id));
+    check('Same ETag as the middleware for the same file', stories.headers.etag, middlewareStories.headers.etag);
+    check('CORS origin from --cors', stories.headers['access-control-allow-origin'], 'https://docs.acme.dev');
+    check('304 on a matching If-None-Match',
+      (await quietly(() => request(cli.port, 'GET', '/api/stories', { headers: { 'If-None-Match': stories.headers.etag } }))).status, 304);
+    
+    const index = await quietly(() => request(cli.port, 'GET', '/'));
+    check('--static serves the build next to the metadata', [index.status, index.headers['content-type'], index.body],
+      [200, 'text/html; charset=utf-8', '<!DOCTYPE html><title>Storybook</title>']);
+    const missing = await quietly(() => request(cli.port, 'GET', '/nope'));
+    check('Unknown paths answer a JSON 404', [missing.status, missing.body.path], [404, '/nope']);
+    
+    const failure = await startCli(['--metadata', 'missing.json'], projectDir).then(() => null, err => err.message);
+    report('Missing metadata file exits with 1', /exited with 1: .*Metadata file not found/s.test(failure), failure);
+  } catch (err) {
+    report('storybook-api serve', false, err.message);
+  } finally {
+    cli?.child.kill();
+  }
+}
+
+/**
+ * Federation: a second Storybook served by the same middleware, namespaced and selected by `?project=`
+ */
+async function checkFederation(middleware, projectDir) {
+  const metadata = JSON.parse(fs.readFileSync(path.join(projectDir, 'storybook-static', 'stories.json'), 'utf-8'));
+  const { importOrder, ...rest } = metadata;
+  
+  // The checkout Storybook has its own Button and Select
+  fs.mkdirSync(path.join(projectDir, 'checkout'));
+  fs.writeFileSync(path.join(projectDir, 'checkout', 'stories.json'), JSON.stringify({
+    ...rest,
+    stories: {
+      'components-button--primary': metadata.stories['components-button--primary'],
+      'forms-select--basic': metadata.stories['forms-select--basic'],
+    },
+    docs: {},
+    components: {},
+  }));
+  
+  const { server, port } = await startServer(middleware, { projects: ['checkout=checkout/stories.json'] });
+  const ids = async (urlPath) => (await get(port, urlPath)).stories?.map(story => story.id);
+  
+  try {
+    const { projects, duplicates } = await get(port, '/api/projects');
+    check('Projects listed with their story counts',
+      projects?.map(project => [project.id, project.namespaced, project.totalStories, project.components, project.status]),
+      [['local', false, 10, 8, 'ok'], ['checkout', true, 2, 2, 'ok']]);
+    check('Duplicate component names across projects',
+      duplicates?.map(duplicate => [duplicate.name, duplicate.components.map(component => component.id)]),
+      [['Button', ['components-button', 'checkout-components-button']], ['Select', ['forms-select', 'checkout-forms-select']]]);
+    
+    check('Other projects are namespaced', await ids('/api/stories?project=checkout&fields=id'),
+      ['checkout_components-button--primary', 'checkout_forms-select--basic']);
+    check('`?project=` selects one or several projects',
+      [(await ids('/api/stories?project=local&fields=id'))?.length, (await ids('/api/stories?project=local,checkout&fields=id'))?.length, (await ids('/api/stories?fields=id'))?.length],
+      [10, 12, 12]);
+    check('`?project=` on components, tree and search', [
+      (await get(port, '/api/components?project=checkout&fields=id')).components?.map(component => component.id),
+      (await get(port, '/api/tree?project=checkout')).tree?.map(node => [node.path, node.children.map(child => child.path)]),
+      (await get(port, '/api/search?q=select&project=checkout')).results?.map(result => result.id),
+    ], [
+      ['checkout-components-button', 'checkout-forms-select'],
+      [['checkout', ['checkout/Components', 'checkout/Forms']]],
+      ['checkout_forms-select--basic'],
+    ]);
+    check('Namespaced component by ID', (await get(port, '/api/components/checkout-components-button')).stories?.map(story => story.id),
+      ['checkout_components-button--primary']);
+    
+    const unknown = await quietly(() => request(port, 'GET', '/api/stories?project=nope'));
+    check('Unknown project answers 400 with the available ones', [unknown.status, unknown.body.project, unknown.body.available],
+      [400, 'nope', ['local', 'checkout']]);
+  } finally {
+    server.close();
+    server.closeAllConnections?.();
+  }
+}
+
+/**
+ * Config file: validation errors, env overrides, and the settings the middleware and `serve` pick up
+ */
+async function checkConfig(middleware, projectDir) {
+  const configDir = path.join(projectDir, 'config');
+  const writeConfig = (file, options) => {
+    fs.mkdirSync(configDir, { recursive: true });
+    fs.writeFileSync(path.join(configDir, file), JSON.stringify(options));
+    return path.join(configDir, file);
+  };
+  
+  const badConfig = writeConfig('bad.json', { corsorigin: '*', cacheTTL: -1, outputFile: 'out/stories.json', defaultPageSize: 50, maxPageSize: 20 });
+  let error = null;
+  try {
+    loadConfig({ configPath: badConfig, env: { STORYBOOK_PORT: 'abc' } });
+  } catch (err) {
+    error = err;
+  }
+  check('Every invalid value reported with its source', error?.details?.errors?.map(({ option, source, expected }) => [option, source, expected]), [
+    ['corsorigin', badConfig, '"corsOrigin"'],
+    ['cacheTTL', badConfig, 'an integer >= 0'],
+    ['outputFile', badConfig, 'a file name without folders'],
+    ['storybookPort', 'STORYBOOK_PORT', 'a port number (1-65535)'],
+    ['defaultPageSize', 'merged configuration', 'at most maxPageSize (20)'],
+  ]);
+  
+  const apiConfig = writeConfig('api.json', {
+    outputDir: '../nowhere',
+    metadataPaths: ['../checkout/stories.json'],
+    corsOrigin: 'https://docs.acme.dev',
+    maxSearchLength: 5,
+    cacheTTL: 100,
+  });
+  const loaded = loadConfig({ configPath: apiConfig, env: { STORYBOOK_CACHE_TTL: '200' } });
+  check('Env vars override the file, paths are relative to it', [loaded.cacheTTL, loaded.outputDir, loaded.metadataPaths],
+    [200, path.join(projectDir, 'nowhere'), [path.join(projectDir, 'checkout', 'stories.json')]]);
+  
+  let mountError = null;
+  await startServer(middleware, { config: badConfig }).catch(err => {
+    mountError = err;
+  });
+  check('An invalid config stops the middleware from mounting', mountError?.details?.errors?.map(({ option }) => option),
+    ['corsorigin', 'cacheTTL', 'outputFile', 'defaultPageSize']);
+  
+  const { server, port } = await startServer(middleware, { config: apiConfig });
+  try {
+    const stories = await quietly(() => request(port, 'GET', '/api/stories?fields=id', { headers: { Origin: 'https://docs.acme.dev' } }));
+    check('Middleware reads the metadata paths and CORS origin of the config',
+      [stories.body.total, stories.headers['access-control-allow-origin']], [2, 'https://docs.acme.dev']);
+    const longSearch = await quietly(() => request(port, 'GET', '/api/search?q=button'));
+    check('Middleware uses the configured maxSearchLength', [longSearch.status, longSearch.body.maxLength], [400, 5]);
+  } finally {
+    server.close();
+    server.closeAllConnections?.();
+  }
+  
+  const failure = await startCli(['--config', badConfig], projectDir).then(() => null, err => err.message);
+  report('`serve --config` with an invalid file exits with 1 and lists the problems',
+    /exited with 1: .*Invalid storybook-api configuration.*cacheTTL: expected an integer >= 0, got -1/s.test(failure), failure);
+}
+
+/**
+ * Request bodies over maxBodySize (100 KB) are rejected without reading the rest
+ */
+async function checkBodyLimit(port) {
+  const endless = await quietly(() => postEndlessBody(port, '/api/graphql'));
+  check('Endless POST body gets 413 and the connection closes', endless.status, 413);
+  
+  const announced = await quietly(() => postEndlessBody(port, '/api/graphql', 10 * 1024 * 1024));
+  check('POST with a Content-Length over the limit gets 413 right away', announced.status, 413);
+}
+
+async function main() {
+  console.log('======================================');
+  console.log('Middleware Endpoints');
+  console.log('======================================\n');
+  
+  if (!fs.existsSync(path.join(__dirname, 'node_modules', '@babel', 'parser'))) {
+    console.error('❌ Dependencies not installed. Run: npm install');
+    process.exit(1);
+  }
+  
+  const projectDir = await createProject();
+  
+  // The middleware only reads metadata below the working directory
+  process.chdir(projectDir);
+  const { default: middleware } = await import(pathToFileURL(path.join(projectDir, '.storybook', 'middleware.js')).href);
+  const { server, port } = await startServer(middleware);
+  
+  try {
+    await checkDiff(port, projectDir);
+    await checkPagination(port);
+    await checkSearch(port);
+    await checkFilters(port);
+    await checkTree(port);
+    await checkExamples(port);
+    await checkImports(port);
+    await checkOpenApi(port);
+    await checkGraphql(port);
+    await checkCaching(port);
+    await checkServe(port, projectDir);
+    await checkFederation(middleware, projectDir);
+    await checkConfig(middleware, projectDir);
+    await checkBodyLimit(port);
+    // Rewrites the metadata file, keep it last
+    await checkEvents(port, projectDir);
+  } finally {
+    server.close();
+    server.closeAllConnections?.();
+    process.chdir(__dirname);
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+  
+  console.log('\n======================================');
+  console.log(`✅ Passed: ${passed}`);
+  console.log(`❌ Failed: ${failed}`);
+  console.log('======================================');
+  
+  // The /api/events watcher keeps timers running, exit explicitly
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error('❌ Middleware test failed to run:', err);
+  process.exit(1);
+});
@@ -0,0 +1,342 @@
+#!/usr/bin/env node
+
+/**
+ * ==============================================
+ * ESM / COMMONJS PARITY TEST
+ * ==============================================
+ * 
+ * Checks that middleware.cjs is what middleware.js builds to,
+ * then mounts middleware.js (ESM) and middleware.cjs (CommonJS
+ * build) on two local servers, serves both the same fixture
+ * metadata (examples/sample-output.json) and checks that
+ * every endpoint answers identically: registered routes,
+ * status codes, key headers and bodies. Also checks that a
+ * second mount keeps its own config and metadata cache.
+ * 
+ * Usage:
+ *   npm run test:parity   (part of npm test)
+ * 
+ * Run `npm run build:cjs` first when middleware.js changed.
+ * ==============================================
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import zlib from 'zlib';
+import { createRequire } from 'module';
+import { spawnSync } from 'child_process';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { createRouter } from './server.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const require = createRequire(import.meta.url);
+
+const FIXTURE = path.join(__dirname, 'examples', 'sample-output.json');
+
+// Headers that have to match between the builds
+const COMPARED_HEADERS = [
+  'content-type',
+  'content-encoding',
+  'cache-control',
+  'etag',
+  'last-modified',
+  'vary',
+  'access-control-allow-origin',
+  'access-control-allow-methods',
+  'link',
+];
+
+// Fields that legitimately differ between two responses (clock, random)
+const VOLATILE_FIELDS = new Set(['timestamp']);
+
+// Requests sent to both builds: [method, path, { headers, body }]
+const REQUESTS = [
+  ['GET', '/api/health'],
+  ['GET', '/api/projects'],
+  ['GET', '/api/stories?project=local'],
+  ['GET', '/api/stories?project=other'],
+  ['GET', '/api/stories'],
+  ['GET', '/api/stories?tags=!deprecated&fields=id,title&sort=name&order=desc'],
+  ['GET', '/api/stories?arg.primary=true&limit=1'],
+  ['GET', '/api/stories?tags=a,,'],
+  ['GET', '/api/stories?limit=-1'],
+  ['GET', '/api/components'],
+  ['GET', '/api/components/example-button'],
+  ['GET', '/api/components/example-button/docs'],
+  ['GET', '/api/components/example-button/examples'],
+  ['GET', '/api/components/example-button/examples?framework=vue'],
+  ['GET', '/api/components/example-button/examples?framework=cobol'],
+  ['GET', '/api/components/missing'],
+  ['GET', '/api/components/bad%20id'],
+  ['GET', '/api/tree'],
+  ['GET', '/api/tree?roots=false'],
+  ['GET', '/api/groups/example'],
+  ['GET', '/api/groups/missing'],
+  ['GET', '/api/search?q=buton'],
+  ['GET', '/api/search'],
+  ['GET', '/api/diff?base=storybook-static/stories.json'],
+  ['GET', '/api/openapi.json'],
+  ['GET', '/api/docs'],
+  ['GET', '/api/stories?pretty=true', { headers: { 'Accept-Encoding': 'gzip' } }],
+  ['GET', '/api/components', { headers: { 'Accept-Encoding': 'br' } }],
+  ['GET', '/api/stories', { headers: { 'If-None-Match': '*' } }],
+  ['POST', '/api/graphql', {
+    body: JSON.stringify({ query: '{ components { total items { id name storyCount argTypes { name type } docs { description } } } }' }),
+  }],
+  ['POST', '/api/graphql', {
+    body: JSON.stringify({ query: '{ stories { items { component { stories { component { stories { component { stories { component { stories { id } } } } } } } } } } }' }),
+  }],
+  ['POST', '/api/graphql', { body: 'not json' }],
+  ['OPTIONS', '/api/graphql'],
+  ['GET', '/stories.json'],
+  ['GET', '/stories.json/stats'],
+  ['GET', '/stories.json/refresh'],
+  ['GET', '/api/unknown'],
+];
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * Mount a middleware build on a local server (random port)
+ */
+async function startServer(middleware, options) {
+  const router = createRouter();
+  middleware(router, options);
+  
+  const server = http.createServer((req, res) => router.handle(req, res, () => {
+    res.statusCode = 404;
+    res.end('Not found');
+  }));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { router, server, port: server.address().port };
+}
+
+/**
+ * Send a request and collect status, headers and the decoded body
+ */
+function request(port, [method, urlPath, options = {}]) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1',
+      port,
+      method,
+      path: urlPath,
+      headers: {
+        ...(options.body ? { 'Content-Type': 'application/json' } : {}),
+        ...options.headers,
+      },
+    }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        let body = Buffer.concat(chunks);
+        if (res.headers['content-encoding'] === 'gzip') body = zlib.gunzipSync(body);
+        if (res.headers['content-encoding'] === 'br') body = zlib.brotliDecompressSync(body);
+        resolve({ status: res.statusCode, headers: res.headers, body: body.toString('utf-8') });
+      });
+    });
+    
+    req.on('error', reject);
+    req.setTimeout(10000, () => req.destroy(new Error(`Timed out: ${method} ${urlPath}`)));
+    req.end(options.body);
+  });
+}
+
+/**
+ * Read the first Server-Sent Event of /api/events, then disconnect
+ */
+function readFirstEvent(port) {
+  return new Promise((resolve, reject) => {
+    const req = http.get({ host: '127.0.0.1', port, path: '/api/events' }, (res) => {
+      let received = '';
+      res.on('data', (chunk) => {
+        received += chunk.toString('utf-8');
+        const event = received.split('\n').find(line => line.startsWith('event:'));
+        if (!event) return;
+        req.destroy();
+        resolve({ status: res.statusCode, contentType: res.headers['content-type'], event });
+      });
+    });
+    
+    req.on('error', reject);
+    req.setTimeout(10000, () => req.destroy(new Error('Timed out: /api/events')));
+  });
+}
+
+/**
+ * Comparable form of a response: volatile JSON fields and the per-request
+ * CSP nonce are masked; ETags of bodies with volatile fields are dropped
+ */
+function normalize(response) {
+  let body = response.body;
+  let volatile = false;
+  
+  try {
+    body = JSON.stringify(JSON.parse(body), (key, value) => {
+      if (VOLATILE_FIELDS.has(key)) {
+        volatile = true;
+        return '<volatile>';
+      }
+      return value;
+    }, 2);
+  } catch {
+    body = body.replace(/nonce(=|-)"?[A-Za-z0-9+/=]+/g, 'nonce$1<nonce>');
+  }
+  
+  const headers = {};
+  COMPARED_HEADERS.forEach(name => {
+    if (response.headers[name] === undefined) return;
+    if (name === 'etag' && volatile) return;
+    headers[name] = response.headers[name];
+  });
+  
+  return { status: response.status, headers, body };
+}
+
+/**
+ * Helper: Print a check result
+ */
+function report(name, ok, detail = '') {
+  if (ok) {
+    passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${name}${detail ? `\n   ${detail}` : ''}`);
+  }
+}
+
+/**
+ * Helper: First differing line of two texts
+ */
+function firstDifference(a, b) {
+  const linesA = a.split('\n');
+  const linesB = b.split('\n');
+  const index = linesA.findIndex((line, i) => line !== linesB[i]);
+  const at = index === -1 ? linesA.length : index;
+  return `line ${at + 1}: ESM ${JSON.stringify(linesA[at])} vs CJS ${JSON.stringify(linesB[at])}`;
+}
+
+/**
+ * A second mount in the same process (other metadata file and config)
+ * must not change what the first one serves
+ */
+async function checkSeparateMounts(middleware, port, projectDir) {
+  const fixture = JSON.parse(fs.readFileSync(FIXTURE, 'utf-8'));
+  const [firstId] = Object.keys(fixture.stories);
+  const otherPath = path.join(projectDir, 'other-stories.json');
+  const configPath = path.join(projectDir, 'other.config.json');
+  fs.writeFileSync(otherPath, JSON.stringify({ ...fixture, stories: { [firstId]: fixture.stories[firstId] } }));
+  fs.writeFileSync(configPath, JSON.stringify({ corsOrigin: 'https://docs.example.com' }));
+  
+  const before = await request(port, ['GET', '/api/stories']);
+  const other = await startServer(middleware, { metadataPath: otherPath, config: configPath });
+  
+  try {
+    const otherResponse = await request(other.port, ['GET', '/api/stories']);
+    const after = await request(port, ['GET', '/api/stories']);
+    const total = (response) => JSON.parse(response.body).total;
+    
+    report('Second mount serves its own metadata and config',
+      total(otherResponse) === 1 && otherResponse.headers['access-control-allow-origin'] === 'https://docs.example.com',
+      `total ${total(otherResponse)}, origin ${otherResponse.headers['access-control-allow-origin']}`);
+    report('First mount is unchanged by the second one',
+      total(after) === total(before) && after.headers['access-control-allow-origin'] === '*',
+      `total ${total(before)} → ${total(after)}, origin ${after.headers['access-control-allow-origin']}`);
+  } finally {
+    other.server.close();
+    other.server.closeAllConnections?.();
+  }
+}
+
+async function main() {
+  console.log('======================================');
+  console.log('ESM / CommonJS Middleware Parity');
+  console.log('======================================\n');
+  
+  if (!fs.existsSync(path.join(__dirname, 'middleware.cjs'))) {
+    console.error('❌ middleware.cjs not found. Run: npm run build:cjs');
+    process.exit(1);
+  }
+  
+  // A stale middleware.cjs would be published with behavior middleware.js no longer has
+  const bundleCheck = spawnSync(process.execPath, [path.join(__dirname, 'build-cjs.js'), '--check'], { encoding: 'utf-8' });
+  report('middleware.cjs is up to date with middleware.js', bundleCheck.status === 0,
+    (bundleCheck.stderr || bundleCheck.stdout || '').replace(/^❌\s*/, '').trim());
+  
+  // Both builds look for storybook-static/stories.json under the working directory
+  const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storybook-api-parity-'));
+  fs.mkdirSync(path.join(projectDir, 'storybook-static'));
+  fs.copyFileSync(FIXTURE, path.join(projectDir, 'storybook-static', 'stories.json'));
+  process.chdir(projectDir);
+  
+  const esmModule = await import(pathToFileURL(path.join(__dirname, 'middleware.js')).href);
+  const cjsModule = require(path.join(__dirname, 'middleware.cjs'));
+  
+  report('CommonJS export is the middleware function', typeof cjsModule === 'function' &&
+    cjsModule.default === cjsModule && cjsModule.middleware === cjsModule);
+  
+  const esm = await startServer(esmModule.default);
+  const cjs = await startServer(cjsModule);
+  
+  // The default metadataPaths (next to the package, outside the temp project)
+  // are skipped with a warning on every request
+  const { warn } = console;
+  console.warn = () => {};
+  
+  try {
+    const describeRoutes = ({ router }) => router.routes
+      .map(({ method, pattern }) => `${method} ${pattern}`)
+      .join('\n');
+    const esmRoutes = describeRoutes(esm);
+    const cjsRoutes = describeRoutes(cjs);
+    report(`Same routes registered (${esm.router.routes.length})`, esmRoutes === cjsRoutes,
+      esmRoutes === cjsRoutes ? '' : firstDifference(esmRoutes, cjsRoutes));
+    
+    for (const spec of REQUESTS) {
+      const name = `${spec[0]} ${spec[1]}${spec[2]?.headers ? ` ${JSON.stringify(spec[2].headers)}` : ''}`;
+      const esmResponse = normalize(await request(esm.port, spec));
+      const cjsResponse = normalize(await request(cjs.port, spec));
+      const esmText = JSON.stringify(esmResponse, null, 2);
+      const cjsText = JSON.stringify(cjsResponse, null, 2);
+      
+      report(`${name} → ${esmResponse.status}`, esmText === cjsText,
+        esmText === cjsText ? '' : firstDifference(esmText, cjsText));
+    }
+    
+    await checkSeparateMounts(esmModule.default, esm.port, projectDir);
+    
+    const esmEvent = await readFirstEvent(esm.port);
+    const cjsEvent = await readFirstEvent(cjs.port);
+    report(`GET /api/events → ${esmEvent.event}`,
+      JSON.stringify(esmEvent) === JSON.stringify(cjsEvent),
+      `ESM ${JSON.stringify(esmEvent)} vs CJS ${JSON.stringify(cjsEvent)}`);
+  } finally {
+    console.warn = warn;
+    esm.server.close();
+    cjs.server.close();
+    esm.server.closeAllConnections?.();
+    cjs.server.closeAllConnections?.();
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+  
+  console.log('\n======================================');
+  console.log(`✅ Passed: ${passed}`);
+  console.log(`❌ Failed: ${failed}`);
+  console.log('======================================');
+  
+  if (failed > 0) {
+    console.log('\nOut of date? Rebuild the CommonJS entry: npm run build:cjs');
+  }
+  
+  // The /api/events watcher keeps timers running, exit explicitly
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error('❌ Parity test failed to run:', err);
+  process.exit(1);
+});
@@ -0,0 +1,578 @@
+/**
+ * ==============================================
+ * USAGE SNIPPETS
+ * ==============================================
+ * 
+ * Copy-paste usage code for a story's args, written the
+ * way each framework's templates expect it:
+ * 
+ *   react           <Button label="Save" disabled={false} onClick={handleClick} />
+ *   vue             <Button label="Save" :size="2" @click="handleClick" />
+ *   angular         <app-button label="Save" [size]="2" (clicked)="onClicked($event)"></app-button>
+ *   svelte          <Button label="Save" size={2} on:click={handleClick} />
+ *   web-components  html`<my-button label="Save" ?disabled=${false} .items=${[]}></my-button>`
+ *   html            <my-button label="Save"></my-button> (+ a script for properties/events)
+ * 
+ * Plus the import statement for the component: its package
+ * import when known, otherwise its source file (or the story
+ * file next to it).
+ * Used by GET /api/components/:id and /api/components/:id/examples
+ * ==============================================
+ */
+
+const SNIPPET_FRAMEWORKS = ['react', 'vue', 'angular', 'svelte', 'web-components', 'html'];
+
+// Other names accepted for ?framework=
+const FRAMEWORK_ALIASES = {
+  jsx: 'react',
+  preact: 'react',
+  vue3: 'vue',
+  lit: 'web-components',
+  'lit-html': 'web-components',
+};
+
+// Language of each framework's snippet (for syntax highlighting)
+const SNIPPET_LANGUAGES = {
+  react: 'jsx',
+  vue: 'vue',
+  angular: 'html',
+  svelte: 'svelte',
+  'web-components': 'js',
+  html: 'html',
+};
+
+// Placeholders the extractor stores for values it can't serialize
+const FUNCTION_VALUE = '[Function]';
+const ELEMENT_VALUE = '[JSX Element]';
+
+// Args rendered as the element's content (React children, Vue default slot)
+const CONTENT_ARGS = ['children', 'default'];
+
+// Attributes go on separate lines once the opening tag gets longer than this
+const MAX_LINE_LENGTH = 80;
+
+/**
+ * Pick the framework to write snippets for.
+ * Throws an Error with `details` when the requested framework is not supported.
+ * 
+ * @param {string|undefined} requested - ?framework= value
+ * @param {object} metadata - Parsed stories.json (its `framework.renderer` is the default)
+ * @param {object|null} component - metadata.components entry (.vue/.svelte files pick their framework)
+ * @returns {string} One of SNIPPET_FRAMEWORKS
+ */
+function resolveSnippetFramework(requested, metadata, component = null) {
+  if (requested) {
+    const name = String(requested).toLowerCase();
+    const framework = FRAMEWORK_ALIASES[name] || name;
+    if (!SNIPPET_FRAMEWORKS.includes(framework)) {
+      throw Object.assign(new Error('Unsupported framework'), {
+        details: { framework: requested, supported: SNIPPET_FRAMEWORKS },
+      });
+    }
+    return framework;
+  }
+  
+  // Single-file components can only be used one way, otherwise the configured renderer decides
+  if (/\.vue$/.test(component?.sourcePath || '')) return 'vue';
+  if (/\.svelte$/.test(component?.sourcePath || '')) return 'svelte';
+  
+  const renderer = component?.framework?.renderer || metadata?.framework?.renderer;
+  return SNIPPET_FRAMEWORKS.includes(renderer) ? renderer : 'react';
+}
+
+/**
+ * Generate a usage snippet from a story's args
+ * @param {object} story - Story from stories.json
+ * @param {object} options - { framework, component: metadata.components entry }
+ * @returns {object} { framework, language, code }
+ */
+function generateUsageSnippet(story, options = {}) {
+  const framework = options.framework || 'react';
+  const component = options.component || null;
+  const name = getComponentName(story, component);
+  
+  const render = RENDERERS[framework];
+  if (!render) {
+    throw new Error(`Unsupported framework: ${framework}`);
+  }
+  
+  return {
+    framework,
+    language: SNIPPET_LANGUAGES[framework],
+    code: render({
+      name,
+      tag: getTagName(story, component, name, framework),
+      ...collectArgs(story),
+    }),
+  };
+}
+
+/**
+ * Import statement for a story's component.
+ * Uses the component's public package import when the extractor found one
+ * (`import { Button } from '@acme/ui'`), otherwise a path relative to the project root.
+ * 
+ * @param {object} story - Story from stories.json
+ * @param {object} options - { framework, component: metadata.components entry }
+ * @returns {string|null} Import statement, or null when the module is unknown
+ */
+function generateImportStatement(story, options = {}) {
+  const framework = options.framework || 'react';
+  const component = options.component || null;
+  const packageImport = component?.packageImport || null;
+  const modulePath = packageImport?.source || getModulePath(story, component, framework);
+  if (!modulePath) return null;
+  
+  // Custom elements register themselves when their module runs
+  if (framework === 'web-components') return `import '${modulePath}';`;
+  if (framework === 'html') {
+    return packageImport
+      ? `<script type="module">import '${modulePath}';</script>`
+      : `<script type="module" src="${modulePath}"></script>`;
+  }
+  
+  const name = getComponentName(story, component);
+  const exportName = packageImport?.exportName || component?.exportName;
+  const isDefault = exportName
+    ? exportName === 'default'
+    : ['vue', 'svelte'].includes(framework);
+  
+  return isDefault
+    ? `import ${name} from '${modulePath}';`
+    : `import { ${name} } from '${modulePath}';`;
+}
+
+// ============= FRAMEWORKS =============
+
+const RENDERERS = {
+  react: renderReact,
+  vue: renderVue,
+  angular: renderAngular,
+  svelte: renderSvelte,
+  'web-components': renderLit,
+  html: renderHtml,
+};
+
+/**
+ * Helper: JSX – strings as attributes, everything else as {expressions}
+ */
+function renderReact({ name, props, events, content }) {
+  const attributes = [
+    ...props.map(({ name: prop, value }) => {
+      if (value === true) return prop;
+      if (typeof value === 'string' && !/["\n]/.test(value)) return `${prop}="${value}"`;
+      return `${prop}={${formatLiteral(value)}}`;
+    }),
+    ...events.map(event => `${event.prop}={${event.handler}}`),
+  ];
+  
+  const children = content !== null && /[{}<>]/.test(content)
+    ? `{${formatLiteral(content)}}`
+    : content;
+  
+  return renderElement(name, attributes, { content: children, selfClosing: true });
+}
+
+/**
+ * Helper: Vue template – kebab-case attributes, :bindings, @events and v-model
+ */
+function renderVue({ name, props, events, content }) {
+  const eventNames = new Set(events.map(event => event.event));
+  const modelProps = new Set(props
+    .map(prop => prop.name)
+    .filter(prop => eventNames.has(`update:${prop}`)));
+  
+  const attributes = [
+    ...props.map(({ name: prop, value, argType }) => {
+      if (modelProps.has(prop)) {
+        return prop === 'modelValue' ? 'v-model="modelValue"' : `v-model:${prop}="${prop}"`;
+      }
+      
+      const attribute = toKebabCase(prop);
+      if (typeof value === 'string') return `${attribute}="${escapeAttribute(value)}"`;
+      if (value === true && isBooleanArg(argType)) return attribute;
+      return `:${attribute}="${escapeAttribute(formatLiteral(value))}"`;
+    }),
+    ...events
+      .filter(event => !(event.event.startsWith('update:') && modelProps.has(event.event.slice('update:'.length))))
+      .map(event => `@${event.event.split(':').map(toKebabCase).join(':')}="${event.handler}"`),
+  ];
+  
+  return renderElement(name, attributes, {
+    content: content !== null ? escapeHtml(content) : null,
+    selfClosing: true,
+  });
+}
+
+/**
+ * Helper: Angular template – [inputs], (outputs) and [(two-way)] bindings on the selector
+ */
+function renderAngular({ tag, props, events, content }) {
+  const outputNames = new Set(events.map(event => event.prop));
+  const modelProps = new Set(props
+    .map(prop => prop.name)
+    .filter(prop => outputNames.has(`${prop}Change`)));
+  
+  const attributes = [
+    ...tag.attributes,
+    ...props.map(({ name: prop, value }) => {
+      if (modelProps.has(prop)) return `[(${prop})]="${prop}"`;
+      if (typeof value === 'string') return `${prop}="${escapeAttribute(value)}"`;
+      return `[${prop}]="${escapeAttribute(formatLiteral(value))}"`;
+    }),
+    ...events
+      .filter(event => !(event.prop.endsWith('Change') && modelProps.has(event.prop.slice(0, -'Change'.length))))
+      .map(event => {
+        // Angular outputs are bound by their own name, handlers are conventionally on<Output>
+        const handler = /^on[A-Z]/.test(event.prop) ? event.prop : `on${toPascalCase(event.prop)}`;
+        return `(${event.prop})="${handler}($event)"`;
+      }),
+  ];
+  
+  return renderElement(tag.name, attributes, {
+    content: content !== null ? escapeHtml(content) : null,
+  });
+}
+
+/**
+ * Helper: Svelte markup – {expressions}, callback props and on:event directives
+ */
+function renderSvelte({ name, props, events, content }) {
+  const attributes = [
+    ...props.map(({ name: prop, value }) => {
+      if (value === true) return prop;
+      if (typeof value === 'string' && !/["{}]/.test(value)) return `${prop}="${value}"`;
+      return `${prop}={${formatLiteral(value)}}`;
+    }),
+    ...events.map(event =>
+      // createEventDispatcher events vs. callback props (Svelte 5 `onclick`, `onClick`)
+      event.dispatched ? `on:${event.event}={${event.handler}}` : `${event.prop}={${event.handler}}`
+    ),
+  ];
+  
+  return renderElement(name, attributes, {
+    content: content !== null ? escapeHtml(content).replace(/[{}]/g, char => `{'${char}'}`) : null,
+    selfClosing: true,
+  });
+}
+
+/**
+ * Helper: lit-html template – attributes for strings, ?booleans, .properties and @events
+ */
+function renderLit({ tag, props, events, content }) {
+  const attributes = [
+    ...tag.attributes,
+    ...props.map(({ name: prop, value }) => {
+      // Lit reflects properties to lowercased attribute names by default
+      if (typeof value === 'string') return `${prop.toLowerCase()}="${escapeTemplate(escapeAttribute(value))}"`;
+      if (typeof value === 'boolean') return `?${prop.toLowerCase()}=\${${value}}`;
+      return `.${prop}=\${${escapeTemplate(formatLiteral(value))}}`;
+    }),
+    ...events.map(event => `@${event.event}=\${${event.handler}}`),
+  ];
+  
+  const element = renderElement(tag.name, attributes, {
+    content: content !== null ? escapeTemplate(escapeHtml(content)) : null,
+  });
+  
+  return element.includes('\n')
+    ? `html\`\n${indent(element)}\n\``
+    : `html\`${element}\``;
+}
+
+/**
+ * Helper: Plain HTML – attributes for primitives, a script for properties and listeners
+ */
+function renderHtml({ tag, props, events, content }) {
+  const attributes = [...tag.attributes];
+  const scriptLines = [];
+  const variable = toCamelCase(tag.name);
+  
+  props.forEach(({ name: prop, value }) => {
+    if (value === false) return; // absent boolean attribute
+    if (value === true) {
+      attributes.push(toKebabCase(prop));
+    } else if (typeof value === 'string' || typeof value === 'number') {
+      attributes.push(`${toKebabCase(prop)}="${escapeAttribute(String(value))}"`);
+    } else {
+      scriptLines.push(`${variable}.${prop} = ${formatLiteral(value)};`);
+    }
+  });
+  
+  events.forEach(event => {
+    scriptLines.push(`${variable}.addEventListener('${event.event}', (event) => console.log('${event.event}', event));`);
+  });
+  
+  const element = renderElement(tag.name, attributes, {
+    content: content !== null ? escapeHtml(content) : null,
+  });
+  if (scriptLines.length === 0) return element;
+  
+  return [
+    element,
+    '<script>',
+    `  const ${variable} = document.querySelector('${tag.name}');`,
+    ...scriptLines.map(line => `  ${line}`),
+    '</script>',
+  ].join('\n');
+}
+
+// ============= ARGS =============
+
+/**
+ * Helper: Split story args into props, events and element content.
+ * Events also come from argTypes marked as actions/events/outputs.
+ */
+function collectArgs(story) {
+  const args = story.args || {};
+  const argTypes = story.argTypes || {};
+  const props = [];
+  const events = new Map();
+  let content = null;
+  
+  Object.entries(args).forEach(([name, value]) => {
+    const argType = argTypes[name] || {};
+    
+    if (value === FUNCTION_VALUE || isEventArgType(argType)) {
+      events.set(name, makeEvent(name, argType));
+    } else if (CONTENT_ARGS.includes(name) && typeof value === 'string') {
+      content = value;
+    } else if (value !== undefined && value !== null && value !== ELEMENT_VALUE) {
+      props.push({ name, value, argType });
+    }
+  });
+  
+  Object.entries(argTypes).forEach(([name, argType]) => {
+    if (!events.has(name) && isEventArgType(argType)) {
+      events.set(name, makeEvent(name, argType));
+    }
+  });
+  
+  return { props, events: [...events.values()], content };
+}
+
+/**
+ * Helper: Whether an argType describes an event/output rather than a prop
+ */
+function isEventArgType(argType) {
+  return Boolean(argType?.action) || ['events', 'outputs'].includes(argType?.table?.category);
+}
+
+/**
+ * Helper: Event of an arg – `onClick` listens to "click", Vue's `update:modelValue` stays as is
+ */
+function makeEvent(prop, argType) {
+  const callbackMatch = /^on([A-Z].*)$/.exec(prop);
+  const event = callbackMatch
+    ? callbackMatch[1].charAt(0).toLowerCase() + callbackMatch[1].slice(1)
+    : prop;
+  
+  return {
+    prop,
+    event,
+    handler: `handle${toPascalCase(event)}`,
+    dispatched: argType?.table?.category === 'events' && !callbackMatch,
+  };
+}
+
+/**
+ * Helper: Whether an arg is a boolean prop (or untyped, so shorthand is safe)
+ */
+function isBooleanArg(argType) {
+  const type = argType?.type;
+  const typeName = typeof type === 'string' ? type : type?.name;
+  const control = typeof argType?.control === 'string' ? argType.control : argType?.control?.type;
+  
+  if (!typeName && !control) return true;
+  return typeName === 'boolean' || control === 'boolean';
+}
+
+// ============= NAMES & PATHS =============
+
+/**
+ * Helper: Name the component is imported and used as
+ */
+function getComponentName(story, component) {
+  // The name the package exports it as, then the name in its own file
+  const exportName = component?.packageImport?.exportName || component?.exportName;
+  if (exportName && exportName !== 'default') return exportName;
+  if (component?.name) return component.name;
+  
+  // `component: Forms.Button` keeps the member, custom element names are tags, not identifiers
+  const storyComponent = typeof story.component === 'string' && !story.component.includes('-')
+    ? story.component.split('.').pop()
+    : null;
+  if (storyComponent) return storyComponent;
+  
+  const titleName = (story.title || story.kind || '').split('/').pop();
+  return toPascalCase(titleName) || 'Component';
+}
+
+/**
+ * Helper: Element name (and static attributes) the component is written as in templates
+ */
+function getTagName(story, component, name, framework) {
+  if (framework === 'angular') {
+    const selector = parseSelector(component?.selector);
+    // Without a selector, assume the Angular CLI default `app-` prefix
+    return selector || { name: `app-${toKebabCase(name.replace(/Component$/, ''))}`, attributes: [] };
+  }
+  
+  if (typeof story.component === 'string' && story.component.includes('-')) {
+    return { name: story.component, attributes: [] };
+  }
+  
+  // Custom element names need a hyphen, `Button` would be the native <button>
+  const tagName = toKebabCase(name);
+  return { name: tagName.includes('-') ? tagName : `my-${tagName}`, attributes: [] };
+}
+
+/**
+ * Helper: Element and attributes of the first Angular selector (`button[appButton]`)
+ */
+function parseSelector(selector) {
+  const first = String(selector || '').split(',')[0].trim();
+  const match = /^([a-zA-Z][\w-]*)?((?:\[[^\]]+\])*)$/.exec(first);
+  if (!first || !match) return null;
+  
+  const attributes = [...match[2].matchAll(/\[([^\]=]+)(?:=["']?([^"'\]]*)["']?)?\]/g)]
+    .map(([, attribute, value]) => value !== undefined ? `${attribute}="${value}"` : attribute);
+  
+  // Attribute-only selectors (directives) go on a plain element
+  return { name: match[1] || 'div', attributes };
+}
+
+/**
+ * Helper: Module path of the component, from its source file or the story file next to it
+ */
+function getModulePath(story, component, framework) {
+  let modulePath = component?.sourcePath;
+  
+  if (!modulePath) {
+    // `src/Button.stories.tsx` → `src/Button.tsx`, with the SFC extension for Vue/Svelte
+    const importPath = String(story.importPath || '');
+    if (!/\.stories\.\w+$/.test(importPath)) return null;
+    
+    const sfcExtension = { vue: '.vue', svelte: '.svelte' }[framework];
+    modulePath = importPath.replace(/\.stories(\.\w+)$/, (_, extension) => sfcExtension || extension);
+  }
+  
+  modulePath = modulePath.replace(/\\/g, '/').replace(/^\.\//, '');
+  
+  // Bundlers resolve script extensions (SFCs keep theirs), a plain page loads the built file
+  modulePath = framework === 'html'
+    ? modulePath.replace(/\.(tsx?|jsx|mjs|cjs)$/, '.js')
+    : modulePath.replace(/\.(tsx?|jsx?|mjs|cjs)$/, '').replace(/\/index$/, '');
+  
+  return `./${modulePath}`;
+}
+
+// ============= FORMATTING =============
+
+/**
+ * Helper: Opening/closing tags, attributes on their own lines when the tag gets long
+ */
+function renderElement(tag, attributes, { content = null, selfClosing = false } = {}) {
+  const inline = [tag, ...attributes].join(' ');
+  const multiline = inline.length + 2 > MAX_LINE_LENGTH;
+  const openTag = multiline
+    ? `<${tag}\n${attributes.map(attribute => indent(attribute)).join('\n')}\n`
+    : `<${inline}`;
+  
+  if (content === null && selfClosing) return `${openTag}${multiline ? '' : ' '}/>`;
+  if (content === null) return `${openTag}></${tag}>`;
+  return multiline
+    ? `${openTag}>\n${indent(content)}\n</${tag}>`
+    : `${openTag}>${content}</${tag}>`;
+}
+
+/**
+ * Helper: Arg value as a JavaScript literal (single quotes, unquoted keys where possible)
+ */
+function formatLiteral(value) {
+  if (value === FUNCTION_VALUE) return '() => {}';
+  if (value === ELEMENT_VALUE || value === undefined) return 'null';
+  if (typeof value === 'string') {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+  }
+  if (Array.isArray(value)) return `[${value.map(formatLiteral).join(', ')}]`;
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.entries(value).map(([key, entry]) => {
+      const formattedKey = /^[A-Za-z_$][\w$]*$/.test(key) ? key : formatLiteral(key);
+      return `${formattedKey}: ${formatLiteral(entry)}`;
+    });
+    return entries.length > 0 ? `{ ${entries.join(', ')} }` : '{}';
+  }
+  return String(value);
+}
+
+/**
+ * Helper: Indent every line by two spaces
+ */
+function indent(text) {
+  return text.split('\n').map(line => `  ${line}`).join('\n');
+}
+
+/**
+ * Helper: Escape text for a double-quoted attribute value
+ */
+function escapeAttribute(text) {
+  return text.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Helper: Escape text content for HTML-like templates
+ */
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Helper: Escape text placed inside a JavaScript template literal
+ */
+function escapeTemplate(text) {
+  return text.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${');
+}
+
+/**
+ * Helper: "backgroundColor" / "BackgroundColor" → "background-color"
+ */
+function toKebabCase(text) {
+  return text
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .replace(/([A-Z])([A-Z][a-z])/g, '$1-$2')
+    .replace(/[\s_]+/g, '-')
+    .toLowerCase();
+}
+
+/**
+ * Helper: "my-button" → "myButton"
+ */
+function toCamelCase(text) {
+  return text.replace(/[-_\s]+(\w)/g, (_, char) => char.toUpperCase());
+}
+
+/**
+ * Helper: "icon button" / "icon-button" → "IconButton"
+ */
+function toPascalCase(text) {
+  return String(text || '')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(capitalize)
+    .join('');
+}
+
+/**
+ * Helper: Uppercase the first character
+ */
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+export {
+  SNIPPET_FRAMEWORKS,
+  resolveSnippetFramework,
+  generateUsageSnippet,
+  generateImportStatement,
+};